@@ -17,14 +17,17 @@
 // 導入統一服務模組（CommonJS）- 從 lib 資料夾載入
 const { loadJSON } = require('../lib/knowledge-cache');
 const { matchVehicle } = require('../lib/vehicle-matcher');
+const { extractSkus } = require('../lib/sku-matcher');
 const { buildJasoRulesPrompt, buildSearchKeywordRulesPrompt } = require('../lib/motorcycle-rules');
 const { buildAnalysisPrompt, getConditionalRules: getPromptRules } = require('../lib/prompt-rules');
 
 // 啟用日誌等級控制（透過 LOG_LEVEL 環境變數）
 require('../lib/logger').patchConsole();
 const { detectCertification } = require('../lib/certification-matcher');
-const { CORS_HEADERS, LOG_TAGS, GEMINI_ENDPOINT } = require('../lib/constants');
+const { CORS_HEADERS, LOG_TAGS } = require('../lib/constants');
+const { generateText, isLLMConfigured } = require('../lib/llm-provider');
 const { getCategoryToSort, getOilOnlyKeywords } = require('../lib/search-helper');
+const { normalizeDialogState, describeDialogState, hasConfirmedVehicle } = require('../lib/dialog-state');
 
 // ============================================
 // 載入外部知識庫（使用統一快取模組）
@@ -55,18 +58,18 @@ async function handler(req, res) {
     }
 
     try {
-        const { message, conversationHistory = [] } = req.body;
+        const { message, conversationHistory = [], dialogState } = req.body;
 
         if (!message) {
             return res.status(400).json({ error: 'Missing message parameter' });
         }
 
-        const apiKey = process.env.GEMINI_API_KEY;
-        if (!apiKey) {
+        if (!isLLMConfigured()) {
             return res.status(500).json({ error: 'API key not configured' });
         }
 
-        const result = await analyzeUserQuery(apiKey, message, conversationHistory);
+        const result = await analyzeUserQuery(message, conversationHistory,
+            dialogState !== undefined ? normalizeDialogState(dialogState) : null);
 
         Object.keys(CORS_HEADERS).forEach(key => res.setHeader(key, CORS_HEADERS[key]));
         return res.status(200).json({ success: true, analysis: result });
@@ -85,17 +88,22 @@ async function handler(req, res) {
 
 /**
  * AI 分析用戶問題 - 純 AI 主導版本
+ * @param {string} message - 用戶訊息
+ * @param {Array} conversationHistory - 對話歷史
+ * @param {Object} dialogState - 對話狀態（提供時直接使用已確認欄位，不再掃描對話歷史）
+ * @returns {Promise<Object|null>} - 分析結果，失敗時回傳 null
  */
-async function analyzeUserQuery(apiKey, message, conversationHistory = []) {
+async function analyzeUserQuery(message, conversationHistory = [], dialogState = null) {
     // ============================================
     // 🚨 SKU 快速偵測（最高優先級，在 AI 分析之前執行）
     // ============================================
     // 如果用戶只輸入產品編號（如 LM3444、有LM3444嗎），直接返回產品查詢意圖
     // 避免 AI 誤把 SKU 當成車型
-    const skuQuickMatch = message.match(/(?:LM|lm|Lm)[ -]?([0-9]{4,5})/);
+    // 容許全形字與字母數字混淆（如 LM 23l6、ｌｍ－２３１６）
+    const [skuQuickMatch] = extractSkus(message);
     if (skuQuickMatch) {
-        const skuNum = skuQuickMatch[1];
-        const fullSku = `LM${skuNum}`;
+        const fullSku = skuQuickMatch.sku;
+        const skuNum = fullSku.slice(2);
 
         // 過濾年份（2019-2030 範圍）
         const num = parseInt(skuNum, 10);
@@ -130,35 +138,36 @@ async function analyzeUserQuery(apiKey, message, conversationHistory = []) {
     if (conversationHistory && conversationHistory.length > 0) {
         const recentHistory = conversationHistory.slice(-6);  // 增加到 6 條
 
-        // 從對話歷史構建完整上下文
-        const allHistoryText = recentHistory.map(m => m.content).join(' ');
-
-        // 嘗試從對話歷史中提取已知車型資訊
+        // 已知車型資訊：優先使用對話狀態的已確認欄位，舊版前端才從對話歷史提取
         let extractedVehicleInfo = '';
 
-        // 提取車型關鍵資訊供 AI 參考（移除硬編碼，讓 AI 智慧推論）
-        const historyLines = recentHistory.map(m => m.content).join('\n');
+        if (dialogState) {
+            extractedVehicleInfo = describeDialogState(dialogState);
+        } else {
+            // 提取車型關鍵資訊供 AI 參考（移除硬編碼，讓 AI 智慧推論）
+            const historyLines = recentHistory.map(m => m.content).join('\n');
 
-        // 只提取明確由用戶提供的資訊，不進行硬編碼匹配
-        if (historyLines.match(/汽油/)) {
-            extractedVehicleInfo += '- 燃油類型：汽油（用戶明確提供）\n';
-        }
-        if (historyLines.match(/柴油/)) {
-            extractedVehicleInfo += '- 燃油類型：柴油（用戶明確提供）\n';
-        }
-        if (historyLines.match(/油電|hybrid/i)) {
-            extractedVehicleInfo += '- 燃油類型：油電混合（用戶明確提供）\n';
-        }
-        if (historyLines.match(/自排|自動/)) {
-            extractedVehicleInfo += '- 變速箱：自排\n';
-        }
-        if (historyLines.match(/手排|手動/)) {
-            extractedVehicleInfo += '- 變速箱：手排\n';
-        }
-        // 年份提取
-        const yearMatch = historyLines.match(/(\d{4})\s*年?/);
-        if (yearMatch) {
-            extractedVehicleInfo += `- 年份：${yearMatch[1]}\n`;
+            // 只提取明確由用戶提供的資訊，不進行硬編碼匹配
+            if (historyLines.match(/汽油/)) {
+                extractedVehicleInfo += '- 燃油類型：汽油（用戶明確提供）\n';
+            }
+            if (historyLines.match(/柴油/)) {
+                extractedVehicleInfo += '- 燃油類型：柴油（用戶明確提供）\n';
+            }
+            if (historyLines.match(/油電|hybrid/i)) {
+                extractedVehicleInfo += '- 燃油類型：油電混合（用戶明確提供）\n';
+            }
+            if (historyLines.match(/自排|自動/)) {
+                extractedVehicleInfo += '- 變速箱：自排\n';
+            }
+            if (historyLines.match(/手排|手動/)) {
+                extractedVehicleInfo += '- 變速箱：手排\n';
+            }
+            // 年份提取
+            const yearMatch = historyLines.match(/(\d{4})\s*年?/);
+            if (yearMatch) {
+                extractedVehicleInfo += `- 年份：${yearMatch[1]}\n`;
+            }
         }
 
         // ⚡ 新增：提取前一輪的產品推薦意圖
@@ -192,7 +201,11 @@ async function analyzeUserQuery(apiKey, message, conversationHistory = []) {
         contextSummary += '\n';
 
         // 如果對話中有提到症狀相關問題，提醒 AI 這是添加劑諮詢
-        if (allHistoryText.match(/怎麼辦|問題|症狀|異常|異音|過熱|抖動|漏油|吃油/)) {
+        // 車型與燃油已確認時只看本輪訊息與已確認症狀，不再掃描對話歷史
+        const symptomText = hasConfirmedVehicle(dialogState)
+            ? `${message} ${dialogState.slots.symptom || ''}`
+            : recentHistory.map(m => m.content).join(' ');
+        if (symptomText.match(/怎麼辦|問題|症狀|異常|異音|過熱|抖動|漏油|吃油/)) {
             symptomContext = `\n⚠️ 重要：對話中涉及車輛症狀問題，應推薦添加劑而非機油。請用 LLM 知識推論可能的解決方案關鍵字！\n`;
         }
     }
@@ -312,26 +325,8 @@ ${Object.entries(types).map(([type, data]) =>
     });
 
     try {
-        const response = await fetch(`${GEMINI_ENDPOINT}?key=${apiKey}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                contents: [{ parts: [{ text: analysisPrompt }] }],
-                generationConfig: {
-                    temperature: 0.1,
-                    maxOutputTokens: 800
-                }
-            })
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`AI analysis API error: ${response.status}`, errorText);
-            return null;
-        }
-
-        const data = await response.json();
-        const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+        // 透過 LLM 供應商層呼叫（API 錯誤會 throw，由下方 catch 回傳 null）
+        const { text } = await generateText('analysis', [{ role: 'user', parts: [{ text: analysisPrompt }] }]);
 
         const jsonMatch = text.match(/\{[\s\S]*\}/);
         if (jsonMatch) {
@@ -396,7 +391,7 @@ ${Object.entries(types).map(([type, data]) =>
                 }
 
                 // === 使用知識庫增強 AI 結果 ===
-                enhanceWithKnowledgeBase(result, message, conversationHistory);
+                enhanceWithKnowledgeBase(result, message, conversationHistory, dialogState);
 
                 // === 偵測認證搜尋請求（使用統一的認證偵測）===
                 // 檢查用戶訊息是否明確詢問特定認證
@@ -499,11 +494,13 @@ ${Object.entries(types).map(([type, data]) =>
  * 使用知識庫增強 AI 分析結果
  * 僅作為補充，不覆蓋 AI 判斷
  * P0 優化：使用統一的 vehicle-matcher 服務
+ * 對話狀態已確認車型與燃油時，以已確認車型取代對話歷史進行匹配
  */
-function enhanceWithKnowledgeBase(result, message, conversationHistory) {
+function enhanceWithKnowledgeBase(result, message, conversationHistory, dialogState = null) {
     const lowerMessage = message.toLowerCase();
-    const historyText = conversationHistory.map(m => m.content).join(' ').toLowerCase();
-    const combinedText = `${lowerMessage} ${historyText}`;
+    const historyText = hasConfirmedVehicle(dialogState)
+        ? [dialogState.slots.vehicleBrand, dialogState.slots.vehicleModel].filter(Boolean).join(' ').toLowerCase()
+        : conversationHistory.map(m => m.content).join(' ').toLowerCase();
 
     // === 1. 使用統一的車型匹配服務 ===
     let vehicleMatchResult = matchVehicle(message, historyText);
@@ -1484,3 +1481,4 @@ ${rules.product_category_rules.priority_note || '用戶明確指定的產品類
 // CommonJS 導出 - 同時導出 handler（API）和 analyzeUserQuery（供 rag-pipeline 呼叫）
 module.exports = handler;
 module.exports.analyzeUserQuery = analyzeUserQuery;
+module.exports.enhanceWithKnowledgeBase = enhanceWithKnowledgeBase;
@@ -8,9 +8,17 @@
  */
 
 // 導入統一服務模組（CommonJS）- 從 lib 資料夾載入
-const { processWithRAG } = require('../lib/rag-pipeline');
+const { processWithRAG, searchProductContext, buildPrompt } = require('../lib/rag-pipeline');
+const { isToolModeEnabled, runToolLoop } = require('../lib/product-tools');
 const { validateAIResponse } = require('../lib/response-validator');
-const { GEMINI_ENDPOINT, PRODUCT_BASE_URL, CORS_HEADERS, LOG_TAGS, AI_DISCLAIMER } = require('../lib/constants');
+const { buildProductCards, buildSuggestedReplies } = require('../lib/product-cards');
+const { buildTemplateResponse } = require('../lib/template-responder');
+const { normalizeDialogState } = require('../lib/dialog-state');
+const { handleWizardTurn } = require('../lib/vehicle-wizard');
+const { normalizeConversationSummary, splitHistory, updateConversationSummary, formatConversationSummary } = require('../lib/conversation-summary');
+const { wantsEventStream, writeSSEHeaders, sendSSEEvent } = require('../lib/sse');
+const { generateText, streamText, isLLMConfigured } = require('../lib/llm-provider');
+const { PRODUCT_BASE_URL, CORS_HEADERS, LOG_TAGS, AI_DISCLAIMER, LLM_RESILIENCE } = require('../lib/constants');
 
 // 啟用日誌等級控制（透過 LOG_LEVEL 環境變數）
 require('../lib/logger').patchConsole();
@@ -106,81 +114,123 @@ module.exports = async function handler(req, res) {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    // 整個請求共用的 LLM 截止時間（analysis + 工具迴圈 + fallback 不超過 Vercel maxDuration）
+    const deadline = Date.now() + LLM_RESILIENCE.requestBudgetMs;
+
     try {
-        const { message, conversationHistory = [], productContext = '' } = req.body;
+        const {
+            message,
+            conversationHistory = [],
+            productContext = '',
+            dialogState: clientDialogState,
+            conversationSummary: clientSummary
+        } = req.body;
 
         if (!message) {
             return res.status(400).json({ error: 'Missing message parameter' });
         }
 
-        const apiKey = process.env.GEMINI_API_KEY;
-        if (!apiKey) {
+        if (!isLLMConfigured()) {
             return res.status(500).json({ error: 'API key not configured' });
         }
 
-        // === RAG 處理管線 (Multi-Agent) ===
-        console.log(`${LOG_TAGS.CHAT} Starting RAG pipeline (Multi-Agent)...`);
-        const ragResult = await processWithRAG(message, conversationHistory, productContext);
-        const { intent, systemPrompt, agentType } = ragResult;
-        console.log(`${LOG_TAGS.CHAT} Intent: ${intent.type}, Vehicle: ${intent.vehicleType}, Agent: ${agentType}`);
-
         // === 判斷是否為第一次回答（用於 AI 自動加上警語）===
-        // META 端可透過 req.body.isFirstResponse 傳入（當天第一次）
-        // 網頁端則根據 conversationHistory 判斷（session 第一次）
+        // 呼叫端可透過 req.body.isFirstResponse 明確指定
+        // 未指定時根據 conversationHistory 判斷（網頁、Messenger、LINE 皆由此判斷）
         let isFirstResponse;
         if (req.body.isFirstResponse !== undefined) {
-            // 外部傳入（META 端使用當天第一次邏輯）
+            // 外部明確指定
             isFirstResponse = req.body.isFirstResponse;
             console.log(`${LOG_TAGS.CHAT} First response (from request): ${isFirstResponse}`);
         } else {
-            // 網頁端：判斷 session 中是否有 AI 回覆
+            // 判斷對話歷史中是否有 AI 回覆
             const hasAssistantMessage = conversationHistory &&
                 conversationHistory.some(msg => msg.role === 'assistant' || msg.role === 'model');
             isFirstResponse = !hasAssistantMessage;
         }
+
+        // 前端送回的對話狀態（舊版前端未提供時為 null，改由對話歷史推論）
+        let dialogState = clientDialogState !== undefined ? normalizeDialogState(clientDialogState) : null;
+
+        // === 車型選擇精靈：車種 → 品牌 → 車型 → 年份 / 引擎（不呼叫 LLM）===
+        const wizardTurn = handleWizardTurn(message, dialogState, { isFirstResponse });
+        if (wizardTurn?.reply) {
+            return sendWizardResponse(req, res, wizardTurn, conversationHistory, clientSummary);
+        }
+        // 精靈結束：以選定規格組成的查詢進入 RAG（用戶改為自由輸入時即原訊息）
+        const query = wizardTurn ? wizardTurn.query : message;
+        if (wizardTurn) {
+            dialogState = wizardTurn.dialogState;
+            // 精靈的提問不算回答，開始精靈前尚未回答過時，推薦仍需加警語
+            if (req.body.isFirstResponse === undefined && wizardTurn.firstResponse) {
+                isFirstResponse = true;
+            }
+        }
         if (isFirstResponse) {
             console.log(`${LOG_TAGS.CHAT} First response detected - AI will add disclaimer`);
         }
 
+        // === RAG 處理管線 (Multi-Agent) ===
+        console.log(`${LOG_TAGS.CHAT} Starting RAG pipeline (Multi-Agent)...`);
+        const toolMode = isToolModeEnabled();
+        const ragResult = await processWithRAG(query, conversationHistory, productContext, { toolMode, dialogState });
+        const { intent, systemPrompt, agentType, knowledge, aiAnalysis, answerWithTemplate } = ragResult;
+        console.log(`${LOG_TAGS.CHAT} Intent: ${intent.type}, Vehicle: ${intent.vehicleType}, Agent: ${agentType}`);
+
         // 🌐 偵測用戶語言（程式碼層級，考慮對話歷史）
         const detectedLanguage = detectUserLanguage(message, conversationHistory);
         console.log(`${LOG_TAGS.CHAT} Detected user language: ${detectedLanguage} (${getLanguageDisplayName(detectedLanguage)})`);
 
-        // 建構對話內容（傳入 isFirstResponse 讓 AI 知道要加警語，以及偵測到的語言）
-        const contents = buildContents(message, conversationHistory, systemPrompt, isFirstResponse, detectedLanguage);
-
-        // 呼叫 Gemini API
-        let aiResponse = await callGemini(apiKey, contents);
+        // 📝 超出視窗的舊訊息併入對話摘要（摘要回傳給前端，下一輪原樣送回）
+        const { recent: recentHistory, dropped } = splitHistory(conversationHistory);
+        const conversationSummary = updateConversationSummary(clientSummary, dropped, ragResult.dialogState);
+        const summaryText = formatConversationSummary(conversationSummary);
 
-        // === 產品驗證層 (Anti-Hallucination) ===
-        // ⚡ 優化：只有在需要產品推薦時才執行驗證
-        const needsValidation = intent.needsProductRecommendation !== false ||
-            (intent.needsTemplates && intent.needsTemplates.includes('product_recommendation'));
-
-        if (needsValidation) {
-            // 從 RAG 結果取得產品列表（如果有的話）
-            let productList = null;
-            try {
-                // 動態載入 search.js 取得產品列表
-                const searchModule = require('./search.js');
-                productList = await searchModule.getProducts();
-            } catch (e) {
-                console.warn(`${LOG_TAGS.CHAT} Failed to get product list for validation:`, e.message);
-            }
+        // 建構對話內容（傳入 isFirstResponse 讓 AI 知道要加警語，以及偵測到的語言）
+        const contents = buildContents(query, recentHistory, systemPrompt, isFirstResponse, detectedLanguage, summaryText);
+
+        // 🔧 工具模式失敗時，重新搜尋產品並以 context-stuffing 建構對話內容
+        const buildFallbackContents = async () => {
+            const stuffedContext = await searchProductContext(query, intent, aiAnalysis);
+            const stuffedPrompt = buildPrompt(knowledge, intent, stuffedContext);
+            return buildContents(query, recentHistory, stuffedPrompt, isFirstResponse, detectedLanguage, summaryText);
+        };
+
+        // 📋 不經 LLM 的回覆：模板意圖直接使用，LLM 無法使用時作為降級回覆
+        const answerWithoutLLM = async () => buildTemplateResponse({
+            message: query,
+            conversationHistory,
+            intent,
+            knowledge,
+            // 工具模式未預先搜尋產品，降級時才補搜
+            productContext: toolMode && !answerWithTemplate
+                ? await searchProductContext(query, intent, aiAnalysis)
+                : ragResult.productContext,
+            language: detectedLanguage
+        });
 
-            if (productList && productList.length > 0) {
-                console.log(`${LOG_TAGS.CHAT} Running product validation...`);
-                const validationResult = validateAIResponse(aiResponse, productList);
+        // === SSE 串流模式（Accept: text/event-stream）===
+        if (wantsEventStream(req)) {
+            return streamChatResponse(res, {
+                contents, intent, isFirstResponse, detectedLanguage, toolMode, answerWithTemplate,
+                dialogState: ragResult.dialogState, conversationSummary, buildFallbackContents, answerWithoutLLM, deadline
+            });
+        }
 
-                if (validationResult.hasInvalidSKUs) {
-                    console.warn(`${LOG_TAGS.CHAT} Invalid SKUs detected:`, validationResult.invalidSKUs);
-                    aiResponse = validationResult.validatedResponse;
-                }
-            }
+        // 呼叫 LLM（模板意圖不呼叫）
+        let aiResponse;
+        if (answerWithTemplate) {
+            aiResponse = await answerWithoutLLM();
+        } else if (toolMode) {
+            aiResponse = await callLLMWithTools(contents, buildFallbackContents, answerWithoutLLM, deadline);
         } else {
-            console.log(`${LOG_TAGS.CHAT} ⚡ Skipping validation - no product recommendation intent`);
+            aiResponse = await callLLM(contents, answerWithoutLLM, deadline);
         }
 
+        // === 產品驗證層 (Anti-Hallucination) ===
+        const validated = await validateProducts(aiResponse, intent);
+        aiResponse = validated.response;
+
         // isFirstResponse 已在上方判斷過
 
         Object.keys(CORS_HEADERS).forEach(key => res.setHeader(key, CORS_HEADERS[key]));
@@ -188,11 +238,17 @@ module.exports = async function handler(req, res) {
             success: true,
             response: aiResponse,
             isFirstResponse, // 讓各端口自行加上適合的警語格式
+            // 結構化資料：各端口可直接渲染產品卡片 / 建議追問，不需解析 markdown
+            products: validated.products,
+            suggestedReplies: buildSuggestedReplies(intent, validated.products, detectedLanguage),
+            // 對話狀態與對話摘要：前端下一輪原樣送回
+            dialogState: ragResult.dialogState,
+            conversationSummary,
             // 開發模式：返回 RAG 詳情（可選）
             _debug: process.env.NODE_ENV === 'development' ? {
                 intentType: intent.type,
                 vehicleType: intent.vehicleType,
-                agentType: agentType,
+                agentType: answerWithTemplate ? 'template' : agentType,
                 promptLength: systemPrompt.length,
                 promptTokens: Math.round(systemPrompt.length / 4)
             } : undefined
@@ -205,6 +261,120 @@ module.exports = async function handler(req, res) {
     }
 }
 
+/**
+ * 車型選擇精靈的回覆（不經 LLM，JSON / SSE 格式與一般回覆相同）
+ * 選項同時以 suggestedReplies（網頁 Chips）與 vehicleWizard（Messenger / LINE Quick Reply）回傳
+ */
+function sendWizardResponse(req, res, wizardTurn, conversationHistory, clientSummary) {
+    const { reply, dialogState } = wizardTurn;
+    const { dropped } = splitHistory(conversationHistory);
+    const payload = {
+        success: true,
+        response: reply.response,
+        isFirstResponse: false,
+        products: [],
+        suggestedReplies: reply.options,
+        vehicleWizard: { step: reply.step, options: reply.options },
+        dialogState,
+        conversationSummary: updateConversationSummary(clientSummary, dropped, dialogState)
+    };
+
+    if (wantsEventStream(req)) {
+        writeSSEHeaders(res);
+        sendSSEEvent(res, 'delta', { text: reply.response });
+        sendSSEEvent(res, 'done', payload);
+        return res.end();
+    }
+
+    Object.keys(CORS_HEADERS).forEach(key => res.setHeader(key, CORS_HEADERS[key]));
+    return res.status(200).json(payload);
+}
+
+/**
+ * SSE 串流回應
+ * 事件順序：delta（逐段文字）→ done（驗證後完整文字 + isFirstResponse + products + suggestedReplies + dialogState + conversationSummary）
+ * 發生錯誤時送出 error 事件後結束
+ */
+async function streamChatResponse(res, { contents, intent, isFirstResponse, detectedLanguage, toolMode, answerWithTemplate, dialogState, conversationSummary, buildFallbackContents, answerWithoutLLM, deadline }) {
+    writeSSEHeaders(res);
+
+    try {
+        let rawResponse;
+        if (answerWithTemplate) {
+            // 範本回覆一次送出
+            rawResponse = await answerWithoutLLM();
+            sendSSEEvent(res, 'delta', { text: rawResponse });
+        } else if (toolMode) {
+            // 工具模式需等待工具迴圈完成，整段送出
+            rawResponse = await callLLMWithTools(contents, buildFallbackContents, answerWithoutLLM, deadline);
+            sendSSEEvent(res, 'delta', { text: rawResponse });
+        } else {
+            rawResponse = await callLLMStream(contents, (text) => {
+                sendSSEEvent(res, 'delta', { text });
+            }, answerWithoutLLM, deadline);
+        }
+
+        // 串流結束後才能對完整文字做產品驗證
+        const validated = await validateProducts(rawResponse, intent);
+
+        sendSSEEvent(res, 'done', {
+            success: true,
+            response: validated.response,
+            isFirstResponse,
+            products: validated.products,
+            suggestedReplies: buildSuggestedReplies(intent, validated.products, detectedLanguage),
+            dialogState,
+            conversationSummary
+        });
+    } catch (error) {
+        console.error(`${LOG_TAGS.CHAT} Stream error:`, error);
+        sendSSEEvent(res, 'error', { success: false, error: error.message });
+    }
+
+    return res.end();
+}
+
+/**
+ * 產品驗證層 (Anti-Hallucination)
+ * ⚡ 優化：只有在需要產品推薦時才執行驗證
+ * @returns {Promise<{response: string, products: Array}>} - 驗證後的回覆文字與產品卡片
+ */
+async function validateProducts(aiResponse, intent) {
+    const needsValidation = intent.needsProductRecommendation !== false ||
+        (intent.needsTemplates && intent.needsTemplates.includes('product_recommendation'));
+
+    if (!needsValidation) {
+        console.log(`${LOG_TAGS.CHAT} ⚡ Skipping validation - no product recommendation intent`);
+        return { response: aiResponse, products: [] };
+    }
+
+    // 從 RAG 結果取得產品列表（如果有的話）
+    let productList = null;
+    try {
+        // 動態載入 search.js 取得產品列表
+        const searchModule = require('./search.js');
+        productList = await searchModule.getProducts();
+    } catch (e) {
+        console.warn(`${LOG_TAGS.CHAT} Failed to get product list for validation:`, e.message);
+    }
+
+    if (productList && productList.length > 0) {
+        console.log(`${LOG_TAGS.CHAT} Running product validation...`);
+        const validationResult = validateAIResponse(aiResponse, productList);
+
+        if (validationResult.hasInvalidSKUs) {
+            console.warn(`${LOG_TAGS.CHAT} Invalid SKUs detected:`, validationResult.invalidSKUs);
+        }
+
+        return {
+            response: validationResult.validatedResponse,
+            products: buildProductCards(validationResult.validSKUs, productList)
+        };
+    }
+
+    return { response: aiResponse, products: [] };
+}
+
 // 語言處理說明：
 // AI 會根據 prompt 中的語言規則自動偵測用戶語言並用相同語言回覆
 // 不需要硬編碼的語言偵測邏輯
@@ -212,23 +382,18 @@ module.exports = async function handler(req, res) {
 /**
  * 建構對話內容
  * @param {string} message - 用戶當前訊息
- * @param {Array} history - 對話歷史
+ * @param {Array} history - 對話歷史（已由 splitHistory 限制在視窗內）
  * @param {string} systemPrompt - RAG 動態生成的 System Prompt
  * @param {boolean} isFirstResponse - 是否為第一次回答（需加警語）
  * @param {string} detectedLanguage - 偵測到的用戶語言
+ * @param {string} summaryText - 較早訊息的對話摘要（formatConversationSummary），接在 System Prompt 之後
  */
-function buildContents(message, history, systemPrompt, isFirstResponse = false, detectedLanguage = 'zh-TW') {
+function buildContents(message, history, systemPrompt, isFirstResponse = false, detectedLanguage = 'zh-TW', summaryText = '') {
     const contents = [];
 
-    // 限制對話歷史長度，節省 Token
-    const MAX_HISTORY = 10;
-    const recentHistory = history && history.length > MAX_HISTORY
-        ? history.slice(-MAX_HISTORY)
-        : history;
-
-    if (history && history.length > MAX_HISTORY) {
-        console.log(`${LOG_TAGS.CHAT} Truncating history from ${history.length} to ${MAX_HISTORY} messages`);
-    }
+    // 限制對話歷史長度，節省 Token（呼叫端已切分，此處保險起見再限制一次）
+    const recentHistory = splitHistory(history).recent;
+    const promptHeader = summaryText ? `${systemPrompt}\n\n${summaryText}` : systemPrompt;
 
     // 系統強制指令（語言翻譯規則已在 prompt-builder.js 中定義）
     let systemInstruction = `\n\n[SYSTEM INSTRUCTION - DO NOT OUTPUT]
@@ -265,7 +430,7 @@ This is NON-NEGOTIABLE!`;
                 if (isFirstUser) {
                     contents.push({
                         role: 'user',
-                        parts: [{ text: `${systemPrompt}\n\nUser: ${msg.content}` }]
+                        parts: [{ text: `${promptHeader}\n\nUser: ${msg.content}` }]
                     });
                     isFirstUser = false;
                 } else {
@@ -291,14 +456,14 @@ This is NON-NEGOTIABLE!`;
         // 第一次對話 - 修正：也要加上 systemInstruction（包含警語指令）
         contents.push({
             role: 'user',
-            parts: [{ text: `${systemPrompt}\n\nUser: ${message}${systemInstruction}` }]
+            parts: [{ text: `${promptHeader}\n\nUser: ${message}${systemInstruction}` }]
         });
     }
 
     if (contents.length === 0) {
         contents.push({
             role: 'user',
-            parts: [{ text: `${systemPrompt}\n\nUser: ${message}${systemInstruction}` }]
+            parts: [{ text: `${promptHeader}\n\nUser: ${message}${systemInstruction}` }]
         });
     }
 
@@ -306,71 +471,136 @@ This is NON-NEGOTIABLE!`;
 }
 
 /**
- * 呼叫 Gemini API
+ * [Hotfix] 強制移除俄文/Cyrillic 字符 (如 уточнить)
  */
-async function callGemini(apiKey, contents) {
-    const url = `${GEMINI_ENDPOINT}?key=${apiKey}`;
-
-    const requestBody = {
-        contents: contents,
-        generationConfig: {
-            temperature: 0.1,
-            topK: 20,
-            topP: 0.8,
-            maxOutputTokens: 4096,
-        },
-        safetySettings: [
-            { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
-            { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_NONE' },
-            { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_NONE' },
-            { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' }
-        ]
-    };
+function stripCyrillic(text) {
+    if (/[\u0400-\u04FF]/.test(text)) {
+        console.warn(`${LOG_TAGS.CHAT} Detected Cyrillic characters, stripping them...`);
+        return text.replace(/[\u0400-\u04FF]/g, '').replace(/уточнить/gi, '');
+    }
+    return text;
+}
+
+/**
+ * 檢查 finishReason 來診斷截斷問題
+ */
+function logFinishReason(finishReason) {
+    if (!finishReason) return;
+    console.log(`${LOG_TAGS.CHAT} finishReason:`, finishReason);
+    if (finishReason === 'MAX_TOKENS') {
+        console.warn(`${LOG_TAGS.CHAT} Response was truncated due to MAX_TOKENS limit!`);
+    }
+}
+
+const LLM_FALLBACK_MESSAGE = '抱歉，AI 暫時無法處理您的請求（可能是安全過濾或語言支援問題）。請嘗試換個方式詢問，或聯絡客服。';
 
-    // 計算 Prompt 長度（用於監控 Token 消耗）
+/**
+ * 是否為 LLM 暫時無法使用（逾時 / 重試用盡 / 熔斷中）
+ */
+function isLLMUnavailable(error) {
+    return error?.code === 'LLM_UNAVAILABLE';
+}
+
+/**
+ * 計算 Prompt 長度（用於監控 Token 消耗）
+ */
+function logPromptLength(contents) {
     const promptLength = JSON.stringify(contents).length;
     console.log(`${LOG_TAGS.CHAT} Prompt length: ${promptLength} chars (~${Math.round(promptLength / 4)} tokens)`);
+}
 
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody)
-    });
+/**
+ * 呼叫 LLM（透過 lib/llm-provider.js，供應商由 LLM_PROVIDER 決定）
+ * @param {Array} contents - 對話內容
+ * @param {Function} answerWithoutLLM - LLM 無法使用時的降級回覆（範本 + 搜尋結果）
+ * @param {number} deadline - 請求截止時間（epoch ms）
+ */
+async function callLLM(contents, answerWithoutLLM, deadline) {
+    logPromptLength(contents);
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Gemini API error:', errorText);
-        throw new Error(`Gemini API error: ${response.status}`);
+    let result;
+    try {
+        result = await generateText('chat', contents, { deadline });
+    } catch (e) {
+        if (!isLLMUnavailable(e)) throw e;
+        console.error(`${LOG_TAGS.CHAT} LLM unavailable, answering without LLM:`, e.message);
+        return answerWithoutLLM();
     }
+    logFinishReason(result.finishReason);
 
-    const data = await response.json();
+    if (!result.text) {
+        return LLM_FALLBACK_MESSAGE;
+    }
+    return stripCyrillic(result.text);
+}
 
-    if (data.candidates && data.candidates[0]) {
-        const candidate = data.candidates[0];
+/**
+ * 呼叫 LLM（Function Calling 工具模式）
+ * 工具呼叫失敗、超過回合數或預算不足時，退回 context-stuffing 流程（使用剩餘預算）；
+ * LLM 無法使用時直接以 answerWithoutLLM 回覆
+ * @param {Array} contents - 對話內容（產品清單以工具取代）
+ * @param {Function} buildFallbackContents - 建構 context-stuffing 對話內容
+ * @param {Function} answerWithoutLLM - LLM 無法使用時的降級回覆
+ * @param {number} deadline - 請求截止時間（epoch ms）
+ */
+async function callLLMWithTools(contents, buildFallbackContents, answerWithoutLLM, deadline) {
+    logPromptLength(contents);
 
-        // 檢查 finishReason 來診斷截斷問題
-        if (candidate.finishReason) {
-            console.log(`${LOG_TAGS.CHAT} finishReason:`, candidate.finishReason);
-            if (candidate.finishReason === 'MAX_TOKENS') {
-                console.warn(`${LOG_TAGS.CHAT} Response was truncated due to MAX_TOKENS limit!`);
-            }
+    try {
+        const result = await runToolLoop(contents, { deadline });
+        logFinishReason(result.finishReason);
+        return stripCyrillic(result.text);
+    } catch (e) {
+        // 逾時 / 熔斷中：context-stuffing 也會失敗，直接降級（避免重複搜尋產品）
+        if (isLLMUnavailable(e)) {
+            console.error(`${LOG_TAGS.CHAT} 🔧 LLM unavailable in tool mode, answering without LLM:`, e.message);
+            return answerWithoutLLM();
         }
+        console.warn(`${LOG_TAGS.CHAT} 🔧 Tool mode failed, falling back to context stuffing:`, e.message);
+    }
+
+    return callLLM(await buildFallbackContents(), answerWithoutLLM, deadline);
+}
 
-        if (candidate.content && candidate.content.parts && candidate.content.parts[0] && candidate.content.parts[0].text) {
-            let text = candidate.content.parts[0].text;
+/**
+ * 呼叫 LLM 串流模式
+ * @param {Array} contents - 對話內容
+ * @param {Function} onDelta - 每收到一段文字時呼叫 (text)
+ * @param {Function} answerWithoutLLM - LLM 無法使用時的降級回覆
+ * @param {number} deadline - 請求截止時間（epoch ms）
+ * @returns {Promise<string>} - 完整回覆文字（未經產品驗證）
+ */
+async function callLLMStream(contents, onDelta, answerWithoutLLM, deadline) {
+    logPromptLength(contents);
 
-            // [Hotfix] 強制移除俄文/Cyrillic 字符 (如 уточнить)
-            if (/[\u0400-\u04FF]/.test(text)) {
-                console.warn(`${LOG_TAGS.CHAT} Detected Cyrillic characters, stripping them...`);
-                text = text.replace(/[\u0400-\u04FF]/g, '').replace(/уточнить/gi, '');
+    let fullText = '';
+    let result;
+    try {
+        result = await streamText('chat', contents, (text) => {
+            const cleaned = stripCyrillic(text);
+            if (cleaned) {
+                fullText += cleaned;
+                onDelta(cleaned);
             }
-            return text;
-        }
+        }, { deadline });
+    } catch (e) {
+        // 已輸出部分文字時無法改口，交由 error 事件處理
+        if (!isLLMUnavailable(e) || fullText) throw e;
+        console.error(`${LOG_TAGS.CHAT} [Stream] LLM unavailable, answering without LLM:`, e.message);
+        const fallbackText = await answerWithoutLLM();
+        onDelta(fallbackText);
+        return fallbackText;
     }
+    logFinishReason(result.finishReason);
 
-    console.error('Unexpected Gemini response:', JSON.stringify(data));
-    if (data.promptFeedback) {
-        console.error('Prompt Feedback:', JSON.stringify(data.promptFeedback));
+    if (!fullText) {
+        console.error(`${LOG_TAGS.CHAT} [Stream] Empty LLM stream`);
+        onDelta(LLM_FALLBACK_MESSAGE);
+        return LLM_FALLBACK_MESSAGE;
     }
-    return '抱歉，AI 暫時無法處理您的請求（可能是安全過濾或語言支援問題）。請嘗試換個方式詢問，或聯絡客服。';
+
+    return fullText;
 }
+
+// 工具模式的降級流程供測試呼叫
+module.exports.callLLMWithTools = callLLMWithTools;
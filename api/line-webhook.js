@@ -0,0 +1,238 @@
+/**
+ * LIQUI MOLY Chatbot - LINE Webhook Handler
+ * 處理 LINE 官方帳號的訊息（只負責傳輸，對話邏輯在 lib/conversation-orchestrator.js）
+ *
+ * 功能：
+ * 1. 接收事件 (POST)，先以 LINE_CHANNEL_SECRET 驗證 X-Line-Signature，
+ *    排入事件佇列後立即回 200，由 worker 依用戶順序處理
+ * 2. follow / message / postback 事件正規化為 inbound 事件交給對話協調器
+ *    （圖片/影片/音訊/檔案 → attachment，由協調器轉真人客服）
+ * 3. 協調器的回覆轉為 LINE 訊息（文字 + Flex 產品 bubble + Quick Reply），
+ *    以 Reply API 送出，replyToken 失效時改用 Push API
+ *
+ * 暫停狀態與對話記錄與 Messenger 共用 Wix CMS，source 記為 line
+ */
+
+// 環境變數
+const CHANNEL_SECRET = process.env.LINE_CHANNEL_SECRET;
+const CHANNEL_ACCESS_TOKEN = process.env.LINE_CHANNEL_ACCESS_TOKEN;
+
+const { LINE_API_URL, LOG_TAGS } = require('../lib/constants');
+const { readRawBody, verifyLineSignature, getLineSignatureHeader } = require('../lib/webhook-signature');
+const { getClientIp, logSecurityEvent } = require('../lib/security-log');
+const { claimOnce } = require('../lib/idempotency-store');
+const { createEventQueue, keepAlive } = require('../lib/event-queue');
+const { buildTextMessages, composeReplyMessages } = require('../lib/line-messages');
+const { createConversationOrchestrator } = require('../lib/conversation-orchestrator');
+
+// 啟用日誌等級控制（透過 LOG_LEVEL 環境變數）
+require('../lib/logger').patchConsole();
+
+const SOURCE = 'line';
+
+// 轉真人客服的訊息類型（AI 無法處理）
+const ATTACHMENT_MESSAGE_TYPES = ['image', 'video', 'audio', 'file'];
+
+const orchestrator = createConversationOrchestrator();
+
+// ============================================
+// Vercel Edge/Serverless Handler
+// ============================================
+
+module.exports = async function handler(req, res) {
+    // POST: 接收事件（LINE Developers Console 的 Verify 也是送出空的 events）
+    if (req.method === 'POST') {
+        return handleWebhook(req, res);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+};
+
+// 簽章驗證需要原始 body，停用平台的 JSON 自動解析
+module.exports.config = {
+    api: { bodyParser: false }
+};
+
+// 等待佇列中的事件處理完成（測試用）
+module.exports.drainEventQueue = () => eventQueue.drain();
+
+// ============================================
+// 接收事件 (POST)
+// ============================================
+
+async function handleWebhook(req, res) {
+    // 🔒 驗證簽章（必須使用原始 body，未簽章或簽章錯誤一律拒絕）
+    const rawBody = await readRawBody(req);
+    const verification = verifyLineSignature(rawBody, getLineSignatureHeader(req), CHANNEL_SECRET);
+    if (!verification.valid) {
+        logSecurityEvent('webhook_rejected', {
+            endpoint: 'line-webhook',
+            reason: verification.reason,
+            ip: getClientIp(req),
+            bodyLength: rawBody ? rawBody.length : null
+        });
+        // Channel Secret 未設定是部署問題，回 500；其餘為請求本身無效
+        return verification.reason === 'missing_secret'
+            ? res.status(500).json({ error: 'Webhook signature verification is not configured' })
+            : res.status(403).json({ error: 'Invalid signature' });
+    }
+
+    let body;
+    try {
+        body = JSON.parse(rawBody.toString('utf8'));
+    } catch (e) {
+        logSecurityEvent('webhook_rejected', { endpoint: 'line-webhook', reason: 'invalid_json', ip: getClientIp(req) });
+        return res.status(400).json({ error: 'Invalid JSON' });
+    }
+
+    // 排入佇列（同一用戶依序處理），不等待 AI 回覆即回 200
+    for (const event of body.events || []) {
+        eventQueue.enqueue({ key: `${SOURCE}:${event.source?.userId}`, event });
+    }
+
+    const work = eventQueue.drain();
+    if (!keepAlive(work) && process.env.VERCEL) {
+        // 平台未提供 waitUntil 時，回應後的背景工作可能被凍結，改為處理完才回應
+        console.warn(`${LOG_TAGS.LINE} waitUntil unavailable, processing before acknowledging`);
+        await work;
+    }
+
+    return res.status(200).json({ success: true });
+}
+
+// ============================================
+// 事件佇列
+// ============================================
+
+const eventQueue = createEventQueue(async ({ event }) => {
+    await processLineEvent(event);
+});
+
+// ============================================
+// 處理單一事件
+// ============================================
+
+async function processLineEvent(event) {
+    // standby：其他 channel 持有對話（Module channel），不回覆
+    if (event.mode === 'standby') return;
+
+    // 目前只處理一對一聊天（群組 / 聊天室的暫停狀態無法對應到單一用戶）
+    const userId = event.source?.userId;
+    if (event.source?.type !== 'user' || !userId) {
+        console.log(`${LOG_TAGS.LINE} Ignoring ${event.type} event from ${event.source?.type || 'unknown'} source`);
+        return;
+    }
+
+    // ======= 事件去重檢查 =======
+    // LINE 重送事件（deliveryContext.isRedelivery）時 webhookEventId 相同
+    if (!(await claimOnce(event.webhookEventId ? `line:${event.webhookEventId}` : null))) {
+        return;
+    }
+
+    const inbound = await toInboundEvent(event, userId);
+    if (!inbound) return;
+
+    try {
+        await orchestrator.handleInboundEvent(inbound, {
+            deliver: ({ messages }) => reply(userId, event.replyToken, composeReplyMessages(messages))
+        });
+    } catch (error) {
+        console.error(`${LOG_TAGS.LINE} Error handling ${inbound.type} event:`, error);
+        await reply(userId, event.replyToken, buildTextMessages('抱歉，系統暫時遇到問題，請稍後再試。'));
+    }
+}
+
+/**
+ * LINE 事件 → 協調器 inbound 事件
+ * @returns {Promise<Object|null>} 不處理的事件回傳 null
+ */
+async function toInboundEvent(event, userId) {
+    const base = { channel: SOURCE, userId };
+
+    switch (event.type) {
+        case 'follow':
+            return { ...base, type: 'follow' };
+        case 'postback':
+            console.log(`${LOG_TAGS.LINE} Postback received: ${event.postback?.data}`);
+            return { ...base, type: 'postback', payload: event.postback?.data };
+        case 'message': {
+            const message = event.message;
+            if (message?.type === 'text') {
+                const userProfile = await getUserProfile(userId);
+                return { ...base, type: 'text', text: message.text, userName: userProfile.name };
+            }
+            if (ATTACHMENT_MESSAGE_TYPES.includes(message?.type)) {
+                const userProfile = await getUserProfile(userId);
+                return { ...base, type: 'attachment', attachmentType: message.type, userName: userProfile.name };
+            }
+            console.log(`${LOG_TAGS.LINE} Ignoring ${message?.type} message`);
+            return null;
+        }
+        default:
+            console.log(`${LOG_TAGS.LINE} Unhandled event type: ${event.type}`);
+            return null;
+    }
+}
+
+// ============================================
+// 發送訊息（Reply API，replyToken 失效時改用 Push API）
+// ============================================
+
+async function callMessagingApi(path, body) {
+    const response = await fetch(`${LINE_API_URL}/message/${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${CHANNEL_ACCESS_TOKEN}`
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => null);
+        console.error(`${LOG_TAGS.LINE} ${path} error:`, response.status, error);
+    }
+    return response.ok;
+}
+
+/**
+ * 回覆用戶
+ * replyToken 只能使用一次且約 1 分鐘內有效；佇列延遲或 AI 逾時導致失效時改用 Push（會計入訊息額度）
+ * @returns {Promise<boolean>} 是否送達
+ */
+async function reply(userId, replyToken, messages) {
+    if (!messages || messages.length === 0) return false;
+
+    try {
+        if (replyToken && await callMessagingApi('reply', { replyToken, messages })) {
+            return true;
+        }
+        console.log(`${LOG_TAGS.LINE} Reply token unavailable for ${userId}, falling back to push`);
+        return await callMessagingApi('push', { to: userId, messages });
+    } catch (error) {
+        console.error(`${LOG_TAGS.LINE} Send message failed:`, error);
+        return false;
+    }
+}
+
+// ============================================
+// 取得用戶資料
+// ============================================
+
+async function getUserProfile(userId) {
+    try {
+        const response = await fetch(`${LINE_API_URL}/profile/${userId}`, {
+            headers: { 'Authorization': `Bearer ${CHANNEL_ACCESS_TOKEN}` }
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            return { name: data.displayName || 'Unknown', profilePic: data.pictureUrl || null };
+        }
+        console.error(`${LOG_TAGS.LINE} Get user profile error:`, response.status);
+    } catch (error) {
+        console.log(`${LOG_TAGS.LINE} Could not fetch user profile:`, error.message);
+    }
+
+    return { name: 'Unknown', profilePic: null };
+}
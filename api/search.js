@@ -13,11 +13,16 @@
  * - 症狀格式化說明
  * - 產品快取機制
  * - 認證兼容性搜尋（GF-7A → GF-6A 等）
+ * - 產品倒排索引（BM25，lib/product-index.js）：關鍵字搜尋依相關度排序
+ * - 料號與產品名稱容錯比對（lib/sku-matcher.js）：查無產品時建議相近料號
+ * - JSON 模式（format: 'json'，lib/product-search.js）：產品物件、篩選、facets 與游標分頁
+ * - 產品規格正規化（lib/product-model.js）：產品列表更新時解析黏度、認證、車種、容量等欄位
+ * - 離線快照（lib/catalog-snapshot.js）：Wix 無法連線時使用最後一份產品目錄，背景持續重新取得
  */
 
 // 導入統一服務模組（CommonJS）- 從 lib 資料夾載入
 const { searchWithCertUpgrade, searchWithViscosityFallback, searchWithCertPriority, getScooterCertScore, isAPICertification } = require('../lib/certification-matcher.js');
-const { searchMotorcycleOil, filterMotorcycleProducts, getSyntheticScore, sortMotorcycleProducts, isScooter } = require('../lib/motorcycle-rules.js');
+const { searchMotorcycleOil, filterMotorcycleProducts, getProductSyntheticScore, sortMotorcycleProducts, isScooter } = require('../lib/motorcycle-rules.js');
 
 // 啟用日誌等級控制（透過 LOG_LEVEL 環境變數）
 require('../lib/logger').patchConsole();
@@ -26,14 +31,41 @@ const {
     PRODUCT_BASE_URL,
     CORS_HEADERS,
     CACHE_DURATION,
+    CATALOG_SNAPSHOT,
     SEARCH_LIMITS,
     LOG_TAGS
 } = require('../lib/constants.js');
 const { getCategoryToSort } = require('../lib/search-helper.js');
+const { createProductIndex } = require('../lib/product-index.js');
+const { normalizeText, matchSku, matchProductName } = require('../lib/sku-matcher.js');
+const { deduplicateBySize, getSizeScore, parseSearchRequest, searchProductsStructured } = require('../lib/product-search.js');
+const { normalizeCatalog, hasCertification } = require('../lib/product-model.js');
+const { loadSnapshot, saveSnapshot, describeAge } = require('../lib/catalog-snapshot.js');
+const { keepAlive } = require('../lib/event-queue.js');
 
 // 產品快取
 let productsCache = null;
 let cacheTimestamp = 0;
+// 產品來源：'wix' | 'snapshot'（cacheTimestamp 為取得時間或快照建立時間）
+let catalogSource = null;
+
+// 背景重新取得（stale-while-revalidate）
+let revalidatePromise = null;
+let lastRevalidateAt = 0;
+
+// 產品索引（隨產品快取更新重建）
+let productIndex = null;
+
+/**
+ * 取得產品列表的索引（同一份列表只建立一次）
+ */
+function getProductIndex(products) {
+    if (productIndex?.products !== products) {
+        productIndex = createProductIndex(products);
+        console.log(`${LOG_TAGS.SEARCH} Built product index: ${productIndex.size} products`);
+    }
+    return productIndex;
+}
 
 module.exports = async function handler(req, res) {
     // Handle CORS preflight
@@ -47,6 +79,10 @@ module.exports = async function handler(req, res) {
     }
 
     try {
+        if (req.body?.format === 'json') {
+            return await handleJsonSearch(req, res);
+        }
+
         const { message, searchInfo } = req.body;
 
         if (!message) {
@@ -73,7 +109,8 @@ module.exports = async function handler(req, res) {
         Object.keys(CORS_HEADERS).forEach(key => res.setHeader(key, CORS_HEADERS[key]));
         return res.status(200).json({
             success: true,
-            productContext
+            productContext,
+            catalog: getCatalogStatus()
         });
 
     } catch (error) {
@@ -84,48 +121,148 @@ module.exports = async function handler(req, res) {
 }
 
 // ============================================
-// 從 Wix 取得產品列表 (使用快取 + 重試機制)
+// JSON 模式：網站與合作夥伴使用的結構化搜尋
+// ============================================
+async function handleJsonSearch(req, res) {
+    Object.keys(CORS_HEADERS).forEach(key => res.setHeader(key, CORS_HEADERS[key]));
+
+    const { request, error } = parseSearchRequest(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    const products = await getProducts();
+    const result = searchProductsStructured(products, request, { index: getProductIndex(products) });
+
+    return res.status(200).json({
+        success: true,
+        query: request.query,
+        filters: request.filters,
+        ...result,
+        catalog: getCatalogStatus()
+    });
+}
+
+// ============================================
+// 從 Wix 取得產品列表 (使用快取 + 重試機制 + 離線快照)
 // ============================================
 async function getProducts() {
     const now = Date.now();
 
     // 檢查快取是否有效
-    if (productsCache && (now - cacheTimestamp) < CACHE_DURATION.products) {
+    if (productsCache && catalogSource === 'wix' && (now - cacheTimestamp) < CACHE_DURATION.products) {
         console.log(`${LOG_TAGS.SEARCH} Using cached products:`, productsCache.length);
         return productsCache;
     }
 
-    // 重試機制參數
-    const MAX_RETRIES = 3;
+    // 過期快取或離線快照：先回傳，背景向 Wix 重新取得
+    if (productsCache) {
+        console.log(`${LOG_TAGS.SEARCH} Serving stale products (${catalogSource}, ${describeAge(now - cacheTimestamp)} old), revalidating`);
+        revalidateProducts(now);
+        return productsCache;
+    }
+
+    // 冷啟動：先載入離線快照；有快照時只向 Wix 短暫嘗試一次，失敗即使用快照
+    const snapshot = await loadSnapshot();
+    const products = snapshot
+        ? await fetchProducts(1, { timeoutMs: CATALOG_SNAPSHOT.coldStartTimeoutMs })
+        : await fetchProducts(3);
+    if (products) return products;
+
+    if (snapshot) {
+        setProductsCache(snapshot.products, 'snapshot', Date.parse(snapshot.createdAt));
+        lastRevalidateAt = now;
+        console.warn(`${LOG_TAGS.SEARCH} Wix unreachable, using ${snapshot.location} catalog snapshot from ${snapshot.createdAt} (${describeAge(now - cacheTimestamp)} old, ${productsCache.length} products)`);
+        return productsCache;
+    }
+
+    console.error(`${LOG_TAGS.SEARCH} Wix unreachable and no catalog snapshot available`);
+    return [];
+}
+
+/**
+ * 更新產品快取（解析規格並建立索引）
+ */
+function setProductsCache(products, source, timestamp) {
+    // 產品列表更新時解析一次規格（product.spec）
+    productsCache = normalizeCatalog(products);
+    cacheTimestamp = timestamp;
+    catalogSource = source;
+    getProductIndex(productsCache);
+}
+
+/**
+ * 向 Wix 取得產品列表
+ * @param {number} maxRetries - 最多嘗試次數
+ * @param {Object} options
+ * @param {number} options.timeoutMs - 每次嘗試的逾時（預設 10 秒）
+ * @returns {Promise<Array|null>} 產品列表（全部失敗時為 null）
+ */
+async function fetchProducts(maxRetries, { timeoutMs = 10000 } = {}) {
     const RETRY_DELAY = 1000; // 1 秒
 
-    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-            console.log(`${LOG_TAGS.SEARCH} Fetching products from Wix (attempt ${attempt}/${MAX_RETRIES})...`);
+            console.log(`${LOG_TAGS.SEARCH} Fetching products from Wix (attempt ${attempt}/${maxRetries})...`);
             const response = await fetch(`${WIX_API_URL}/products`, {
-                signal: AbortSignal.timeout(10000)  // 10 秒超時
+                signal: AbortSignal.timeout(timeoutMs)
             });
             const data = await response.json();
 
             if (data.success && data.products) {
-                productsCache = data.products;
-                cacheTimestamp = now;
+                setProductsCache(data.products, 'wix', Date.now());
                 console.log(`${LOG_TAGS.SEARCH} Fetched and cached products:`, productsCache.length);
+                // 保存為執行期快照（失敗不影響搜尋；回應送出後由 waitUntil 延長執行至寫入完成）
+                keepAlive(saveSnapshot(data.products));
                 return productsCache;
             }
         } catch (e) {
             console.error(`${LOG_TAGS.SEARCH} Fetch attempt ${attempt} failed:`, e.message);
 
             // 如果還有重試機會，等待後重試
-            if (attempt < MAX_RETRIES) {
+            if (attempt < maxRetries) {
                 console.log(`${LOG_TAGS.SEARCH} Retrying in ${RETRY_DELAY}ms...`);
                 await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
             }
         }
     }
 
-    console.error(`${LOG_TAGS.SEARCH} All ${MAX_RETRIES} fetch attempts failed, using cache if available`);
-    return productsCache || [];
+    console.error(`${LOG_TAGS.SEARCH} All ${maxRetries} fetch attempts failed`);
+    return null;
+}
+
+/**
+ * 背景重新取得產品（同時只有一個請求，且間隔至少 revalidateIntervalMs）
+ * 回應送出後 Vercel 會凍結執行個體，需交給 waitUntil 才會完成取得與快照寫入
+ */
+function revalidateProducts(now) {
+    if (revalidatePromise || now - lastRevalidateAt < CATALOG_SNAPSHOT.revalidateIntervalMs) return;
+
+    lastRevalidateAt = now;
+    revalidatePromise = fetchProducts(1).finally(() => {
+        revalidatePromise = null;
+    });
+    keepAlive(revalidatePromise);
+}
+
+/**
+ * 目前產品目錄的來源與新舊
+ * @returns {Object} { source, productCount, updatedAt, ageSeconds, stale }
+ *   - source：'wix' | 'snapshot' | null（尚未取得）
+ */
+function getCatalogStatus() {
+    if (!productsCache) {
+        return { source: null, productCount: 0, updatedAt: null, ageSeconds: null, stale: true };
+    }
+
+    const ageMs = Date.now() - cacheTimestamp;
+    return {
+        source: catalogSource,
+        productCount: productsCache.length,
+        updatedAt: new Date(cacheTimestamp).toISOString(),
+        ageSeconds: Math.floor(ageMs / 1000),
+        stale: catalogSource !== 'wix' || ageMs >= CACHE_DURATION.products
+    };
 }
 
 // ============================================
@@ -138,44 +275,40 @@ function searchProducts(products, query, searchInfo) {
         let allResults = [];
         const seenIds = new Set();
         const productCategory = searchInfo?.productCategory || '機油';
+        const index = getProductIndex(products);
 
         // ============================================
         // -1. SKU 精確查詢優先處理（最高優先級）
         // ============================================
         // 當查詢中包含產品編號（如 LM2316、有LM3444嗎）時，直接從資料庫精確查詢
-        // 使用更寬鬆的正則表達式匹配任何包含 SKU 的查詢
-        const skuQueryMatch = query.match(/(?:LM|lm|Lm)[ -]?([0-9]{4,5})/);
-        if (skuQueryMatch) {
-            const skuNum = skuQueryMatch[1];
-            const fullSku = `LM${skuNum}`;
-            console.log(`${LOG_TAGS.SEARCH} 🎯 SKU query detected: ${fullSku} (from query: "${query}")`);
-
-            // 精確匹配 partno
-            const exactProduct = products.find(p =>
-                p.partno && (p.partno.toUpperCase() === fullSku.toUpperCase() || p.partno === skuNum)
-            );
+        // 容錯比對（lib/sku-matcher.js）：全形字、字母數字混淆（LM 23l6）、打錯一碼時詢問「您是不是要找」
+        const skuMatch = matchSku(query, products);
+        if (skuMatch) {
+            const fullSku = skuMatch.sku;
+            console.log(`${LOG_TAGS.SEARCH} 🎯 SKU query detected: ${fullSku} (from query: "${query}"${skuMatch.corrected ? `, corrected from "${skuMatch.raw}"` : ''})`);
 
-            if (exactProduct) {
+            if (skuMatch.exact) {
                 // 找到產品，回傳詳細資訊
+                const exactProduct = skuMatch.candidates[0].product;
                 console.log(`${LOG_TAGS.SEARCH} ✅ Found exact product: ${exactProduct.title} (partno: ${exactProduct.partno})`);
                 return formatSKUQueryResult(exactProduct, fullSku);
             } else {
-                // 找不到產品，回傳明確的「查無此產品」訊息
-                console.log(`${LOG_TAGS.SEARCH} ❌ Product not found in database: ${fullSku}`);
-                return `## ❌ 查無產品 ${fullSku}
-
-資料庫中找不到產品編號 ${fullSku}。
-
-請確認產品編號是否正確，或嘗試：
-1. 輸入完整產品名稱搜尋
-2. 描述您的需求讓我推薦適合的產品
-3. 瀏覽官網產品頁面：https://www.liqui-moly-tw.com/products
-
----
-⚠️ 此為資料庫查詢結果，請勿編造任何產品資訊。`;
+                // 找不到產品，回傳明確的「查無此產品」訊息（有相近料號時附上建議）
+                console.log(`${LOG_TAGS.SEARCH} ❌ Product not found in database: ${fullSku} (${skuMatch.candidates.length} similar)`);
+                return formatSKUNotFound(fullSku, skuMatch.candidates);
             }
         }
 
+        // 產品名稱查詢（系列名稱 + 型號，容許拼法與俗稱，如 Top Tech 4200、頂級4200）
+        // 名稱拼錯或用俗稱、且只對應到單一產品名稱時直接回傳產品資訊；拼對的名稱交由一般搜尋
+        const nameMatches = matchProductName(query, products);
+        const isMisspelledName = nameMatches.length > 0 && !normalizeText(query).replace(/\s+/g, '').includes(normalizeText(nameMatches[0].name).replace(/\s+/g, ''));
+        if (isMisspelledName && new Set(nameMatches.map(m => m.product.title)).size === 1) {
+            const best = nameMatches[0];
+            console.log(`${LOG_TAGS.SEARCH} 🎯 Product name detected: ${best.name} → ${best.product.title} (distance: ${best.distance})`);
+            return formatSKUQueryResult(best.product, best.sku || best.name);
+        }
+
         // ============================================
         // 0. 認證搜尋優先處理（當用戶明確詢問認證時）
         // ============================================
@@ -322,18 +455,6 @@ ${certResult.certNotice || `目前沒有符合 ${certSearchRequest.requestedCert
         // 1. 執行 Vercel 傳來的搜尋指令
         const queries = searchInfo?.wixQueries || [];
 
-        // 認證正規化函式（移除空格、連字號和常見後綴詞，統一匹配格式）
-        // 例：「MB-Approval 229.71」→「MB229.71」，「MB 229.71」→「MB229.71」
-        // 例：「VW 504 00」→「VW50400」，「VW504 00」→「VW50400」
-        // 例：「BMW LL-01」→「BMWLONGLIFE01」，「BMW Longlife-01」→「BMWLONGLIFE01」
-        const normalizeCertForSearch = (str) => {
-            if (!str) return '';
-            return str.toUpperCase()
-                .replace(/[-\s]/g, '')          // 移除空格和連字號
-                .replace(/APPROVAL[S]?/g, '')   // 移除「APPROVAL」後綴
-                .replace(/\bLL(\d)/g, 'LONGLIFE$1');  // BMW LL-01 → LONGLIFE01
-        };
-
         if (queries.length > 0) {
             for (const task of queries) {
                 try {
@@ -341,15 +462,9 @@ ${certResult.certNotice || `目前沒有符合 ${certSearchRequest.requestedCert
                         const fieldValue = p[task.field];
                         if (!fieldValue) return false;
 
-                        // 認證欄位使用正規化比對（處理空格和連字號差異）
+                        // 認證欄位比對產品的各個認證（product-model.js 已拆分並正規化空格、連字號差異）
                         if (task.field === 'cert') {
-                            const normalizedValue = normalizeCertForSearch(String(fieldValue));
-                            const normalizedSearch = normalizeCertForSearch(String(task.value));
-                            if (task.method === 'contains') {
-                                return normalizedValue.includes(normalizedSearch);
-                            } else if (task.method === 'eq') {
-                                return normalizedValue === normalizedSearch;
-                            }
+                            return ['contains', 'eq'].includes(task.method) && hasCertification(p, String(task.value), task.method);
                         }
 
                         // 其他欄位使用原本的比對方式
@@ -388,7 +503,8 @@ ${certResult.certNotice || `目前沒有符合 ${certSearchRequest.requestedCert
                         );
                     }
 
-                    // 加入結果
+                    // 依與用戶訊息的相關度排序後加入結果
+                    matchedProducts = index.rank(matchedProducts, query);
                     for (const p of matchedProducts.slice(0, task.limit || 20)) {
                         if (p.id && !seenIds.has(p.id)) {
                             seenIds.add(p.id);
@@ -401,7 +517,7 @@ ${certResult.certNotice || `目前沒有符合 ${certSearchRequest.requestedCert
             }
         }
 
-        // 2. Fallback 搜尋（如果沒有結果）- 擴大搜尋欄位範圍
+        // 2. Fallback 搜尋（如果沒有結果）- 以索引搜尋全欄位，依相關度排序
         if (allResults.length === 0) {
             console.log(`${LOG_TAGS.SEARCH} No results from wixQueries, using fallback search`);
             const keywords = searchInfo?.searchKeywords || [query];
@@ -409,31 +525,12 @@ ${certResult.certNotice || `目前沒有符合 ${certSearchRequest.requestedCert
 
             for (const kw of keywords.slice(0, 4)) {
                 if (!kw) continue;
-                const kwLower = kw.toLowerCase();
 
-                // 判斷關鍵字類型並對應到正確欄位（修正：使用 [0-9] 替代 \d）
+                // SKU 精確匹配 partno；其餘以索引搜尋，需符合關鍵字的多數詞（min_term_ratio、欄位權重見 search-reference.json）
                 const isSkuKeyword = /^LM[0-9]{4,5}$/i.test(kw);
-                const isViscosity = /^[0-9]+W-?[0-9]+$/i.test(kw);
-
-
-                const matches = products.filter(p => {
-                    // SKU 精確匹配 partno
-                    if (isSkuKeyword && p.partno) {
-                        return p.partno.toUpperCase() === kw.toUpperCase();
-                    }
-                    // 黏度優先匹配 word2
-                    if (isViscosity && p.word2) {
-                        if (p.word2.toLowerCase().includes(kwLower)) return true;
-                    }
-                    // 全欄位搜尋：title, sort, partno, content, word1, word2
-                    const titleMatch = p.title && p.title.toLowerCase().includes(kwLower);
-                    const sortMatch = p.sort && p.sort.toLowerCase().includes(kwLower);
-                    const partnoMatch = p.partno && p.partno.toLowerCase().includes(kwLower);
-                    const contentMatch = p.content && p.content.toLowerCase().includes(kwLower);
-                    const word1Match = p.word1 && p.word1.toLowerCase().includes(kwLower);
-                    const word2Match = p.word2 && p.word2.toLowerCase().includes(kwLower);
-                    return titleMatch || sortMatch || partnoMatch || contentMatch || word1Match || word2Match;
-                });
+                const matches = isSkuKeyword
+                    ? products.filter(p => p.partno && p.partno.toUpperCase() === kw.toUpperCase())
+                    : index.search(kw, { limit: 10 }).map(result => result.product);
 
                 for (const p of matches.slice(0, 10)) {
                     if (p.id && !seenIds.has(p.id)) {
@@ -464,9 +561,9 @@ ${certResult.certNotice || `目前沒有符合 ${certSearchRequest.requestedCert
                 }
             }
 
-            // 擴展同標題產品
+            // 擴展同標題產品（依相關度排序）
             for (const exactTitle of titlesToExpand) {
-                const sameTitle = products.filter(p => p.title === exactTitle);
+                const sameTitle = index.rank(products.filter(p => p.title === exactTitle), query);
                 for (const p of sameTitle) {
                     if (p.id && !seenIds.has(p.id)) {
                         seenIds.add(p.id);
@@ -570,7 +667,7 @@ ${certResult.certNotice || `目前沒有符合 ${certSearchRequest.requestedCert
         // 7. 全合成優先排序與強制過濾（使用統一的評分函式）
         const recommendSynthetic = searchInfo?.recommendSynthetic;
         if (recommendSynthetic === 'full') {
-            const fullSyntheticProducts = allResults.filter(p => getSyntheticScore(p.title) === 3);
+            const fullSyntheticProducts = allResults.filter(p => getProductSyntheticScore(p) === 3);
 
             if (fullSyntheticProducts.length > 0) {
                 console.log(`${LOG_TAGS.SEARCH} Strict filter applied: Only showing fully synthetic products (${fullSyntheticProducts.length} items)`);
@@ -602,8 +699,8 @@ ${certResult.certNotice || `目前沒有符合 ${certSearchRequest.requestedCert
             allResults.sort((a, b) => {
                 // A. 全合成優先 (若有開啟，且未被強制過濾掉的情況)
                 if (recommendSynthetic === 'full') {
-                    const scoreA = getSyntheticScore(a.title);
-                    const scoreB = getSyntheticScore(b.title);
+                    const scoreA = getProductSyntheticScore(a);
+                    const scoreB = getProductSyntheticScore(b);
                     if (scoreA !== scoreB) return scoreB - scoreA;
                 }
 
@@ -615,8 +712,8 @@ ${certResult.certNotice || `目前沒有符合 ${certSearchRequest.requestedCert
                 }
 
                 // C. 容量優先 (1L > 4L)
-                const sizeScoreA = getSizeScore(a.title, a.size, preferLargePack);
-                const sizeScoreB = getSizeScore(b.title, b.size, preferLargePack);
+                const sizeScoreA = getSizeScore(a, preferLargePack);
+                const sizeScoreB = getSizeScore(b, preferLargePack);
                 if (sizeScoreA !== sizeScoreB) return sizeScoreB - sizeScoreA;
 
                 return 0;
@@ -773,7 +870,7 @@ ${certResult.certNotice || `目前沒有符合 ${certSearchRequest.requestedCert
     }
 }
 
-// 注意：getSyntheticScore 已從 motorcycle-rules.js 匯入
+// 注意：getProductSyntheticScore 已從 motorcycle-rules.js 匯入
 
 // ============================================
 // 判斷添加劑優先級（用於症狀嚴重度和使用場景排序）
@@ -842,6 +939,40 @@ function getAdditivePriorityScore(product, symptomSeverity, fuelType, usageScena
 // ============================================
 // 格式化 SKU 精確查詢結果（單一產品詳情）
 // ============================================
+/**
+ * 查無料號時的回覆（有相近料號時詢問「您是不是要找」）
+ * @param {string} queriedSku - 查詢的 SKU（已修正全形與字母混淆）
+ * @param {Array<Object>} candidates - 相近料號 [{ product, sku, distance }]
+ * @returns {string}
+ */
+function formatSKUNotFound(queriedSku, candidates = []) {
+    let result = `## ❌ 查無產品 ${queriedSku}
+
+資料庫中找不到產品編號 ${queriedSku}。
+`;
+
+    if (candidates.length > 0) {
+        result += `\n**您是不是要找 ${candidates.map(c => c.sku).join('、')}？**\n`;
+        for (const { product, sku } of candidates) {
+            result += `- ${sku}：${product.title || ''}${product.size ? `（${product.size}）` : ''}\n`;
+        }
+    }
+
+    result += `
+請確認產品編號是否正確，或嘗試：
+1. 輸入完整產品名稱搜尋
+2. 描述您的需求讓我推薦適合的產品
+3. 瀏覽官網產品頁面：https://www.liqui-moly-tw.com/products
+
+---
+⚠️ 此為資料庫查詢結果，請勿編造任何產品資訊。`;
+    if (candidates.length > 0) {
+        result += `\n⚠️ 請用「您是不是要找 ${candidates[0].sku}？」向用戶確認，確認前不要直接介紹建議的產品。`;
+    }
+
+    return result;
+}
+
 /**
  * 將 SKU 精確查詢結果格式化為詳細產品資訊
  * @param {Object} product - 產品物件
@@ -1233,68 +1364,11 @@ function formatMultiVehicleProducts(motorcycleProducts, carProducts) {
 
 // 注意：getScooterCertScore 已從 certification-matcher.js 匯入
 
-// ============================================
-// 同產品不同容量去重（預設優先顯示 1L）
-// 產品標題 (title) 相同代表同一產品，容量由 size 欄位區分
-// ============================================
-function deduplicateBySize(products, preferLargePack = false) {
-    if (!products || products.length === 0) return products;
-
-    // 根據產品標題 (title) 進行分組
-    // 同標題的產品代表同一產品的不同容量版本
-    const groups = new Map();
-
-    for (const product of products) {
-        const title = product.title || '';
-
-        if (!groups.has(title)) {
-            groups.set(title, []);
-        }
-        groups.get(title).push(product);
-    }
-
-    // 每組只保留最優先的容量
-    const result = [];
-    for (const [title, group] of groups) {
-        if (group.length === 1) {
-            result.push(group[0]);
-        } else {
-            // 依容量評分排序，取最高分的
-            group.sort((a, b) => {
-                const scoreA = getSizeScore(a.title, a.size, preferLargePack);
-                const scoreB = getSizeScore(b.title, b.size, preferLargePack);
-                return scoreB - scoreA; // 高分優先
-            });
-            result.push(group[0]);
-            // Log 去重資訊
-            console.log(`${LOG_TAGS.SEARCH} Dedupe: "${title}" - kept ${group[0].size || '1L'} (${group[0].partno}), removed ${group.length - 1} variants`);
-        }
-    }
-
-    return result;
-}
-
-// ============================================
-// 容量評分 (預設 1L > 大包裝)
-// ============================================
-function getSizeScore(title, size, preferLarge) {
-    const text = ((title || '') + ' ' + (size || '')).toLowerCase();
-
-    // 識別大包裝關鍵字
-    const isLarge = text.includes('4l') || text.includes('5l') || text.includes('20l') || text.includes('60l') || text.includes('205l');
-
-    if (preferLarge) {
-        // 用戶想找大包裝：大包裝(10分) > 小包裝(1分)
-        return isLarge ? 10 : 1;
-    } else {
-        // 預設情況：小包裝/1L(10分) > 大包裝(1分)
-        // 假設未標示大包裝即為標準包裝(通常1L)
-        return isLarge ? 1 : 10;
-    }
-}
+// 注意：deduplicateBySize、getSizeScore 已移至 lib/product-search.js
 
 // ============================================
 // 匯出函式供直接呼叫（P0 優化：避免 HTTP 開銷）
 // ============================================
 module.exports.searchProducts = searchProducts;
 module.exports.getProducts = getProducts;
+module.exports.getCatalogStatus = getCatalogStatus;
@@ -1,15 +1,26 @@
 /**
  * LIQUI MOLY Chatbot - Setup Messenger Profile API
- * 設定 Facebook Messenger 的 Persistent Menu 和 Get Started Button
- * 
- * 使用方法：GET /api/setup-messenger
+ * 設定 Facebook Messenger 的 Get Started Button、問候語、Persistent Menu（zh-TW / en / ja）
+ * 以及 Instagram 的 Ice Breakers
+ *
+ * 設定內容見 data/knowledge/messenger-profile.json，同步邏輯見 lib/messenger-profile.js
+ *
+ * 使用方法：
+ * - GET /api/setup-messenger?dryRun=1：只比對應有與目前的設定，不送出
+ * - GET /api/setup-messenger：比對後只送出有差異的欄位
  */
 
 const PAGE_ACCESS_TOKEN = process.env.META_PAGE_ACCESS_TOKEN;
 
+const { PROFILE_PLATFORMS, syncProfile } = require('../lib/messenger-profile');
+
 // 啟用日誌等級控制（透過 LOG_LEVEL 環境變數）
 require('../lib/logger').patchConsole();
 
+function isDryRun(query = {}) {
+    return ['1', 'true'].includes(String(query.dryRun || '').toLowerCase());
+}
+
 module.exports = async function handler(req, res) {
     if (req.method !== 'GET') {
         return res.status(405).json({ error: 'Method not allowed' });
@@ -22,83 +33,27 @@ module.exports = async function handler(req, res) {
         });
     }
 
-    const results = {
-        getStarted: null,
-        persistentMenu: null
-    };
+    const dryRun = isDryRun(req.query);
+    const results = {};
 
-    // 1. 設定 Get Started Button
-    try {
-        const getStartedResponse = await fetch(
-            `https://graph.facebook.com/v18.0/me/messenger_profile?access_token=${PAGE_ACCESS_TOKEN}`,
-            {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    get_started: {
-                        payload: 'GET_STARTED'
-                    }
-                })
-            }
-        );
-        const getStartedData = await getStartedResponse.json();
-        results.getStarted = getStartedData;
-        console.log('Get Started Button:', getStartedData);
-    } catch (error) {
-        results.getStarted = { error: error.message };
-        console.error('Get Started Button Error:', error);
-    }
-
-    // 2. 設定 Persistent Menu
-    try {
-        const menuResponse = await fetch(
-            `https://graph.facebook.com/v18.0/me/messenger_profile?access_token=${PAGE_ACCESS_TOKEN}`,
-            {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    persistent_menu: [{
-                        locale: 'default',
-                        composer_input_disabled: false,
-                        call_to_actions: [
-                            {
-                                type: 'postback',
-                                title: '🤖 AI 產品諮詢',
-                                payload: 'RESUME_AI'
-                            },
-                            {
-                                type: 'postback',
-                                title: '👤 真人客服',
-                                payload: 'HUMAN_AGENT'
-                            },
-                            {
-                                type: 'web_url',
-                                title: '📝 聯絡我們',
-                                url: 'https://www.liqui-moly-tw.com/contact'
-                            }
-                        ]
-                    }]
-                })
-            }
-        );
-        const menuData = await menuResponse.json();
-        results.persistentMenu = menuData;
-        console.log('Persistent Menu:', menuData);
-    } catch (error) {
-        results.persistentMenu = { error: error.message };
-        console.error('Persistent Menu Error:', error);
+    // 依序處理各平台（Facebook → Instagram）
+    for (const platform of PROFILE_PLATFORMS) {
+        results[platform] = await syncProfile(platform, { dryRun });
     }
 
     // 返回結果
-    const success =
-        results.getStarted?.result === 'success' &&
-        results.persistentMenu?.result === 'success';
+    const success = Object.values(results).every(result => result.success);
+    let message = 'Some configurations failed, check details';
+    if (success) {
+        message = dryRun
+            ? 'Dry run: compared desired and current profile settings, nothing applied'
+            : 'Messenger profile configured successfully!';
+    }
 
     return res.status(success ? 200 : 500).json({
         success,
-        message: success
-            ? 'Messenger profile configured successfully!'
-            : 'Some configurations failed, check details',
+        dryRun,
+        message,
         details: results
     });
 }
@@ -25,6 +25,9 @@ class LiquiMolyChatbot {
 
         // State
         this.conversationHistory = [];
+        this.dialogState = null; // 後端回傳的對話狀態（已確認的車型、燃油等），下一輪原樣送回
+        this.conversationSummary = null; // 後端回傳的對話摘要（超出歷史視窗的舊訊息），下一輪原樣送回
+        this.suggestedReplies = []; // 後端回傳的建議追問 / 車型選擇精靈選項，顯示為 Chips
         this.isLoading = false;
         this.sessionId = null;
         this.userInfo = null;
@@ -305,6 +308,8 @@ class LiquiMolyChatbot {
         this.clearIdleTimer();
         this.sessionId = null;
         this.conversationHistory = [];
+        this.dialogState = null;
+        this.conversationSummary = null;
     }
 
     /**
@@ -420,8 +425,9 @@ class LiquiMolyChatbot {
         this.messageInput.style.height = 'auto';
         this.updateSendButtonState();
 
-        // 隱藏快速操作
+        // 隱藏快速操作與上一輪的建議 Chips
         this.hideQuickActions();
+        this.clearSuggestedReplies();
 
         // 顯示用戶訊息
         this.addMessage(message, 'user');
@@ -449,6 +455,36 @@ class LiquiMolyChatbot {
         }
     }
 
+    /**
+     * 顯示建議追問 Chips（點擊後直接送出該文字）
+     */
+    renderSuggestedReplies(replies) {
+        if (!replies || replies.length === 0) return;
+
+        const chips = document.createElement('div');
+        chips.className = 'suggested-replies';
+        replies.forEach(reply => {
+            const chip = document.createElement('button');
+            chip.className = 'quick-action-btn';
+            chip.textContent = reply;
+            chip.addEventListener('click', () => {
+                this.messageInput.value = reply;
+                this.handleSend();
+            });
+            chips.appendChild(chip);
+        });
+
+        this.chatMessages.appendChild(chips);
+        this.scrollToBottom();
+    }
+
+    /**
+     * 移除建議追問 Chips
+     */
+    clearSuggestedReplies() {
+        this.chatMessages.querySelectorAll('.suggested-replies').forEach(chips => chips.remove());
+    }
+
     /**
      * 清除聊天訊息（保留歡迎訊息）
      */
@@ -459,6 +495,7 @@ class LiquiMolyChatbot {
                 msg.remove();
             }
         });
+        this.clearSuggestedReplies();
 
         // 重新顯示快速操作
         const quickActions = document.querySelector('.quick-actions');
@@ -546,6 +583,8 @@ class LiquiMolyChatbot {
         this.updateSendButtonState();
 
         const typingIndicator = this.showTypingIndicator();
+        let streamingMessage = null;
+        this.suggestedReplies = [];
 
         try {
             let response;
@@ -555,15 +594,28 @@ class LiquiMolyChatbot {
                 await this.sleep(1000);
                 response = CONFIG.MOCK_RESPONSES.default;
             } else {
-                // 正式模式：呼叫 Wix Backend API
-                response = await this.callChatAPI(message);
+                // 正式模式：呼叫聊天 API（串流時逐段更新訊息）
+                response = await this.callChatAPI(message, (partialText) => {
+                    if (!streamingMessage) {
+                        this.removeTypingIndicator(typingIndicator);
+                        streamingMessage = this.addMessage(partialText, 'bot');
+                    } else {
+                        this.updateMessage(streamingMessage, partialText);
+                    }
+                });
             }
 
             // 移除打字指示器
             this.removeTypingIndicator(typingIndicator);
 
-            // 顯示回應
-            this.addMessage(response, 'bot');
+            // 顯示回應（串流模式以驗證後的完整文字取代暫時內容）
+            if (streamingMessage) {
+                this.updateMessage(streamingMessage, response);
+            } else {
+                this.addMessage(response, 'bot');
+            }
+
+            this.renderSuggestedReplies(this.suggestedReplies);
 
             // 加入對話歷史
             this.conversationHistory.push({
@@ -577,6 +629,9 @@ class LiquiMolyChatbot {
         } catch (error) {
             console.error('Chat error:', error);
             this.removeTypingIndicator(typingIndicator);
+            if (streamingMessage && streamingMessage.parentNode) {
+                streamingMessage.parentNode.removeChild(streamingMessage);
+            }
             this.addMessage('抱歉，目前服務暫時無法使用，請稍後再試。如有緊急需求，請透過<a href="' + CONFIG.CONTACT_URL + '" target="_blank">聯絡我們</a>頁面與我們聯繫。', 'bot', true);
         } finally {
             this.isLoading = false;
@@ -586,8 +641,16 @@ class LiquiMolyChatbot {
 
     /**
      * 呼叫聊天 API
-     */
-    async callChatAPI(message) {
+     * 串流模式直接向 Vercel /api/chat 讀取 SSE（Wix HTTP Functions 無法分段轉送），
+     * 其餘情況經由 Wix Backend /chat（同時儲存對話紀錄）
+     * @param {string} message - 用戶訊息
+     * @param {Function} onDelta - 串流模式下收到部分文字時呼叫（參數為目前累積的文字）
+     */
+    async callChatAPI(message, onDelta = null) {
+        if (CONFIG.STREAM_RESPONSES) {
+            return this.callChatStream(message, onDelta);
+        }
+
         const apiUrl = CONFIG.API_ENDPOINT + CONFIG.ENDPOINTS.CHAT;
 
         const response = await fetch(apiUrl, {
@@ -598,7 +661,9 @@ class LiquiMolyChatbot {
             body: JSON.stringify({
                 message: message,
                 sessionId: this.sessionId,
-                conversationHistory: this.conversationHistory.slice(-CONFIG.CONVERSATION.MAX_HISTORY)
+                conversationHistory: this.conversationHistory.slice(-CONFIG.CONVERSATION.MAX_HISTORY),
+                dialogState: this.dialogState,
+                conversationSummary: this.conversationSummary
             })
         });
 
@@ -606,14 +671,125 @@ class LiquiMolyChatbot {
             throw new Error(`API Error: ${response.status} `);
         }
 
-        const data = await response.json();
-
         // AI 警語現在由 AI 自動生成並翻譯成用戶語言
         // 不再前端硬編碼加上
+        return this.applyChatData(await response.json());
+    }
+
+    /**
+     * 串流模式：直接呼叫 Vercel /api/chat，完成後再由 Wix 儲存對話紀錄
+     * @param {string} message - 用戶訊息
+     * @param {Function} onDelta - 收到部分文字時呼叫
+     */
+    async callChatStream(message, onDelta) {
+        const response = await fetch(CONFIG.CHAT_STREAM_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            },
+            body: JSON.stringify({
+                message: message,
+                conversationHistory: this.conversationHistory.slice(-CONFIG.CONVERSATION.MAX_HISTORY),
+                dialogState: this.dialogState,
+                conversationSummary: this.conversationSummary
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`API Error: ${response.status} `);
+        }
+
+        // 後端回傳 SSE 串流時逐段讀取，否則維持 JSON 模式
+        const contentType = response.headers.get('Content-Type') || '';
+        const text = contentType.includes('text/event-stream') && response.body
+            ? await this.readChatStream(response, onDelta)
+            : this.applyChatData(await response.json());
+
+        this.saveChatTurn(message, text);
+        return text;
+    }
 
+    /**
+     * 套用 /api/chat 的回應資料（對話狀態、對話摘要、建議追問）
+     * @returns {string} 回覆文字
+     */
+    applyChatData(data) {
+        if (data.dialogState) {
+            this.dialogState = data.dialogState;
+        }
+        if (data.conversationSummary) {
+            this.conversationSummary = data.conversationSummary;
+        }
+        this.suggestedReplies = data.suggestedReplies || [];
         return data.response;
     }
 
+    /**
+     * 串流模式的對話紀錄（Wix 只負責儲存，不等待結果）
+     */
+    saveChatTurn(message, response) {
+        if (!this.sessionId) return;
+
+        fetch(CONFIG.API_ENDPOINT + CONFIG.ENDPOINTS.SAVE_CHAT_TURN, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            keepalive: true,
+            body: JSON.stringify({
+                sessionId: this.sessionId,
+                message: message,
+                response: response,
+                dialogState: this.dialogState,
+                conversationSummary: this.conversationSummary
+            })
+        }).catch(error => console.warn('Failed to save chat turn:', error));
+    }
+
+    /**
+     * 讀取 SSE 串流回應（解析器與 lib/sse.js 共用 js/sse-parser.js）
+     * 事件：delta（部分文字）、done（驗證後完整文字）、error
+     */
+    async readChatStream(response, onDelta) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder('utf-8');
+        let streamedText = '';
+        let finalText = null;
+
+        const parser = SSEParser.createSSEParser(({ event, data }) => {
+            const payload = JSON.parse(data);
+            if (event === 'delta') {
+                streamedText += payload.text || '';
+                if (onDelta) onDelta(streamedText);
+            } else if (event === 'done') {
+                finalText = this.applyChatData(payload);
+            } else if (event === 'error') {
+                throw new Error(payload.error || 'Stream error');
+            }
+        });
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parser.push(decoder.decode(value, { stream: true }));
+        }
+
+        parser.push(decoder.decode());
+        parser.flush();
+
+        return finalText !== null ? finalText : streamedText;
+    }
+
+    /**
+     * 更新既有訊息內容（串流模式使用）
+     */
+    updateMessage(messageDiv, content) {
+        const bubble = messageDiv.querySelector('.message-bubble');
+        if (bubble) {
+            bubble.innerHTML = this.formatMessage(content);
+            this.scrollToBottom();
+        }
+    }
+
     /**
      * 格式化訊息內容
      */
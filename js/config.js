@@ -12,9 +12,13 @@ const CONFIG = {
     ENDPOINTS: {
         CHAT: '/chat',
         PRODUCTS: '/products',
-        SEARCH_VEHICLE: '/searchVehicle'
+        SEARCH_VEHICLE: '/searchVehicle',
+        SAVE_CHAT_TURN: '/saveChatTurn'
     },
 
+    // Vercel 聊天 API（串流模式直接呼叫：Wix HTTP Functions 無法分段轉送 SSE）
+    CHAT_STREAM_URL: 'https://liqui-moly-chatbot.vercel.app/api/chat',
+
     // 產品頁面基礎 URL
     PRODUCT_BASE_URL: 'https://www.liqui-moly-tw.com/catalogue/',
 
@@ -32,6 +36,10 @@ const CONFIG = {
         MAX_INPUT_LENGTH: 1000
     },
 
+    // 串流回應（SSE）：直接向 CHAT_STREAM_URL 讀取，收到部分文字即顯示，對話紀錄再交給 Wix 儲存
+    // 設為 false 時經由 Wix Backend /chat 取得完整回覆
+    STREAM_RESPONSES: true,
+
     // UI 設定
     UI: {
         // 打字動畫延遲 (ms)
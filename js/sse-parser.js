@@ -0,0 +1,69 @@
+/**
+ * LIQUI MOLY Chatbot - SSE 解析器（網頁前端與 Vercel 共用）
+ *
+ * 網頁直接以 <script> 載入（window.SSEParser），lib/sse.js 以 require 載入，
+ * 前端與後端讀取 /api/chat、Gemini 串流時使用同一套 framing 規則：
+ * - 事件以空行分隔，\r\n 視為 \n
+ * - 以「:」開頭的行為註解；欄位與值以第一個「:」分隔，值開頭的一個空白會去除
+ * - 多行 data 以 \n 串接；沒有 data 的事件略過
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SSEParser = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * 建立 SSE 解析器
+     * @param {Function} onEvent - 每解析出一個事件時呼叫 ({ event, data })
+     * @returns {{ push: Function, flush: Function }}
+     */
+    function createSSEParser(onEvent) {
+        let buffer = '';
+
+        const dispatch = (block) => {
+            let event = 'message';
+            const dataLines = [];
+
+            for (const line of block.split('\n')) {
+                if (!line || line.startsWith(':')) continue;
+                const sep = line.indexOf(':');
+                const field = sep === -1 ? line : line.slice(0, sep);
+                const value = sep === -1 ? '' : line.slice(sep + 1).replace(/^ /, '');
+
+                if (field === 'event') {
+                    event = value;
+                } else if (field === 'data') {
+                    dataLines.push(value);
+                }
+            }
+
+            if (dataLines.length > 0) {
+                onEvent({ event, data: dataLines.join('\n') });
+            }
+        };
+
+        return {
+            push(chunk) {
+                buffer += chunk.replace(/\r\n/g, '\n');
+                let index;
+                while ((index = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+                    dispatch(block);
+                }
+            },
+            flush() {
+                if (buffer.trim()) {
+                    dispatch(buffer);
+                }
+                buffer = '';
+            }
+        };
+    }
+
+    return { createSSEParser };
+});
@@ -0,0 +1,31 @@
+/**
+ * Tests for analyze.js
+ * Verifies that knowledge base enhancement uses the dialog state instead of rescanning the history
+ */
+
+const { enhanceWithKnowledgeBase } = require('../../api/analyze');
+const { createDialogState, mergeDialogState } = require('../dialog-state');
+
+describe('analyze.js', () => {
+    describe('enhanceWithKnowledgeBase', () => {
+        const history = [
+            { role: 'user', content: '我之前開 kuga mk3' },
+            { role: 'assistant', content: '請問現在的車型是？' }
+        ];
+
+        test('should match the vehicle from history without a dialog state', () => {
+            const result = { vehicles: [], searchKeywords: [] };
+            enhanceWithKnowledgeBase(result, '要換機油', history);
+            expect(result.matchedVehicle.model).toBe('Kuga MK3');
+        });
+
+        test('should use the confirmed vehicle instead of scanning history', () => {
+            const state = mergeDialogState(createDialogState(), {
+                vehicleBrand: 'Ford', vehicleModel: 'Focus MK4', fuelType: '汽油'
+            });
+            const result = { vehicles: [], searchKeywords: [] };
+            enhanceWithKnowledgeBase(result, '要換機油', history, state);
+            expect(result.matchedVehicle.model).toBe('Focus MK4');
+        });
+    });
+});
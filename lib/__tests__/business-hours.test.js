@@ -0,0 +1,64 @@
+/**
+ * Tests for business-hours.js
+ * Verifies the Taiwan business calendar: weekly hours, national holidays and adaptive handover pauses
+ */
+
+const { getBusinessStatus, describeWeeklyHours, getHandoverSchedule } = require('../business-hours');
+const { HUMAN_HANDOVER_PAUSE_MINUTES } = require('../constants');
+
+describe('business-hours.js', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    describe('getBusinessStatus', () => {
+        test('should be open during weekday hours in Taiwan time', () => {
+            // 週二 10:00（台灣時間）
+            const status = getBusinessStatus(new Date('2026-10-20T10:00:00+08:00'));
+            expect(status.isOpen).toBe(true);
+            expect(status.closesAt.toISOString()).toBe('2026-10-20T10:00:00.000Z');
+        });
+
+        test('should find the next opening after the evening, skipping weekends and holidays', () => {
+            // 週五 19:00 → 週一 10/26 光復節補假 → 週二 09:00
+            const status = getBusinessStatus(new Date('2026-10-23T19:00:00+08:00'));
+            expect(status.isOpen).toBe(false);
+            expect(status.nextOpening.toISOString()).toBe('2026-10-27T01:00:00.000Z');
+        });
+
+        test('should open later the same day before opening time', () => {
+            const status = getBusinessStatus(new Date('2026-10-21T07:30:00+08:00'));
+            expect(status.nextOpening.toISOString()).toBe('2026-10-21T01:00:00.000Z');
+        });
+    });
+
+    test('describeWeeklyHours should merge consecutive days with the same hours', () => {
+        expect(describeWeeklyHours()).toBe('週一至週五 09:00-18:00');
+    });
+
+    describe('getHandoverSchedule', () => {
+        test('should use the fixed pause during business hours', () => {
+            expect(getHandoverSchedule(new Date('2026-10-20T10:00:00+08:00'))).toEqual({
+                isOpen: true,
+                pauseMinutes: HUMAN_HANDOVER_PAUSE_MINUTES,
+                hoursText: '週一至週五 09:00-18:00',
+                nextOpeningText: null
+            });
+        });
+
+        test('should pause until the next opening outside business hours', () => {
+            const schedule = getHandoverSchedule(new Date('2026-10-23T19:00:00+08:00'));
+
+            expect(schedule.isOpen).toBe(false);
+            expect(schedule.nextOpeningText).toBe('10/27（週二）09:00');
+            // 週五 19:00 → 週二 09:00 共 86 小時，再加上真人客服處理時間
+            expect(schedule.pauseMinutes).toBe(86 * 60 + HUMAN_HANDOVER_PAUSE_MINUTES);
+        });
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * Tests for catalog-snapshot.js
+ * Verifies snapshot building, validation, newest-first loading, unchanged-content skipping
+ * and the cold-start snapshot fallback in api/search.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    buildSnapshot,
+    isValidSnapshot,
+    describeAge,
+    readSnapshotFile,
+    writeSnapshotFile,
+    loadSnapshot,
+    saveSnapshot
+} = require('../catalog-snapshot');
+const { parseCsv, toImageUrl, toProduct, main: runExportCli } = require('../../scripts/refresh-catalog-snapshot');
+
+const PRODUCTS = [
+    { id: 'a', partno: 'LM2324', title: 'Top Tec 4200 5W-30', word2: '5W-30' },
+    { id: 'b', partno: 'LM9047', title: 'Special Tec AA 0W-20', word2: '0W-20' }
+];
+
+describe('catalog-snapshot.js', () => {
+    let dir;
+    let logSpy;
+    let warnSpy;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-snapshot-test-'));
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        logSpy.mockRestore();
+        warnSpy.mockRestore();
+    });
+
+    test('buildSnapshot should strip parsed specs and checksum the raw products', () => {
+        const snapshot = buildSnapshot(PRODUCTS.map(p => ({ ...p, spec: {} })), { now: new Date('2026-01-01T00:00:00Z') });
+
+        expect(snapshot).toMatchObject({ schemaVersion: 1, createdAt: '2026-01-01T00:00:00.000Z', source: 'wix', productCount: 2 });
+        expect(snapshot.products).toEqual(PRODUCTS);
+        expect(isValidSnapshot(snapshot)).toBe(true);
+        expect(isValidSnapshot({ ...snapshot, products: [PRODUCTS[0]] })).toBe(false);
+        expect(isValidSnapshot({ ...snapshot, schemaVersion: 0 })).toBe(false);
+    });
+
+    test('readSnapshotFile should ignore missing, corrupt and tampered files', async () => {
+        const file = path.join(dir, 'catalog-snapshot.json');
+        expect(await readSnapshotFile(file)).toBeNull();
+
+        fs.writeFileSync(file, '{ not json');
+        expect(await readSnapshotFile(file)).toBeNull();
+
+        const snapshot = buildSnapshot(PRODUCTS);
+        snapshot.products[0].title = 'Tampered';
+        await writeSnapshotFile(file, snapshot);
+        expect(await readSnapshotFile(file)).toBeNull();
+    });
+
+    test('loadSnapshot should prefer the newer of the runtime and bundled snapshots', async () => {
+        const bundledPath = path.join(dir, 'bundled.json');
+        await writeSnapshotFile(bundledPath, buildSnapshot(PRODUCTS, { source: 'export:products.csv', now: new Date('2026-01-02T00:00:00Z') }));
+
+        expect(await loadSnapshot({ dir, bundledPath })).toMatchObject({ location: 'bundled', source: 'export:products.csv' });
+
+        await saveSnapshot(PRODUCTS.slice(0, 1), { dir, now: new Date('2026-01-03T00:00:00Z') });
+        expect(await loadSnapshot({ dir, bundledPath })).toMatchObject({ location: 'runtime', productCount: 1 });
+
+        await saveSnapshot(PRODUCTS, { dir, now: new Date('2026-01-01T00:00:00Z') });
+        expect(await loadSnapshot({ dir, bundledPath })).toMatchObject({ location: 'bundled' });
+    });
+
+    test('saveSnapshot should not rewrite an unchanged catalog', async () => {
+        expect(await saveSnapshot(PRODUCTS, { dir, now: new Date('2026-01-01T00:00:00Z') })).toBe(true);
+        expect(await saveSnapshot(PRODUCTS, { dir, now: new Date('2026-01-05T00:00:00Z') })).toBe(false);
+        expect(await saveSnapshot([], { dir })).toBe(false);
+
+        const snapshot = await loadSnapshot({ dir, bundledPath: path.join(dir, 'missing.json') });
+        expect(snapshot.createdAt).toBe('2026-01-01T00:00:00.000Z');
+    });
+
+    test('describeAge should use minutes, hours and days', () => {
+        expect(describeAge(10 * 1000)).toBe('1 分鐘');
+        expect(describeAge(90 * 60 * 1000)).toBe('1 小時');
+        expect(describeAge(50 * 60 * 60 * 1000)).toBe('2 天');
+    });
+
+    test('the export CLI should parse quoted CSV fields into /products records', () => {
+        const [header, row] = parseCsv('ID,Title,partno,cert\r\nx1,"Top Tec 4200 ""5W-30""",LM2324,"VW 504 00, VW 507 00"\r\n');
+        const product = toProduct(Object.fromEntries(header.map((name, i) => [name, row[i]])));
+
+        expect(product).toMatchObject({
+            id: 'x1',
+            title: 'Top Tec 4200 "5W-30"',
+            cert: 'VW 504 00, VW 507 00',
+            certifications: 'VW 504 00, VW 507 00',
+            url: 'https://www.liqui-moly-tw.com/products/lm2324'
+        });
+        expect(toProduct({ ID: 'x2', Title: '' })).toBeNull();
+    });
+
+    test('the export CLI should turn Wix image fields into public image URLs', () => {
+        const image = 'wix:image://v1/c3b6f2_9a1b2c3d~mv2.png/top-tec.png#originWidth=800&originHeight=800';
+        expect(toImageUrl(image)).toBe('https://static.wixstatic.com/media/c3b6f2_9a1b2c3d~mv2.png');
+        expect(toImageUrl('https://static.wixstatic.com/media/a.png')).toBe('https://static.wixstatic.com/media/a.png');
+        expect(toImageUrl('not-an-image')).toBeNull();
+        expect(toProduct({ ID: 'x1', Title: 'Top Tec 4200', Image: image }).image)
+            .toBe('https://static.wixstatic.com/media/c3b6f2_9a1b2c3d~mv2.png');
+    });
+
+    test('the export CLI should date the snapshot by the export, not by when it runs', async () => {
+        const input = path.join(dir, 'products.json');
+        const out = path.join(dir, 'bundled.json');
+        fs.writeFileSync(input, JSON.stringify({ success: true, products: PRODUCTS }));
+        fs.utimesSync(input, new Date('2026-01-02T00:00:00Z'), new Date('2026-01-02T00:00:00Z'));
+
+        expect(await runExportCli(['node', 'cli', input, '--out', out])).toBe(0);
+        expect((await readSnapshotFile(out)).createdAt).toBe('2026-01-02T00:00:00.000Z');
+
+        expect(await runExportCli(['node', 'cli', input, '--out', out, '--created-at', '2026-01-01T08:00:00+08:00'])).toBe(0);
+        expect((await readSnapshotFile(out)).createdAt).toBe('2026-01-01T00:00:00.000Z');
+
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(await runExportCli(['node', 'cli', input, '--created-at', 'yesterday'])).toBe(1);
+        expect(await runExportCli(['node', 'cli', input, '--out'])).toBe(1);
+        errorSpy.mockRestore();
+    });
+
+    describe('the export CLI --from-wix (deploy build)', () => {
+        const originalFetch = global.fetch;
+        let errorSpy;
+
+        beforeEach(() => {
+            errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+            errorSpy.mockRestore();
+        });
+
+        test('should write the snapshot from Wix /products', async () => {
+            const out = path.join(dir, 'bundled.json');
+            global.fetch = jest.fn(async () => ({ status: 200, json: async () => ({ success: true, products: PRODUCTS }) }));
+
+            expect(await runExportCli(['node', 'cli', '--from-wix', '--out', out])).toBe(0);
+
+            const snapshot = await readSnapshotFile(out);
+            expect(snapshot).toMatchObject({ source: 'wix', productCount: 2 });
+            expect(snapshot.products[0].url).toBe('https://www.liqui-moly-tw.com/products/lm2324');
+        });
+
+        test('should keep an existing snapshot when Wix is unreachable and fail without one', async () => {
+            const out = path.join(dir, 'bundled.json');
+            global.fetch = jest.fn(async () => { throw new Error('fetch failed'); });
+
+            expect(await runExportCli(['node', 'cli', '--from-wix', '--out', out])).toBe(1);
+            expect(global.fetch).toHaveBeenCalledTimes(3);
+
+            await writeSnapshotFile(out, buildSnapshot(PRODUCTS, { now: new Date('2026-01-02T00:00:00Z') }));
+            expect(await runExportCli(['node', 'cli', '--from-wix', '--out', out])).toBe(0);
+            expect((await readSnapshotFile(out)).createdAt).toBe('2026-01-02T00:00:00.000Z');
+        });
+
+        test('should not accept an export file or --created-at', async () => {
+            expect(await runExportCli(['node', 'cli', '--from-wix', 'products.csv'])).toBe(1);
+            expect(await runExportCli(['node', 'cli', '--from-wix', '--created-at', '2026-01-01'])).toBe(1);
+        });
+    });
+
+    describe('api/search.js getProducts', () => {
+        const originalFetch = global.fetch;
+        const originalDir = process.env.CATALOG_SNAPSHOT_DIR;
+        let errorSpy;
+
+        beforeEach(() => {
+            process.env.CATALOG_SNAPSHOT_DIR = dir;
+            errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+            if (originalDir === undefined) delete process.env.CATALOG_SNAPSHOT_DIR;
+            else process.env.CATALOG_SNAPSHOT_DIR = originalDir;
+            errorSpy.mockRestore();
+        });
+
+        test('should serve the snapshot after a single Wix attempt on a cold start', async () => {
+            await saveSnapshot(PRODUCTS, { dir });
+            global.fetch = jest.fn(async () => { throw new Error('fetch failed'); });
+
+            let getProducts;
+            let getCatalogStatus;
+            jest.isolateModules(() => {
+                ({ getProducts, getCatalogStatus } = require('../../api/search.js'));
+            });
+
+            const products = await getProducts();
+
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(products.map(p => p.partno)).toEqual(['LM2324', 'LM9047']);
+            expect(getCatalogStatus()).toMatchObject({ source: 'snapshot', productCount: 2, stale: true });
+        });
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for comment-reply.js
+ * Verifies comment parsing, spam / product question filters, per-post throttling and private replies
+ */
+
+const {
+    COMMENT_RESULTS,
+    parseCommentChange,
+    isSpamComment,
+    isProductQuestion,
+    createPostThrottle,
+    buildPrivateReplyText,
+    createCommentResponder
+} = require('../comment-reply');
+const { COMMENT_REPLY } = require('../constants');
+
+const CARD = {
+    sku: 'LM2324',
+    title: 'Top Tec 4200 5W-30 全合成機油',
+    url: 'https://www.liqui-moly-tw.com/products/lm2324'
+};
+
+function createComment(overrides = {}) {
+    return {
+        source: 'facebook',
+        pageId: 'page-1',
+        commentId: 'comment-1',
+        postId: 'post-1',
+        text: '請問這款機油適合 Focus 嗎？',
+        fromId: 'user-1',
+        fromName: '小明',
+        ...overrides
+    };
+}
+
+describe('comment-reply.js', () => {
+    let logSpy;
+    let errorSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        errorSpy.mockRestore();
+    });
+
+    describe('parseCommentChange', () => {
+        test('should parse new Facebook feed comments only', () => {
+            const change = {
+                field: 'feed',
+                value: { item: 'comment', verb: 'add', comment_id: 'c1', post_id: 'p1', message: '多少錢？', from: { id: 'u1', name: '小明' } }
+            };
+
+            expect(parseCommentChange(change, 'page-1', 'facebook')).toEqual({
+                source: 'facebook', pageId: 'page-1', commentId: 'c1', postId: 'p1', text: '多少錢？', fromId: 'u1', fromName: '小明'
+            });
+            expect(parseCommentChange({ ...change, value: { ...change.value, verb: 'edited' } }, 'page-1', 'facebook')).toBeNull();
+            expect(parseCommentChange({ field: 'feed', value: { item: 'reaction', verb: 'add' } }, 'page-1', 'facebook')).toBeNull();
+        });
+
+        test('should parse Instagram comments with the media as post', () => {
+            const change = { field: 'comments', value: { id: 'c2', text: '哪裡買？', from: { id: 'u2', username: 'xiaoming' }, media: { id: 'm1' } } };
+
+            expect(parseCommentChange(change, 'ig-1', 'instagram')).toMatchObject({
+                commentId: 'c2', postId: 'm1', fromId: 'u2', fromName: 'xiaoming'
+            });
+        });
+    });
+
+    describe('filters', () => {
+        test('isSpamComment should catch links, promotions and tag-only comments', () => {
+            expect(isSpamComment('限時優惠 https://spam.example')).toBe(true);
+            expect(isSpamComment('加賴領紅包')).toBe(true);
+            expect(isSpamComment('@friend @other 👍')).toBe(true);
+            expect(isSpamComment('請問這款機油適合 Focus 嗎？')).toBe(false);
+        });
+
+        test('isProductQuestion should need a product mention and a question', () => {
+            expect(isProductQuestion('請問這款機油適合 Focus 嗎？')).toBe(true);
+            expect(isProductQuestion('哪裡買得到')).toBe(true);
+            expect(isProductQuestion('好漂亮的照片')).toBe(false);
+            expect(isProductQuestion('我都用這款機油')).toBe(false);
+        });
+    });
+
+    describe('createPostThrottle', () => {
+        test('should limit replies per post within the window', () => {
+            let time = 0;
+            const throttle = createPostThrottle({ maxReplies: 2, windowMs: 1000, now: () => time });
+
+            expect(throttle.tryAcquire('post-1')).toBe(true);
+            expect(throttle.tryAcquire('post-1')).toBe(true);
+            expect(throttle.tryAcquire('post-1')).toBe(false);
+            expect(throttle.tryAcquire('post-2')).toBe(true);
+
+            time = 1500;
+            expect(throttle.tryAcquire('post-1')).toBe(true);
+        });
+    });
+
+    describe('buildPrivateReplyText', () => {
+        test('should quote the comment and append product links', () => {
+            const text = buildPrivateReplyText(createComment(), { response: '**推薦** Top Tec 4200', products: [CARD] });
+
+            expect(text).toContain('「請問這款機油適合 Focus 嗎？」');
+            expect(text).toContain('🤖 推薦 Top Tec 4200');
+            expect(text).toContain(CARD.url);
+        });
+
+        test('should fit long answers into a single message', () => {
+            const text = buildPrivateReplyText(createComment({ source: 'instagram' }), { response: '機油'.repeat(1000) });
+
+            expect(text.length).toBeLessThanOrEqual(COMMENT_REPLY.maxPrivateReplyLength.instagram);
+            expect(text).toContain('回覆這則訊息即可繼續');
+        });
+    });
+
+    describe('createCommentResponder', () => {
+        function createResponder(overrides = {}) {
+            const deps = {
+                chat: jest.fn(async () => ({ response: '推薦 Top Tec 4200', products: [CARD] })),
+                replyPublicly: jest.fn(async () => true),
+                replyPrivately: jest.fn(async () => true),
+                ...overrides
+            };
+            return { deps, responder: createCommentResponder(deps) };
+        }
+
+        test('should answer product questions privately, then reply publicly', async () => {
+            const { deps, responder } = createResponder();
+            const calls = [];
+            deps.replyPrivately.mockImplementation(async () => calls.push('private'));
+            deps.replyPublicly.mockImplementation(async () => calls.push('public'));
+
+            expect(await responder.handleComment(createComment())).toBe(COMMENT_RESULTS.REPLIED);
+            expect(deps.chat).toHaveBeenCalledWith(expect.objectContaining({ message: '請問這款機油適合 Focus 嗎？' }));
+            expect(calls).toEqual(['private', 'public']);
+            expect(deps.replyPublicly.mock.calls[0][1]).toContain('私訊');
+        });
+
+        test('should ignore the page itself, spam and other comments without calling the AI', async () => {
+            const { deps, responder } = createResponder();
+
+            expect(await responder.handleComment(createComment({ fromId: 'page-1' }))).toBe(COMMENT_RESULTS.OWN_COMMENT);
+            expect(await responder.handleComment(createComment({ text: '兼職日賺 3000 私訊我' }))).toBe(COMMENT_RESULTS.SPAM);
+            expect(await responder.handleComment(createComment({ text: '好漂亮的照片' }))).toBe(COMMENT_RESULTS.NOT_PRODUCT_QUESTION);
+            expect(deps.chat).not.toHaveBeenCalled();
+        });
+
+        test('should throttle replies per post', async () => {
+            const { deps, responder } = createResponder({ throttle: createPostThrottle({ maxReplies: 1 }) });
+
+            await responder.handleComment(createComment());
+            expect(await responder.handleComment(createComment({ commentId: 'comment-2' }))).toBe(COMMENT_RESULTS.THROTTLED);
+            expect(await responder.handleComment(createComment({ commentId: 'comment-3', postId: 'post-2' }))).toBe(COMMENT_RESULTS.REPLIED);
+            expect(deps.chat).toHaveBeenCalledTimes(2);
+        });
+
+        test('should not reply publicly when the private reply fails', async () => {
+            const { deps, responder } = createResponder({ replyPrivately: jest.fn(async () => false) });
+
+            expect(await responder.handleComment(createComment())).toBe(COMMENT_RESULTS.FAILED);
+            expect(deps.replyPublicly).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for conversation-orchestrator.js
+ * Verifies the channel-agnostic flow: pause check, resume keyword, AI answers and handover
+ */
+
+const { QUICK_REPLIES, isResumeKeyword, createConversationOrchestrator } = require('../conversation-orchestrator');
+const { HUMAN_HANDOVER_PAUSE_MINUTES } = require('../constants');
+
+// 週二 10:00 / 週五 19:00（台灣時間）
+const BUSINESS_HOURS = () => new Date('2026-10-20T10:00:00+08:00');
+const AFTER_HOURS = () => new Date('2026-10-23T19:00:00+08:00');
+
+const CARD = {
+    sku: 'LM2324',
+    title: 'Top Tec 4200 5W-30 全合成機油',
+    url: 'https://www.liqui-moly-tw.com/products/lm2324'
+};
+
+function createFakeStore({ paused = false } = {}) {
+    return {
+        loadConversationContext: jest.fn(async () => ({ conversationHistory: [], dialogState: null, conversationSummary: null })),
+        isUserPaused: jest.fn(async () => paused),
+        pauseUser: jest.fn(async () => {}),
+        resumeUser: jest.fn(async () => {}),
+        saveConversation: jest.fn(async () => 'record-1')
+    };
+}
+
+describe('conversation-orchestrator.js', () => {
+    let logSpy;
+    let errorSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        errorSpy.mockRestore();
+    });
+
+    test('isResumeKeyword should match resume phrases only', () => {
+        expect(isResumeKeyword('恢復AI')).toBe(true);
+        expect(isResumeKeyword('機油推薦')).toBe(false);
+    });
+
+    test('should answer text with the bot label, products and quick replies, then save', async () => {
+        const store = createFakeStore();
+        const chat = jest.fn(async () => ({
+            response: '**推薦** Top Tec 4200',
+            products: [CARD],
+            suggestedReplies: ['有 4L 裝嗎？'],
+            dialogState: { vehicleType: '汽車' }
+        }));
+        const calls = [];
+        const deliver = jest.fn(async () => calls.push('deliver'));
+        store.saveConversation.mockImplementation(async () => calls.push('save'));
+
+        const orchestrator = createConversationOrchestrator({ store, chat });
+        await orchestrator.handleInboundEvent(
+            { channel: 'line', userId: 'U1', userName: '小明', type: 'text', text: '推薦機油' },
+            { deliver }
+        );
+
+        const { messages, handover } = deliver.mock.calls[0][0];
+        expect(messages[0]).toEqual({ type: 'text', text: '🤖 推薦 Top Tec 4200' });
+        expect(messages[1]).toEqual({
+            type: 'products',
+            products: [CARD],
+            quickReplies: [QUICK_REPLIES.HUMAN_AGENT],
+            suggestions: ['有 4L 裝嗎？']
+        });
+        expect(handover).toBeNull();
+        expect(calls).toEqual(['deliver', 'save']);
+        expect(store.saveConversation).toHaveBeenCalledWith(expect.objectContaining({
+            senderId: 'U1',
+            senderName: '小明',
+            source: 'line',
+            userMessage: '推薦機油',
+            dialogState: { vehicleType: '汽車' }
+        }));
+    });
+
+    test('should offer vehicle wizard options as quick replies and answer the chosen option', async () => {
+        const store = createFakeStore();
+        const chat = jest.fn(async () => ({
+            response: '請先選擇您的車種：',
+            suggestedReplies: ['汽車', '檔車', '速克達'],
+            vehicleWizard: { step: 'vehicleType', options: ['汽車', '檔車', '速克達'] }
+        }));
+        const deliver = jest.fn();
+        const orchestrator = createConversationOrchestrator({ store, chat });
+
+        await orchestrator.handleInboundEvent({ channel: 'facebook', userId: 'U1', type: 'text', text: '機油推薦' }, { deliver });
+        const last = deliver.mock.calls[0][0].messages[0];
+        expect(last.quickReplies.map(q => q.payload)).toEqual([
+            'VEHICLE_WIZARD:汽車', 'VEHICLE_WIZARD:檔車', 'VEHICLE_WIZARD:速克達', 'HUMAN_AGENT'
+        ]);
+        expect(last.suggestions).toEqual([]);
+
+        await orchestrator.handleInboundEvent({ channel: 'facebook', userId: 'U1', type: 'postback', payload: 'VEHICLE_WIZARD:檔車' }, { deliver });
+        expect(chat).toHaveBeenLastCalledWith(expect.objectContaining({ message: '檔車' }));
+    });
+
+    test('should signal the answer start after the pause check and before calling the chat API', async () => {
+        const store = createFakeStore();
+        const calls = [];
+        store.isUserPaused.mockImplementation(async () => { calls.push('pause-check'); return false; });
+        const chat = jest.fn(async () => { calls.push('chat'); return { response: 'ok' }; });
+
+        await createConversationOrchestrator({ store, chat }).handleInboundEvent(
+            { channel: 'facebook', userId: 'U1', type: 'text', text: '推薦機油' },
+            { deliver: jest.fn(), onAnswerStart: () => calls.push('answer-start') }
+        );
+
+        expect(calls).toEqual(['pause-check', 'answer-start', 'chat']);
+    });
+
+    test('should save silently without replying while paused', async () => {
+        const store = createFakeStore({ paused: true });
+        const chat = jest.fn();
+        const deliver = jest.fn();
+        const onAnswerStart = jest.fn();
+
+        await createConversationOrchestrator({ store, chat }).handleInboundEvent(
+            { channel: 'facebook', userId: 'U1', type: 'text', text: '還在嗎' },
+            { deliver, onAnswerStart }
+        );
+
+        expect(deliver).not.toHaveBeenCalled();
+        expect(chat).not.toHaveBeenCalled();
+        expect(onAnswerStart).not.toHaveBeenCalled();
+        expect(store.saveConversation).toHaveBeenCalledWith(expect.objectContaining({ isPaused: true }));
+    });
+
+    test('should resume on the keyword even while paused', async () => {
+        const store = createFakeStore({ paused: true });
+        const deliver = jest.fn();
+
+        await createConversationOrchestrator({ store, chat: jest.fn() }).handleInboundEvent(
+            { channel: 'facebook', userId: 'U1', type: 'text', text: '恢復AI' },
+            { deliver }
+        );
+
+        expect(store.resumeUser).toHaveBeenCalledWith('U1');
+        expect(deliver.mock.calls[0][0].handover).toEqual({ to: 'bot', reason: 'resume_ai' });
+    });
+
+    test('should pause and hand over to a human on attachments', async () => {
+        const store = createFakeStore();
+        const deliver = jest.fn();
+
+        await createConversationOrchestrator({ store, chat: jest.fn(), now: BUSINESS_HOURS }).handleInboundEvent(
+            { channel: 'instagram', userId: 'U1', type: 'attachment', attachmentType: 'image' },
+            { deliver }
+        );
+
+        expect(store.pauseUser).toHaveBeenCalledWith('U1', { reason: 'image_attachment', minutes: HUMAN_HANDOVER_PAUSE_MINUTES });
+        const { messages, handover } = deliver.mock.calls[0][0];
+        expect(handover).toEqual({ to: 'human', reason: 'image_attachment' });
+        expect(messages[0].quickReplies).toEqual([QUICK_REPLIES.RESUME_AI]);
+        expect(store.saveConversation).toHaveBeenCalledWith(expect.objectContaining({ hasAttachment: true, isPaused: true }));
+    });
+
+    test('should pause until the next opening and say when staff will reply outside business hours', async () => {
+        const store = createFakeStore();
+        const deliver = jest.fn();
+
+        await createConversationOrchestrator({ store, chat: jest.fn(), now: AFTER_HOURS }).handleInboundEvent(
+            { channel: 'line', userId: 'U1', type: 'postback', payload: 'HUMAN_AGENT' },
+            { deliver }
+        );
+
+        const { minutes } = store.pauseUser.mock.calls[0][1];
+        expect(minutes).toBeGreaterThan(24 * 60);
+        const { messages } = deliver.mock.calls[0][0];
+        expect(messages[0].text).toContain('10/27（週二）09:00');
+        // AI 暫停期間不回覆文字，需明確提供恢復 AI 的按鈕
+        expect(messages[0].text).toContain('期間不會自動回答');
+        expect(messages[0].text).toContain('如需恢復 AI 自動回答');
+        expect(messages[0].quickReplies).toEqual([QUICK_REPLIES.RESUME_AI]);
+    });
+
+    test('should deliver the error text when the chat API fails', async () => {
+        const store = createFakeStore();
+        const deliver = jest.fn();
+        const chat = jest.fn(async () => { throw new Error('Chat API failed'); });
+
+        await createConversationOrchestrator({ store, chat }).handleInboundEvent(
+            { channel: 'line', userId: 'U1', type: 'text', text: '推薦機油' },
+            { deliver }
+        );
+
+        expect(deliver.mock.calls[0][0].messages[0].text).toContain('抱歉');
+        expect(store.saveConversation).not.toHaveBeenCalled();
+    });
+});
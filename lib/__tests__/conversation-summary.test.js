@@ -0,0 +1,95 @@
+/**
+ * Tests for conversation-summary.js
+ * Verifies history splitting, fact extraction and idempotent rolling merges
+ */
+
+const {
+    createConversationSummary,
+    normalizeConversationSummary,
+    extractSpecs,
+    splitHistory,
+    updateConversationSummary,
+    formatConversationSummary
+} = require('../conversation-summary');
+
+describe('conversation-summary.js', () => {
+    const dialogState = {
+        version: 1,
+        slots: { vehicleBrand: 'Ford', vehicleModel: 'Focus', year: '2019', fuelType: '柴油', vehicleType: '汽車' }
+    };
+
+    const history = [
+        { role: 'user', content: '我的車是 2019 Ford Focus 柴油' },
+        { role: 'assistant', content: '原廠建議 0W-30，Ford WSS-M2C950-A 認證，推薦 LM2316' },
+        { role: 'user', content: '有 VW 504 00 的嗎' },
+        { role: 'assistant', content: '可以考慮 Top Tec 4200 5w30（LM3840）' }
+    ];
+
+    describe('splitHistory', () => {
+        test('should keep short histories intact', () => {
+            expect(splitHistory(history, 10)).toEqual({ recent: history, dropped: [] });
+        });
+
+        test('should drop messages beyond the window', () => {
+            const { recent, dropped } = splitHistory(history, 2);
+            expect(recent).toEqual(history.slice(2));
+            expect(dropped).toEqual(history.slice(0, 2));
+        });
+    });
+
+    describe('extractSpecs', () => {
+        test('should normalize viscosities and certifications', () => {
+            expect(extractSpecs('5w30 與 api sp、VW 504 00、MB 229.5')).toEqual(['5W-30', 'API SP', 'VW 504 00', 'MB 229.5']);
+        });
+    });
+
+    describe('updateConversationSummary', () => {
+        test('should not change the summary when nothing was dropped', () => {
+            expect(updateConversationSummary(null, [], dialogState)).toEqual(createConversationSummary());
+        });
+
+        test('should fold vehicle, specs, products and questions', () => {
+            const summary = updateConversationSummary(null, history, dialogState);
+            expect(summary.vehicle).toBe('Ford Focus 2019 柴油');
+            expect(summary.specs).toEqual(expect.arrayContaining(['0W-30', 'WSS-M2C950-A', 'VW 504 00', '5W-30']));
+            expect(summary.products).toEqual(['LM2316', 'LM3840']);
+            expect(summary.questions).toHaveLength(2);
+        });
+
+        test('should be idempotent when the same messages are folded again', () => {
+            const once = updateConversationSummary(null, history, dialogState);
+            const twice = updateConversationSummary(JSON.stringify(once), history, dialogState);
+            expect(twice).toEqual(once);
+        });
+
+        test('should keep facts from earlier summaries', () => {
+            const earlier = { vehicle: 'Toyota Altis', specs: ['0W-20'], products: ['LM9999'], questions: [] };
+            const summary = updateConversationSummary(earlier, [{ role: 'user', content: '謝謝' }], { slots: { vehicleType: '汽車' } });
+            expect(summary.vehicle).toBe('Toyota Altis');
+            expect(summary.products).toEqual(['LM9999']);
+            expect(summary.questions).toEqual(['謝謝']);
+        });
+    });
+
+    describe('normalizeConversationSummary', () => {
+        test('should drop unknown fields and malformed input', () => {
+            expect(normalizeConversationSummary('{oops')).toEqual(createConversationSummary());
+            expect(normalizeConversationSummary({ products: ['LM2316', 42], extra: 'x' })).toEqual({
+                ...createConversationSummary(),
+                products: ['LM2316']
+            });
+        });
+    });
+
+    describe('formatConversationSummary', () => {
+        test('should return empty text for an empty summary', () => {
+            expect(formatConversationSummary(createConversationSummary())).toBe('');
+        });
+
+        test('should list established facts', () => {
+            const text = formatConversationSummary(updateConversationSummary(null, history, dialogState));
+            expect(text).toContain('Ford Focus 2019 柴油');
+            expect(text).toContain('LM2316, LM3840');
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for dialog-state.js
+ * Verifies slot extraction, deterministic merging and follow-up question filtering
+ */
+
+const {
+    createDialogState,
+    normalizeDialogState,
+    mergeDialogState,
+    extractSlotsFromMessage,
+    getMissingSlots,
+    buildFollowUpQuestions,
+    hasConfirmedVehicle
+} = require('../dialog-state');
+
+describe('dialog-state.js', () => {
+    describe('extractSlotsFromMessage', () => {
+        test('should extract fuel, transmission and year', () => {
+            expect(extractSlotsFromMessage('2019 柴油 手排')).toEqual({
+                fuelType: '柴油',
+                transmissionType: '手排',
+                year: '2019'
+            });
+        });
+
+        test('should not treat product names as fuel type', () => {
+            expect(extractSlotsFromMessage('推薦汽油精').fuelType).toBeUndefined();
+            expect(extractSlotsFromMessage('我加的是汽油').fuelType).toBe('汽油');
+        });
+
+        test('should not treat SKUs or displacement as year', () => {
+            expect(extractSlotsFromMessage('LM2016 好用嗎').year).toBeUndefined();
+            expect(extractSlotsFromMessage('2000cc 的車').year).toBeUndefined();
+        });
+    });
+
+    describe('normalizeDialogState', () => {
+        test('should keep only known string slots', () => {
+            const state = normalizeDialogState(JSON.stringify({
+                slots: { vehicleModel: ' Focus ', year: 2019, unknown: 'x', fuelType: { bad: true } }
+            }));
+            expect(state.slots.vehicleModel).toBe('Focus');
+            expect(state.slots.year).toBe('2019');
+            expect(state.slots.fuelType).toBeNull();
+            expect(state.slots.unknown).toBeUndefined();
+        });
+
+        test('should return an empty state for malformed input', () => {
+            expect(normalizeDialogState('{oops')).toEqual(createDialogState());
+        });
+
+        test('should keep vehicle wizard progress and drop unknown steps', () => {
+            const state = normalizeDialogState({ slots: {}, wizard: { step: 'model', brand: 'Ford', extra: 'x' } });
+            expect(state.wizard).toEqual({ step: 'model', brand: 'Ford' });
+            expect(normalizeDialogState({ slots: {}, wizard: { step: 'payment' } }).wizard).toBeUndefined();
+        });
+    });
+
+    describe('mergeDialogState', () => {
+        test('should keep earlier slots and override with newer values', () => {
+            let state = mergeDialogState(createDialogState(), { vehicleBrand: 'Ford', vehicleModel: 'Focus', fuelType: '汽油' });
+            state = mergeDialogState(state, { year: '2019', fuelType: '柴油' });
+            expect(state.slots).toMatchObject({ vehicleModel: 'Focus', year: '2019', fuelType: '柴油' });
+        });
+
+        test('should not clear details when the same vehicle is named differently', () => {
+            let state = mergeDialogState(createDialogState(), { vehicleBrand: 'Ford', vehicleModel: 'Focus', year: '2019' });
+            state = mergeDialogState(state, { vehicleBrand: 'Ford', vehicleModel: 'Focus MK4' });
+            expect(state.slots.year).toBe('2019');
+        });
+
+        test('should clear vehicle details when the vehicle changes', () => {
+            let state = mergeDialogState(createDialogState(), {
+                vehicleBrand: 'Ford', vehicleModel: 'Focus', year: '2019', fuelType: '柴油', productCategory: '機油'
+            });
+            state = mergeDialogState(state, { vehicleBrand: 'Toyota', vehicleModel: 'Camry', year: '2021' });
+            expect(state.slots).toMatchObject({ vehicleModel: 'Camry', year: '2021', fuelType: null, productCategory: '機油' });
+        });
+
+        test('should drop the car model when switching to a motorcycle', () => {
+            let state = mergeDialogState(createDialogState(), { vehicleType: '汽車', vehicleModel: 'Focus' });
+            state = mergeDialogState(state, { vehicleType: '摩托車' });
+            expect(state.slots.vehicleModel).toBeNull();
+        });
+    });
+
+    describe('getMissingSlots', () => {
+        const intent = { type: 'product_recommendation', needsProductRecommendation: true };
+
+        test('should ask for product category first', () => {
+            expect(getMissingSlots(createDialogState(), intent)).toEqual(['productCategory']);
+        });
+
+        test('should list required slots by category and vehicle type', () => {
+            const state = mergeDialogState(createDialogState(), { productCategory: '機油', vehicleType: '汽車', vehicleModel: 'Focus' });
+            expect(getMissingSlots(state, intent)).toEqual(['year', 'fuelType']);
+        });
+
+        test('should not require slots for SKU queries', () => {
+            expect(getMissingSlots(createDialogState(), { ...intent, isSKUQuery: true })).toEqual([]);
+        });
+    });
+
+    describe('buildFollowUpQuestions', () => {
+        test('should drop questions about confirmed slots and add other missing ones', () => {
+            const state = mergeDialogState(createDialogState(), { vehicleModel: 'Focus', year: '2019' });
+            const questions = buildFollowUpQuestions(['請問年份？', '請問是哪款車？', '請問使用情境？'], state, ['fuelType']);
+            expect(questions).toEqual(['請問使用情境？', '燃油類型（汽油/柴油/油電）']);
+        });
+
+        test('should return nothing when every question is already answered', () => {
+            const state = mergeDialogState(createDialogState(), { year: '2019' });
+            expect(buildFollowUpQuestions('請問年份？', state, ['fuelType'])).toEqual([]);
+        });
+    });
+
+    describe('hasConfirmedVehicle', () => {
+        test('should require both the vehicle model and the fuel type', () => {
+            const modelOnly = mergeDialogState(createDialogState(), { vehicleModel: 'Focus MK4' });
+            expect(hasConfirmedVehicle(modelOnly)).toBe(false);
+            expect(hasConfirmedVehicle(mergeDialogState(modelOnly, { fuelType: '汽油' }))).toBe(true);
+            expect(hasConfirmedVehicle(null)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for event-queue.js
+ * Verifies per-key ordering, cross-key concurrency and failure isolation
+ */
+
+const { createInProcessQueue, createEventQueue, keepAlive } = require('../event-queue');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('event-queue.js', () => {
+    describe('createInProcessQueue', () => {
+        test('should return before the worker finishes', async () => {
+            let done = false;
+            const queue = createInProcessQueue(async () => {
+                await delay(10);
+                done = true;
+            });
+
+            queue.enqueue({ key: 'user-1' });
+            expect(done).toBe(false);
+            expect(queue.size()).toBe(1);
+
+            await queue.drain();
+            expect(done).toBe(true);
+            expect(queue.size()).toBe(0);
+        });
+
+        test('should keep order for the same key', async () => {
+            const order = [];
+            const queue = createInProcessQueue(async (job) => {
+                await delay(job.ms);
+                order.push(job.id);
+            });
+
+            queue.enqueue({ key: 'user-1', id: 'first', ms: 20 });
+            queue.enqueue({ key: 'user-1', id: 'second', ms: 1 });
+            await queue.drain();
+
+            expect(order).toEqual(['first', 'second']);
+        });
+
+        test('should run different keys concurrently', async () => {
+            const order = [];
+            const queue = createInProcessQueue(async (job) => {
+                await delay(job.ms);
+                order.push(job.id);
+            });
+
+            queue.enqueue({ key: 'user-1', id: 'slow', ms: 20 });
+            queue.enqueue({ key: 'user-2', id: 'fast', ms: 1 });
+            await queue.drain();
+
+            expect(order).toEqual(['fast', 'slow']);
+        });
+
+        test('should continue with later jobs after a failure', async () => {
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const handled = [];
+            const queue = createInProcessQueue(async (job) => {
+                if (job.id === 'bad') throw new Error('boom');
+                handled.push(job.id);
+            });
+
+            queue.enqueue({ key: 'user-1', id: 'bad' });
+            queue.enqueue({ key: 'user-1', id: 'good' });
+            await queue.drain();
+
+            expect(handled).toEqual(['good']);
+            expect(errorSpy).toHaveBeenCalled();
+            errorSpy.mockRestore();
+        });
+    });
+
+    describe('createEventQueue', () => {
+        test('should fall back to the in-process adapter', () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(createEventQueue(async () => {}, { adapter: 'unknown' }).name).toBe('in-process');
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('keepAlive', () => {
+        const contextSymbol = Symbol.for('@vercel/request-context');
+
+        afterEach(() => {
+            delete globalThis[contextSymbol];
+        });
+
+        test('should hand the promise to the platform waitUntil when available', () => {
+            const waitUntil = jest.fn();
+            globalThis[contextSymbol] = { get: () => ({ waitUntil }) };
+
+            const promise = Promise.resolve();
+            expect(keepAlive(promise)).toBe(true);
+            expect(waitUntil).toHaveBeenCalledWith(promise);
+        });
+
+        test('should report when waitUntil is unavailable', () => {
+            expect(keepAlive(Promise.resolve())).toBe(false);
+        });
+    });
+});
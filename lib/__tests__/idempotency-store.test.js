@@ -0,0 +1,115 @@
+/**
+ * Tests for idempotency-store.js
+ * Verifies each adapter lets exactly one caller claim a key until it expires
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    createMemoryStore,
+    createFileStore,
+    createWixStore,
+    setIdempotencyStore,
+    claimOnce
+} = require('../idempotency-store');
+
+describe('idempotency-store.js', () => {
+    describe('memory store', () => {
+        test('should claim a key only once', async () => {
+            const store = createMemoryStore();
+            expect(await store.claim('meta:m1')).toBe(true);
+            expect(await store.claim('meta:m1')).toBe(false);
+            expect(await store.claim('meta:m2')).toBe(true);
+        });
+
+        test('should allow claiming again after expiry', async () => {
+            const store = createMemoryStore();
+            expect(await store.claim('meta:m1', -1)).toBe(true);
+            expect(await store.claim('meta:m1')).toBe(true);
+        });
+    });
+
+    describe('file store', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-test-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should let only one of several concurrent stores claim a key', async () => {
+            const stores = [createFileStore({ dir }), createFileStore({ dir }), createFileStore({ dir })];
+            const results = await Promise.all(stores.map(store => store.claim('meta:m1')));
+            expect(results.filter(Boolean)).toHaveLength(1);
+        });
+
+        test('should allow claiming again after expiry', async () => {
+            const store = createFileStore({ dir });
+            expect(await store.claim('meta:m1', -1)).toBe(true);
+            expect(await store.claim('meta:m1')).toBe(true);
+            expect(await store.claim('meta:m1')).toBe(false);
+        });
+    });
+
+    describe('wix store', () => {
+        const originalFetch = global.fetch;
+        let errorSpy;
+
+        beforeEach(() => {
+            errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+            errorSpy.mockRestore();
+        });
+
+        test('should follow the claimed flag from Wix and send a hashed key', async () => {
+            global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ success: true, claimed: false }) }));
+            const store = createWixStore({ url: 'https://example.com/_functions' });
+
+            expect(await store.claim('meta:m1')).toBe(false);
+            const [url, init] = global.fetch.mock.calls[0];
+            expect(url).toBe('https://example.com/_functions/claimMessage');
+            expect(JSON.parse(init.body).key).toMatch(/^[0-9a-f]{64}$/);
+        });
+
+        test('should not call Wix again for a retry on the same instance', async () => {
+            global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ success: true, claimed: true }) }));
+            const store = createWixStore();
+
+            expect(await store.claim('meta:m1')).toBe(true);
+            expect(await store.claim('meta:m1')).toBe(false);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should fall back to the in-memory claim when Wix is unavailable', async () => {
+            global.fetch = jest.fn(async () => ({ ok: false, status: 503 }));
+            const store = createWixStore();
+
+            expect(await store.claim('meta:m1')).toBe(true);
+            expect(await store.claim('meta:m1')).toBe(false);
+        });
+    });
+
+    describe('claimOnce', () => {
+        afterEach(() => {
+            setIdempotencyStore(null);
+        });
+
+        test('should use the configured store', async () => {
+            setIdempotencyStore(createMemoryStore());
+            expect(await claimOnce('meta:m1')).toBe(true);
+            expect(await claimOnce('meta:m1')).toBe(false);
+        });
+
+        test('should treat a missing key as unclaimed work', async () => {
+            expect(await claimOnce(undefined)).toBe(true);
+        });
+    });
+});
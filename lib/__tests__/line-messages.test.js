@@ -0,0 +1,117 @@
+/**
+ * Tests for line-messages.js
+ * Verifies text splitting, quick replies and Flex product bubbles stay within LINE limits
+ */
+
+const {
+    buildTextMessages,
+    buildQuickReply,
+    buildProductBubble,
+    buildProductFlexMessage,
+    composeReplyMessages
+} = require('../line-messages');
+
+const CARD = {
+    sku: 'LM2324',
+    title: 'Top Tec 4200 5W-30 全合成機油',
+    size: '1L',
+    url: 'https://www.liqui-moly-tw.com/products/lm2324',
+    viscosity: '5W-30',
+    image: 'https://static.wixstatic.com/media/abc_123.png'
+};
+
+describe('line-messages.js', () => {
+    describe('buildTextMessages', () => {
+        test('should keep short text as a single message', () => {
+            expect(buildTextMessages('您好')).toEqual([{ type: 'text', text: '您好' }]);
+            expect(buildTextMessages('')).toEqual([]);
+        });
+
+        test('should split long text at line breaks within 5000 characters', () => {
+            const paragraph = `${'機'.repeat(3000)}\n`;
+            const messages = buildTextMessages(paragraph.repeat(3));
+
+            expect(messages).toHaveLength(3);
+            messages.forEach(m => expect(m.text.length).toBeLessThanOrEqual(5000));
+        });
+    });
+
+    describe('buildQuickReply', () => {
+        test('should map payload to postback actions and text to message actions', () => {
+            const quickReply = buildQuickReply([
+                { label: '👤 真人客服', payload: 'HUMAN_AGENT' },
+                { label: 'Top Tec 4200 適合柴油車和渦輪增壓引擎嗎？', text: 'Top Tec 4200 適合柴油車和渦輪增壓引擎嗎？' }
+            ]);
+
+            expect(quickReply.items[0].action).toEqual({ type: 'postback', label: '👤 真人客服', data: 'HUMAN_AGENT', displayText: '👤 真人客服' });
+            expect(quickReply.items[1].action.type).toBe('message');
+            expect(quickReply.items[1].action.label).toHaveLength(20);
+        });
+
+        test('should return null without items', () => {
+            expect(buildQuickReply([])).toBeNull();
+        });
+    });
+
+    describe('buildProductBubble', () => {
+        test('should include image, subtitle and both buttons', () => {
+            const bubble = buildProductBubble(CARD);
+
+            expect(bubble.hero.url).toBe(CARD.image);
+            expect(bubble.body.contents.map(c => c.text)).toEqual([CARD.title, '1L / 5W-30']);
+            expect(bubble.footer.contents.map(c => c.action)).toEqual([
+                { type: 'uri', label: '查看產品', uri: CARD.url },
+                { type: 'postback', label: '這哪裡買', data: 'WHERE_TO_BUY:LM2324', displayText: 'LM2324 這哪裡買？' }
+            ]);
+        });
+
+        test('should skip the hero when there is no image', () => {
+            expect(buildProductBubble({ ...CARD, image: null }).hero).toBeUndefined();
+            expect(buildProductBubble({ ...CARD, url: null })).toBeNull();
+        });
+    });
+
+    describe('buildProductFlexMessage', () => {
+        test('should build a carousel of at most 12 bubbles', () => {
+            const cards = Array.from({ length: 15 }, (_, i) => ({ ...CARD, sku: `LM${3000 + i}` }));
+            const flex = buildProductFlexMessage(cards);
+
+            expect(flex.type).toBe('flex');
+            expect(flex.altText).toContain(CARD.title);
+            expect(flex.contents.contents).toHaveLength(12);
+        });
+
+        test('should return null without products', () => {
+            expect(buildProductFlexMessage([])).toBeNull();
+        });
+    });
+
+    describe('composeReplyMessages', () => {
+        test('should send text then products, with suggestions and quick replies on the last message', () => {
+            const messages = composeReplyMessages([
+                { type: 'text', text: '推薦以下產品' },
+                {
+                    type: 'products',
+                    products: [CARD],
+                    quickReplies: [{ label: '👤 真人客服', payload: 'HUMAN_AGENT' }],
+                    suggestions: ['有 4L 裝嗎？']
+                }
+            ]);
+
+            expect(messages.map(m => m.type)).toEqual(['text', 'flex']);
+            expect(messages[0].quickReply).toBeUndefined();
+            expect(messages[1].quickReply.items.map(i => i.action.type)).toEqual(['message', 'postback']);
+        });
+
+        test('should never exceed 5 messages and keep the products', () => {
+            const longText = `${'油'.repeat(4999)}\n`.repeat(6);
+            const messages = composeReplyMessages([
+                { type: 'text', text: longText },
+                { type: 'products', products: [CARD] }
+            ]);
+
+            expect(messages).toHaveLength(5);
+            expect(messages[4].type).toBe('flex');
+        });
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for llm-provider.js
+ * Verifies provider selection, TOKEN_LIMITS resolution, request mapping
+ * and retry / fallback model / circuit breaker behavior
+ */
+
+const {
+    generateText,
+    streamText,
+    getProvider,
+    registerProvider,
+    resolveTaskConfig,
+    createStubProvider,
+    isCircuitOpen,
+    resetCircuitBreakers
+} = require('../llm-provider');
+const { TOKEN_LIMITS, LLM_PROVIDERS, GEMINI_FALLBACK_MODEL, LLM_RESILIENCE } = require('../constants');
+
+const contents = [
+    { role: 'user', parts: [{ text: 'SYSTEM PROMPT\n\nUser: 推薦機油' }] },
+    { role: 'model', parts: [{ text: '請問車型？' }] },
+    { role: 'user', parts: [{ text: 'Focus\n\n[SYSTEM INSTRUCTION - DO NOT OUTPUT]\n1. ...' }] }
+];
+
+describe('llm-provider.js', () => {
+    const originalEnv = { ...process.env };
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+        global.fetch = originalFetch;
+        registerProvider(createStubProvider());
+        resetCircuitBreakers();
+    });
+
+    describe('getProvider', () => {
+        test('should default to gemini', () => {
+            delete process.env.LLM_PROVIDER;
+            expect(getProvider().name).toBe(LLM_PROVIDERS.GEMINI);
+        });
+
+        test('should fall back to gemini for unknown names', () => {
+            expect(getProvider('unknown').name).toBe(LLM_PROVIDERS.GEMINI);
+        });
+    });
+
+    describe('resolveTaskConfig', () => {
+        test('should use TOKEN_LIMITS per task', () => {
+            delete process.env.LLM_MODEL;
+            const config = resolveTaskConfig('analysis', getProvider('gemini'));
+            expect(config.maxOutputTokens).toBe(TOKEN_LIMITS.analysis.maxOutputTokens);
+            expect(config.temperature).toBe(TOKEN_LIMITS.analysis.temperature);
+            expect(config.model).toBe(TOKEN_LIMITS.analysis.model);
+        });
+
+        test('should use provider default model for non-gemini providers', () => {
+            delete process.env.LLM_MODEL;
+            const provider = getProvider('openai');
+            expect(resolveTaskConfig('chat', provider).model).toBe(provider.defaultModel);
+        });
+
+        test('should honor LLM_MODEL override', () => {
+            process.env.LLM_MODEL = 'custom-model';
+            expect(resolveTaskConfig('chat', getProvider('openai')).model).toBe('custom-model');
+        });
+    });
+
+    describe('stub provider', () => {
+        test('should return deterministic text without network', async () => {
+            process.env.LLM_PROVIDER = 'stub';
+            const first = await generateText('chat', contents);
+            const second = await generateText('chat', contents);
+            expect(first.text).toBe(second.text);
+            expect(first.text).toContain('Focus');
+            expect(first.text).not.toContain('SYSTEM INSTRUCTION');
+        });
+
+        test('should not return JSON for analysis task', async () => {
+            process.env.LLM_PROVIDER = 'stub';
+            const result = await generateText('analysis', contents);
+            expect(result.text).not.toMatch(/\{[\s\S]*\}/);
+        });
+
+        test('should stream the same text in chunks', async () => {
+            registerProvider(createStubProvider(() => 'x'.repeat(45)));
+            const deltas = [];
+            const result = await streamText('chat', contents, d => deltas.push(d), { provider: 'stub' });
+            expect(deltas).toHaveLength(3);
+            expect(deltas.join('')).toBe(result.text);
+        });
+    });
+
+    describe('openai provider', () => {
+        test('should map contents to chat messages and normalize finishReason', async () => {
+            process.env.LLM_API_URL = 'http://localhost:11434/v1/';
+            process.env.LLM_API_KEY = 'test-key';
+            let captured = null;
+            global.fetch = jest.fn(async (url, init) => {
+                captured = { url, init, body: JSON.parse(init.body) };
+                return {
+                    ok: true,
+                    json: async () => ({ choices: [{ message: { content: 'ok' }, finish_reason: 'length' }] })
+                };
+            });
+
+            const result = await generateText('chat', contents, { provider: 'openai' });
+
+            expect(captured.url).toBe('http://localhost:11434/v1/chat/completions');
+            expect(captured.init.headers.Authorization).toBe('Bearer test-key');
+            expect(captured.body.messages.map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+            expect(captured.body.max_tokens).toBe(TOKEN_LIMITS.chat.maxOutputTokens);
+            expect(result.text).toBe('ok');
+            expect(result.finishReason).toBe('MAX_TOKENS');
+        });
+
+        test('should throw with HTTP status on API error', async () => {
+            process.env.LLM_API_KEY = 'test-key';
+            global.fetch = jest.fn(async () => ({ ok: false, status: 429, text: async () => 'rate limited' }));
+
+            await expect(generateText('chat', contents, { provider: 'openai' }))
+                .rejects.toMatchObject({ status: 429 });
+        });
+    });
+
+    describe('fallback model', () => {
+        test('should be a different, current Gemini model', () => {
+            expect(GEMINI_FALLBACK_MODEL).not.toBe(TOKEN_LIMITS.chat.model);
+            expect(GEMINI_FALLBACK_MODEL).not.toMatch(/^gemini-1\./);
+        });
+    });
+
+    describe('resilience', () => {
+        const geminiOk = (text) => ({
+            ok: true,
+            json: async () => ({ candidates: [{ content: { parts: [{ text }] }, finishReason: 'STOP' }] })
+        });
+        const httpError = (status) => ({ ok: false, status, text: async () => 'error' });
+
+        beforeEach(() => {
+            delete process.env.LLM_MODEL;
+            process.env.GEMINI_API_KEY = 'test-key';
+        });
+
+        test('should retry transient errors on the primary model', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(httpError(503))
+                .mockResolvedValueOnce(geminiOk('ok'));
+
+            const result = await generateText('chat', contents, { provider: 'gemini' });
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(result.text).toBe('ok');
+            expect(result.model).toBe(TOKEN_LIMITS.chat.model);
+        });
+
+        test('should switch to the fallback model when the primary model is missing', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(httpError(404))
+                .mockResolvedValueOnce(geminiOk('ok'));
+
+            const result = await generateText('chat', contents, { provider: 'gemini' });
+
+            expect(global.fetch.mock.calls[1][0]).toContain(GEMINI_FALLBACK_MODEL);
+            expect(result.model).toBe(GEMINI_FALLBACK_MODEL);
+        });
+
+        test('should not retry client errors', async () => {
+            global.fetch = jest.fn(async () => httpError(400));
+
+            await expect(generateText('chat', contents, { provider: 'gemini' }))
+                .rejects.toMatchObject({ status: 400 });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should not call the provider once the request deadline has passed', async () => {
+            global.fetch = jest.fn(async () => geminiOk('ok'));
+
+            await expect(generateText('chat', contents, { provider: 'gemini', deadline: Date.now() + 100 }))
+                .rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(isCircuitOpen(LLM_PROVIDERS.GEMINI)).toBe(false);
+        });
+
+        test('should open the circuit after repeated failures and skip later calls', async () => {
+            global.fetch = jest.fn(async () => httpError(503));
+
+            await expect(generateText('analysis', contents, { provider: 'gemini' }))
+                .rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+            expect(global.fetch).toHaveBeenCalledTimes(LLM_RESILIENCE.circuitBreaker.failureThreshold);
+            expect(isCircuitOpen(LLM_PROVIDERS.GEMINI)).toBe(true);
+
+            // 同一次故障不應讓 chat 再等一輪
+            await expect(generateText('chat', contents, { provider: 'gemini' }))
+                .rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+            expect(global.fetch).toHaveBeenCalledTimes(LLM_RESILIENCE.circuitBreaker.failureThreshold);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for messenger-profile.js
+ * Verifies the profile config, field-level diff and dry-run / apply sync against the Graph API
+ */
+
+const { DIFF_STATUS, getDesiredProfile, diffProfile, syncProfile } = require('../messenger-profile');
+const { META_GRAPH_API_URL } = require('../constants');
+
+function jsonResponse(data, ok = true) {
+    return { ok, json: async () => data };
+}
+
+describe('messenger-profile.js', () => {
+    const originalFetch = global.fetch;
+    let logSpy;
+    let errorSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        logSpy.mockRestore();
+        errorSpy.mockRestore();
+    });
+
+    describe('getDesiredProfile', () => {
+        test('should load localized menus for Facebook and ice breakers for Instagram', () => {
+            const facebook = getDesiredProfile('facebook');
+            expect(Object.keys(facebook)).toEqual(['get_started', 'greeting', 'persistent_menu']);
+            expect(facebook.persistent_menu.map(menu => menu.locale)).toEqual(['default', 'en_US', 'ja_JP']);
+
+            const instagram = getDesiredProfile('instagram');
+            expect(Object.keys(instagram)).toEqual(['ice_breakers']);
+            expect(instagram.ice_breakers[0].call_to_actions[0].payload).toBe('VEHICLE_WIZARD:機油推薦');
+        });
+    });
+
+    describe('diffProfile', () => {
+        test('should ignore extra fields returned by the Graph API', () => {
+            const desired = { get_started: { payload: 'GET_STARTED' }, greeting: [{ locale: 'default', text: '您好' }] };
+            const current = { get_started: { payload: 'GET_STARTED', extra: true }, greeting: [{ locale: 'default', text: '哈囉' }] };
+
+            expect(diffProfile(desired, current).map(entry => [entry.field, entry.status])).toEqual([
+                ['get_started', DIFF_STATUS.UNCHANGED],
+                ['greeting', DIFF_STATUS.CHANGED]
+            ]);
+        });
+
+        test('should report missing fields as changed and unreadable profiles as unknown', () => {
+            const desired = { get_started: { payload: 'GET_STARTED' } };
+
+            expect(diffProfile(desired, {})[0]).toMatchObject({ status: DIFF_STATUS.CHANGED, current: null });
+            expect(diffProfile(desired, null)[0].status).toBe(DIFF_STATUS.UNKNOWN);
+        });
+    });
+
+    describe('syncProfile', () => {
+        test('should only compare in dry-run mode', async () => {
+            global.fetch = jest.fn(async () => jsonResponse({ data: [] }));
+
+            const result = await syncProfile('instagram', { dryRun: true });
+
+            expect(result.success).toBe(true);
+            expect(result.applied).toBeNull();
+            expect(result.diff[0]).toMatchObject({ field: 'ice_breakers', status: DIFF_STATUS.CHANGED });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.origin + url.pathname).toBe(`${META_GRAPH_API_URL}/me/messenger_profile`);
+            expect(url.searchParams.get('platform')).toBe('instagram');
+            expect(url.searchParams.get('fields')).toBe('ice_breakers');
+        });
+
+        test('should apply only the fields that differ', async () => {
+            const desired = getDesiredProfile('facebook');
+            global.fetch = jest.fn(async (url, init) => init?.method === 'POST'
+                ? jsonResponse({ result: 'success' })
+                : jsonResponse({ data: [{ get_started: desired.get_started, greeting: desired.greeting }] }));
+
+            const result = await syncProfile('facebook');
+
+            expect(result.success).toBe(true);
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(Object.keys(JSON.parse(global.fetch.mock.calls[1][1].body))).toEqual(['persistent_menu']);
+        });
+
+        test('should not apply anything when the profile is already up to date', async () => {
+            global.fetch = jest.fn(async () => jsonResponse({ data: [getDesiredProfile('facebook')] }));
+
+            const result = await syncProfile('facebook');
+
+            expect(result).toMatchObject({ success: true, applied: null });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+    });
+});
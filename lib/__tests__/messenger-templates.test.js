@@ -0,0 +1,118 @@
+/**
+ * Tests for messenger-templates.js
+ * Verifies product cards become a generic-template carousel and the text fallback for Instagram
+ */
+
+const {
+    supportsGenericTemplate,
+    buildProductElement,
+    buildProductCarousel,
+    parseWhereToBuyPayload,
+    formatProductListText,
+    renderMessengerMessages
+} = require('../messenger-templates');
+
+const CARD = {
+    sku: 'LM2324',
+    title: 'Top Tec 4200 5W-30 全合成機油',
+    size: '1L',
+    url: 'https://www.liqui-moly-tw.com/products/lm2324',
+    viscosity: '5W-30',
+    image: 'https://static.wixstatic.com/media/abc_123.png'
+};
+
+describe('messenger-templates.js', () => {
+    describe('supportsGenericTemplate', () => {
+        test('should use templates on Facebook and text on Instagram', () => {
+            expect(supportsGenericTemplate('facebook')).toBe(true);
+            expect(supportsGenericTemplate('instagram')).toBe(false);
+        });
+    });
+
+    describe('buildProductElement', () => {
+        test('should build title, subtitle, image and both buttons', () => {
+            expect(buildProductElement(CARD)).toEqual({
+                title: CARD.title,
+                subtitle: '1L / 5W-30',
+                image_url: CARD.image,
+                default_action: { type: 'web_url', url: CARD.url },
+                buttons: [
+                    { type: 'web_url', url: CARD.url, title: '查看產品' },
+                    { type: 'postback', title: '這哪裡買', payload: 'WHERE_TO_BUY:LM2324' }
+                ]
+            });
+        });
+
+        test('should omit missing fields and truncate long titles', () => {
+            const element = buildProductElement({ ...CARD, title: '長'.repeat(100), size: null, viscosity: null, image: null });
+            expect(element.title).toHaveLength(80);
+            expect(element.subtitle).toBeUndefined();
+            expect(element.image_url).toBeUndefined();
+        });
+
+        test('should skip cards without a title or url', () => {
+            expect(buildProductElement({ ...CARD, url: null })).toBeNull();
+        });
+    });
+
+    describe('buildProductCarousel', () => {
+        test('should wrap elements in a generic template, at most 10 cards', () => {
+            const cards = Array.from({ length: 12 }, (_, i) => ({ ...CARD, sku: `LM${3000 + i}` }));
+            const { payload } = buildProductCarousel(cards).attachment;
+
+            expect(payload.template_type).toBe('generic');
+            expect(payload.elements).toHaveLength(10);
+        });
+
+        test('should return null when there is nothing to show', () => {
+            expect(buildProductCarousel([])).toBeNull();
+            expect(buildProductCarousel(undefined)).toBeNull();
+        });
+    });
+
+    describe('parseWhereToBuyPayload', () => {
+        test('should extract the SKU from the button payload', () => {
+            expect(parseWhereToBuyPayload('WHERE_TO_BUY:LM2324')).toBe('LM2324');
+            expect(parseWhereToBuyPayload('HUMAN_AGENT')).toBeNull();
+            expect(parseWhereToBuyPayload(undefined)).toBeNull();
+        });
+    });
+
+    describe('formatProductListText', () => {
+        test('should list only products whose link is not already in the reply', () => {
+            const other = { ...CARD, sku: 'LM2325', title: 'Special Tec AA 0W-20', url: 'https://www.liqui-moly-tw.com/products/lm2325' };
+            const text = formatProductListText([CARD, other], `推薦 Top Tec 4200\n${CARD.url}`);
+
+            expect(text).toBe(`• ${other.title}\n🔗 產品連結：\n${other.url}`);
+        });
+
+        test('should return null when every link is already present', () => {
+            expect(formatProductListText([CARD], CARD.url)).toBeNull();
+            expect(formatProductListText([], '')).toBeNull();
+        });
+    });
+
+    describe('renderMessengerMessages', () => {
+        const OUTBOUND = [
+            { type: 'text', text: '🤖 推薦 Top Tec 4200' },
+            { type: 'products', products: [CARD], quickReplies: [{ label: '👤 真人客服', payload: 'HUMAN_AGENT' }], suggestions: ['有 4L 裝嗎？'] }
+        ];
+
+        test('should send a carousel with quick replies on Facebook', () => {
+            const rendered = renderMessengerMessages(OUTBOUND, 'facebook');
+
+            expect(rendered).toHaveLength(2);
+            expect(rendered[0]).toEqual({ text: '🤖 推薦 Top Tec 4200', quickReplies: undefined });
+            expect(rendered[1].template.attachment.payload.template_type).toBe('generic');
+            expect(rendered[1].quickReplies).toEqual([{ content_type: 'text', title: '👤 真人客服', payload: 'HUMAN_AGENT' }]);
+        });
+
+        test('should append product links to the text on Instagram', () => {
+            const rendered = renderMessengerMessages(OUTBOUND, 'instagram');
+
+            expect(rendered).toHaveLength(1);
+            expect(rendered[0].text).toContain(CARD.url);
+            expect(rendered[0].quickReplies).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for meta-handover.js
+ * Verifies thread control requests sent to the Graph API and handover event parsing
+ */
+
+const {
+    HANDOVER_EVENT_TYPES,
+    passThreadControl,
+    takeThreadControl,
+    parseHandoverEvent
+} = require('../meta-handover');
+const { META_GRAPH_API_URL, META_PAGE_INBOX_APP_ID } = require('../constants');
+
+describe('meta-handover.js', () => {
+    const originalFetch = global.fetch;
+    let logSpy;
+    let errorSpy;
+
+    beforeEach(() => {
+        global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        logSpy.mockRestore();
+        errorSpy.mockRestore();
+    });
+
+    describe('passThreadControl', () => {
+        test('should pass control of the thread to Page Inbox', async () => {
+            expect(await passThreadControl('user-1', 'facebook', 'user_request')).toBe(true);
+
+            const [url, init] = global.fetch.mock.calls[0];
+            expect(url).toBe(`${META_GRAPH_API_URL}/me/pass_thread_control`);
+            expect(JSON.parse(init.body)).toMatchObject({
+                recipient: { id: 'user-1' },
+                target_app_id: META_PAGE_INBOX_APP_ID,
+                metadata: 'user_request'
+            });
+        });
+
+        test('should return false instead of throwing when the Graph API fails', async () => {
+            global.fetch = jest.fn(async () => ({ ok: false, json: async () => ({ error: { code: 10 } }) }));
+            expect(await passThreadControl('user-1')).toBe(false);
+
+            global.fetch = jest.fn(async () => { throw new Error('network down'); });
+            expect(await passThreadControl('user-1')).toBe(false);
+        });
+    });
+
+    describe('takeThreadControl', () => {
+        test('should take control back without a target app', async () => {
+            expect(await takeThreadControl('user-1', 'instagram', 'resume_ai')).toBe(true);
+
+            const [url, init] = global.fetch.mock.calls[0];
+            const body = JSON.parse(init.body);
+            expect(url).toBe(`${META_GRAPH_API_URL}/me/take_thread_control`);
+            expect(body.recipient).toEqual({ id: 'user-1' });
+            expect(body.target_app_id).toBeUndefined();
+        });
+    });
+
+    describe('parseHandoverEvent', () => {
+        test('should parse take_thread_control from Page Inbox', () => {
+            const event = {
+                sender: { id: 'user-1' },
+                recipient: { id: 'page-1' },
+                timestamp: 1700000000000,
+                take_thread_control: { previous_owner_app_id: '1234', new_owner_app_id: META_PAGE_INBOX_APP_ID, metadata: 'agent' }
+            };
+
+            expect(parseHandoverEvent(event)).toEqual({
+                type: HANDOVER_EVENT_TYPES.TAKE,
+                userId: 'user-1',
+                metadata: 'agent',
+                ownerAppId: META_PAGE_INBOX_APP_ID
+            });
+        });
+
+        test('should parse pass_thread_control back to this app', () => {
+            const event = {
+                sender: { id: 'user-1' },
+                pass_thread_control: { previous_owner_app_id: META_PAGE_INBOX_APP_ID, new_owner_app_id: 1234 }
+            };
+
+            expect(parseHandoverEvent(event)).toMatchObject({ type: HANDOVER_EVENT_TYPES.PASS, ownerAppId: '1234' });
+        });
+
+        test('should return null for regular messages', () => {
+            expect(parseHandoverEvent({ sender: { id: 'user-1' }, message: { mid: 'm1', text: 'hi' } })).toBeNull();
+            expect(parseHandoverEvent(undefined)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for meta-sender-actions.js
+ * Verifies sender actions sent to the Graph API and the typing indicator lifecycle
+ */
+
+const { SENDER_ACTIONS, sendSenderAction, startTypingIndicator } = require('../meta-sender-actions');
+const { META_GRAPH_API_URL } = require('../constants');
+
+function sentActions() {
+    return global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body).sender_action);
+}
+
+describe('meta-sender-actions.js', () => {
+    const originalFetch = global.fetch;
+    let errorSpy;
+
+    beforeEach(() => {
+        global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ recipient_id: 'user-1' }) }));
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        errorSpy.mockRestore();
+        jest.useRealTimers();
+    });
+
+    describe('sendSenderAction', () => {
+        test('should post the sender action to the Send API', async () => {
+            expect(await sendSenderAction('user-1', SENDER_ACTIONS.MARK_SEEN, 'instagram')).toBe(true);
+
+            const [url, init] = global.fetch.mock.calls[0];
+            expect(url).toBe(`${META_GRAPH_API_URL}/me/messages`);
+            expect(JSON.parse(init.body)).toMatchObject({ recipient: { id: 'user-1' }, sender_action: 'mark_seen' });
+        });
+
+        test('should return false instead of throwing when the Graph API fails', async () => {
+            global.fetch = jest.fn(async () => ({ ok: false, json: async () => ({ error: { code: 10 } }) }));
+            expect(await sendSenderAction('user-1', SENDER_ACTIONS.TYPING_ON)).toBe(false);
+
+            global.fetch = jest.fn(async () => { throw new Error('network down'); });
+            expect(await sendSenderAction('user-1', SENDER_ACTIONS.TYPING_ON)).toBe(false);
+        });
+    });
+
+    describe('startTypingIndicator', () => {
+        test('should mark seen, refresh typing until stopped, then turn typing off once', async () => {
+            jest.useFakeTimers();
+            const typing = startTypingIndicator('user-1', 'facebook', { refreshMs: 1000 });
+
+            await jest.advanceTimersByTimeAsync(2500);
+            await typing.stop();
+            await typing.stop();
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(sentActions()).toEqual(['mark_seen', 'typing_on', 'typing_on', 'typing_on', 'typing_off']);
+        });
+
+        test('should not reject when every sender action fails', async () => {
+            global.fetch = jest.fn(async () => { throw new Error('network down'); });
+            const typing = startTypingIndicator('user-1');
+
+            await expect(typing.stop()).resolves.toBeUndefined();
+            expect(global.fetch).toHaveBeenCalledTimes(3);
+        });
+    });
+});
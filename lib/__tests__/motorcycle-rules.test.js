@@ -99,6 +99,16 @@ describe('motorcycle-rules.js', () => {
             expect(result[0].partno).toBe('LM1515');
         });
 
+        test('should keep MA2 products whose JASO field uses a hyphen or the T903 standard number', () => {
+            const products = [
+                { partno: 'LM1521', title: 'Motorbike 4T Synth Street 10W-40', cert: 'JASO-MA2', word2: '10W-40' },
+                { partno: 'LM20753', title: 'Motorbike 4T Synth Race 10W-50', cert: 'JASO T903:2016 MA2', word2: '10W-50' }
+            ];
+            expect(searchMotorcycleOil(products, { vehicleSubType: '檔車' }).map(p => p.partno)).toEqual(['LM1521', 'LM20753']);
+            expect(searchMotorcycleOil(products, { vehicleSubType: '速克達' })).toEqual([]);
+            expect(filterMotorcycleProducts(products, { isScooter: true })).toEqual([]);
+        });
+
         test('should filter by viscosity', () => {
             const result = searchMotorcycleOil(mockProducts, { vehicleSubType: '速克達', viscosity: '10W-40' });
             expect(result.length).toBe(1);
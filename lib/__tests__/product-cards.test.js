@@ -0,0 +1,99 @@
+/**
+ * Tests for product-cards.js
+ * Verifies product cards built from validated SKUs and suggested replies
+ */
+
+const { buildProductCards, buildSuggestedReplies } = require('../product-cards');
+const { getProductUrl, PRODUCT_CARDS } = require('../constants');
+
+const productList = [
+    { partno: 'LM2316', title: 'Top Tec 4200 5W-30', size: '1L', word2: '5W-30', cert: 'VW 504 00', price: '650', image: 'https://example.com/lm2316.jpg' },
+    { partno: 'LM3840', title: 'Special Tec F 5W-20', size: '1L', word2: '5W-20', cert: 'Ford WSS-M2C948-B' },
+    { partno: 'LM20956', title: 'Bike Fragrance' }
+];
+
+describe('product-cards.js', () => {
+    describe('buildProductCards', () => {
+        test('should build cards from the database in SKU order', () => {
+            const cards = buildProductCards(['LM3840', 'LM2316'], productList);
+
+            expect(cards.map(c => c.sku)).toEqual(['LM3840', 'LM2316']);
+            expect(cards[1]).toEqual({
+                sku: 'LM2316',
+                title: 'Top Tec 4200 5W-30',
+                size: '1L',
+                url: getProductUrl('LM2316'),
+                viscosity: '5W-30',
+                cert: 'VW 504 00',
+                price: '650',
+                image: 'https://example.com/lm2316.jpg'
+            });
+        });
+
+        test('should use null for missing image, price and details', () => {
+            const [card] = buildProductCards(['LM20956'], productList);
+
+            expect(card).toMatchObject({ sku: 'LM20956', size: null, viscosity: null, cert: null, price: null, image: null });
+            // 連結一律由產品編號產生
+            expect(card.url).toBe(getProductUrl('LM20956'));
+        });
+
+        test('should skip SKUs not in the database', () => {
+            expect(buildProductCards(['LM99999', 'LM2316'], productList).map(c => c.sku)).toEqual(['LM2316']);
+        });
+
+        test('should drop duplicate SKUs regardless of case', () => {
+            const cards = buildProductCards(['LM2316', 'lm2316', 'LM3840', 'LM2316'], productList);
+
+            expect(cards.map(c => c.sku)).toEqual(['LM2316', 'LM3840']);
+        });
+
+        test('should cap the number of cards', () => {
+            const manyProducts = Array.from({ length: PRODUCT_CARDS.maxCards + 5 }, (_, i) => ({
+                partno: `LM${1000 + i}`,
+                title: `Product ${i}`
+            }));
+
+            const cards = buildProductCards(manyProducts.map(p => p.partno), manyProducts);
+
+            expect(cards).toHaveLength(PRODUCT_CARDS.maxCards);
+            expect(cards[0].sku).toBe('LM1000');
+        });
+
+        test('should return an empty list without SKUs or products', () => {
+            expect(buildProductCards([], productList)).toEqual([]);
+            expect(buildProductCards(null, productList)).toEqual([]);
+            expect(buildProductCards(['LM2316'], [])).toEqual([]);
+        });
+    });
+
+    describe('buildSuggestedReplies', () => {
+        test('should reference the first product when products are returned', () => {
+            const products = buildProductCards(['LM3840', 'LM2316'], productList);
+            const replies = buildSuggestedReplies({ type: 'product_recommendation' }, products);
+
+            expect(replies.length).toBeGreaterThan(0);
+            expect(replies[0]).toContain('LM3840');
+            expect(replies.join()).not.toContain('{sku}');
+        });
+
+        test('should use intent replies for an empty product list', () => {
+            const replies = buildSuggestedReplies({ type: 'purchase_inquiry' }, []);
+
+            expect(replies).toContain('查詢附近店家');
+            expect(replies.join()).not.toContain('{sku}');
+        });
+
+        test('should fall back to default replies for unknown intents', () => {
+            expect(buildSuggestedReplies({ type: 'unknown' })).toEqual(buildSuggestedReplies(null));
+            expect(buildSuggestedReplies(null).length).toBeGreaterThan(0);
+        });
+
+        test('should use English replies for other languages and cap the count', () => {
+            const replies = buildSuggestedReplies({ type: 'product_recommendation' }, [], 'ja');
+
+            expect(replies).toContain('Car engine oil');
+            expect(replies.length).toBeLessThanOrEqual(3);
+        });
+    });
+});
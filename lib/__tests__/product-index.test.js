@@ -0,0 +1,68 @@
+/**
+ * Tests for product-index.js
+ * Verifies CJK bigram tokenization and field-weighted BM25 ranking
+ */
+
+const { tokenize, createProductIndex } = require('../product-index');
+
+const PRODUCTS = [
+    { id: '1', partno: 'LM2324', title: 'Top Tec 4200 5W-30 全合成機油', word2: '5W-30', cert: 'VW 504 00', sort: '【汽車】機油', content: '長效換油' },
+    { id: '2', partno: 'LM9047', title: 'Special Tec AA 0W-20 機油', word2: '0W-20', cert: 'API SP, ILSAC GF-6A', sort: '【汽車】機油', content: '適用日韓車款，可搭配 5W-30 使用說明' },
+    { id: '3', partno: 'LM5129', title: 'Cera Tec 陶瓷添加劑', sort: '【汽車】添加劑', content: '降低摩擦，保護引擎' },
+    { id: '4', partno: 'LM1580', title: 'Motorbike 4T 10W-40 Street', word2: '10W-40', cert: 'JASO MA2', sort: '【摩托車】機油' }
+];
+
+describe('product-index.js', () => {
+    describe('tokenize', () => {
+        test('should split CJK text into bigrams and keep alphanumeric words', () => {
+            expect(tokenize('全合成機油')).toEqual(['全合', '合成', '成機', '機油']);
+            expect(tokenize('Top Tec 4200')).toEqual(['top', 'tec', '4200']);
+        });
+
+        test('should ignore case, hyphens and full-width characters', () => {
+            expect(tokenize('5W-30')).toEqual(['5w30']);
+            expect(tokenize('ＧＦ－６Ａ')).toEqual(tokenize('gf-6a'));
+            expect(tokenize('油')).toEqual(['油']);
+        });
+    });
+
+    describe('createProductIndex', () => {
+        const index = createProductIndex(PRODUCTS);
+
+        test('should rank the viscosity field above a mention in the content', () => {
+            const results = index.search('5W30');
+            expect(results.map(r => r.product.id)).toEqual(['1', '2']);
+            expect(results[0].score).toBeGreaterThan(results[1].score);
+        });
+
+        test('should match CJK queries without exact substrings', () => {
+            expect(index.search('陶瓷 添加劑')[0].product.id).toBe('3');
+            expect(index.search('摩托車機油')[0].product.id).toBe('4');
+        });
+
+        test('should restrict scoring to the given fields and respect the limit', () => {
+            expect(index.search('機油', { fields: ['sort'] }).map(r => r.product.id)).toEqual(['1', '2', '4']);
+            expect(index.search('機油', { limit: 1 })).toHaveLength(1);
+            expect(index.search('不存在的產品')).toEqual([]);
+        });
+
+        test('should apply configurable field boosts', () => {
+            const contentFirst = createProductIndex(PRODUCTS, { fieldBoosts: { content: 10, word2: 0.1 } });
+            expect(contentFirst.search('5W-30')[0].product.id).toBe('2');
+        });
+
+        test('should require most query terms so another series with the same viscosity is not returned', () => {
+            const withMolygen = createProductIndex([
+                ...PRODUCTS,
+                { id: '5', partno: 'LM9041', title: 'Molygen New Generation 5W-30 機油', word2: '5W-30', sort: '【汽車】機油' }
+            ]);
+            expect(withMolygen.search('Molygen 5W-30').map(r => r.product.id)).toEqual(['5']);
+            expect(withMolygen.search('Molygen 5W-30', { minTermRatio: 0 }).map(r => r.product.id)).toContain('1');
+        });
+
+        test('rank should reorder a list by relevance and keep unmatched products last', () => {
+            const ranked = index.rank([PRODUCTS[3], PRODUCTS[2], PRODUCTS[0]], 'Cera Tec');
+            expect(ranked.map(p => p.id)).toEqual(['3', '1', '4']);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for product-model.js
+ * Verifies parsing of raw Wix fields into viscosity grades, certifications, vehicle types, pack sizes and series
+ */
+
+const {
+    normalizeCertKey,
+    parseCertifications,
+    parseViscosities,
+    parsePackLitres,
+    parseProductSpec,
+    getProductSpec,
+    normalizeCatalog,
+    hasViscosity,
+    hasCertification
+} = require('../product-model');
+
+describe('product-model.js', () => {
+    describe('parseCertifications', () => {
+        test('should split the free-text blob into families and versions', () => {
+            expect(parseCertifications('API SP, ILSAC GF-6A；ACEA C3')).toEqual([
+                { name: 'API SP', family: 'API', version: 'SP', key: 'APISP' },
+                { name: 'ILSAC GF-6A', family: 'ILSAC', version: 'GF-6A', key: 'ILSACGF6A' },
+                { name: 'ACEA C3', family: 'ACEA', version: 'C3', key: 'ACEAC3' }
+            ]);
+        });
+
+        test('should carry the family over to bare versions', () => {
+            expect(parseCertifications('API SN/SP').map(c => c.name)).toEqual(['API SN', 'API SP']);
+            expect(parseCertifications('MB-Approval 229.5, 229.51').map(c => [c.family, c.key])).toEqual([
+                ['MB', 'MB229.5'],
+                ['MB', 'MB229.51']
+            ]);
+            expect(parseCertifications('VW 504 00, Toyota').map(c => c.family)).toEqual(['VW', 'Other']);
+        });
+
+        test('should strip separators and the T903 standard number from JASO versions', () => {
+            expect(parseCertifications('JASO-MA2, JASO:MB, JASO T903:2016 MA2').map(c => c.version)).toEqual(['MA2', 'MB', 'MA2']);
+            expect(parseProductSpec({ title: 'Motorbike 4T 10W-40 Street', cert: 'JASO-MA2' }).vehicleTypes).toEqual(['motorbike']);
+        });
+
+        test('normalizeCertKey should unify spacing, hyphens and BMW Longlife aliases', () => {
+            expect(normalizeCertKey('BMW LL-01')).toBe(normalizeCertKey('BMW Longlife-01'));
+            expect(normalizeCertKey('VW504 00')).toBe('VW50400');
+        });
+    });
+
+    test('parseViscosities and parsePackLitres should read grades and sizes in litres', () => {
+        expect(parseViscosities('SAE 5W-30 / 5w40')).toEqual(['5W-30', '5W-40']);
+        expect(parseViscosities('DOT 4')).toEqual([]);
+        expect(parsePackLitres('4L')).toBe(4);
+        expect(parsePackLitres('300 ml')).toBe(0.3);
+        expect(parsePackLitres('5W-30')).toBeNull();
+    });
+
+    describe('parseProductSpec', () => {
+        test('should build the structured spec of a car oil', () => {
+            expect(parseProductSpec({
+                title: 'Top Tec 4200 5W-30 全合成機油',
+                word2: '5W-30',
+                cert: 'VW 504 00, VW 507 00',
+                sort: '【汽車】機油',
+                size: '4L'
+            })).toMatchObject({
+                viscosities: ['5W-30'],
+                vehicleTypes: ['car'],
+                syntheticLevel: 'full',
+                packLitres: 4,
+                series: 'Top Tec'
+            });
+        });
+
+        test('should tell motorbike, scooter and marine products apart', () => {
+            expect(parseProductSpec({ title: 'Motorbike 4T 10W-40 Street', cert: 'JASO MA2' }).vehicleTypes).toEqual(['motorbike']);
+            expect(parseProductSpec({ title: 'Motorbike 4T 10W-40 Scooter', cert: 'JASO MB' }).vehicleTypes).toEqual(['motorbike', 'scooter']);
+            expect(parseProductSpec({ title: 'Marine 4T Motor Oil 10W-30', sort: '【船舶】機油' }).vehicleTypes).toEqual(['marine']);
+        });
+
+        test('should prefer the longest series name and fall back to the title for viscosity', () => {
+            const spec = parseProductSpec({ title: 'Top Tec ATF 1800' });
+            expect(spec.series).toBe('Top Tec ATF');
+            expect(parseProductSpec({ title: 'Special Tec AA 0W-20' }).viscosities).toEqual(['0W-20']);
+        });
+    });
+
+    test('normalizeCatalog should attach the spec without changing the raw fields', () => {
+        const raw = { partno: 'LM2324', title: 'Top Tec 4200', word2: '5W-30' };
+        const [product] = normalizeCatalog([raw]);
+
+        expect(product).toMatchObject(raw);
+        expect(raw.spec).toBeUndefined();
+        expect(getProductSpec(product)).toBe(product.spec);
+        expect(getProductSpec(raw)).toBe(getProductSpec(raw));
+    });
+
+    test('hasViscosity and hasCertification should compare parsed values', () => {
+        const product = { word2: '10W-30', cert: 'BMW Longlife-01, MB 229.5' };
+
+        expect(hasViscosity(product, '10w30')).toBe(true);
+        expect(hasViscosity(product, '0W-30')).toBe(false);
+        expect(hasCertification(product, 'BMW LL-01')).toBe(true);
+        expect(hasCertification(product, 'MB 229.5', 'eq')).toBe(true);
+        expect(hasCertification(product, 'MB 229', 'eq')).toBe(false);
+    });
+});
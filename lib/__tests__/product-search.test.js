@@ -0,0 +1,113 @@
+/**
+ * Tests for product-search.js
+ * Verifies JSON-mode request parsing, filters, match reasons, facets and cursor pagination
+ */
+
+const { parseSearchRequest, searchProductsStructured, deduplicateBySize } = require('../product-search');
+
+const PRODUCTS = [
+    { _id: 'a', partno: 'LM2324', title: 'Top Tec 4200 5W-30', word2: '5W-30', cert: 'VW 504 00, VW 507 00', sort: '【汽車】機油', size: '1L', price: '650' },
+    { _id: 'b', partno: 'LM2325', title: 'Top Tec 4200 5W-30', word2: '5W-30', cert: 'VW 504 00, VW 507 00', sort: '【汽車】機油', size: '4L', price: '2400' },
+    { _id: 'c', partno: 'LM9047', title: 'Special Tec AA 0W-20', word2: '0W-20', cert: 'API SP, ILSAC GF-6A', sort: '【汽車】機油', size: '1L', price: '550' },
+    { _id: 'd', partno: 'LM1580', title: 'Motorbike 4T 10W-40 Street', word2: '10W-40', cert: 'JASO MA2', sort: '【摩托車】機油', size: '1L', price: '480' },
+    { _id: 'e', partno: 'LM1618', title: 'Motorbike 4T 10W-40 Scooter', word2: '10W-40', cert: 'JASO MB', sort: '【摩托車】機油', size: '1L' },
+    { _id: 'f', partno: 'LM5129', title: 'Cera Tec 陶瓷添加劑', sort: '【汽車】添加劑', size: '300ml', price: '890' }
+];
+
+function search(body) {
+    const { request, error } = parseSearchRequest(body);
+    if (error) throw new Error(error);
+    return searchProductsStructured(PRODUCTS, request);
+}
+
+describe('product-search.js', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    describe('parseSearchRequest', () => {
+        test('should normalize filters and apply the default page size', () => {
+            const { request } = parseSearchRequest({ query: ' 機油 ', filters: { vehicleType: '速克達', minPrice: '100', size: '' } });
+            expect(request).toMatchObject({ query: '機油', filters: { vehicleType: 'scooter', minPrice: 100 }, limit: 20, offset: 0 });
+        });
+
+        test('should reject invalid filters, limits and cursors', () => {
+            expect(parseSearchRequest({ filters: { vehicleType: 'boat' } }).error).toMatch(/vehicleType/);
+            expect(parseSearchRequest({ filters: { minPrice: 500, maxPrice: 100 } }).error).toMatch(/minPrice/);
+            expect(parseSearchRequest({ limit: 0 }).error).toMatch(/limit/);
+            expect(parseSearchRequest({ cursor: 'not-a-cursor' }).error).toMatch(/cursor/);
+        });
+    });
+
+    describe('searchProductsStructured', () => {
+        test('should return typed products with match reasons', () => {
+            const result = search({ query: 'Top Tec', filters: { viscosity: '5W30' } });
+
+            expect(result.total).toBe(1);
+            expect(result.products[0]).toMatchObject({
+                id: 'a',
+                sku: 'LM2324',
+                category: '【汽車】機油',
+                price: 650,
+                viscosities: ['5W-30'],
+                certifications: [
+                    { name: 'VW 504 00', family: 'VW', version: '504 00' },
+                    { name: 'VW 507 00', family: 'VW', version: '507 00' }
+                ],
+                vehicleTypes: ['car'],
+                packLitres: 1,
+                series: 'Top Tec'
+            });
+            expect(result.products[0].matchReasons.map(r => r.field)).toEqual(['query', 'viscosity']);
+        });
+
+        test('should filter by vehicle type with the motorcycle rules', () => {
+            expect(search({ filters: { vehicleType: 'motorcycle' } }).products.map(p => p.id)).toEqual(['d', 'e']);
+            expect(search({ filters: { vehicleType: 'scooter' } }).products.map(p => p.id)).toEqual(['e']);
+            expect(search({ filters: { vehicleType: 'car' } }).products.map(p => p.id)).toEqual(['a', 'c', 'f']);
+        });
+
+        test('should filter by certification, category, size and price range', () => {
+            expect(search({ filters: { certification: 'VW 504 00' } }).products.map(p => p.id)).toEqual(['a']);
+            expect(search({ filters: { category: '添加劑' } }).products.map(p => p.id)).toEqual(['f']);
+            expect(search({ filters: { size: '4 l' } }).products.map(p => p.id)).toEqual(['b']);
+            expect(search({ filters: { size: '0.3L' } }).products.map(p => p.id)).toEqual(['f']);
+            expect(search({ filters: { minPrice: 500, maxPrice: 700 } }).products.map(p => p.id)).toEqual(['a', 'c']);
+        });
+
+        test('should count facets over every size before deduplication', () => {
+            const { facets } = search({ filters: { vehicleType: 'car' } });
+
+            expect(facets.viscosity).toEqual([{ value: '5W-30', count: 2 }, { value: '0W-20', count: 1 }]);
+            expect(facets.size).toContainEqual({ value: '1L', count: 2 });
+            expect(facets.vehicleType).toEqual([{ value: 'car', count: 4 }]);
+            expect(facets.price).toEqual({ min: 550, max: 2400 });
+        });
+
+        test('should paginate with a cursor bound to the query', () => {
+            const first = search({ limit: 2 });
+            expect(first.products.map(p => p.id)).toEqual(['a', 'c']);
+            expect(first.total).toBe(5);
+
+            const second = search({ limit: 2, cursor: first.nextCursor });
+            expect(second.products.map(p => p.id)).toEqual(['d', 'e']);
+
+            const last = search({ limit: 2, cursor: second.nextCursor });
+            expect(last.products.map(p => p.id)).toEqual(['f']);
+            expect(last.nextCursor).toBeNull();
+
+            expect(parseSearchRequest({ query: '機油', cursor: first.nextCursor }).error).toMatch(/cursor/);
+        });
+    });
+
+    test('deduplicateBySize should keep the 1L pack unless large packs are preferred', () => {
+        expect(deduplicateBySize(PRODUCTS.slice(0, 2)).map(p => p.size)).toEqual(['1L']);
+        expect(deduplicateBySize(PRODUCTS.slice(0, 2), true).map(p => p.size)).toEqual(['4L']);
+    });
+});
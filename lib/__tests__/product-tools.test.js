@@ -0,0 +1,209 @@
+/**
+ * Tests for product-tools.js
+ * Verifies tool handler output, tool dispatch errors, the function-calling loop
+ * and the context-stuffing fallback in /api/chat
+ */
+
+jest.mock('../../api/search.js', () => ({
+    getProducts: jest.fn(async () => [
+        { partno: 'LM2316', title: 'Top Tec 4200 5W-30', size: '1L', word2: '5W-30', cert: 'VW 504 00', sort: '機油', use: '汽油 / 柴油引擎', content: '長效機油' },
+        { partno: 'LM2317', title: 'Top Tec 4200 5W-30', size: '5L', word2: '5W-30', cert: 'VW 504 00', sort: '機油' },
+        { partno: 'LM3840', title: 'Special Tec F 5W-20', size: '1L', word2: '5W-20', cert: 'API SP, Ford WSS-M2C948-B', sort: '機油' }
+    ]),
+    searchProducts: jest.fn(() => '## 產品資料庫\n- LM2316 Top Tec 4200 5W-30\n- LM99999 不存在的產品')
+}));
+
+jest.mock('../llm-provider', () => ({
+    ...jest.requireActual('../llm-provider'),
+    generateText: jest.fn()
+}));
+
+const searchModule = require('../../api/search.js');
+const { generateText } = require('../llm-provider');
+const { TOOL_DECLARATIONS, executeToolCall, runToolLoop } = require('../product-tools');
+const { callLLMWithTools } = require('../../api/chat');
+const { TOOL_CALLING, getProductUrl } = require('../constants');
+
+const contents = [{ role: 'user', parts: [{ text: 'SYSTEM PROMPT\n\nUser: 推薦 5W-30 機油' }] }];
+
+const toolCallResult = (name, args) => ({
+    text: '',
+    finishReason: 'STOP',
+    functionCalls: [{ name, args }],
+    parts: [{ functionCall: { name, args } }]
+});
+const textResult = (text) => ({ text, finishReason: 'STOP', functionCalls: [], parts: [{ text }] });
+
+describe('product-tools.js', () => {
+    afterEach(() => {
+        generateText.mockReset();
+    });
+
+    describe('TOOL_DECLARATIONS', () => {
+        test('should declare a handler for every tool', async () => {
+            for (const { name } of TOOL_DECLARATIONS) {
+                await expect(executeToolCall({ name, args: {} })).resolves.toBeDefined();
+            }
+        });
+    });
+
+    describe('searchProducts', () => {
+        test('should return compact products for SKUs found by the search rules', async () => {
+            const result = await executeToolCall({ name: 'searchProducts', args: { query: '5W-30 機油' } });
+
+            expect(result.count).toBe(1);
+            expect(result.products[0]).toMatchObject({
+                sku: 'LM2316',
+                url: getProductUrl('LM2316'),
+                viscosity: '5W-30',
+                category: '機油'
+            });
+        });
+
+        test('should report no match without inventing products', async () => {
+            searchModule.searchProducts.mockReturnValueOnce('## 產品資料庫\n- LM99999');
+
+            const result = await executeToolCall({ name: 'searchProducts', args: { query: '不存在' } });
+
+            expect(result).toMatchObject({ count: 0, products: [] });
+            expect(result.message).toContain('查無');
+        });
+    });
+
+    describe('lookupSku', () => {
+        test('should normalize the SKU and list other sizes', async () => {
+            const result = await executeToolCall({ name: 'lookupSku', args: { sku: 'lm 2316' } });
+
+            expect(result.found).toBe(true);
+            expect(result.product).toMatchObject({ sku: 'LM2316', use: '汽油 / 柴油引擎', content: '長效機油' });
+            expect(result.otherSizes).toEqual([{ sku: 'LM2317', size: '5L' }]);
+        });
+
+        test('should report unknown SKUs', async () => {
+            const result = await executeToolCall({ name: 'lookupSku', args: { sku: 'LM99999' } });
+
+            expect(result).toMatchObject({ found: false, sku: 'LM99999' });
+            expect(result.message).toContain('LM99999');
+        });
+    });
+
+    describe('searchWithCertPriority', () => {
+        test('should return products matching the certification', async () => {
+            const result = await executeToolCall({ name: 'searchWithCertPriority', args: { certification: 'API SP' } });
+
+            expect(result.products.map(p => p.sku)).toContain('LM3840');
+            expect(result.count).toBe(result.products.length);
+        });
+
+        test('should return an empty list for unknown certifications', async () => {
+            const result = await executeToolCall({ name: 'searchWithCertPriority', args: { certification: 'XYZ 999' } });
+
+            expect(result).toMatchObject({ count: 0, products: [] });
+        });
+    });
+
+    describe('getVehicleSpec', () => {
+        test('should return the spec and recommended SKU for known vehicles', async () => {
+            const result = await executeToolCall({ name: 'getVehicleSpec', args: { brand: 'ford', model: 'Focus MK4' } });
+
+            expect(result.found).toBe(true);
+            expect(result.specs[0]).toMatchObject({ viscosity: '5W-20', recommendedSKU: 'LM3840' });
+        });
+
+        test('should ask for the owner manual for unknown vehicles', async () => {
+            const result = await executeToolCall({ name: 'getVehicleSpec', args: { brand: 'Unknown', model: 'Nothing' } });
+
+            expect(result.found).toBe(false);
+            expect(result.message).toContain('車主手冊');
+        });
+    });
+
+    describe('executeToolCall', () => {
+        test('should reject unknown tool names', async () => {
+            await expect(executeToolCall({ name: 'deleteProducts', args: {} })).rejects.toThrow('Unknown tool');
+        });
+
+        test('should tolerate missing or malformed args', async () => {
+            await expect(executeToolCall({ name: 'lookupSku' })).resolves.toMatchObject({ found: false, sku: null });
+            await expect(executeToolCall({ name: 'lookupSku', args: { sku: 12 } })).resolves.toMatchObject({ found: false });
+            await expect(executeToolCall({ name: 'searchProducts', args: { query: '5W-30', limit: 'abc' } }))
+                .resolves.toMatchObject({ count: 1 });
+        });
+    });
+
+    describe('runToolLoop', () => {
+        test('should execute tool calls and stop at the first text answer', async () => {
+            generateText
+                .mockResolvedValueOnce(toolCallResult('lookupSku', { sku: 'LM2316' }))
+                .mockResolvedValueOnce(textResult('推薦 LM2316'));
+
+            const result = await runToolLoop(contents);
+
+            expect(result).toEqual({ text: '推薦 LM2316', finishReason: 'STOP', toolCalls: 1 });
+            expect(generateText).toHaveBeenCalledTimes(2);
+
+            // 第二回合需帶回模型的 functionCall 與工具結果，且不修改原始 contents
+            const secondRound = generateText.mock.calls[1][1];
+            expect(secondRound).toHaveLength(3);
+            expect(secondRound[2].parts[0].functionResponse.name).toBe('lookupSku');
+            expect(secondRound[2].parts[0].functionResponse.response.result.found).toBe(true);
+            expect(contents).toHaveLength(1);
+        });
+
+        test('should throw after maxRounds of tool calls', async () => {
+            generateText.mockResolvedValue(toolCallResult('lookupSku', { sku: 'LM2316' }));
+
+            await expect(runToolLoop(contents)).rejects.toThrow(`exceeded ${TOOL_CALLING.maxRounds} rounds`);
+            expect(generateText).toHaveBeenCalledTimes(TOOL_CALLING.maxRounds);
+        });
+
+        test('should not start a round the remaining budget cannot fit', async () => {
+            const deadline = Date.now() + TOOL_CALLING.minRoundMs - 1000;
+
+            await expect(runToolLoop(contents, { deadline })).rejects.toThrow('time budget');
+            expect(generateText).not.toHaveBeenCalled();
+        });
+
+        test('should pass the request deadline to every round', async () => {
+            const deadline = Date.now() + 60000;
+            generateText.mockResolvedValueOnce(textResult('ok'));
+
+            await runToolLoop(contents, { deadline });
+
+            expect(generateText.mock.calls[0][2]).toMatchObject({ deadline });
+        });
+    });
+
+    describe('callLLMWithTools (api/chat.js)', () => {
+        test('should fall back to context stuffing when the tool loop fails', async () => {
+            const fallbackContents = [{ role: 'user', parts: [{ text: 'STUFFED PROMPT' }] }];
+            const buildFallbackContents = jest.fn(async () => fallbackContents);
+            const answerWithoutLLM = jest.fn(async () => 'template');
+            generateText
+                .mockRejectedValueOnce(new Error('Gemini API error: 400'))
+                .mockResolvedValueOnce(textResult('推薦 LM2316'));
+
+            const text = await callLLMWithTools(contents, buildFallbackContents, answerWithoutLLM, Date.now() + 60000);
+
+            expect(text).toBe('推薦 LM2316');
+            expect(buildFallbackContents).toHaveBeenCalledTimes(1);
+            expect(generateText.mock.calls[1][1]).toBe(fallbackContents);
+            expect(generateText.mock.calls[1][2].tools).toBeUndefined();
+            expect(answerWithoutLLM).not.toHaveBeenCalled();
+        });
+
+        test('should answer without LLM once when the LLM is unavailable', async () => {
+            const unavailable = Object.assign(new Error('gemini circuit open'), { code: 'LLM_UNAVAILABLE' });
+            const buildFallbackContents = jest.fn();
+            const answerWithoutLLM = jest.fn(async () => 'template');
+            generateText.mockRejectedValue(unavailable);
+
+            const text = await callLLMWithTools(contents, buildFallbackContents, answerWithoutLLM, Date.now() + 60000);
+
+            expect(text).toBe('template');
+            expect(answerWithoutLLM).toHaveBeenCalledTimes(1);
+            expect(buildFallbackContents).not.toHaveBeenCalled();
+            expect(generateText).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for sku-matcher.js
+ * Verifies typo-tolerant SKU extraction, "did you mean" candidates and series-name matching
+ */
+
+const { editDistance, extractSkus, matchSku, applySeriesAliases, matchProductName } = require('../sku-matcher');
+
+const PRODUCTS = [
+    { id: '1', partno: 'LM2316', title: 'Special Tec AA 0W-20 機油', size: '1L' },
+    { id: '2', partno: 'LM2324', title: 'Top Tec 4200 5W-30 全合成機油', size: '1L' },
+    { id: '3', partno: 'LM2325', title: 'Top Tec 4200 5W-30 全合成機油', size: '4L' },
+    { id: '4', partno: 'LM3750', title: 'Top Tec 4600 5W-30 全合成機油', size: '1L' },
+    { id: '5', partno: 'LM5129', title: 'Cera Tec 陶瓷添加劑' }
+];
+
+describe('sku-matcher.js', () => {
+    test('editDistance should count adjacent transpositions as one edit', () => {
+        expect(editDistance('2316', '2316')).toBe(0);
+        expect(editDistance('2361', '2316')).toBe(1);
+        expect(editDistance('2317', '2316')).toBe(1);
+        expect(editDistance('toptech', 'toptec')).toBe(1);
+    });
+
+    describe('extractSkus', () => {
+        test('should normalize full-width forms and separators', () => {
+            expect(extractSkus('有ｌｍ－２３１６嗎')).toEqual([{ sku: 'LM2316', raw: 'lm-2316', corrected: false }]);
+            expect(extractSkus('LM_2316 跟 lm 2316')).toHaveLength(1);
+        });
+
+        test('should correct letter/digit confusions in the number part', () => {
+            expect(extractSkus('LM 23l6')).toEqual([{ sku: 'LM2316', raw: 'lm 23l6', corrected: true }]);
+            expect(extractSkus('LM2O16')[0].sku).toBe('LM2016');
+        });
+
+        test('should not treat ordinary words as SKUs', () => {
+            expect(extractSkus('film solo')).toEqual([]);
+            expect(extractSkus('lm soil')).toEqual([]);
+            expect(extractSkus('XLM2316')).toEqual([]);
+        });
+    });
+
+    describe('matchSku', () => {
+        test('should return the exact product when the corrected SKU exists', () => {
+            const match = matchSku('LM 23l6 適合我的車嗎', PRODUCTS);
+            expect(match.exact).toBe(true);
+            expect(match.candidates.map(c => c.product.id)).toEqual(['1']);
+        });
+
+        test('should suggest SKUs within one edit when the SKU does not exist', () => {
+            const match = matchSku('LM2361', PRODUCTS);
+            expect(match.exact).toBe(false);
+            expect(match.candidates).toEqual([{ product: PRODUCTS[0], sku: 'LM2316', distance: 1 }]);
+
+            expect(matchSku('LM9999', PRODUCTS).candidates).toEqual([]);
+            expect(matchSku('機油推薦', PRODUCTS)).toBeNull();
+        });
+    });
+
+    describe('product names', () => {
+        test('applySeriesAliases should map spelling variants and nicknames to the series name', () => {
+            expect(applySeriesAliases('頂級4200')).toBe('top tec 4200');
+            expect(applySeriesAliases('Top Tech 4200 多少錢')).toBe('top tec 4200 多少錢');
+        });
+
+        test('matchProductName should find every size of the named product', () => {
+            for (const query of ['Top Tech 4200', '頂級4200', 'toptec4200 多少錢', 'Top Tecc 4200']) {
+                expect(matchProductName(query, PRODUCTS).map(m => m.product.id)).toEqual(['2', '3']);
+            }
+            expect(matchProductName('Top Tech 4200', PRODUCTS)[0]).toMatchObject({ name: 'Top Tec 4200', sku: 'LM2324' });
+        });
+
+        test('matchProductName should require a series name before the model number', () => {
+            expect(matchProductName('4200', PRODUCTS)).toEqual([]);
+            expect(matchProductName('Top Tec 9999', PRODUCTS)).toEqual([]);
+            expect(matchProductName('2020年 Top Tec', PRODUCTS)).toEqual([]);
+        });
+    });
+});
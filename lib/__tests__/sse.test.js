@@ -0,0 +1,66 @@
+/**
+ * Tests for sse.js
+ * Verifies SSE parsing tolerates arbitrary chunk boundaries
+ */
+
+const {
+    wantsEventStream,
+    formatSSEEvent,
+    createSSEParser
+} = require('../sse');
+
+describe('sse.js', () => {
+
+    describe('wantsEventStream', () => {
+        test('should detect text/event-stream in Accept header', () => {
+            expect(wantsEventStream({ headers: { accept: 'text/event-stream' } })).toBe(true);
+        });
+
+        test('should default to JSON mode', () => {
+            expect(wantsEventStream({ headers: { accept: 'application/json' } })).toBe(false);
+            expect(wantsEventStream({ headers: {} })).toBe(false);
+        });
+    });
+
+    describe('createSSEParser', () => {
+        test('should parse events split across chunks', () => {
+            const events = [];
+            const parser = createSSEParser(e => events.push(e));
+            const raw = formatSSEEvent('delta', { text: '你好' }) + formatSSEEvent('done', { response: '你好' });
+
+            parser.push(raw.slice(0, 10));
+            parser.push(raw.slice(10, 35));
+            parser.push(raw.slice(35));
+            parser.flush();
+
+            expect(events).toHaveLength(2);
+            expect(events[0].event).toBe('delta');
+            expect(JSON.parse(events[0].data).text).toBe('你好');
+            expect(events[1].event).toBe('done');
+        });
+
+        test('should handle CRLF and default event name', () => {
+            const events = [];
+            const parser = createSSEParser(e => events.push(e));
+
+            parser.push('data: {"a":1}\r\n\r\n: comment\r\n\r\n');
+            parser.flush();
+
+            expect(events).toEqual([{ event: 'message', data: '{"a":1}' }]);
+        });
+
+        test('should dispatch trailing event on flush', () => {
+            const events = [];
+            const parser = createSSEParser(e => events.push(e));
+
+            parser.push('data: tail');
+            expect(events).toHaveLength(0);
+            parser.flush();
+            expect(events).toHaveLength(1);
+        });
+
+        test('should be the same parser the web widget loads', () => {
+            expect(createSSEParser).toBe(require('../../js/sse-parser').createSSEParser);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for template-responder.js
+ * Verifies template routing and deterministic answers built without any LLM call
+ */
+
+jest.mock('../../api/search.js', () => ({
+    getProducts: jest.fn(async () => [
+        { partno: 'LM3840', title: 'Special Tec F 5W-20', size: '1L', price: '520', sort: '機油' },
+        { partno: 'LM2316', title: 'Top Tec 4200 5W-30', size: '1L', sort: '機油' },
+        { partno: 'LM20956', title: 'Bike Fragrance', size: '1pc', price: '350', sort: '自行車' }
+    ])
+}));
+
+const { shouldAnswerWithTemplate, buildTemplateResponse } = require('../template-responder');
+const { getProductUrl } = require('../constants');
+
+describe('template-responder.js', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    describe('shouldAnswerWithTemplate', () => {
+        test('should route plain purchase / cooperation / price intents', () => {
+            expect(shouldAnswerWithTemplate({ type: 'purchase_inquiry' })).toBe(true);
+            expect(shouldAnswerWithTemplate({ type: 'cooperation_inquiry' })).toBe(true);
+            expect(shouldAnswerWithTemplate({ type: 'price_inquiry' })).toBe(true);
+        });
+
+        test('should leave product questions to the LLM', () => {
+            expect(shouldAnswerWithTemplate({ type: 'product_recommendation' })).toBe(false);
+            expect(shouldAnswerWithTemplate({ type: 'price_inquiry', productCategory: '機油' })).toBe(false);
+            expect(shouldAnswerWithTemplate({ type: 'purchase_inquiry', vehicleBrand: 'Ford' })).toBe(false);
+        });
+
+        test('should be disabled by TEMPLATE_RESPONSES=false', () => {
+            process.env.TEMPLATE_RESPONSES = 'false';
+            expect(shouldAnswerWithTemplate({ type: 'purchase_inquiry' })).toBe(false);
+        });
+    });
+
+    describe('buildTemplateResponse', () => {
+        test('should answer price with database price and product link', async () => {
+            const text = await buildTemplateResponse({
+                message: 'LM3840 多少錢',
+                intent: { type: 'price_inquiry' }
+            });
+            expect(text).toContain('Special Tec F 5W-20');
+            expect(text).toContain(getProductUrl('LM3840'));
+            expect(text).toContain('520');
+        });
+
+        test('should reuse products from the last reply when the message has no SKU', async () => {
+            const text = await buildTemplateResponse({
+                message: '這個哪裡買',
+                conversationHistory: [
+                    { role: 'user', content: '推薦自行車香氛' },
+                    { role: 'assistant', content: '推薦 LM20956' }
+                ],
+                intent: { type: 'purchase_inquiry' }
+            });
+            expect(text).toContain('LM20956');
+            expect(text).toContain('carmall');
+            expect(text).toContain('storefinder');
+        });
+
+        test('should use foreign purchase template for non-Chinese users', async () => {
+            const text = await buildTemplateResponse({
+                message: 'Where can I buy LM2316?',
+                intent: { type: 'purchase_inquiry' },
+                language: 'en'
+            });
+            expect(text).toContain('https://www.liqui-moly.com');
+        });
+
+        test('should build a degraded answer from vehicle spec and search hits', async () => {
+            const text = await buildTemplateResponse({
+                message: 'Focus 機油推薦',
+                intent: { type: 'product_recommendation', vehicleBrand: 'Ford', vehicleModel: 'Focus MK4' },
+                knowledge: {
+                    vehicleSpec: [{ years: '2019+', fuel: '1.5T EcoBoost', viscosity: '5W-20', certification: ['Ford WSS-M2C948-B'] }]
+                },
+                productContext: '1. Special Tec F (LM3840)\n2. Top Tec 4200 (LM2316)\n3. Unknown (LM9999)'
+            });
+            expect(text).toContain('5W-20');
+            expect(text).toContain('Ford WSS-M2C948-B');
+            expect(text).toContain(getProductUrl('LM3840'));
+            expect(text).toContain(getProductUrl('LM2316'));
+            expect(text).not.toContain('LM9999');
+        });
+    });
+});
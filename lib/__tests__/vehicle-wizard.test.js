@@ -0,0 +1,99 @@
+/**
+ * Tests for vehicle-wizard.js
+ * Verifies the vehicle type → brand → model → variant steps built from vehicle-specs.json
+ */
+
+const { shouldStartWizard, handleWizardTurn } = require('../vehicle-wizard');
+const { createDialogState, mergeDialogState } = require('../dialog-state');
+
+/**
+ * 依序送出訊息，回傳最後一輪結果
+ */
+function runTurns(messages, options) {
+    let state = createDialogState();
+    let turn = null;
+    for (const message of messages) {
+        turn = handleWizardTurn(message, state, options);
+        state = turn.dialogState;
+    }
+    return turn;
+}
+
+describe('vehicle-wizard.js', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    describe('shouldStartWizard', () => {
+        test('should start only for a bare oil recommendation request', () => {
+            expect(shouldStartWizard('機油推薦？', createDialogState())).toBe(true);
+            expect(shouldStartWizard('我想找適合我車型的機油', createDialogState())).toBe(true);
+            expect(shouldStartWizard('Focus 2020 機油推薦', createDialogState())).toBe(false);
+        });
+
+        test('should not start when the vehicle is already known', () => {
+            const state = mergeDialogState(createDialogState(), { vehicleBrand: 'Ford', vehicleModel: 'Kuga MK2' });
+            expect(shouldStartWizard('機油推薦', state)).toBe(false);
+        });
+    });
+
+    describe('handleWizardTurn', () => {
+        test('should ignore messages outside the wizard and legacy clients without state', () => {
+            expect(handleWizardTurn('5W30 和 5W40 有什麼差別？', createDialogState())).toBeNull();
+            expect(handleWizardTurn('機油推薦', null)).toBeNull();
+        });
+
+        test('should offer vehicle types, then brands from _metadata', () => {
+            const start = handleWizardTurn('機油推薦', createDialogState());
+            expect(start.reply.options).toEqual(['汽車', '檔車', '速克達']);
+            expect(start.dialogState.wizard.step).toBe('vehicleType');
+
+            const brands = handleWizardTurn('速克達', start.dialogState);
+            expect(brands.reply.step).toBe('brand');
+            expect(brands.reply.options).toEqual(['SYM', 'YAMAHA', 'KYMCO', 'PGO']);
+        });
+
+        test('should skip steps with a single option', () => {
+            // 檔車只有 Harley-Davidson
+            const turn = runTurns(['推薦摩托車機油', '檔車']);
+            expect(turn.reply.step).toBe('model');
+            expect(turn.reply.options).toEqual(['Sportster', 'Softail', 'Touring']);
+        });
+
+        test('should finish with a spec-exact query and confirmed slots', () => {
+            const turn = runTurns(['汽車機油推薦', 'ford', 'Focus MK4', '2019+ 2.0 EcoBlue (柴油)'], { isFirstResponse: true });
+
+            expect(turn.query).toBe('Ford Focus MK4（2019+ 2.0 EcoBlue (柴油)）推薦機油，原廠規範 Ford WSS-M2C950-A，黏度 0W-30');
+            expect(turn.dialogState.wizard).toBeUndefined();
+            expect(turn.dialogState.slots).toMatchObject({
+                vehicleType: '汽車',
+                vehicleBrand: 'Ford',
+                vehicleModel: 'Focus MK4',
+                year: '2019+',
+                fuelType: '柴油',
+                productCategory: '機油'
+            });
+            expect(turn.firstResponse).toBe(true);
+        });
+
+        test('should jump to the spec when free text matches a vehicle alias', () => {
+            const turn = runTurns(['機油推薦', '汽車', 'kuga mk2']);
+            expect(turn.query).toContain('Ford Kuga MK2');
+            expect(turn.query).toContain('5W-30');
+        });
+
+        test('should leave the wizard on other free text and keep the chosen vehicle type', () => {
+            const turn = runTurns(['機油推薦', '汽車', 'Toyota Altis 2018']);
+
+            expect(turn.query).toBe('Toyota Altis 2018');
+            expect(turn.dialogState.wizard).toBeUndefined();
+            expect(turn.dialogState.slots.vehicleType).toBe('汽車');
+        });
+    });
+});
@@ -0,0 +1,208 @@
+/**
+ * Tests for webhook-signature.js
+ * Verifies X-Hub-Signature-256 / X-Line-Signature checks and that the webhooks reject unsigned payloads
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const TEST_SECRET = 'test-app-secret';
+process.env.META_APP_SECRET = TEST_SECRET;
+process.env.LINE_CHANNEL_SECRET = TEST_SECRET;
+
+const {
+    readRawBody,
+    computeMetaSignature,
+    verifyMetaSignature,
+    computeLineSignature,
+    verifyLineSignature
+} = require('../webhook-signature');
+const metaWebhook = require('../../api/meta-webhook');
+const lineWebhook = require('../../api/line-webhook');
+
+// 以檔案原始位元組簽章（與 Meta 相同，不經 JSON 重新序列化）
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'meta-webhook-text-message.json'));
+const LINE_FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'line-webhook-text-message.json'));
+
+function createRequest(body, headers = {}) {
+    const req = Readable.from([body]);
+    req.method = 'POST';
+    req.headers = headers;
+    return req;
+}
+
+function createResponse() {
+    return {
+        statusCode: null,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this.body = data; return this; },
+        send(data) { this.body = data; return this; },
+        setHeader() {}
+    };
+}
+
+describe('webhook-signature.js', () => {
+    describe('verifyMetaSignature', () => {
+        const signature = computeMetaSignature(FIXTURE, TEST_SECRET);
+
+        test('should accept a payload signed with the app secret', () => {
+            expect(verifyMetaSignature(FIXTURE, signature, TEST_SECRET)).toEqual({ valid: true, reason: null });
+        });
+
+        test('should reject re-serialized or tampered payloads', () => {
+            const reserialized = JSON.stringify(JSON.parse(FIXTURE.toString('utf8')));
+            expect(verifyMetaSignature(reserialized, signature, TEST_SECRET).reason).toBe('signature_mismatch');
+        });
+
+        test('should reject a signature made with another secret', () => {
+            const forged = computeMetaSignature(FIXTURE, 'attacker-secret');
+            expect(verifyMetaSignature(FIXTURE, forged, TEST_SECRET).reason).toBe('signature_mismatch');
+        });
+
+        test('should report missing or malformed inputs', () => {
+            expect(verifyMetaSignature(FIXTURE, undefined, TEST_SECRET).reason).toBe('missing_signature');
+            expect(verifyMetaSignature(FIXTURE, 'sha1=abc', TEST_SECRET).reason).toBe('malformed_signature');
+            expect(verifyMetaSignature(null, signature, TEST_SECRET).reason).toBe('missing_body');
+            expect(verifyMetaSignature(FIXTURE, signature, '').reason).toBe('missing_secret');
+        });
+    });
+
+    describe('verifyLineSignature', () => {
+        const signature = computeLineSignature(LINE_FIXTURE, TEST_SECRET);
+
+        test('should accept a payload signed with the channel secret', () => {
+            expect(verifyLineSignature(LINE_FIXTURE, signature, TEST_SECRET)).toEqual({ valid: true, reason: null });
+        });
+
+        test('should reject tampered payloads and foreign signatures', () => {
+            const tampered = LINE_FIXTURE.toString('utf8').replace('Camry', 'Corolla');
+            expect(verifyLineSignature(tampered, signature, TEST_SECRET).reason).toBe('signature_mismatch');
+
+            const forged = computeLineSignature(LINE_FIXTURE, 'attacker-secret');
+            expect(verifyLineSignature(LINE_FIXTURE, forged, TEST_SECRET).reason).toBe('signature_mismatch');
+        });
+
+        test('should report missing or malformed inputs', () => {
+            expect(verifyLineSignature(LINE_FIXTURE, undefined, TEST_SECRET).reason).toBe('missing_signature');
+            expect(verifyLineSignature(LINE_FIXTURE, computeMetaSignature(LINE_FIXTURE, TEST_SECRET), TEST_SECRET).reason).toBe('malformed_signature');
+            expect(verifyLineSignature(LINE_FIXTURE, signature, '').reason).toBe('missing_secret');
+        });
+    });
+
+    describe('readRawBody', () => {
+        test('should read the request stream', async () => {
+            expect((await readRawBody(createRequest(FIXTURE))).equals(FIXTURE)).toBe(true);
+        });
+
+        test('should not rebuild a body that was already parsed into an object', async () => {
+            expect(await readRawBody({ body: { object: 'page' } })).toBeNull();
+        });
+    });
+
+    describe('meta-webhook handler', () => {
+        const originalFetch = global.fetch;
+        let warnSpy;
+        let logSpy;
+
+        beforeEach(() => {
+            global.fetch = jest.fn(async () => ({
+                ok: true,
+                headers: { get: () => 'application/json' },
+                json: async () => ({ success: true, response: '您好', conversationHistory: [] }),
+                text: async () => ''
+            }));
+            warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+            warnSpy.mockRestore();
+            logSpy.mockRestore();
+        });
+
+        test('should reject unsigned payloads without sending messages', async () => {
+            const res = createResponse();
+            await metaWebhook(createRequest(FIXTURE), res);
+
+            expect(res.statusCode).toBe(403);
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(warnSpy.mock.calls[0][0]).toContain('[Security]');
+            expect(warnSpy.mock.calls[0][0]).toContain('missing_signature');
+        });
+
+        test('should reject payloads with an invalid signature', async () => {
+            const res = createResponse();
+            const forged = computeMetaSignature(FIXTURE, 'attacker-secret');
+            await metaWebhook(createRequest(FIXTURE, { 'x-hub-signature-256': forged }), res);
+
+            expect(res.statusCode).toBe(403);
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(warnSpy.mock.calls[0][0]).toContain('signature_mismatch');
+        });
+
+        test('should process payloads signed with the app secret', async () => {
+            const res = createResponse();
+            const signature = computeMetaSignature(FIXTURE, TEST_SECRET);
+            await metaWebhook(createRequest(FIXTURE, { 'x-hub-signature-256': signature }), res);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toBe('EVENT_RECEIVED');
+
+            // 事件在回應後由佇列處理
+            await metaWebhook.drainEventQueue();
+            expect(global.fetch).toHaveBeenCalled();
+        });
+    });
+
+    describe('line-webhook handler', () => {
+        const originalFetch = global.fetch;
+        let warnSpy;
+        let logSpy;
+
+        beforeEach(() => {
+            global.fetch = jest.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ success: true, response: '推薦 **Top Tec 4200**', products: [], conversationHistory: [] })
+            }));
+            warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+            warnSpy.mockRestore();
+            logSpy.mockRestore();
+        });
+
+        test('should reject unsigned payloads without sending messages', async () => {
+            const res = createResponse();
+            await lineWebhook(createRequest(LINE_FIXTURE), res);
+
+            expect(res.statusCode).toBe(403);
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(warnSpy.mock.calls[0][0]).toContain('missing_signature');
+        });
+
+        test('should answer signed text messages through /api/chat with a reply token', async () => {
+            const res = createResponse();
+            const signature = computeLineSignature(LINE_FIXTURE, TEST_SECRET);
+            await lineWebhook(createRequest(LINE_FIXTURE, { 'x-line-signature': signature }), res);
+
+            expect(res.statusCode).toBe(200);
+            await lineWebhook.drainEventQueue();
+
+            const urls = global.fetch.mock.calls.map(([url]) => url);
+            expect(urls.some(url => url.endsWith('/api/chat'))).toBe(true);
+
+            const replyCall = global.fetch.mock.calls.find(([url]) => url.endsWith('/message/reply'));
+            const { replyToken, messages } = JSON.parse(replyCall[1].body);
+            expect(replyToken).toBe('test-reply-token');
+            expect(messages[0]).toMatchObject({ type: 'text', text: '🤖 推薦 Top Tec 4200' });
+            expect(messages[0].quickReply.items.map(item => item.action.data)).toContain('HUMAN_AGENT');
+        });
+    });
+});
@@ -29,6 +29,7 @@ const {
     buildOilRecommendationRules,
     buildAdditiveRecommendationRules
 } = require('./prompt-components');
+const { buildFollowUpQuestions } = require('./dialog-state');
 
 // Agent 類型定義
 const AGENT_TYPES = {
@@ -240,6 +241,11 @@ function buildOilPrompt(knowledge, intent, productContext) {
         return !lowerInfo.includes('黏度') && !lowerInfo.includes('viscosity');
     });
 
+    // 有對話狀態時，不再追問已確認的欄位，並一次補齊其他缺少的欄位
+    if (intent?.dialogState) {
+        needsInfo = buildFollowUpQuestions(needsInfo, intent.dialogState, intent.missingSlots);
+    }
+
     if (needsInfo.length > 0) {
         // 生成追問指令
         sections.push(`## 🛑 互動指導 (Oil Recommendation - 資訊不足)
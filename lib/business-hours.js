@@ -0,0 +1,200 @@
+/**
+ * LIQUI MOLY Chatbot - 真人客服服務時間
+ *
+ * 依 data/knowledge/business-calendar.json（時區、每週服務時間、國定假日）判斷：
+ * - 目前是否為服務時間
+ * - 下次上班時間（跳過週末與國定假日）
+ * - 轉接真人客服時 AI 暫停多久：服務時間內固定 HUMAN_HANDOVER_PAUSE_MINUTES，
+ *   非服務時間暫停至下次上班後 HUMAN_HANDOVER_PAUSE_MINUTES
+ *
+ * 設計原則：
+ * 1. 時間一律以行事曆的時區計算，不依賴伺服器時區
+ * 2. 行事曆缺漏（沒有服務時間或找不到下次上班）時退回固定暫停時間，不阻斷轉接
+ */
+
+const { loadJSON } = require('./knowledge-cache');
+const { HUMAN_HANDOVER_PAUSE_MINUTES } = require('./constants');
+
+const DEFAULT_TIMEZONE = 'Asia/Taipei';
+const WEEKDAY_LABELS = ['週日', '週一', '週二', '週三', '週四', '週五', '週六'];
+// 說明服務時間時的星期順序（週一開始）
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+// 尋找下次上班時間的天數上限（涵蓋春節等連假）
+const MAX_LOOKAHEAD_DAYS = 31;
+
+function getCalendar() {
+    const calendar = loadJSON('business-calendar.json') || {};
+    return {
+        timezone: calendar.timezone || DEFAULT_TIMEZONE,
+        weeklyHours: calendar.weekly_hours || {},
+        holidays: new Set((calendar.holidays || []).map(holiday => holiday.date))
+    };
+}
+
+// ============================================
+// 時區換算
+// ============================================
+
+/**
+ * 時間在指定時區的年月日時分
+ */
+function getZonedParts(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(date);
+
+    const values = Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+    return {
+        year: values.year,
+        month: values.month,
+        day: values.day,
+        hour: values.hour,
+        minute: values.minute,
+        weekday: new Date(Date.UTC(values.year, values.month - 1, values.day)).getUTCDay()
+    };
+}
+
+/**
+ * 指定時區的當地時間 → Date
+ */
+function zonedTimeToDate(year, month, day, time, timezone) {
+    const [hour, minute] = String(time).split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hour, minute || 0);
+    const zoned = getZonedParts(new Date(guess), timezone);
+    const offset = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute) - guess;
+    return new Date(guess - offset);
+}
+
+function toDateKey(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// ============================================
+// 服務時間
+// ============================================
+
+/**
+ * 某一天（當地日期）的服務時間
+ * @returns {Object|null} { open, close }（Date；休息日回傳 null）
+ */
+function getOpeningHours(year, month, day, calendar) {
+    if (calendar.holidays.has(toDateKey(year, month, day))) return null;
+
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const hours = calendar.weeklyHours[weekday];
+    if (!hours?.open || !hours?.close) return null;
+
+    return {
+        open: zonedTimeToDate(year, month, day, hours.open, calendar.timezone),
+        close: zonedTimeToDate(year, month, day, hours.close, calendar.timezone)
+    };
+}
+
+/**
+ * 目前的服務狀態
+ * @param {Date} now - 目前時間
+ * @returns {Object} { isOpen, closesAt, nextOpening }
+ *   - 服務時間內：closesAt 為今天下班時間
+ *   - 非服務時間：nextOpening 為下次上班時間（找不到時為 null）
+ */
+function getBusinessStatus(now = new Date()) {
+    const calendar = getCalendar();
+    const today = getZonedParts(now, calendar.timezone);
+
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        const hours = getOpeningHours(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), calendar);
+        if (!hours) continue;
+
+        if (now < hours.open) return { isOpen: false, closesAt: null, nextOpening: hours.open };
+        if (now < hours.close) return { isOpen: true, closesAt: hours.close, nextOpening: null };
+    }
+
+    return { isOpen: false, closesAt: null, nextOpening: null };
+}
+
+// ============================================
+// 文字
+// ============================================
+
+/**
+ * 每週服務時間說明（相同時段的連續星期合併，如「週一至週五 09:00-18:00」）
+ * @returns {string}
+ */
+function describeWeeklyHours() {
+    const { weeklyHours } = getCalendar();
+    const groups = [];
+
+    for (const weekday of WEEK_ORDER) {
+        const hours = weeklyHours[weekday];
+        const range = hours?.open && hours?.close ? `${hours.open}-${hours.close}` : null;
+        const last = groups[groups.length - 1];
+
+        if (range && last?.range === range && last.days[last.days.length - 1] === WEEK_ORDER[WEEK_ORDER.indexOf(weekday) - 1]) {
+            last.days.push(weekday);
+        } else if (range) {
+            groups.push({ range, days: [weekday] });
+        }
+    }
+
+    return groups.map(({ range, days }) => {
+        const label = days.length === 1
+            ? WEEKDAY_LABELS[days[0]]
+            : `${WEEKDAY_LABELS[days[0]]}至${WEEKDAY_LABELS[days[days.length - 1]]}`;
+        return `${label} ${range}`;
+    }).join('、');
+}
+
+/**
+ * 時間的當地說明（如「10/20（週二）09:00」）
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatLocalTime(date) {
+    const { month, day, weekday, hour, minute } = getZonedParts(date, getCalendar().timezone);
+    return `${month}/${day}（${WEEKDAY_LABELS[weekday]}）${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// ============================================
+// 轉接真人客服
+// ============================================
+
+/**
+ * 轉接真人客服時的服務狀態與 AI 暫停時間
+ * @param {Date} now - 目前時間
+ * @returns {Object} { isOpen, pauseMinutes, hoursText, nextOpeningText }
+ *   - nextOpeningText：非服務時間的下次上班時間說明（服務時間內或找不到時為 null）
+ */
+function getHandoverSchedule(now = new Date()) {
+    const status = getBusinessStatus(now);
+
+    let pauseMinutes = HUMAN_HANDOVER_PAUSE_MINUTES;
+    if (!status.isOpen && status.nextOpening) {
+        // 暫停至下次上班後，保留真人客服處理的時間
+        pauseMinutes = Math.ceil((status.nextOpening - now) / 60000) + HUMAN_HANDOVER_PAUSE_MINUTES;
+    }
+
+    return {
+        isOpen: status.isOpen,
+        pauseMinutes,
+        hoursText: describeWeeklyHours(),
+        nextOpeningText: status.nextOpening ? formatLocalTime(status.nextOpening) : null
+    };
+}
+
+module.exports = {
+    // 服務時間
+    getBusinessStatus,
+
+    // 文字
+    describeWeeklyHours,
+
+    // 轉接真人客服
+    getHandoverSchedule
+};
@@ -0,0 +1,204 @@
+/**
+ * LIQUI MOLY Chatbot - 產品目錄離線快照
+ *
+ * Wix /products 無法連線且執行個體沒有記憶體快取（冷啟動）時，改用最後一份正常的產品目錄：
+ * - 部署快照：data/catalog-snapshot.json，每次部署由 scripts/refresh-catalog-snapshot.js --from-wix 產生並打包
+ *   （vercel.json buildCommand；Wix 無法連線時沿用既有快照檔，也可從 Wix 匯出檔產生後提交）
+ * - 執行期快照：每次成功從 Wix 取得產品後寫入可寫目錄（CATALOG_SNAPSHOT_DIR，預設系統暫存目錄）；
+ *   暫存目錄不跨執行個體共用，新的執行個體只能依靠部署快照
+ * 兩者都有效時使用較新的一份。
+ *
+ * 快照格式：{ schemaVersion, createdAt, source, productCount, checksum, products }
+ * - schemaVersion 不符或 checksum 不符（檔案損毀）的快照不使用
+ * - products 為 Wix 原始資料，載入後再經 product-model.js 正規化
+ *
+ * 設計原則：
+ * 1. 讀寫失敗只記錄日誌、不丟例外（快照是備援，不能影響正常搜尋）
+ * 2. 寫入先寫暫存檔再 rename，避免讀到寫到一半的檔案
+ * 3. 內容未變時不重寫（checksum 相同）
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { CATALOG_SNAPSHOT, LOG_TAGS } = require('./constants');
+
+const SNAPSHOT_FILENAME = 'catalog-snapshot.json';
+
+function getBundledPath() {
+    return path.join(process.cwd(), 'data', SNAPSHOT_FILENAME);
+}
+
+function getWritablePath(dir) {
+    const baseDir = dir || process.env.CATALOG_SNAPSHOT_DIR || path.join(os.tmpdir(), 'liqui-moly-catalog');
+    return path.join(baseDir, SNAPSHOT_FILENAME);
+}
+
+function checksum(products) {
+    return crypto.createHash('sha256').update(JSON.stringify(products)).digest('hex');
+}
+
+// ============================================
+// 快照內容
+// ============================================
+
+/**
+ * 建立快照
+ * @param {Array<Object>} products - Wix 原始產品資料
+ * @param {Object} options
+ * @param {string} options.source - 來源說明（如 'wix'、'export:products.csv'）
+ * @param {Date} options.now - 建立時間
+ * @returns {Object} 快照
+ */
+function buildSnapshot(products, { source = 'wix', now = new Date() } = {}) {
+    // 去除 product-model.js 附加的 spec，快照只保存原始資料
+    const raw = products.map(({ spec, ...product }) => product);
+    return {
+        schemaVersion: CATALOG_SNAPSHOT.schemaVersion,
+        createdAt: now.toISOString(),
+        source,
+        productCount: raw.length,
+        checksum: checksum(raw),
+        products: raw
+    };
+}
+
+/**
+ * 快照是否可用（版本相符、內容完整）
+ * @param {Object} snapshot
+ * @returns {boolean}
+ */
+function isValidSnapshot(snapshot) {
+    return Boolean(snapshot) &&
+        snapshot.schemaVersion === CATALOG_SNAPSHOT.schemaVersion &&
+        Array.isArray(snapshot.products) &&
+        snapshot.products.length > 0 &&
+        !Number.isNaN(Date.parse(snapshot.createdAt)) &&
+        snapshot.checksum === checksum(snapshot.products);
+}
+
+/**
+ * 快照的年齡
+ * @param {Object} snapshot
+ * @param {Date} now
+ * @returns {number} 毫秒
+ */
+function getSnapshotAgeMs(snapshot, now = new Date()) {
+    return Math.max(0, now - new Date(snapshot.createdAt));
+}
+
+/**
+ * 年齡說明（如「3 小時」「2 天」）
+ * @param {number} ageMs
+ * @returns {string}
+ */
+function describeAge(ageMs) {
+    const minutes = Math.floor(ageMs / 60000);
+    if (minutes < 60) return `${Math.max(1, minutes)} 分鐘`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} 小時`;
+    return `${Math.floor(hours / 24)} 天`;
+}
+
+// ============================================
+// 讀寫
+// ============================================
+
+/**
+ * 讀取快照檔（不存在或無效時回傳 null）
+ * @param {string} file
+ * @returns {Promise<Object|null>}
+ */
+async function readSnapshotFile(file) {
+    try {
+        const snapshot = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        if (!isValidSnapshot(snapshot)) {
+            console.warn(`${LOG_TAGS.CATALOG} Ignoring invalid snapshot: ${file}`);
+            return null;
+        }
+        return snapshot;
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.warn(`${LOG_TAGS.CATALOG} Failed to read snapshot ${file}:`, e.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * 寫入快照檔（先寫暫存檔再 rename）
+ * @param {string} file
+ * @param {Object} snapshot
+ * @returns {Promise<boolean>} 是否寫入成功
+ */
+async function writeSnapshotFile(file, snapshot) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tempFile, JSON.stringify(snapshot));
+        await fs.promises.rename(tempFile, file);
+        return true;
+    } catch (e) {
+        console.warn(`${LOG_TAGS.CATALOG} Failed to write snapshot ${file}:`, e.message);
+        await fs.promises.unlink(tempFile).catch(() => {});
+        return false;
+    }
+}
+
+/**
+ * 載入最新的可用快照（執行期快照與部署快照取較新者）
+ * @param {Object} options
+ * @param {string} options.dir - 執行期快照目錄
+ * @param {string} options.bundledPath - 部署快照路徑
+ * @returns {Promise<Object|null>} 快照（附 location：'runtime' | 'bundled'）
+ */
+async function loadSnapshot({ dir, bundledPath = getBundledPath() } = {}) {
+    const candidates = [
+        { location: 'runtime', snapshot: await readSnapshotFile(getWritablePath(dir)) },
+        { location: 'bundled', snapshot: await readSnapshotFile(bundledPath) }
+    ].filter(candidate => candidate.snapshot);
+
+    if (candidates.length === 0) return null;
+
+    const newest = candidates.sort((a, b) => Date.parse(b.snapshot.createdAt) - Date.parse(a.snapshot.createdAt))[0];
+    return { ...newest.snapshot, location: newest.location };
+}
+
+/**
+ * 儲存執行期快照（內容與現有快照相同時不重寫）
+ * @param {Array<Object>} products - Wix 產品資料
+ * @param {Object} options
+ * @param {string} options.dir - 執行期快照目錄
+ * @param {string} options.source - 來源說明
+ * @param {Date} options.now - 建立時間
+ * @returns {Promise<boolean>} 是否寫入新快照
+ */
+async function saveSnapshot(products, { dir, source = 'wix', now = new Date() } = {}) {
+    if (!Array.isArray(products) || products.length === 0) return false;
+
+    const file = getWritablePath(dir);
+    const snapshot = buildSnapshot(products, { source, now });
+    const existing = await readSnapshotFile(file);
+    if (existing?.checksum === snapshot.checksum) return false;
+
+    const written = await writeSnapshotFile(file, snapshot);
+    if (written) {
+        console.log(`${LOG_TAGS.CATALOG} Saved snapshot: ${snapshot.productCount} products (${snapshot.checksum.slice(0, 12)})`);
+    }
+    return written;
+}
+
+module.exports = {
+    // 快照內容
+    buildSnapshot,
+    isValidSnapshot,
+    getSnapshotAgeMs,
+    describeAge,
+
+    // 讀寫
+    readSnapshotFile,
+    writeSnapshotFile,
+    loadSnapshot,
+    saveSnapshot
+};
@@ -13,6 +13,7 @@
  */
 
 const { loadJSON } = require('./knowledge-cache');
+const { getProductSpec, hasViscosity } = require('./product-model');
 
 // 快取
 let certCompatibilityCache = null;
@@ -117,6 +118,18 @@ function getAPICertPriority(cert) {
     return 0;
 }
 
+/**
+ * 取得產品的 API/ILSAC 認證最高優先級分數（逐一比較產品的各個認證）
+ * @param {Object} product - 產品物件
+ * @returns {number} 優先級分數（0 表示沒有 API/ILSAC 認證）
+ */
+function getProductAPICertPriority(product) {
+    if (!product) return 0;
+    return getProductSpec(product).certifications
+        .filter(c => c.family === 'API' || c.family === 'ILSAC')
+        .reduce((max, c) => Math.max(max, getAPICertPriority(c.name)), 0);
+}
+
 /**
  * 取得認證兼容對照表（帶快取）
  */
@@ -248,10 +261,11 @@ function filterProductsByCert(products, certPattern, viscosity = null) {
     console.log(`[CertMatcher] Searching cert variants: ${searchVariants.join(', ')}`);
 
     const matchedProducts = products.filter(p => {
-        if (!p.cert) return false;
+        const { certifications } = getProductSpec(p);
+        if (certifications.length === 0) return false;
 
-        // 取得產品認證的所有變體
-        const productVariants = getCertVariants(p.cert);
+        // 取得產品各認證的所有變體（認證已由 product-model.js 拆分）
+        const productVariants = certifications.flatMap(c => getCertVariants(c.name));
 
         // 任一搜尋變體匹配任一產品變體即可
         const certMatch = searchVariants.some(searchVar =>
@@ -260,11 +274,7 @@ function filterProductsByCert(products, certPattern, viscosity = null) {
         if (!certMatch) return false;
 
         // 如果有黏度條件，還要匹配黏度
-        if (viscosity) {
-            const word2 = normalizeViscosity(p.word2 || '');
-            const targetVisc = normalizeViscosity(viscosity);
-            if (!word2.includes(targetVisc)) return false;
-        }
+        if (viscosity && !hasViscosity(p, viscosity)) return false;
         return true;
     });
 
@@ -405,19 +415,14 @@ function searchWithCertPriority(products, requestedCert, requestedViscosity) {
         // Step 1: 收集所有符合黏度的產品（如果有指定黏度）
         let candidateProducts = products;
         if (requestedViscosity) {
-            candidateProducts = products.filter(p => {
-                const word2 = normalizeViscosity(p.word2 || '');
-                const targetVisc = normalizeViscosity(requestedViscosity);
-                return word2.includes(targetVisc);
-            });
+            candidateProducts = products.filter(p => hasViscosity(p, requestedViscosity));
             console.log(`[CertMatcher] Filtered by viscosity ${requestedViscosity}: ${candidateProducts.length} products`);
         }
 
         // Step 2: 篩選有 API/ILSAC 認證的產品
-        const apiProducts = candidateProducts.filter(p => {
-            if (!p.cert) return false;
-            return isAPICertification(p.cert);
-        });
+        const apiProducts = candidateProducts.filter(p =>
+            getProductSpec(p).certifications.some(c => c.family === 'API' || c.family === 'ILSAC')
+        );
 
         if (apiProducts.length === 0) {
             console.log(`[CertMatcher] No API/ILSAC certified products found`);
@@ -427,14 +432,14 @@ function searchWithCertPriority(products, requestedCert, requestedViscosity) {
 
         // Step 3: 按認證優先級排序（最新認證排最前）
         const sortedProducts = apiProducts.sort((a, b) => {
-            const priorityA = getAPICertPriority(a.cert);
-            const priorityB = getAPICertPriority(b.cert);
+            const priorityA = getProductAPICertPriority(a);
+            const priorityB = getProductAPICertPriority(b);
             return priorityB - priorityA;  // 降序：最新認證排最前
         });
 
         // Step 4: 檢查是否有比請求認證更新的產品
         const requestedPriority = getAPICertPriority(requestedCert);
-        const topProductPriority = getAPICertPriority(sortedProducts[0]?.cert);
+        const topProductPriority = getProductAPICertPriority(sortedProducts[0]);
 
         console.log(`[CertMatcher] Requested cert priority: ${requestedPriority}, Top product priority: ${topProductPriority}`);
 
@@ -445,7 +450,8 @@ function searchWithCertPriority(products, requestedCert, requestedViscosity) {
             result.fallbackType = 'cert_upgrade';
 
             // 找出最新認證名稱
-            const newestCert = extractAPICertName(sortedProducts[0].cert);
+            const newestCert = extractAPICertName(getProductSpec(sortedProducts[0]).certifications
+                .find(c => getAPICertPriority(c.name) === topProductPriority)?.name);
             result.usedCert = newestCert;
             result.notice = `您查詢的 ${requestedCert} 認證已有更新版本。以下推薦符合最新 ${newestCert} 認證的產品（向後兼容 ${requestedCert}）：`;
 
@@ -454,11 +460,10 @@ function searchWithCertPriority(products, requestedCert, requestedViscosity) {
 
         } else {
             // 沒有更新的，返回符合請求認證的產品
-            const exactMatches = sortedProducts.filter(p => {
-                const normalized = normalizeCert(p.cert);
-                const requestedNorm = normalizeCert(requestedCert);
-                return normalized.includes(requestedNorm);
-            });
+            const requestedNorm = normalizeCert(requestedCert);
+            const exactMatches = sortedProducts.filter(p =>
+                getProductSpec(p).certifications.some(c => normalizeCert(c.name).includes(requestedNorm))
+            );
 
             if (exactMatches.length > 0) {
                 result.products = exactMatches;
@@ -0,0 +1,346 @@
+/**
+ * LIQUI MOLY Chatbot - 貼文留言自動回覆（Private Replies）
+ *
+ * 處理 Facebook 粉專 feed 與 Instagram comments 的 webhook 變更事件：
+ * 1. 忽略粉專 / 帳號自己的留言與垃圾留言
+ * 2. 以 classifyIntent 判斷是否為產品問題（其他留言交由小編處理）
+ * 3. 產品問題：完整 RAG 回答以 Private Reply 私訊送出，成功後再公開回覆「已私訊」
+ *
+ * 留言事件（parseCommentChange）：{ source, pageId, commentId, postId, text, fromId, fromName }
+ *
+ * 設計原則：
+ * 1. Private Reply 每則留言只能送一則訊息，回答過長時截斷並請用戶回覆私訊繼續
+ * 2. 每篇貼文在時間窗內的自動回覆數有上限，避免洗版（僅單一執行個體內有效，與事件佇列相同）
+ * 3. Graph API 失敗不 throw，回傳 false 並記錄
+ */
+
+const { loadJSON } = require('./knowledge-cache');
+const { classifyIntent } = require('./intent-classifier');
+const { callChatApi } = require('./conversation-orchestrator');
+const { markdownToPlainText } = require('./message-format');
+const { formatProductListText } = require('./messenger-templates');
+const { META_GRAPH_API_URL, COMMENT_REPLY, INTENT_TYPES, LOG_TAGS } = require('./constants');
+
+/**
+ * 處理結果
+ */
+const COMMENT_RESULTS = {
+    REPLIED: 'replied',
+    OWN_COMMENT: 'own_comment',
+    SPAM: 'spam',
+    NOT_PRODUCT_QUESTION: 'not_product_question',
+    THROTTLED: 'throttled',
+    FAILED: 'failed'
+};
+
+/**
+ * 依來源選擇 Access Token（Instagram 未設定專用 Token 時使用 Page Token）
+ */
+function getAccessToken(source) {
+    return source === 'instagram'
+        ? (process.env.META_INSTAGRAM_ACCESS_TOKEN || process.env.META_PAGE_ACCESS_TOKEN)
+        : process.env.META_PAGE_ACCESS_TOKEN;
+}
+
+function getTemplates() {
+    return loadJSON('response-templates.json')?.comment_reply || {};
+}
+
+function fillTemplate(template, values) {
+    return String(template || '').replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+    );
+}
+
+function truncate(text, maxLength, suffix = '…') {
+    const str = String(text || '');
+    return str.length > maxLength ? `${str.substring(0, maxLength - suffix.length)}${suffix}` : str;
+}
+
+function containsAny(text, keywords) {
+    const lower = String(text || '').toLowerCase();
+    return keywords.some(keyword => lower.includes(keyword));
+}
+
+// ============================================
+// Webhook 事件
+// ============================================
+
+/**
+ * 解析留言變更事件
+ * - Facebook：field = feed，value.item = comment，只處理新增（verb = add）
+ * - Instagram：field = comments
+ * @param {Object} change - entry.changes 的元素
+ * @param {string} pageId - entry.id（粉專 ID / Instagram 帳號 ID）
+ * @param {string} source - facebook / instagram
+ * @returns {Object|null} 留言事件（非新增留言回傳 null）
+ */
+function parseCommentChange(change, pageId, source) {
+    const value = change?.value;
+    if (!value) return null;
+
+    if (source === 'facebook') {
+        if (change.field !== 'feed' || value.item !== 'comment' || value.verb !== 'add' || !value.comment_id) return null;
+        return {
+            source,
+            pageId: String(pageId || ''),
+            commentId: value.comment_id,
+            postId: value.post_id || null,
+            text: value.message || '',
+            fromId: value.from?.id ? String(value.from.id) : null,
+            fromName: value.from?.name || ''
+        };
+    }
+
+    if (change.field !== 'comments' || !value.id) return null;
+    return {
+        source,
+        pageId: String(pageId || ''),
+        commentId: value.id,
+        postId: value.media?.id || null,
+        text: value.text || '',
+        fromId: value.from?.id ? String(value.from.id) : null,
+        fromName: value.from?.username || ''
+    };
+}
+
+// ============================================
+// 留言分類
+// ============================================
+
+/**
+ * 是否為垃圾留言（含連結、推銷關鍵字，或只有標記 / 表情符號）
+ * @param {string} text - 留言內容
+ * @returns {boolean}
+ */
+function isSpamComment(text) {
+    const str = String(text || '');
+    if (/https?:\/\/|www\.|\.com\b/i.test(str)) return true;
+    if (containsAny(str, COMMENT_REPLY.spamKeywords)) return true;
+
+    // 去除標記（@帳號）、空白、標點與符號後的內容太短
+    const content = str.replace(/@\S+/g, '').replace(/[\s\p{P}\p{S}]/gu, '');
+    return content.length < COMMENT_REPLY.minTextLength;
+}
+
+/**
+ * 是否為產品問題
+ * - 購買管道 / 價格詢問
+ * - 產品推薦意圖，且提到車型或產品，並帶有提問用語
+ * @param {string} text - 留言內容
+ * @param {Function} classify - 意圖分類（預設 classifyIntent）
+ * @returns {boolean}
+ */
+function isProductQuestion(text, classify = classifyIntent) {
+    const intent = classify(String(text || ''));
+
+    if ([INTENT_TYPES.PURCHASE_INQUIRY, INTENT_TYPES.PRICE_INQUIRY].includes(intent.type)) return true;
+    if (![INTENT_TYPES.PRODUCT_RECOMMENDATION, INTENT_TYPES.PRODUCT_INQUIRY].includes(intent.type)) return false;
+
+    // 未提及車型時 classifyIntent 仍預設為汽車，因此以品牌 / 車型 / 規格與產品關鍵字判斷
+    const mentionsProduct = !!(intent.vehicleBrand || intent.vehicleModel || intent.productCategory || intent.viscosity) ||
+        (intent.certifications || []).length > 0 ||
+        containsAny(text, COMMENT_REPLY.productKeywords);
+
+    return mentionsProduct && containsAny(text, COMMENT_REPLY.questionMarkers);
+}
+
+// ============================================
+// 貼文節流
+// ============================================
+
+/**
+ * 每篇貼文的自動回覆節流（滑動時間窗）
+ * @param {Object} options
+ * @param {number} options.maxReplies - 時間窗內最多回覆數
+ * @param {number} options.windowMs - 時間窗
+ * @param {Function} options.now - 目前時間（測試用）
+ * @returns {Object} { tryAcquire(postId) }：取得回覆額度時回傳 true
+ */
+function createPostThrottle({ maxReplies = COMMENT_REPLY.maxRepliesPerPost, windowMs = COMMENT_REPLY.windowMs, now = Date.now } = {}) {
+    const repliesByPost = new Map(); // postId → 回覆時間
+
+    return {
+        tryAcquire(postId) {
+            const time = now();
+            for (const [key, times] of repliesByPost) {
+                const recent = times.filter(t => t > time - windowMs);
+                if (recent.length > 0) repliesByPost.set(key, recent);
+                else repliesByPost.delete(key);
+            }
+
+            const times = repliesByPost.get(postId) || [];
+            if (times.length >= maxReplies) return false;
+            repliesByPost.set(postId, [...times, time]);
+            return true;
+        }
+    };
+}
+
+// ============================================
+// Graph API
+// ============================================
+
+async function postToGraph(path, body, source, description) {
+    try {
+        const response = await fetch(`${META_GRAPH_API_URL}/${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...body, access_token: getAccessToken(source) })
+        });
+
+        if (response.ok) {
+            console.log(`${LOG_TAGS.COMMENT} ${description} sent (${source})`);
+            return true;
+        }
+
+        const error = await response.json().catch(() => null);
+        console.error(`${LOG_TAGS.COMMENT} ${description} failed (${source}):`, error);
+        return false;
+    } catch (error) {
+        console.error(`${LOG_TAGS.COMMENT} ${description} error:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * 公開回覆留言（Facebook：/{comment-id}/comments；Instagram：/{comment-id}/replies）
+ * @param {Object} comment - 留言事件
+ * @param {string} text - 回覆內容
+ * @returns {Promise<boolean>} 是否成功
+ */
+function replyToComment(comment, text) {
+    const edge = comment.source === 'instagram' ? 'replies' : 'comments';
+    return postToGraph(`${comment.commentId}/${edge}`, { message: text }, comment.source, 'Public reply');
+}
+
+/**
+ * 以 Private Reply 私訊留言者（每則留言只能送一則）
+ * @param {Object} comment - 留言事件
+ * @param {string} text - 私訊內容
+ * @returns {Promise<boolean>} 是否成功
+ */
+function sendPrivateReply(comment, text) {
+    return postToGraph('me/messages', {
+        recipient: { comment_id: comment.commentId },
+        message: { text }
+    }, comment.source, 'Private reply');
+}
+
+// ============================================
+// 回覆內容
+// ============================================
+
+/**
+ * 組成私訊內容：引用留言 → AI 回答與產品連結 → 結尾提示（超過長度時截斷回答）
+ * @param {Object} comment - 留言事件
+ * @param {Object} chatData - /api/chat 回應
+ * @returns {string}
+ */
+function buildPrivateReplyText(comment, chatData) {
+    const templates = getTemplates();
+    const intro = fillTemplate(templates.private_reply_intro, {
+        comment: truncate(comment.text.trim(), COMMENT_REPLY.maxQuotedCommentLength)
+    });
+    const footer = templates.private_reply_footer || '';
+
+    const answer = `🤖 ${markdownToPlainText(chatData.response)}`;
+    const productList = formatProductListText(Array.isArray(chatData.products) ? chatData.products : [], answer);
+    const body = productList ? `${answer}\n\n${productList}` : answer;
+
+    const maxLength = COMMENT_REPLY.maxPrivateReplyLength[comment.source] || COMMENT_REPLY.maxPrivateReplyLength.facebook;
+    const budget = maxLength - intro.length - footer.length - 4;
+    const fitted = truncate(body, budget, templates.truncated_notice || '…');
+
+    return [intro, fitted, footer].filter(Boolean).join('\n\n');
+}
+
+// ============================================
+// 回覆器
+// ============================================
+
+/**
+ * 建立留言回覆器
+ * @param {Object} options
+ * @param {Function} options.chat - async (body) => chatData（預設呼叫 /api/chat）
+ * @param {Function} options.replyPublicly - async (comment, text) => boolean
+ * @param {Function} options.replyPrivately - async (comment, text) => boolean
+ * @param {Object} options.throttle - 貼文節流（createPostThrottle）
+ * @param {Function} options.classify - 意圖分類（預設 classifyIntent）
+ * @returns {Object} { handleComment }
+ */
+function createCommentResponder({
+    chat = callChatApi,
+    replyPublicly = replyToComment,
+    replyPrivately = sendPrivateReply,
+    throttle = createPostThrottle(),
+    classify = classifyIntent
+} = {}) {
+
+    /**
+     * 處理一則留言
+     * @param {Object} comment - 留言事件（parseCommentChange）
+     * @returns {Promise<string>} COMMENT_RESULTS
+     */
+    async function handleComment(comment) {
+        const { commentId, postId } = comment;
+
+        if (!comment.fromId || comment.fromId === comment.pageId) {
+            console.log(`${LOG_TAGS.COMMENT} Skipping own comment ${commentId}`);
+            return COMMENT_RESULTS.OWN_COMMENT;
+        }
+        if (isSpamComment(comment.text)) {
+            console.log(`${LOG_TAGS.COMMENT} Skipping spam comment ${commentId}`);
+            return COMMENT_RESULTS.SPAM;
+        }
+        if (!isProductQuestion(comment.text, classify)) {
+            console.log(`${LOG_TAGS.COMMENT} Not a product question, leaving comment ${commentId} to the page admins`);
+            return COMMENT_RESULTS.NOT_PRODUCT_QUESTION;
+        }
+        if (!throttle.tryAcquire(postId || commentId)) {
+            console.log(`${LOG_TAGS.COMMENT} Reply limit reached for post ${postId}, skipping comment ${commentId}`);
+            return COMMENT_RESULTS.THROTTLED;
+        }
+
+        let chatData;
+        try {
+            chatData = await chat({ message: comment.text, conversationHistory: [] });
+        } catch (error) {
+            console.error(`${LOG_TAGS.COMMENT} AI response error for comment ${commentId}:`, error);
+            return COMMENT_RESULTS.FAILED;
+        }
+
+        // 私訊成功才公開回覆「已私訊」
+        if (!(await replyPrivately(comment, buildPrivateReplyText(comment, chatData)))) {
+            return COMMENT_RESULTS.FAILED;
+        }
+        await replyPublicly(comment, getTemplates().public_reply);
+        return COMMENT_RESULTS.REPLIED;
+    }
+
+    return { handleComment };
+}
+
+module.exports = {
+    COMMENT_RESULTS,
+
+    // Webhook 事件
+    parseCommentChange,
+
+    // 留言分類
+    isSpamComment,
+    isProductQuestion,
+
+    // 貼文節流
+    createPostThrottle,
+
+    // Graph API
+    replyToComment,
+    sendPrivateReply,
+
+    // 回覆內容
+    buildPrivateReplyText,
+
+    // 回覆器
+    createCommentResponder
+};
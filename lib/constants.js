@@ -32,6 +32,26 @@ const PRODUCT_BASE_URL = 'https://www.liqui-moly-tw.com/products/';
  */
 const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
 
+/**
+ * Meta Graph API 端點
+ */
+const META_GRAPH_API_URL = 'https://graph.facebook.com/v18.0';
+
+/**
+ * Facebook / Instagram Page Inbox 的 App ID（Handover Protocol 的真人客服端，固定值）
+ */
+const META_PAGE_INBOX_APP_ID = '263902037430900';
+
+/**
+ * Messenger / Instagram 輸入中提示的重送間隔（毫秒，Meta 約 20 秒後自動隱藏）
+ */
+const META_TYPING_REFRESH_MS = 15000;
+
+/**
+ * LINE Messaging API 端點
+ */
+const LINE_API_URL = 'https://api.line.me/v2/bot';
+
 /**
  * CarMall 商城 URL
  */
@@ -46,32 +66,221 @@ const CARMALL_URL = 'https://www.carmall.com.tw/';
  */
 const GEMINI_MODEL = 'gemini-2.0-flash';
 
+/**
+ * Gemini 備援模型 ID（主模型重試用盡或模型不存在時改用）
+ * 須為目前仍提供服務、且與 GEMINI_MODEL 不同的模型（同為 2.x flash 系列、支援 Function Calling）；
+ * 已停止服務的模型（如 1.5 系列）會回傳 404，每次主模型失敗都白白多耗一次嘗試
+ */
+const GEMINI_FALLBACK_MODEL = 'gemini-2.0-flash-lite';
+
 /**
  * Gemini 模型完整端點
  */
 const GEMINI_ENDPOINT = `${GEMINI_API_URL}/${GEMINI_MODEL}:generateContent`;
 
 /**
- * Token 限制設定
+ * LLM 供應商設定（透過 LLM_PROVIDER 環境變數切換）
+ * - gemini：Google Gemini（預設）
+ * - openai：OpenAI 相容 API（OpenAI、Azure、vLLM、Ollama 等）
+ * - stub：本地固定回應，供測試與離線開發使用
+ */
+const LLM_PROVIDERS = {
+    GEMINI: 'gemini',
+    OPENAI: 'openai',
+    STUB: 'stub'
+};
+
+/**
+ * OpenAI 相容 API 預設值（可用 LLM_API_URL / LLM_MODEL 覆寫）
+ */
+const OPENAI_COMPATIBLE_DEFAULTS = {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini'
+};
+
+/**
+ * Token 限制設定（依任務區分）
+ * model 為 Gemini 模型 ID；其他供應商使用 LLM_MODEL 或各自預設模型
  */
 const TOKEN_LIMITS = {
-    // 分析用（較複雜的任務）
+    // 分析用（意圖分析，輸出 JSON）
     analysis: {
+        model: GEMINI_MODEL,
         maxOutputTokens: 800,
         temperature: 0.1
     },
-    // 聊天用（一般對話）
+    // 聊天用（產品諮詢回覆，需要較長輸出）
     chat: {
-        maxOutputTokens: 1024,
-        temperature: 0.7
+        model: GEMINI_MODEL,
+        maxOutputTokens: 4096,
+        temperature: 0.1,
+        topK: 20,
+        topP: 0.8
     },
     // 簡單查詢（快速回應）
     simple: {
+        model: GEMINI_MODEL,
         maxOutputTokens: 300,
         temperature: 0.3
     }
 };
 
+/**
+ * LLM 呼叫韌性設定（lib/llm-provider.js）
+ * 一次 /api/chat 最多經過 analysis + chat 兩段呼叫，
+ * 兩者的 deadlineMs 合計需低於 Vercel maxDuration（30 秒）；
+ * 工具模式會有多次 chat 呼叫，另以 requestBudgetMs 限制整個請求
+ */
+const LLM_RESILIENCE = {
+    // 單次嘗試逾時（毫秒）
+    timeoutMs: {
+        analysis: 6000,
+        chat: 18000,
+        simple: 6000
+    },
+    // 單次呼叫（含重試與備援模型）總預算（毫秒）
+    deadlineMs: {
+        analysis: 8000,
+        chat: 20000,
+        simple: 8000
+    },
+    // 單一 /api/chat 請求的 LLM 總預算（毫秒，保留時間給產品驗證與回應）
+    requestBudgetMs: 26000,
+    // 剩餘預算低於此值時不再嘗試
+    minAttemptMs: 1500,
+    // 每個模型的重試次數（不含第一次）
+    maxRetries: 1,
+    // 指數退避 + 隨機抖動
+    retryBaseDelayMs: 300,
+    retryMaxDelayMs: 1500,
+    // 視為暫時性錯誤的 HTTP 狀態碼
+    retryableStatus: [408, 429, 500, 502, 503, 504],
+    // 連續失敗達門檻後，冷卻期間直接跳過 LLM
+    circuitBreaker: {
+        failureThreshold: 3,
+        cooldownMs: 30000
+    }
+};
+
+/**
+ * Function Calling 工具模式設定（LLM_TOOL_MODE=true 時啟用）
+ */
+const TOOL_CALLING = {
+    // 模型最多可連續呼叫工具的回合數
+    maxRounds: 4,
+    // 請求剩餘預算低於此值時不再開始新回合，改走 context-stuffing
+    minRoundMs: 6000,
+    // 每次工具回傳的產品數量上限
+    maxProducts: 8
+};
+
+/**
+ * 訊息去重設定（lib/idempotency-store.js）
+ */
+const IDEMPOTENCY = {
+    // 已處理訊息 ID 的保留時間（涵蓋 Meta 重試區間）
+    ttlMs: 60 * 60 * 1000,
+    // 呼叫 Wix claimMessage 的逾時
+    requestTimeoutMs: 3000
+};
+
+/**
+ * 對話摘要設定（lib/conversation-summary.js）
+ * 超出 historyWindow 的舊訊息不再逐字送給 LLM，改併入摘要
+ */
+const CONVERSATION_SUMMARY = {
+    // 逐字送給 LLM 的最近訊息數
+    historyWindow: 10,
+    // 摘要保留的項目上限（超過時保留最新的）
+    maxProducts: 10,
+    maxSpecs: 8,
+    maxQuestions: 3,
+    // 摘要中每則用戶提問的最大長度
+    maxQuestionLength: 60
+};
+
+/**
+ * /api/chat 回傳的產品卡片設定（lib/product-cards.js）
+ */
+const PRODUCT_CARDS = {
+    // 每次回覆最多回傳的產品卡片數
+    maxCards: 10
+};
+
+/**
+ * Messenger 產品輪播設定（lib/messenger-templates.js）
+ */
+const PRODUCT_CAROUSEL = {
+    // Generic Template 上限：10 張卡片，title / subtitle 各 80 字元
+    maxElements: 10,
+    maxTitleLength: 80,
+    maxSubtitleLength: 80,
+    // 使用 Generic Template 的來源（Instagram 以文字列出產品）
+    templateSources: ['facebook'],
+    // 「這哪裡買」按鈕的 postback payload 前綴（後接產品編號）
+    whereToBuyPayloadPrefix: 'WHERE_TO_BUY:',
+    // Quick Reply 標題上限 20 字元
+    maxQuickReplyTitleLength: 20
+};
+
+/**
+ * LINE Messaging API 限制（lib/line-messages.js）
+ */
+const LINE_MESSAGING = {
+    // 一次 reply / push 最多 5 則訊息
+    maxMessagesPerRequest: 5,
+    // 文字訊息上限 5000 字元
+    maxTextLength: 5000,
+    // Quick Reply 最多 13 個，標籤上限 20 字元
+    maxQuickReplyItems: 13,
+    maxQuickReplyLabelLength: 20,
+    // Flex carousel 最多 12 個 bubble
+    maxBubbles: 12,
+    // 通知與聊天列表顯示的替代文字上限
+    maxAltTextLength: 400
+};
+
+/**
+ * 車型選擇精靈（lib/vehicle-wizard.js）
+ * 步驟：車種 → 品牌 → 車型 → 年份 / 引擎，選項取自 vehicle-specs.json
+ */
+const VEHICLE_WIZARD = {
+    steps: ['vehicleType', 'brand', 'model', 'variant'],
+    // 車種選項 → 對話狀態的 vehicleType，以及 _metadata 中的品牌清單（未列入清單的品牌為汽車）
+    vehicleTypes: [
+        { label: '汽車', vehicleType: '汽車', brandListKey: null },
+        { label: '檔車', vehicleType: '摩托車', brandListKey: 'motorcycle_brands' },
+        { label: '速克達', vehicleType: '摩托車', brandListKey: 'scooter_brands' }
+    ],
+    // 品牌通用規格（如 Volvo Common）不是車型名稱，查詢時只顯示品牌
+    genericModelKeys: ['Common'],
+    // 選項上限（Quick Reply 最多 13 個，保留真人客服按鈕）
+    maxOptions: 12,
+    // Messenger / LINE 選項按鈕的 postback payload 前綴（後接選項文字）
+    payloadPrefix: 'VEHICLE_WIZARD:'
+};
+
+/**
+ * Facebook / Instagram 貼文留言自動回覆（lib/comment-reply.js）
+ */
+const COMMENT_REPLY = {
+    // 每篇貼文在時間窗內最多自動回覆的留言數（超過則不回覆，交由小編處理）
+    maxRepliesPerPost: 5,
+    windowMs: 60 * 60 * 1000,
+    // Private Reply 只能送一則訊息，超過長度時截斷（與 Send API 分段長度相同）
+    maxPrivateReplyLength: { facebook: 1800, instagram: 800 },
+    // 私訊開頭引用的留言長度
+    maxQuotedCommentLength: 50,
+    // 少於此字數（去除空白、標點與標記）的留言不回覆
+    minTextLength: 3,
+    // 垃圾留言關鍵字（小寫比對）
+    spamKeywords: ['加賴', '加line', 'line id', '加我line', '賺錢', '兼職', '投資', '貸款', '娛樂城', '博弈', '代操', '免費領', '點我', '私訊我'],
+    // 產品相關關鍵字（小寫比對，classifyIntent 未偵測到車型時的補充判斷）
+    productKeywords: ['機油', '添加劑', '齒輪油', '變速箱油', '煞車油', '冷卻液', '水箱精', '黏度', '保養', '認證', '規範', 'liqui', 'moly', '力魔'],
+    // 提問用語（小寫比對）
+    questionMarkers: ['?', '？', '嗎', '呢', '請問', '怎麼', '如何', '哪', '推薦', '適合', '可以用', '能用', '多少']
+};
+
 // ============================================
 // 快取設定
 // ============================================
@@ -88,6 +297,19 @@ const CACHE_DURATION = {
     session: 24 * 60 * 60 * 1000
 };
 
+/**
+ * 產品目錄離線快照（lib/catalog-snapshot.js）
+ */
+const CATALOG_SNAPSHOT = {
+    // 快照格式版本（格式變更時遞增，舊快照不再使用）
+    schemaVersion: 1,
+    // 使用快照或過期快取時，背景重新向 Wix 取得產品的最短間隔
+    revalidateIntervalMs: 60 * 1000,
+    // 冷啟動且有快照時，只向 Wix 嘗試一次的逾時（接近原本第一次嘗試的 10 秒，Wix 較慢時仍取得最新目錄；
+    // 逾時後改用快照，仍在 Vercel maxDuration 內）
+    coldStartTimeoutMs: 9000
+};
+
 // ============================================
 // 搜尋設定
 // ============================================
@@ -103,7 +325,10 @@ const SEARCH_LIMITS = {
     // 認證搜尋數量
     certification: 30,
     // Fallback 搜尋數量
-    fallback: 10
+    fallback: 10,
+    // JSON 模式每頁預設 / 最大筆數
+    pageSize: 20,
+    maxPageSize: 50
 };
 
 // 注意：CATEGORY_TO_SORT 和 OIL_ONLY_KEYWORDS 已移至知識庫
@@ -130,6 +355,31 @@ const AI_DISCLAIMER = {
     meta: '\n\n⚠️ AI 可能出錯，僅供參考。'
 };
 
+// ============================================
+// 真人客服設定
+// ============================================
+
+/**
+ * 切換真人客服後 AI 暫停回覆的時間（分鐘）
+ */
+const HUMAN_HANDOVER_PAUSE_MINUTES = 30;
+
+/**
+ * 恢復 AI 的關鍵字（小寫比對；暫停期間也會偵測）
+ * 包含全形/半形空格
+ */
+const RESUME_AI_KEYWORDS = [
+    '恢復ai', '恢復 ai', '恢復ＡＩ', '恢復 ＡＩ',
+    'ai回答', 'ai 回答', 'ai諮詢', 'ai 諮詢',
+    'ai產品', 'ai 產品', '啟動ai', '啟動 ai',
+    '開啟ai', '開啟 ai', '繼續ai', '繼續 ai'
+];
+
+/**
+ * 要求真人客服的關鍵字（小寫比對）
+ */
+const HUMAN_AGENT_KEYWORDS = ['真人', '客服', '人工', '專人', '轉接', '找人', '活人'];
+
 // ============================================
 // CORS 設定
 // ============================================
@@ -162,7 +412,25 @@ const LOG_TAGS = {
     VEHICLE: '[VehicleMatcher]',
     CERT: '[CertMatcher]',
     MOTORCYCLE: '[MotorcycleRules]',
-    VALIDATOR: '[ResponseValidator]'
+    VALIDATOR: '[ResponseValidator]',
+    LLM: '[LLM]',
+    TOOLS: '[ProductTools]',
+    TEMPLATE: '[TemplateResponder]',
+    DIALOG: '[DialogState]',
+    SUMMARY: '[ConversationSummary]',
+    SECURITY: '[Security]',
+    IDEMPOTENCY: '[Idempotency]',
+    QUEUE: '[EventQueue]',
+    HANDOVER: '[Handover]',
+    LINE: '[LINE Webhook]',
+    PAUSE: '[Pause]',
+    CONVERSATION: '[Conversation]',
+    ORCHESTRATOR: '[Orchestrator]',
+    WIZARD: '[VehicleWizard]',
+    SENDER_ACTION: '[SenderAction]',
+    PROFILE: '[MessengerProfile]',
+    COMMENT: '[CommentReply]',
+    CATALOG: '[CatalogSnapshot]'
 };
 
 // ============================================
@@ -202,6 +470,51 @@ const INTENT_TYPES = {
     GENERAL_INQUIRY: 'general_inquiry'
 };
 
+/**
+ * 預設直接以範本回覆、不呼叫 LLM 的意圖（TEMPLATE_RESPONSES=false 可關閉）
+ * 僅在訊息未提及車型與產品類別時適用，避免誤攔截產品推薦
+ */
+const TEMPLATE_RESPONSE_INTENTS = [
+    INTENT_TYPES.PURCHASE_INQUIRY,
+    INTENT_TYPES.COOPERATION_INQUIRY,
+    INTENT_TYPES.PRICE_INQUIRY
+];
+
+/**
+ * 對話狀態欄位（lib/dialog-state.js）
+ * - label：追問時顯示的名稱
+ * - keywords：AI 追問內容含這些字時，視為在問此欄位（已確認則不再問）
+ */
+const DIALOG_SLOTS = {
+    vehicleBrand: { label: '品牌', keywords: ['品牌', '廠牌'] },
+    vehicleModel: { label: '車型名稱', keywords: ['車型名稱', '哪款車', '什麼車'] },
+    year: { label: '年份', keywords: ['年份', '年式', '出廠'] },
+    fuelType: { label: '燃油類型（汽油/柴油/油電）', keywords: ['燃油', '汽油', '柴油', '油電'] },
+    transmissionType: { label: '變速箱類型（手排/自排）', keywords: ['變速箱', '手排', '自排'] },
+    vehicleType: { label: '車種（汽車/機車）', keywords: ['車種', '汽車還是', '機車還是'] },
+    productCategory: { label: '產品類別（機油/添加劑等）', keywords: ['產品類別', '哪類產品'] },
+    symptom: { label: '車輛症狀', keywords: ['症狀', '什麼狀況'] }
+};
+
+/**
+ * 推薦產品前必須確認的欄位（依產品類別 → 車種，_default 為車種未知時）
+ */
+const REQUIRED_SLOTS = {
+    '機油': {
+        '汽車': ['vehicleModel', 'year', 'fuelType'],
+        '摩托車': ['vehicleModel'],
+        _default: ['vehicleType']
+    },
+    '添加劑': {
+        '汽車': ['fuelType', 'symptom'],
+        '摩托車': ['symptom'],
+        _default: ['vehicleType', 'symptom']
+    },
+    '變速箱油': {
+        _default: ['vehicleModel', 'transmissionType']
+    }
+};
+
 /**
  * 產品類別常數
  */
@@ -285,13 +598,30 @@ module.exports = {
     GEMINI_API_URL,
     GEMINI_ENDPOINT,
     CARMALL_URL,
+    META_GRAPH_API_URL,
+    META_PAGE_INBOX_APP_ID,
+    META_TYPING_REFRESH_MS,
+    LINE_API_URL,
 
     // AI 設定
     GEMINI_MODEL,
+    GEMINI_FALLBACK_MODEL,
     TOKEN_LIMITS,
+    LLM_RESILIENCE,
+    LLM_PROVIDERS,
+    OPENAI_COMPATIBLE_DEFAULTS,
+    TOOL_CALLING,
+    CONVERSATION_SUMMARY,
+    IDEMPOTENCY,
+    PRODUCT_CARDS,
+    PRODUCT_CAROUSEL,
+    LINE_MESSAGING,
+    VEHICLE_WIZARD,
+    COMMENT_REPLY,
 
     // 快取設定
     CACHE_DURATION,
+    CATALOG_SNAPSHOT,
 
     // 搜尋設定
     SEARCH_LIMITS,
@@ -301,6 +631,9 @@ module.exports = {
 
     // AI 警語
     AI_DISCLAIMER,
+    HUMAN_HANDOVER_PAUSE_MINUTES,
+    RESUME_AI_KEYWORDS,
+    HUMAN_AGENT_KEYWORDS,
 
     // 日誌
     LOG_TAGS,
@@ -310,6 +643,9 @@ module.exports = {
 
     // 常數
     INTENT_TYPES,
+    TEMPLATE_RESPONSE_INTENTS,
+    DIALOG_SLOTS,
+    REQUIRED_SLOTS,
     PRODUCT_CATEGORIES,
     VEHICLE_TYPES,
 
@@ -0,0 +1,374 @@
+/**
+ * LIQUI MOLY Chatbot - 對話協調器（通訊管道共用核心）
+ *
+ * 通訊管道轉接器（api/meta-webhook.js、api/line-webhook.js）只負責傳輸：
+ * 驗證並解析平台事件 → 正規化為 inbound 事件 → handleInboundEvent →
+ * 在 deliver 中把 outbound 訊息轉為平台格式送出。
+ * 暫停檢查、恢復 AI、對話歷史、/api/chat、markdown 轉純文字、AI 標註與對話儲存都在這裡。
+ *
+ * Inbound 事件：{ channel, userId, userName, type, text, payload, attachmentType, reason }
+ * - follow：加入好友 / 開始使用
+ * - text：文字訊息
+ * - postback：按鈕或 Quick Reply（payload：AI_CONSULT、HUMAN_AGENT、RESUME_AI、WHERE_TO_BUY:<SKU>、VEHICLE_WIZARD:<選項>）
+ * - attachment：圖片、影片、檔案（AI 無法處理，轉真人客服）
+ * - agent_reply：真人客服回覆了用戶（重新計算暫停時間）
+ * - agent_takeover / agent_release：平台通知真人客服接手 / 結束
+ *
+ * Outbound 回覆：{ messages, handover }
+ * - messages：[{ type: 'text', text }, { type: 'products', products }]，
+ *   最後一則可帶 quickReplies（[{ label, payload }]）與 suggestions（建議追問文字）
+ * - handover：{ to: 'human' | 'bot', reason } 或 null（平台有控制權協定時由轉接器處理）
+ *
+ * 設計原則：
+ * 1. 回覆內容與平台無關，按鈕以 payload 表示，轉接器決定呈現方式
+ * 2. 先送出回覆（deliver）再儲存對話，用戶不必等待 Wix 寫入
+ * 3. 是否為第一次回答由 /api/chat 依對話歷史判斷，各端不重複計算
+ */
+
+const { RESUME_AI_KEYWORDS, HUMAN_AGENT_KEYWORDS, VEHICLE_WIZARD, LOG_TAGS } = require('./constants');
+const conversationStore = require('./conversation-store');
+const { getHandoverSchedule } = require('./business-hours');
+const { markdownToPlainText } = require('./message-format');
+const { parseWhereToBuyPayload } = require('./messenger-templates');
+
+// Vercel API URL（各通訊管道統一使用 /api/chat 的 RAG 管線）
+const VERCEL_API_URL = process.env.VERCEL_URL
+    ? `https://${process.env.VERCEL_URL}`
+    : 'https://liqui-moly-chatbot.vercel.app';
+
+const QUICK_REPLIES = {
+    AI_CONSULT: { label: '🤖 AI 產品諮詢', payload: 'AI_CONSULT' },
+    HUMAN_AGENT: { label: '👤 真人客服', payload: 'HUMAN_AGENT' },
+    RESUME_AI: { label: '🤖 恢復 AI 自動回答', payload: 'RESUME_AI' }
+};
+
+/**
+ * 轉接真人客服的服務時間說明（非服務時間改為說明何時回覆，以及 AI 暫停到客服回覆為止）
+ * 暫停期間 AI 不回覆文字，用戶需點擊 RESUME_AI 按鈕才會恢復（按鈕說明在呼叫端文字結尾）
+ * @param {Object} schedule - getHandoverSchedule 的結果
+ */
+function handoverNotice(schedule) {
+    if (schedule.isOpen) {
+        return `⏰ AI 助理將暫停 ${schedule.pauseMinutes} 分鐘，等待真人客服處理
+📞 服務時間：${schedule.hoursText}`;
+    }
+
+    const replyTime = schedule.nextOpeningText ? `將於 ${schedule.nextOpeningText} 起` : '將於服務時間';
+    return `🌙 目前為非服務時間，客服人員${replyTime}回覆您
+📞 服務時間：${schedule.hoursText}（國定假日休息）
+⏸️ AI 助理將暫停至客服回覆，期間不會自動回答`;
+}
+
+const TEXTS = {
+    welcome: `您好！👋 歡迎來到 LIQUI MOLY Taiwan！
+
+我是 AI 產品諮詢助理，可以幫您：
+🔹 推薦適合您愛車的機油
+🔹 查詢產品資訊與規格
+🔹 提供購買管道指引
+
+請直接輸入問題，或選擇下方選項：`,
+    aiConsult: '好的！請直接輸入您的問題，我會盡力為您解答。\n\n例如：\n🔹 我的車是 Toyota Camry 2020，適合什麼機油？\n🔹 5W30 和 5W40 有什麼差別？',
+    humanAgent: (schedule) => `已為您轉接真人客服 👤
+
+${handoverNotice(schedule)}
+📝 您也可以填寫聯絡表單：https://www.liqui-moly-tw.com/contact
+
+如需恢復 AI 自動回答，請點擊下方按鈕。`,
+    resumeAI: `AI 助理已恢復 🤖
+
+現在可以直接輸入問題，我會為您解答！`,
+    attachment: (label, schedule) => `感謝您傳送${label}！🖼️
+
+目前 AI 助理尚未支援圖片辨識功能，系統將自動為您轉接真人客服。
+
+${handoverNotice(schedule)}
+📝 您也可以填寫聯絡表單：https://www.liqui-moly-tw.com/contact
+
+如需恢復 AI 自動回答，請點擊下方按鈕。`,
+    error: '抱歉，我目前無法處理您的問題。請稍後再試，或直接使用官網聯絡表單：https://www.liqui-moly-tw.com/contact'
+};
+
+function containsKeyword(text, keywords) {
+    const textLower = String(text || '').toLowerCase();
+    return keywords.some(kw => textLower.includes(kw));
+}
+
+/**
+ * 文字是否為恢復 AI 的關鍵字
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isResumeKeyword(text) {
+    return containsKeyword(text, RESUME_AI_KEYWORDS);
+}
+
+/**
+ * 車型選擇精靈的選項 → Quick Reply（payload 帶完整選項文字，標題可能被截斷）
+ */
+function toWizardQuickReplies(vehicleWizard) {
+    return (vehicleWizard?.options || []).map(option => ({ label: option, payload: `${VEHICLE_WIZARD.payloadPrefix}${option}` }));
+}
+
+function parseWizardPayload(payload) {
+    if (typeof payload !== 'string' || !payload.startsWith(VEHICLE_WIZARD.payloadPrefix)) return null;
+    return payload.substring(VEHICLE_WIZARD.payloadPrefix.length).trim() || null;
+}
+
+function textReply(text, quickReplies) {
+    return { messages: [{ type: 'text', text, ...(quickReplies ? { quickReplies } : {}) }], handover: null };
+}
+
+// ============================================
+// /api/chat
+// ============================================
+
+/**
+ * 呼叫 Vercel /api/chat
+ * @param {Object} body - { message, conversationHistory, dialogState, conversationSummary }
+ * @returns {Promise<Object>} chatData（success 為 false 或 HTTP 錯誤時 throw）
+ */
+async function callChatApi(body) {
+    const response = await fetch(`${VERCEL_API_URL}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`${LOG_TAGS.ORCHESTRATOR} Chat API HTTP error:`, response.status, errorText);
+        throw new Error(`Vercel Chat API error: ${response.status}`);
+    }
+
+    let chatData;
+    try {
+        chatData = await response.json();
+    } catch (e) {
+        throw new Error('Invalid JSON response from Vercel Chat API');
+    }
+    if (!chatData.success || !chatData.response) {
+        throw new Error(chatData.error || 'Chat API failed');
+    }
+    return chatData;
+}
+
+// ============================================
+// 協調器
+// ============================================
+
+/**
+ * 建立對話協調器
+ * @param {Object} options
+ * @param {Object} options.store - 對話儲存（預設 lib/conversation-store.js）
+ * @param {Function} options.chat - async (body) => chatData（預設呼叫 /api/chat）
+ * @param {Function} options.now - 目前時間（判斷真人客服服務時間，測試用）
+ * @returns {Object} { handleInboundEvent }
+ */
+function createConversationOrchestrator({ store = conversationStore, chat = callChatApi, now = () => new Date() } = {}) {
+
+    function record(event, fields) {
+        return store.saveConversation({
+            senderId: event.userId,
+            senderName: event.userName || '',
+            source: event.channel,
+            hasAttachment: false,
+            ...fields
+        });
+    }
+
+    async function switchToHumanAgent(event, deliver, userMessage = '[用戶點擊真人客服]') {
+        // 非服務時間暫停至下次上班
+        const schedule = getHandoverSchedule(now());
+        const response = TEXTS.humanAgent(schedule);
+        await store.pauseUser(event.userId, { reason: 'user_request', minutes: schedule.pauseMinutes });
+
+        await deliver({
+            ...textReply(response, [QUICK_REPLIES.RESUME_AI]),
+            handover: { to: 'human', reason: 'user_request' }
+        });
+        await record(event, { userMessage, aiResponse: response, isPaused: true });
+    }
+
+    async function resumeAI(event, deliver) {
+        await store.resumeUser(event.userId);
+
+        await deliver({
+            ...textReply(TEXTS.resumeAI, [QUICK_REPLIES.AI_CONSULT, QUICK_REPLIES.HUMAN_AGENT]),
+            handover: { to: 'bot', reason: 'resume_ai' }
+        });
+        await record(event, { userMessage: '[用戶恢復 AI]', aiResponse: TEXTS.resumeAI, isPaused: false });
+    }
+
+    async function handleAttachment(event, deliver) {
+        const attachmentType = event.attachmentType || 'file';
+        const schedule = getHandoverSchedule(now());
+        const response = TEXTS.attachment(attachmentType === 'image' ? '圖片' : '檔案', schedule);
+
+        await store.pauseUser(event.userId, { reason: `${attachmentType}_attachment`, minutes: schedule.pauseMinutes });
+
+        await deliver({
+            ...textReply(response, [QUICK_REPLIES.RESUME_AI]),
+            handover: { to: 'human', reason: `${attachmentType}_attachment` }
+        });
+        await record(event, {
+            userMessage: `[用戶傳送${attachmentType === 'image' ? '圖片' : '檔案'}]`,
+            aiResponse: response,
+            hasAttachment: true,
+            isPaused: true
+        });
+    }
+
+    async function answerWithAI(event, text, deliver, onAnswerStart) {
+        // 確定由 AI 回答後才通知轉接器（例如顯示輸入中），暫停中不會走到這裡
+        onAnswerStart();
+
+        let chatData;
+        try {
+            const context = await store.loadConversationContext(event.userId);
+            chatData = await chat({ message: text, ...context });
+        } catch (error) {
+            console.error(`${LOG_TAGS.ORCHESTRATOR} AI response error:`, error);
+            await deliver(textReply(TEXTS.error));
+            return;
+        }
+
+        // 在 AI 回覆前加上機器人標註，讓用戶能分辨 AI 和人工回覆
+        const messages = [{ type: 'text', text: `🤖 ${markdownToPlainText(chatData.response)}` }];
+        const products = Array.isArray(chatData.products) ? chatData.products : [];
+        if (products.length > 0) {
+            messages.push({ type: 'products', products });
+        }
+
+        // 最後一則帶真人客服按鈕與建議追問（車型選擇精靈進行中時改帶精靈選項）
+        const wizardReplies = toWizardQuickReplies(chatData.vehicleWizard);
+        Object.assign(messages[messages.length - 1], {
+            quickReplies: [...wizardReplies, QUICK_REPLIES.HUMAN_AGENT],
+            suggestions: wizardReplies.length > 0 ? [] : (chatData.suggestedReplies || [])
+        });
+
+        await deliver({ messages, handover: null });
+        await record(event, {
+            userMessage: text,
+            aiResponse: chatData.response,
+            dialogState: chatData.dialogState || null,
+            conversationSummary: chatData.conversationSummary || null
+        });
+    }
+
+    async function handleUserMessage(event, deliver, onAnswerStart) {
+        // 恢復 AI 關鍵字優先於暫停檢查，否則暫停時無法恢復
+        if (event.type === 'text' && isResumeKeyword(event.text)) {
+            console.log(`${LOG_TAGS.ORCHESTRATOR} Resume AI keyword detected: "${event.text}"`);
+            return resumeAI(event, deliver);
+        }
+
+        // 等待真人客服期間不回覆，靜默記錄（避免打擾真人客服對話）
+        if (await store.isUserPaused(event.userId)) {
+            console.log(`${LOG_TAGS.ORCHESTRATOR} User ${event.userId} is waiting for human agent, skipping AI response`);
+            await record(event, {
+                userMessage: event.text || '[附件]',
+                aiResponse: '[等待真人客服中，AI 暫停回覆]',
+                hasAttachment: event.type === 'attachment',
+                isPaused: true
+            });
+            return;
+        }
+
+        if (event.type === 'attachment') {
+            return handleAttachment(event, deliver);
+        }
+
+        // 真人客服關鍵字
+        if (containsKeyword(event.text, HUMAN_AGENT_KEYWORDS)) {
+            console.log(`${LOG_TAGS.ORCHESTRATOR} Human agent keyword detected: "${event.text}"`);
+            return switchToHumanAgent(event, deliver, event.text);
+        }
+
+        return answerWithAI(event, event.text, deliver, onAnswerStart);
+    }
+
+    async function handlePostback(event, deliver, onAnswerStart) {
+        // 產品「這哪裡買」按鈕：以產品編號詢問購買管道（由範本回覆處理）
+        const whereToBuySku = parseWhereToBuyPayload(event.payload);
+        if (whereToBuySku) {
+            if (await store.isUserPaused(event.userId)) return;
+            return answerWithAI(event, `${whereToBuySku} 這哪裡買？`, deliver, onAnswerStart);
+        }
+
+        // 車型選擇精靈的選項：與直接輸入選項文字相同
+        const wizardOption = parseWizardPayload(event.payload);
+        if (wizardOption) {
+            if (await store.isUserPaused(event.userId)) return;
+            return answerWithAI(event, wizardOption, deliver, onAnswerStart);
+        }
+
+        switch (event.payload) {
+            case 'AI_CONSULT':
+                return deliver(textReply(TEXTS.aiConsult));
+            case 'HUMAN_AGENT':
+                return switchToHumanAgent(event, deliver);
+            case 'RESUME_AI':
+                return resumeAI(event, deliver);
+            default:
+                console.log(`${LOG_TAGS.ORCHESTRATOR} Unknown postback: ${event.payload}`);
+        }
+    }
+
+    async function handleAgentEvent(event) {
+        switch (event.type) {
+            case 'agent_reply':
+                // 真人客服回覆：無論是否已暫停，都重新計算暫停時間
+                await store.pauseUser(event.userId, { reason: 'agent_reply', resetTimer: true });
+                await record(event, {
+                    senderName: 'Admin',
+                    userMessage: event.text || '[管理者發送附件]',
+                    aiResponse: '[真人客服回覆]',
+                    isPaused: true
+                });
+                break;
+            case 'agent_takeover':
+                await store.pauseUser(event.userId, { reason: event.reason || 'agent_takeover' });
+                break;
+            case 'agent_release':
+                await store.resumeUser(event.userId);
+                break;
+        }
+    }
+
+    /**
+     * 處理一個 inbound 事件
+     * @param {Object} event - 正規化的 inbound 事件
+     * @param {Object} options
+     * @param {Function} options.deliver - async ({ messages, handover }) => void，由轉接器送出
+     * @param {Function} options.onAnswerStart - () => void，通過暫停檢查、開始產生 AI 回覆時呼叫
+     */
+    async function handleInboundEvent(event, { deliver = async () => {}, onAnswerStart = () => {} } = {}) {
+        if (!event?.userId) return;
+
+        switch (event.type) {
+            case 'follow':
+                return deliver(textReply(TEXTS.welcome, [QUICK_REPLIES.AI_CONSULT, QUICK_REPLIES.HUMAN_AGENT]));
+            case 'text':
+            case 'attachment':
+                return handleUserMessage(event, deliver, onAnswerStart);
+            case 'postback':
+                return handlePostback(event, deliver, onAnswerStart);
+            case 'agent_reply':
+            case 'agent_takeover':
+            case 'agent_release':
+                return handleAgentEvent(event);
+            default:
+                console.log(`${LOG_TAGS.ORCHESTRATOR} Unhandled inbound event: ${event.type}`);
+        }
+    }
+
+    return { handleInboundEvent };
+}
+
+module.exports = {
+    QUICK_REPLIES,
+    isResumeKeyword,
+    callChatApi,
+    createConversationOrchestrator
+};
@@ -0,0 +1,157 @@
+/**
+ * LIQUI MOLY Chatbot - 對話儲存（Wix CMS）
+ *
+ * 通訊管道（Messenger / Instagram / LINE）共用的 Wix http-functions 呼叫：
+ * - getConversationHistory：對話歷史、對話狀態、對話摘要
+ * - checkPauseStatus / setPauseStatus：真人客服暫停狀態
+ * - saveConversation：對話記錄
+ *
+ * 設計原則：
+ * 1. Wix 失敗時不 throw：讀取回傳預設值（不暫停、無歷史），寫入只記錄錯誤
+ * 2. 暫停檢查失敗時預設不暫停，避免阻斷服務
+ */
+
+const { WIX_API_URL, HUMAN_HANDOVER_PAUSE_MINUTES, LOG_TAGS } = require('./constants');
+
+async function postToWix(path, body) {
+    return fetch(`${WIX_API_URL}/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+// ============================================
+// 對話歷史
+// ============================================
+
+/**
+ * 取得對話歷史、對話狀態與對話摘要
+ * @param {string} senderId - 用戶 ID
+ * @param {number} limit - 最多取得的歷史訊息數
+ * @returns {Promise<Object>} { conversationHistory, dialogState, conversationSummary }
+ */
+async function loadConversationContext(senderId, limit = 10) {
+    const context = { conversationHistory: [], dialogState: null, conversationSummary: null };
+
+    try {
+        const response = await postToWix('getConversationHistory', { senderId, limit });
+        const data = await response.json();
+        if (data.success) {
+            context.conversationHistory = data.conversationHistory || [];
+            context.dialogState = data.dialogState || null;
+            context.conversationSummary = data.conversationSummary || null;
+            console.log(`${LOG_TAGS.CONVERSATION} Loaded ${context.conversationHistory.length} history messages`);
+        }
+    } catch (error) {
+        console.error(`${LOG_TAGS.CONVERSATION} Failed to get conversation history:`, error.message);
+    }
+
+    return context;
+}
+
+// ============================================
+// 暫停狀態
+// ============================================
+
+/**
+ * 檢查用戶是否在暫停期間
+ * @param {string} senderId
+ * @returns {Promise<boolean>}
+ */
+async function isUserPaused(senderId) {
+    try {
+        const response = await postToWix('checkPauseStatus', { senderId });
+        if (!response.ok) {
+            console.error(`${LOG_TAGS.PAUSE} Failed to check pause status from Wix`);
+            return false;
+        }
+
+        const result = await response.json();
+        if (result.isPaused) {
+            console.log(`${LOG_TAGS.PAUSE} User ${senderId} is paused until ${result.pauseUntil}`);
+            return true;
+        }
+        return false;
+    } catch (error) {
+        console.error(`${LOG_TAGS.PAUSE} Error checking pause status:`, error);
+        return false;
+    }
+}
+
+/**
+ * 暫停 AI 回覆（真人客服接手）
+ * @param {string} senderId
+ * @param {Object} options
+ * @param {string} options.reason - 暫停原因（記錄用）
+ * @param {boolean} options.resetTimer - 重新計時而非延長（真人客服回覆時）
+ * @param {number} options.minutes - 暫停時間（非服務時間轉接時暫停至下次上班，見 lib/business-hours.js）
+ */
+async function pauseUser(senderId, { reason = 'user_request', resetTimer = false, minutes = HUMAN_HANDOVER_PAUSE_MINUTES } = {}) {
+    try {
+        const response = await postToWix('setPauseStatus', {
+            senderId,
+            isPaused: true,
+            pauseDurationMinutes: minutes,
+            ...(resetTimer ? { resetTimer: true } : {})
+        });
+
+        if (response.ok) {
+            console.log(`${LOG_TAGS.PAUSE} User ${senderId} paused for ${minutes} minutes. Reason: ${reason}`);
+        } else {
+            console.error(`${LOG_TAGS.PAUSE} Failed to set pause status to Wix`);
+        }
+    } catch (error) {
+        console.error(`${LOG_TAGS.PAUSE} Error setting pause status:`, error);
+    }
+}
+
+/**
+ * 清除暫停狀態（恢復 AI 回覆）
+ * @param {string} senderId
+ */
+async function resumeUser(senderId) {
+    try {
+        await postToWix('setPauseStatus', { senderId, isPaused: false });
+        console.log(`${LOG_TAGS.PAUSE} User ${senderId} AI resumed`);
+    } catch (error) {
+        console.error(`${LOG_TAGS.PAUSE} Error resuming AI:`, error);
+    }
+}
+
+// ============================================
+// 對話記錄
+// ============================================
+
+/**
+ * 儲存對話記錄
+ * @param {Object} data - { senderId, senderName, source, userMessage, aiResponse, hasAttachment, isPaused, dialogState, conversationSummary }
+ * @returns {Promise<string|null>} 記錄 ID
+ */
+async function saveConversation(data) {
+    try {
+        const response = await postToWix('saveConversation', data);
+        if (response.ok) {
+            const result = await response.json();
+            console.log(`${LOG_TAGS.CONVERSATION} Saved to Wix: ${result.recordId}`);
+            return result.recordId;
+        }
+        console.error(`${LOG_TAGS.CONVERSATION} Failed to save to Wix`);
+    } catch (error) {
+        console.error(`${LOG_TAGS.CONVERSATION} Error saving conversation:`, error);
+    }
+    return null;
+}
+
+module.exports = {
+    // 對話歷史
+    loadConversationContext,
+
+    // 暫停狀態
+    isUserPaused,
+    pauseUser,
+    resumeUser,
+
+    // 對話記錄
+    saveConversation
+};
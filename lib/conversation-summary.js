@@ -0,0 +1,233 @@
+/**
+ * LIQUI MOLY Chatbot - 對話摘要（Rolling Summary）
+ *
+ * 長對話只逐字送出最近 historyWindow 則訊息，更早的訊息併入摘要：
+ * - 車型：取自對話狀態（dialogState）
+ * - 已討論規格：黏度、認證
+ * - 已推薦產品：AI 回覆中的產品編號
+ * - 用戶先前提問：最近幾則（截斷）
+ *
+ * 流程：/api/chat 回傳 conversationSummary → 網頁 / Wix / Meta 儲存並於下一輪送回
+ *
+ * 設計原則：
+ * 1. 確定性擷取，不額外呼叫 LLM（不增加延遲與 Token）
+ * 2. 合併為集合聯集，同一則訊息重複併入也不影響結果（前端送回的歷史會與上一輪重疊）
+ * 3. 前端送回的摘要不可信任，只保留已知欄位並限制長度
+ */
+
+const { extractSKUs } = require('./response-validator');
+const { CONVERSATION_SUMMARY, LOG_TAGS } = require('./constants');
+
+const SUMMARY_VERSION = 1;
+const MAX_ITEM_LENGTH = 80;
+
+// 規格擷取：黏度與常見認證
+const VISCOSITY_PATTERN = /\b(0|5|10|15|20)W-?(\d{2})\b/gi;
+const CERT_PATTERNS = [
+    /\bAPI\s*(?:S[A-Z]|C[A-Z](?:-4)?)\b/gi,
+    /\b(?:ILSAC\s*)?GF-?\d[AB]?\b/gi,
+    /\bACEA\s*[A-C]\d\b/gi,
+    /\bJASO\s*(?:MA2|MA|MB)\b/gi,
+    /\bVW\s*5\d{2}\s*\d{2}\b/gi,
+    /\bMB\s*2\d{2}\.\d{1,2}\b/gi,
+    /\bBMW\s*LL-?\d{2}\b/gi,
+    /\bWSS-M2C\d{3}-[A-Z]\d?\b/gi,
+    /\bdexos\s*\d\b/gi
+];
+
+// ============================================
+// 建立與正規化
+// ============================================
+
+/**
+ * 建立空白摘要
+ * @returns {Object} { version, vehicle, specs, products, questions }
+ */
+function createConversationSummary() {
+    return { version: SUMMARY_VERSION, vehicle: null, specs: [], products: [], questions: [] };
+}
+
+function normalizeList(list, max) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.trim().slice(0, MAX_ITEM_LENGTH))
+        .slice(-max);
+}
+
+/**
+ * 正規化前端送回的摘要（接受物件或 JSON 字串，無效時回傳空白摘要）
+ * @param {Object|string} raw - 前端送回的 conversationSummary
+ * @returns {Object} 摘要
+ */
+function normalizeConversationSummary(raw) {
+    const summary = createConversationSummary();
+
+    let source = raw;
+    if (typeof source === 'string') {
+        try {
+            source = JSON.parse(source);
+        } catch (e) {
+            console.warn(`${LOG_TAGS.SUMMARY} Ignoring malformed conversationSummary`);
+            return summary;
+        }
+    }
+    if (!source || typeof source !== 'object') return summary;
+
+    summary.vehicle = typeof source.vehicle === 'string' && source.vehicle.trim()
+        ? source.vehicle.trim().slice(0, MAX_ITEM_LENGTH)
+        : null;
+    summary.specs = normalizeList(source.specs, CONVERSATION_SUMMARY.maxSpecs);
+    summary.products = normalizeList(source.products, CONVERSATION_SUMMARY.maxProducts);
+    summary.questions = normalizeList(source.questions, CONVERSATION_SUMMARY.maxQuestions);
+    return summary;
+}
+
+/**
+ * 摘要是否沒有任何內容
+ */
+function isEmptySummary(summary) {
+    return !summary || (!summary.vehicle && summary.specs.length === 0 &&
+        summary.products.length === 0 && summary.questions.length === 0);
+}
+
+// ============================================
+// 擷取與合併
+// ============================================
+
+/**
+ * 從文字擷取黏度與認證（正規化大小寫與空白）
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function extractSpecs(text) {
+    const content = String(text || '');
+    const specs = [];
+
+    for (const match of content.matchAll(VISCOSITY_PATTERN)) {
+        specs.push(`${match[1]}W-${match[2]}`);
+    }
+    for (const pattern of CERT_PATTERNS) {
+        for (const match of content.matchAll(pattern)) {
+            specs.push(match[0].replace(/\s+/g, ' ').toUpperCase().replace(/^DEXOS/, 'dexos'));
+        }
+    }
+
+    return specs;
+}
+
+/**
+ * 聯集合併：已存在的項目移到最新位置，超過上限時保留最新的
+ */
+function mergeUnique(list, additions, max) {
+    const merged = [...list];
+    for (const item of additions) {
+        const index = merged.indexOf(item);
+        if (index !== -1) merged.splice(index, 1);
+        merged.push(item);
+    }
+    return merged.slice(-max);
+}
+
+function describeVehicle(dialogState) {
+    const slots = dialogState?.slots;
+    if (!slots) return null;
+
+    const parts = [slots.vehicleBrand, slots.vehicleModel, slots.year, slots.fuelType, slots.transmissionType]
+        .filter(Boolean);
+    // 同時有品牌與車型時，車型名稱常已包含品牌
+    if (slots.vehicleBrand && slots.vehicleModel && slots.vehicleModel.toLowerCase().includes(slots.vehicleBrand.toLowerCase())) {
+        parts.shift();
+    }
+    if (parts.length === 0) return slots.vehicleType || null;
+    return parts.join(' ');
+}
+
+/**
+ * 將超出視窗的訊息與最新對話狀態併入摘要（不修改傳入物件）
+ * @param {Object} summary - 目前摘要
+ * @param {Array} droppedMessages - 不再逐字送出的訊息
+ * @param {Object} dialogState - 本輪合併後的對話狀態
+ * @returns {Object} 新的摘要
+ */
+function updateConversationSummary(summary, droppedMessages = [], dialogState = null) {
+    const next = normalizeConversationSummary(summary);
+    if (droppedMessages.length === 0) return next;
+
+    const specs = [];
+    const products = [];
+    const questions = [];
+    for (const msg of droppedMessages) {
+        const content = String(msg?.content || '');
+        specs.push(...extractSpecs(content));
+
+        if (msg.role === 'assistant' || msg.role === 'model') {
+            products.push(...extractSKUs(content));
+        } else if (msg.role === 'user' && content.trim()) {
+            questions.push(content.trim().slice(0, CONVERSATION_SUMMARY.maxQuestionLength));
+        }
+    }
+
+    // 只有車種（汽車 / 摩托車）時，不覆蓋先前記錄的具體車型
+    const vehicle = describeVehicle(dialogState);
+    const slots = dialogState?.slots || {};
+    if (vehicle && (!next.vehicle || slots.vehicleBrand || slots.vehicleModel)) {
+        next.vehicle = vehicle;
+    }
+    next.specs = mergeUnique(next.specs, specs, CONVERSATION_SUMMARY.maxSpecs);
+    next.products = mergeUnique(next.products, products, CONVERSATION_SUMMARY.maxProducts);
+    next.questions = mergeUnique(next.questions, questions, CONVERSATION_SUMMARY.maxQuestions);
+
+    console.log(`${LOG_TAGS.SUMMARY} Folded ${droppedMessages.length} messages (vehicle: ${next.vehicle || 'none'}, specs: ${next.specs.length}, products: ${next.products.length})`);
+    return next;
+}
+
+/**
+ * 切分對話歷史：最近 windowSize 則逐字送出，其餘併入摘要
+ * @param {Array} history - 對話歷史
+ * @param {number} windowSize - 視窗大小
+ * @returns {{recent: Array, dropped: Array}}
+ */
+function splitHistory(history, windowSize = CONVERSATION_SUMMARY.historyWindow) {
+    const messages = Array.isArray(history) ? history : [];
+    if (messages.length <= windowSize) {
+        return { recent: messages, dropped: [] };
+    }
+    return { recent: messages.slice(-windowSize), dropped: messages.slice(0, -windowSize) };
+}
+
+// ============================================
+// Prompt
+// ============================================
+
+/**
+ * 摘要的 Prompt 區塊（無內容時回傳空字串）
+ * @param {Object} summary - 摘要
+ * @returns {string}
+ */
+function formatConversationSummary(summary) {
+    if (isEmptySummary(summary)) return '';
+
+    const lines = ['## 📝 先前對話摘要（較早的訊息已省略，以下為已確認的資訊）'];
+    if (summary.vehicle) lines.push(`- 車型：${summary.vehicle}`);
+    if (summary.specs.length > 0) lines.push(`- 已討論規格：${summary.specs.join(', ')}`);
+    if (summary.products.length > 0) lines.push(`- 已推薦產品：${summary.products.join(', ')}`);
+    if (summary.questions.length > 0) lines.push(`- 用戶先前提問：${summary.questions.map(q => `「${q}」`).join('、')}`);
+    lines.push('請沿用以上資訊，不要再次詢問用戶已提供的車型資料。');
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    // 建立與正規化
+    createConversationSummary,
+    normalizeConversationSummary,
+
+    // 擷取與合併
+    extractSpecs,
+    splitHistory,
+    updateConversationSummary,
+
+    // Prompt
+    formatConversationSummary
+};
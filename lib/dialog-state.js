@@ -0,0 +1,312 @@
+/**
+ * LIQUI MOLY Chatbot - 對話狀態（Slot Filling）
+ *
+ * 以固定欄位記錄多輪對話中已確認的資訊，取代每輪以正則重新掃描對話歷史：
+ * - 車型：vehicleBrand / vehicleModel / year / fuelType / transmissionType / vehicleType
+ * - 需求：productCategory / symptom
+ *
+ * 流程：/api/chat 回傳 dialogState → 網頁 / Wix / Meta 下一輪原樣送回 → 每輪確定性合併
+ * 車型選擇精靈（lib/vehicle-wizard.js）進行中時，另有 wizard 欄位記錄目前步驟與已選項目
+ *
+ * 設計原則：
+ * 1. 合併規則固定：新值覆蓋舊值；換車時清除舊車的年份、燃油、變速箱
+ * 2. 年份、燃油、變速箱只取自用戶訊息本身，不採用 AI 推論，避免把猜測當成已確認
+ * 3. 前端送回的狀態不可信任，只保留已知欄位的字串值
+ */
+
+const { DIALOG_SLOTS, REQUIRED_SLOTS, INTENT_TYPES, VEHICLE_WIZARD, LOG_TAGS } = require('./constants');
+
+const DIALOG_STATE_VERSION = 1;
+const MAX_SLOT_LENGTH = 60;
+
+// 換車時需一併清除的欄位
+const VEHICLE_DEPENDENT_SLOTS = ['year', 'fuelType', 'transmissionType'];
+
+// ============================================
+// 建立與正規化
+// ============================================
+
+/**
+ * 建立空白對話狀態
+ * @returns {Object} { version, slots }
+ */
+function createDialogState() {
+    const slots = {};
+    for (const key of Object.keys(DIALOG_SLOTS)) {
+        slots[key] = null;
+    }
+    return { version: DIALOG_STATE_VERSION, slots };
+}
+
+function normalizeSlotValue(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return String(value);
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+    return value.trim().slice(0, MAX_SLOT_LENGTH);
+}
+
+/**
+ * 正規化精靈進度（步驟不明時視為沒有進行中的精靈）
+ */
+function normalizeWizardState(raw) {
+    if (!raw || typeof raw !== 'object' || !VEHICLE_WIZARD.steps.includes(raw.step)) return null;
+
+    const wizard = { step: raw.step };
+    for (const key of ['vehicleType', 'brand', 'model']) {
+        const value = normalizeSlotValue(raw[key]);
+        if (value) wizard[key] = value;
+    }
+    if (raw.firstResponse === true) wizard.firstResponse = true;
+    return wizard;
+}
+
+/**
+ * 正規化前端送回的對話狀態（接受物件或 JSON 字串，無效時回傳空白狀態）
+ * @param {Object|string} raw - 前端送回的 dialogState
+ * @returns {Object} 對話狀態
+ */
+function normalizeDialogState(raw) {
+    const state = createDialogState();
+
+    let source = raw;
+    if (typeof source === 'string') {
+        try {
+            source = JSON.parse(source);
+        } catch (e) {
+            console.warn(`${LOG_TAGS.DIALOG} Ignoring malformed dialogState`);
+            return state;
+        }
+    }
+
+    const slots = source && typeof source === 'object' ? source.slots : null;
+    if (!slots || typeof slots !== 'object') return state;
+
+    for (const key of Object.keys(DIALOG_SLOTS)) {
+        state.slots[key] = normalizeSlotValue(slots[key]);
+    }
+
+    const wizard = normalizeWizardState(source.wizard);
+    if (wizard) {
+        state.wizard = wizard;
+    }
+    return state;
+}
+
+// ============================================
+// 欄位擷取
+// ============================================
+
+/**
+ * 從用戶訊息擷取明確提供的欄位（燃油、變速箱、年份）
+ * @param {string} message - 用戶訊息
+ * @returns {Object} 欄位更新
+ */
+function extractSlotsFromMessage(message) {
+    const text = String(message || '');
+    const slots = {};
+
+    if (/柴油|diesel/i.test(text)) {
+        slots.fuelType = '柴油';
+    } else if (/油電|hybrid/i.test(text)) {
+        slots.fuelType = '油電';
+    } else if (/純電|電動車|\bEV\b/i.test(text)) {
+        slots.fuelType = '純電';
+    } else if (/汽油(?!精|添加|清潔)|gasoline|petrol/i.test(text)) {
+        // 「汽油精」「汽油添加劑」是產品名稱，不是燃油類型
+        slots.fuelType = '汽油';
+    }
+
+    if (/手排|手動排檔|manual/i.test(text)) {
+        slots.transmissionType = '手排';
+    } else if (/自排|自動排檔|自動變速|automatic/i.test(text)) {
+        slots.transmissionType = '自排';
+    } else if (/\bcvt\b/i.test(text)) {
+        slots.transmissionType = 'CVT';
+    }
+
+    // 年份：排除產品編號（LM2316）與排氣量（2000cc）
+    const yearMatch = text.match(/(?<![0-9A-Za-z])((?:19[89]|20[0-4])\d)(?![0-9])(?!\s*(?:cc|c\.c|km|公里|元|ml|rpm))/i);
+    if (yearMatch && parseInt(yearMatch[1], 10) <= new Date().getFullYear() + 1) {
+        slots.year = yearMatch[1];
+    }
+
+    return slots;
+}
+
+/**
+ * 從意圖擷取車型與需求欄位（AI 分析或規則分類結果）
+ * @param {Object} intent - 意圖
+ * @returns {Object} 欄位更新
+ */
+function extractSlotsFromIntent(intent) {
+    if (!intent) return {};
+
+    const aiAnalysis = intent._aiAnalysis;
+    return {
+        vehicleBrand: intent.vehicleBrand,
+        vehicleModel: intent.vehicleModel,
+        vehicleType: intent.vehicleType,
+        // SKU 查詢的「產品查詢」不是產品類別
+        productCategory: intent.isSKUQuery ? null : intent.productCategory,
+        symptom: aiAnalysis?.additiveGuideMatch?.detectedSymptom ||
+            aiAnalysis?.additiveGuideMatch?.keyword ||
+            aiAnalysis?.detectedSymptom ||
+            intent.symptomKeyword ||
+            null
+    };
+}
+
+// ============================================
+// 合併
+// ============================================
+
+/**
+ * 是否為同一台車（「Ford Focus」與「Focus MK4」視為相同）
+ */
+function isSameVehicle(previousModel, nextModel, brand) {
+    const clean = (name) => name.toLowerCase().replace((brand || '').toLowerCase(), '').replace(/\s+/g, '');
+    const a = clean(previousModel);
+    const b = clean(nextModel);
+    return !a || !b || a.includes(b) || b.includes(a);
+}
+
+/**
+ * 確定性合併對話狀態（不修改傳入物件）
+ * - 有值的更新覆蓋舊值（用戶更正資訊時以最新為準）
+ * - 換車（車型或車種改變）時，清除舊車的年份、燃油、變速箱（除非本輪同時提供）
+ * @param {Object} state - 目前對話狀態
+ * @param {Object} updates - 欄位更新
+ * @returns {Object} 新的對話狀態
+ */
+function mergeDialogState(state, updates = {}) {
+    const previous = normalizeDialogState(state);
+    const next = normalizeDialogState(previous);
+
+    for (const key of Object.keys(DIALOG_SLOTS)) {
+        const value = normalizeSlotValue(updates[key]);
+        if (value) {
+            next.slots[key] = value;
+        }
+    }
+
+    const prev = previous.slots;
+    const modelChanged = prev.vehicleModel && next.slots.vehicleModel &&
+        !isSameVehicle(prev.vehicleModel, next.slots.vehicleModel, next.slots.vehicleBrand || prev.vehicleBrand);
+    const typeChanged = prev.vehicleType && next.slots.vehicleType && prev.vehicleType !== next.slots.vehicleType;
+
+    if (modelChanged || typeChanged) {
+        console.log(`${LOG_TAGS.DIALOG} Vehicle changed (${prev.vehicleModel || prev.vehicleType} → ${next.slots.vehicleModel || next.slots.vehicleType}), clearing vehicle details`);
+        for (const key of VEHICLE_DEPENDENT_SLOTS) {
+            if (!normalizeSlotValue(updates[key])) {
+                next.slots[key] = null;
+            }
+        }
+        // 換車種但沒給新車型時，舊車型也不再適用
+        if (typeChanged && !normalizeSlotValue(updates.vehicleModel)) {
+            next.slots.vehicleBrand = normalizeSlotValue(updates.vehicleBrand);
+            next.slots.vehicleModel = null;
+        }
+    }
+
+    return next;
+}
+
+// ============================================
+// 追問
+// ============================================
+
+/**
+ * 推薦產品前仍缺少的欄位
+ * @param {Object} state - 對話狀態
+ * @param {Object} intent - 意圖
+ * @returns {Array<string>} 欄位名稱
+ */
+function getMissingSlots(state, intent) {
+    const needsProduct = intent?.needsProductRecommendation === true ||
+        intent?.type === INTENT_TYPES.PRODUCT_RECOMMENDATION;
+    if (!state || !needsProduct || intent?.isSKUQuery) return [];
+
+    const { slots } = state;
+    if (!slots.productCategory) return ['productCategory'];
+
+    const rules = REQUIRED_SLOTS[slots.productCategory];
+    if (!rules) return [];
+
+    const required = rules[slots.vehicleType] || rules._default || [];
+    return required.filter(key => !slots[key]);
+}
+
+function asksForSlot(question, key) {
+    return DIALOG_SLOTS[key].keywords.some(kw => question.includes(kw));
+}
+
+/**
+ * 整理追問清單：移除已確認欄位的追問，並一次補齊其他缺少的欄位
+ * @param {Array|string} needsMoreInfo - AI 分析的追問清單
+ * @param {Object} state - 對話狀態
+ * @param {Array<string>} missingSlots - getMissingSlots 結果
+ * @returns {Array<string>} 追問清單（AI 判斷不需追問時回傳空陣列）
+ */
+function buildFollowUpQuestions(needsMoreInfo, state, missingSlots = []) {
+    const questions = (Array.isArray(needsMoreInfo) ? needsMoreInfo : [needsMoreInfo])
+        .filter(q => typeof q === 'string' && q.trim())
+        .map(q => q.trim());
+    if (questions.length === 0 || !state) return [];
+
+    const confirmed = Object.keys(DIALOG_SLOTS).filter(key => state.slots[key]);
+    const remaining = questions.filter(q => !confirmed.some(key => asksForSlot(q, key)));
+
+    // 已經要追問時，把其他缺少的欄位一起問，避免一輪只問一項
+    if (remaining.length > 0) {
+        for (const key of missingSlots) {
+            if (!remaining.some(q => asksForSlot(q, key))) {
+                remaining.push(DIALOG_SLOTS[key].label);
+            }
+        }
+    }
+
+    return remaining;
+}
+
+/**
+ * 已確認欄位的文字描述（供 AI 分析 Prompt 使用）
+ * @param {Object} state - 對話狀態
+ * @returns {string} 每行「- 欄位：值」，無已確認欄位時為空字串
+ */
+function describeDialogState(state) {
+    if (!state?.slots) return '';
+
+    return Object.keys(DIALOG_SLOTS)
+        .filter(key => state.slots[key])
+        .map(key => `- ${DIALOG_SLOTS[key].label.replace(/（.*）$/, '')}：${state.slots[key]}\n`)
+        .join('');
+}
+
+/**
+ * 車型與燃油是否都已確認（已確認時不需再從對話歷史推斷車型）
+ * @param {Object} state - 對話狀態
+ * @returns {boolean}
+ */
+function hasConfirmedVehicle(state) {
+    return Boolean(state?.slots?.vehicleModel && state.slots.fuelType);
+}
+
+module.exports = {
+    // 建立與合併
+    createDialogState,
+    normalizeDialogState,
+    mergeDialogState,
+
+    // 欄位擷取
+    extractSlotsFromMessage,
+    extractSlotsFromIntent,
+
+    // 追問
+    getMissingSlots,
+    buildFollowUpQuestions,
+    describeDialogState,
+    hasConfirmedVehicle
+};
@@ -0,0 +1,112 @@
+/**
+ * LIQUI MOLY Chatbot - 事件佇列（Webhook 非同步處理）
+ *
+ * Meta webhook 必須盡快回 200，否則會逾時重送。
+ * handleWebhook 只負責驗證與排入佇列，實際的 analyze → search → chat 由 worker 處理。
+ *
+ * 介面：
+ * - enqueue({ key, ...payload })：立即返回；相同 key（同一位用戶）的工作依序執行
+ * - drain()：等待目前所有工作完成（測試、或交給平台的 waitUntil 延長執行）
+ *
+ * 設計原則：
+ * 1. 同一位用戶的訊息依序回覆，不同用戶之間並行
+ * 2. 單一工作失敗只記錄錯誤，不阻塞同一用戶的後續工作
+ * 3. 以轉接器（adapter）實作，目前提供 in-process；之後可替換為外部佇列
+ */
+
+const { LOG_TAGS } = require('./constants');
+
+const DEFAULT_KEY = '_default';
+
+// ============================================
+// In-process 轉接器
+// ============================================
+
+/**
+ * 同一執行個體內的佇列（依 key 串接 Promise）
+ * @param {Function} worker - async (job) => void
+ * @returns {Object} { name, enqueue, drain, size }
+ */
+function createInProcessQueue(worker) {
+    const tails = new Map(); // key → 該 key 最後一個工作的 Promise
+    const pending = new Set();
+
+    return {
+        name: 'in-process',
+
+        enqueue(job) {
+            const key = job.key || DEFAULT_KEY;
+            const previous = tails.get(key) || Promise.resolve();
+
+            const run = previous
+                .then(() => worker(job))
+                .catch(error => {
+                    console.error(`${LOG_TAGS.QUEUE} Job failed (key: ${key}):`, error);
+                });
+
+            tails.set(key, run);
+            pending.add(run);
+            run.then(() => {
+                pending.delete(run);
+                if (tails.get(key) === run) tails.delete(key);
+            });
+
+            return run;
+        },
+
+        async drain() {
+            while (pending.size > 0) {
+                await Promise.all([...pending]);
+            }
+        },
+
+        size() {
+            return pending.size;
+        }
+    };
+}
+
+// ============================================
+// 建立佇列
+// ============================================
+
+const QUEUE_ADAPTERS = {
+    'in-process': createInProcessQueue
+};
+
+/**
+ * 建立事件佇列（EVENT_QUEUE 環境變數選擇轉接器，預設 in-process）
+ * @param {Function} worker - async (job) => void
+ * @param {Object} options
+ * @param {string} options.adapter - 轉接器名稱
+ * @returns {Object} { name, enqueue, drain, size }
+ */
+function createEventQueue(worker, { adapter = process.env.EVENT_QUEUE || 'in-process' } = {}) {
+    const factory = QUEUE_ADAPTERS[adapter];
+    if (!factory) {
+        console.warn(`${LOG_TAGS.QUEUE} Unknown EVENT_QUEUE "${adapter}", using in-process`);
+    }
+    return (factory || createInProcessQueue)(worker);
+}
+
+/**
+ * 回應送出後延長 Serverless 執行，直到 promise 完成
+ * Vercel 透過 request context 提供 waitUntil（與 @vercel/functions 相同機制）；
+ * 不支援的環境（本機、測試）直接讓 promise 在背景執行
+ * @param {Promise} promise
+ * @returns {boolean} 是否已交給平台的 waitUntil
+ */
+function keepAlive(promise) {
+    const context = globalThis[Symbol.for('@vercel/request-context')]?.get?.();
+    if (typeof context?.waitUntil === 'function') {
+        context.waitUntil(promise);
+        return true;
+    }
+    return false;
+}
+
+module.exports = {
+    createInProcessQueue,
+    createEventQueue,
+    keepAlive
+};
@@ -0,0 +1,217 @@
+/**
+ * LIQUI MOLY Chatbot - 冪等儲存（訊息去重）
+ *
+ * Meta webhook 會重試，Vercel 的並行執行個體與冷啟動又不共用記憶體，
+ * 因此以可替換的儲存層「原子地登記」訊息 ID，只有登記成功的執行個體才處理：
+ * - memory：單一執行個體內有效（本機開發、測試）
+ * - wix：Wix CMS ProcessedMessages 集合（以 _id 唯一性保證原子性，跨執行個體）
+ * - file：本機目錄，每個 key 一個檔案（以 O_EXCL 建檔保證原子性，可跨程序測試）
+ *
+ * 環境變數 IDEMPOTENCY_STORE 選擇儲存層；未設定時在 Vercel 上使用 wix，其餘使用 memory
+ *
+ * 設計原則：
+ * 1. 介面只有 claim(key, ttlMs)：回傳 true 代表本次取得處理權
+ * 2. 遠端儲存失敗時退回記憶體登記（寧可極少數重複回覆，也不漏回訊息）
+ * 3. key 以 SHA-256 雜湊後儲存，避免長度與字元限制
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { WIX_API_URL, IDEMPOTENCY, LOG_TAGS } = require('./constants');
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// ============================================
+// 記憶體
+// ============================================
+
+/**
+ * 記憶體儲存（僅單一執行個體內有效）
+ * @returns {Object} { name, claim }
+ */
+function createMemoryStore() {
+    const entries = new Map(); // key → expiresAt
+
+    return {
+        name: 'memory',
+        async claim(key, ttlMs = IDEMPOTENCY.ttlMs) {
+            const now = Date.now();
+            for (const [k, expiresAt] of entries) {
+                if (expiresAt <= now) entries.delete(k);
+            }
+
+            if (entries.has(key)) return false;
+            entries.set(key, now + ttlMs);
+            return true;
+        }
+    };
+}
+
+// ============================================
+// 檔案
+// ============================================
+
+/**
+ * 檔案儲存（本機測試用，多個程序共用同一目錄即可去重）
+ * @param {Object} options
+ * @param {string} options.dir - 儲存目錄（預設 IDEMPOTENCY_FILE_DIR 或系統暫存目錄）
+ * @returns {Object} { name, claim }
+ */
+function createFileStore({ dir } = {}) {
+    const baseDir = dir || process.env.IDEMPOTENCY_FILE_DIR || path.join(os.tmpdir(), 'liqui-moly-idempotency');
+
+    async function tryCreate(file, expiresAt) {
+        try {
+            // wx：檔案已存在時失敗，建檔本身即為原子登記
+            await fs.promises.writeFile(file, JSON.stringify({ expiresAt }), { flag: 'wx' });
+            return true;
+        } catch (e) {
+            if (e.code === 'EEXIST') return false;
+            throw e;
+        }
+    }
+
+    return {
+        name: 'file',
+        async claim(key, ttlMs = IDEMPOTENCY.ttlMs) {
+            await fs.promises.mkdir(baseDir, { recursive: true });
+            const file = path.join(baseDir, hashKey(key));
+            const now = Date.now();
+
+            if (await tryCreate(file, now + ttlMs)) return true;
+
+            // 已存在：過期則刪除後重新登記（同時重試的程序中只有一個會成功建檔）
+            let expiresAt = 0;
+            try {
+                expiresAt = JSON.parse(await fs.promises.readFile(file, 'utf8')).expiresAt || 0;
+            } catch (e) {
+                // 讀取失敗（另一程序正在寫入或已刪除）視為仍有效
+                return false;
+            }
+            if (expiresAt > now) return false;
+
+            await fs.promises.unlink(file).catch(() => {});
+            return tryCreate(file, now + ttlMs);
+        }
+    };
+}
+
+// ============================================
+// Wix CMS
+// ============================================
+
+/**
+ * Wix CMS 儲存（http-functions.js 的 POST /claimMessage）
+ * @param {Object} options
+ * @param {string} options.url - Wix API 位址（預設 WIX_API_URL）
+ * @returns {Object} { name, claim }
+ */
+function createWixStore({ url = WIX_API_URL } = {}) {
+    const local = createMemoryStore();
+
+    return {
+        name: 'wix',
+        async claim(key, ttlMs = IDEMPOTENCY.ttlMs) {
+            // 同一執行個體內的重試不必再呼叫 Wix
+            if (!(await local.claim(key, ttlMs))) return false;
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), IDEMPOTENCY.requestTimeoutMs);
+
+            try {
+                const headers = { 'Content-Type': 'application/json' };
+                if (process.env.WIX_API_KEY) {
+                    headers['X-Api-Key'] = process.env.WIX_API_KEY;
+                }
+
+                const response = await fetch(`${url}/claimMessage`, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({ key: hashKey(key), ttlSeconds: Math.ceil(ttlMs / 1000) }),
+                    signal: controller.signal
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const result = await response.json();
+                return result.claimed === true;
+            } catch (e) {
+                // 已在本機登記，僅失去跨執行個體的保證
+                console.error(`${LOG_TAGS.IDEMPOTENCY} Wix claim failed, falling back to in-memory store:`, e.message);
+                return true;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
+
+// ============================================
+// 選擇儲存層
+// ============================================
+
+const STORE_FACTORIES = {
+    memory: createMemoryStore,
+    file: createFileStore,
+    wix: createWixStore
+};
+
+let currentStore = null;
+
+/**
+ * 取得目前的冪等儲存（依 IDEMPOTENCY_STORE，首次呼叫時建立）
+ * @returns {Object} { name, claim }
+ */
+function getIdempotencyStore() {
+    if (!currentStore) {
+        const name = (process.env.IDEMPOTENCY_STORE || (process.env.VERCEL ? 'wix' : 'memory')).toLowerCase();
+        const factory = STORE_FACTORIES[name];
+        if (!factory) {
+            console.warn(`${LOG_TAGS.IDEMPOTENCY} Unknown IDEMPOTENCY_STORE "${name}", using memory`);
+        }
+        currentStore = (factory || createMemoryStore)();
+    }
+    return currentStore;
+}
+
+/**
+ * 替換冪等儲存（測試用；傳入 null 時下次依環境變數重新建立）
+ * @param {Object|null} store
+ */
+function setIdempotencyStore(store) {
+    currentStore = store;
+}
+
+/**
+ * 原子地登記一個 key
+ * @param {string} key - 例如 meta:<mid>
+ * @param {number} ttlMs - 登記有效時間
+ * @returns {Promise<boolean>} true：本次取得處理權；false：已被處理
+ */
+async function claimOnce(key, ttlMs = IDEMPOTENCY.ttlMs) {
+    if (!key) return true;
+
+    const store = getIdempotencyStore();
+    const claimed = await store.claim(key, ttlMs);
+    if (!claimed) {
+        console.log(`${LOG_TAGS.IDEMPOTENCY} ${key} already claimed (${store.name}), skipping`);
+    }
+    return claimed;
+}
+
+module.exports = {
+    // 儲存層
+    createMemoryStore,
+    createFileStore,
+    createWixStore,
+
+    // 使用
+    getIdempotencyStore,
+    setIdempotencyStore,
+    claimOnce
+};
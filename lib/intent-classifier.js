@@ -30,11 +30,12 @@ try {
  * 分類用戶意圖
  * @param {string} message - 用戶訊息
  * @param {Array} conversationHistory - 對話歷史
+ * @param {Object} dialogState - 對話狀態（提供時車型由狀態補齊，不再掃描對話歷史）
  * @returns {Object} - 意圖分析結果
  */
-function classifyIntent(message, conversationHistory = []) {
+function classifyIntent(message, conversationHistory = [], dialogState = null) {
     const lowerMessage = message.toLowerCase();
-    const historyText = conversationHistory.map(m => m.content).join(' ').toLowerCase();
+    const historyText = dialogState ? '' : conversationHistory.map(m => m.content).join(' ').toLowerCase();
     const combinedText = `${lowerMessage} ${historyText}`;
 
     const intent = {
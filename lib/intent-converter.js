@@ -5,9 +5,12 @@
  * 用於「AI 優先、規則備援」混合架構
  * v1.1: 從 intent-keywords.json 載入關鍵字，減少硬編碼
  * v1.2: 優化 - 模組級快取避免重複載入
+ * v1.3: 讀取對話狀態（dialog-state.js）的已確認欄位
  */
 
 const { loadJSON } = require('./knowledge-cache');
+const { getMissingSlots } = require('./dialog-state');
+const { INTENT_TYPES } = require('./constants');
 
 // ============================================
 // 模組級快取 - 避免同檔案內重複載入
@@ -268,10 +271,10 @@ function applyKnowledgeToIntent(intent, knowledge) {
 
     console.log('[IntentConverter] Knowledge found for vehicle, attempting to apply...');
 
-    // 1. 年份過濾
+    // 1. 年份過濾（優先使用對話狀態已確認的年份）
     const vehicleName = intent.vehicleModel || '';
     const yearMatch = vehicleName.match(/(20[0-9]{2})/);
-    const userYear = yearMatch ? parseInt(yearMatch[1]) : null;
+    const userYear = intent.year ? parseInt(intent.year) : (yearMatch ? parseInt(yearMatch[1]) : null);
 
     let candidateSpecs = specs;
 
@@ -347,9 +350,54 @@ function applyKnowledgeToIntent(intent, knowledge) {
     return intent;
 }
 
+/**
+ * 將對話狀態的已確認欄位套用到意圖
+ * - 車型、車種、產品類別：本輪未提供時沿用已確認的值
+ * - 年份、燃油、變速箱：以用戶明確提供的值為準（覆蓋 AI 推論）
+ * @param {Object} intent - 意圖物件
+ * @param {Object} dialogState - 已合併本輪資訊的對話狀態
+ * @returns {Object} - 套用後的 intent（含 dialogState、missingSlots）
+ */
+function applyDialogStateToIntent(intent, dialogState) {
+    if (!intent || !dialogState) return intent;
+
+    const { slots } = dialogState;
+
+    if (!intent.vehicleBrand && slots.vehicleBrand) {
+        intent.vehicleBrand = slots.vehicleBrand;
+    }
+    if (!intent.vehicleModel && slots.vehicleModel) {
+        intent.vehicleModel = slots.vehicleModel;
+    }
+    if (!intent.vehicleType && slots.vehicleType) {
+        intent.vehicleType = slots.vehicleType;
+        intent.isMotorcycle = slots.vehicleType === '摩托車';
+    }
+
+    const needsProduct = intent.needsProductRecommendation === true || intent.type === INTENT_TYPES.PRODUCT_RECOMMENDATION;
+    if (needsProduct && !intent.productCategory && slots.productCategory && !intent.isSKUQuery) {
+        intent.productCategory = slots.productCategory;
+        intent.needsProductCategoryQuestion = false;
+        intent.needsSpecs = intent.needsSpecs || (slots.productCategory === '機油' && !intent.isMotorcycle);
+        intent.needsSymptoms = intent.needsSymptoms || slots.productCategory === '添加劑';
+        console.log('[IntentConverter] Product category from dialog state:', slots.productCategory);
+    }
+
+    if (slots.fuelType) intent.fuelType = slots.fuelType;
+    if (slots.year) intent.year = slots.year;
+    if (slots.transmissionType) intent.transmissionType = slots.transmissionType;
+    if (slots.symptom && !intent.symptomKeyword) intent.symptomKeyword = slots.symptom;
+
+    intent.dialogState = dialogState;
+    intent.missingSlots = getMissingSlots(dialogState, intent);
+
+    return intent;
+}
+
 module.exports = {
     convertAIResultToIntent,
     isValidAIResult,
     enhanceIntentWithRules,
-    applyKnowledgeToIntent
+    applyKnowledgeToIntent,
+    applyDialogStateToIntent
 };
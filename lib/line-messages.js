@@ -0,0 +1,200 @@
+/**
+ * LIQUI MOLY Chatbot - LINE 訊息格式
+ *
+ * 將對話協調器（lib/conversation-orchestrator.js）的 outbound 訊息組成 LINE Messaging API 的訊息物件：
+ * - 文字訊息（超過上限時分段）
+ * - Flex Message 產品 bubble（產品圖片、容量 / 黏度、「查看產品」與「這哪裡買」按鈕）
+ * - Quick Reply（真人客服、恢復 AI、建議追問）
+ *
+ * 設計原則：
+ * 1. 產品只使用 /api/chat 回傳的 products 卡片，不解析 AI 文字
+ * 2. postback data 與 Messenger payload 相同（HUMAN_AGENT、RESUME_AI、WHERE_TO_BUY:<SKU>）
+ * 3. 一次最多 5 則訊息，Quick Reply 掛在最後一則（LINE 只顯示最後一則的 Quick Reply）
+ */
+
+const { LINE_MESSAGING, PRODUCT_CAROUSEL } = require('./constants');
+
+// LIQUI MOLY 品牌藍（css/style.css --primary-blue）
+const BRAND_COLOR = '#1B4D9B';
+
+function truncate(text, maxLength) {
+    const str = String(text || '');
+    return str.length > maxLength ? `${str.substring(0, maxLength - 1)}…` : str;
+}
+
+// ============================================
+// 文字訊息
+// ============================================
+
+/**
+ * 文字 → 文字訊息（超過上限時依換行分段）
+ * @param {string} text
+ * @returns {Array<Object>} [{ type: 'text', text }]
+ */
+function buildTextMessages(text) {
+    const maxLength = LINE_MESSAGING.maxTextLength;
+    const chunks = [];
+    let remaining = String(text || '').trim();
+
+    while (remaining.length > maxLength) {
+        let splitIndex = remaining.lastIndexOf('\n', maxLength);
+        if (splitIndex < maxLength / 2) splitIndex = maxLength;
+        chunks.push(remaining.substring(0, splitIndex).trim());
+        remaining = remaining.substring(splitIndex).trim();
+    }
+    if (remaining) chunks.push(remaining);
+
+    return chunks.map(chunk => ({ type: 'text', text: chunk }));
+}
+
+// ============================================
+// Quick Reply
+// ============================================
+
+/**
+ * Quick Reply 按鈕
+ * @param {Array<Object>} items - [{ label, payload }]（postback）或 [{ label, text }]（直接送出文字）
+ * @returns {Object|null} { items }（沒有按鈕時回傳 null）
+ */
+function buildQuickReply(items) {
+    const actions = (items || [])
+        .filter(item => item?.label && (item.payload || item.text))
+        .slice(0, LINE_MESSAGING.maxQuickReplyItems)
+        .map(item => {
+            const label = truncate(item.label, LINE_MESSAGING.maxQuickReplyLabelLength);
+            const action = item.payload
+                ? { type: 'postback', label, data: item.payload, displayText: item.label }
+                : { type: 'message', label, text: item.text };
+            return { type: 'action', action };
+        });
+
+    return actions.length > 0 ? { items: actions } : null;
+}
+
+// ============================================
+// Flex Message 產品
+// ============================================
+
+/**
+ * 產品卡片 → Flex bubble
+ * @param {Object} card - { sku, title, size, url, viscosity, image }
+ * @returns {Object|null} bubble（缺少名稱或連結時回傳 null）
+ */
+function buildProductBubble(card) {
+    if (!card?.title || !card.url) return null;
+
+    const bodyContents = [
+        { type: 'text', text: card.title, weight: 'bold', size: 'sm', wrap: true, maxLines: 3 }
+    ];
+    const subtitle = [card.size, card.viscosity].filter(Boolean).join(' / ');
+    if (subtitle) {
+        bodyContents.push({ type: 'text', text: subtitle, size: 'xs', color: '#888888', wrap: true });
+    }
+
+    const footerContents = [
+        { type: 'button', style: 'primary', color: BRAND_COLOR, height: 'sm', action: { type: 'uri', label: '查看產品', uri: card.url } }
+    ];
+    if (card.sku) {
+        footerContents.push({
+            type: 'button',
+            style: 'secondary',
+            height: 'sm',
+            action: {
+                type: 'postback',
+                label: '這哪裡買',
+                data: `${PRODUCT_CAROUSEL.whereToBuyPayloadPrefix}${card.sku}`,
+                displayText: `${card.sku} 這哪裡買？`
+            }
+        });
+    }
+
+    const bubble = {
+        type: 'bubble',
+        size: 'kilo',
+        body: { type: 'box', layout: 'vertical', spacing: 'sm', contents: bodyContents },
+        footer: { type: 'box', layout: 'vertical', spacing: 'sm', contents: footerContents }
+    };
+    if (card.image) {
+        bubble.hero = {
+            type: 'image',
+            url: card.image,
+            size: 'full',
+            aspectRatio: '1:1',
+            aspectMode: 'fit',
+            action: { type: 'uri', uri: card.url }
+        };
+    }
+
+    return bubble;
+}
+
+/**
+ * 產品卡片 → Flex Message（carousel）
+ * @param {Array<Object>} products - 產品卡片
+ * @returns {Object|null} Flex Message（沒有可顯示的產品時回傳 null）
+ */
+function buildProductFlexMessage(products) {
+    const cards = (products || []).filter(card => buildProductBubble(card)).slice(0, LINE_MESSAGING.maxBubbles);
+    if (cards.length === 0) return null;
+
+    return {
+        type: 'flex',
+        altText: truncate(`推薦產品：${cards.map(card => card.title).join('、')}`, LINE_MESSAGING.maxAltTextLength),
+        contents: { type: 'carousel', contents: cards.map(buildProductBubble) }
+    };
+}
+
+// ============================================
+// 組合回覆
+// ============================================
+
+/**
+ * 協調器的 outbound 訊息 → 一次回覆的 LINE 訊息
+ * 文字依序分段、產品轉為 Flex；最後一則的 quickReplies 與建議追問（suggestions）
+ * 合併為 Quick Reply，掛在最後一則
+ * @param {Array<Object>} outbound - [{ type: 'text' | 'products', ... }]
+ * @returns {Array<Object>} 最多 5 則訊息（超過時保留產品 Flex，截去後段文字）
+ */
+function composeReplyMessages(outbound) {
+    const flexCount = (outbound || []).filter(m => m.type === 'products' && buildProductFlexMessage(m.products)).length;
+    let textBudget = LINE_MESSAGING.maxMessagesPerRequest - flexCount;
+    const messages = [];
+
+    for (const message of outbound || []) {
+        if (message.type === 'text') {
+            const texts = buildTextMessages(message.text).slice(0, Math.max(textBudget, 0));
+            textBudget -= texts.length;
+            messages.push(...texts);
+        } else if (message.type === 'products') {
+            const flex = buildProductFlexMessage(message.products);
+            if (flex) messages.push(flex);
+        }
+    }
+
+    const last = outbound?.[outbound.length - 1];
+    const quickReply = buildQuickReply([
+        ...(last?.suggestions || []).map(text => ({ label: text, text })),
+        ...(last?.quickReplies || [])
+    ]);
+    const result = messages.slice(0, LINE_MESSAGING.maxMessagesPerRequest);
+    if (quickReply && result.length > 0) {
+        result[result.length - 1] = { ...result[result.length - 1], quickReply };
+    }
+
+    return result;
+}
+
+module.exports = {
+    // 文字訊息
+    buildTextMessages,
+
+    // Quick Reply
+    buildQuickReply,
+
+    // Flex Message 產品
+    buildProductBubble,
+    buildProductFlexMessage,
+
+    // 組合回覆
+    composeReplyMessages
+};
@@ -0,0 +1,611 @@
+/**
+ * LIQUI MOLY Chatbot - LLM 供應商抽象層
+ *
+ * 將 chat.js / analyze.js 原本寫死的 Gemini REST 呼叫抽出，
+ * 由 LLM_PROVIDER 環境變數選擇實作：
+ * - gemini：Google Gemini generateContent / streamGenerateContent
+ * - openai：OpenAI 相容 /chat/completions（LLM_API_URL、LLM_API_KEY）
+ * - stub：本地固定回應，不需網路與 API Key
+ *
+ * 設計原則：
+ * 1. 對話內容統一使用 Gemini contents 格式（[{ role, parts: [{ text }] }]），
+ *    其他供應商自行轉換，呼叫端不需改寫 buildContents
+ * 2. 模型、temperature、token 限制依任務取自 TOKEN_LIMITS
+ * 3. 回傳統一結構 { text, finishReason, provider, model }
+ * 4. API 錯誤一律 throw（附 status），由呼叫端決定降級方式
+ * 5. 所有呼叫共用逾時、重試、熔斷與備援模型（LLM_RESILIENCE），
+ *    analysis 與 chat 共用熔斷狀態，同一次故障不會讓兩段呼叫各等一輪
+ */
+
+const {
+    GEMINI_API_URL,
+    GEMINI_FALLBACK_MODEL,
+    TOKEN_LIMITS,
+    LLM_PROVIDERS,
+    LLM_RESILIENCE,
+    OPENAI_COMPATIBLE_DEFAULTS,
+    LOG_TAGS
+} = require('./constants');
+const { readSSEStream } = require('./sse');
+
+/**
+ * Gemini 安全設定（產品諮詢內容不需過濾）
+ */
+const GEMINI_SAFETY_SETTINGS = [
+    { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
+    { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_NONE' },
+    { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_NONE' },
+    { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' }
+];
+
+/**
+ * OpenAI finish_reason → Gemini finishReason（呼叫端只需判斷一種格式）
+ */
+const OPENAI_FINISH_REASONS = {
+    stop: 'STOP',
+    length: 'MAX_TOKENS',
+    content_filter: 'SAFETY'
+};
+
+// ============================================
+// 共用工具
+// ============================================
+
+/**
+ * 建立帶 HTTP 狀態碼的錯誤
+ */
+async function createHttpError(providerName, response) {
+    const errorText = await response.text().catch(() => '');
+    console.error(`${LOG_TAGS.LLM} ${providerName} API error: ${response.status}`, errorText);
+    const error = new Error(`${providerName} API error: ${response.status}`);
+    error.status = response.status;
+    return error;
+}
+
+/**
+ * 取出 contents 中的純文字
+ */
+function partsToText(parts = []) {
+    return parts.map(part => part.text || '').join('');
+}
+
+/**
+ * 取得最後一則用戶訊息（去除系統指令，stub 使用）
+ */
+function extractLastUserText(contents = []) {
+    const lastUser = [...contents].reverse().find(c => c.role !== 'model');
+    if (!lastUser) return '';
+
+    let text = partsToText(lastUser.parts);
+    text = text.split('[SYSTEM INSTRUCTION')[0];
+    const userIndex = text.lastIndexOf('User: ');
+    if (userIndex !== -1) {
+        text = text.slice(userIndex + 'User: '.length);
+    }
+    return text.trim();
+}
+
+// ============================================
+// Gemini
+// ============================================
+
+function createGeminiProvider() {
+    const buildBody = (contents, config, tools) => ({
+        contents,
+        generationConfig: {
+            temperature: config.temperature,
+            ...(config.topK !== undefined && { topK: config.topK }),
+            ...(config.topP !== undefined && { topP: config.topP }),
+            maxOutputTokens: config.maxOutputTokens
+        },
+        safetySettings: GEMINI_SAFETY_SETTINGS,
+        ...(tools && tools.length > 0 && { tools: [{ functionDeclarations: tools }] })
+    });
+
+    const readCandidate = (data) => {
+        const candidate = data.candidates?.[0];
+        const parts = candidate?.content?.parts || [];
+        return {
+            text: partsToText(parts),
+            finishReason: candidate?.finishReason || null,
+            // Function Calling：模型要求呼叫的工具（原始 parts 需原樣放回對話）
+            functionCalls: parts.filter(part => part.functionCall).map(part => part.functionCall),
+            parts
+        };
+    };
+
+    return {
+        name: LLM_PROVIDERS.GEMINI,
+        defaultModel: TOKEN_LIMITS.chat.model,
+        fallbackModel: GEMINI_FALLBACK_MODEL,
+        supportsTools: true,
+
+        isConfigured(options = {}) {
+            return !!(options.apiKey || process.env.GEMINI_API_KEY);
+        },
+
+        async generate({ contents, config, apiKey, tools, signal }) {
+            const key = apiKey || process.env.GEMINI_API_KEY;
+            const response = await fetch(`${GEMINI_API_URL}/${config.model}:generateContent?key=${key}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(buildBody(contents, config, tools)),
+                signal
+            });
+
+            if (!response.ok) {
+                throw await createHttpError('Gemini', response);
+            }
+
+            const data = await response.json();
+            const result = readCandidate(data);
+
+            if (!result.text && result.functionCalls.length === 0) {
+                console.error(`${LOG_TAGS.LLM} Unexpected Gemini response:`, JSON.stringify(data));
+                if (data.promptFeedback) {
+                    console.error(`${LOG_TAGS.LLM} Prompt Feedback:`, JSON.stringify(data.promptFeedback));
+                }
+            }
+            return result;
+        },
+
+        async stream({ contents, config, apiKey, signal }, onDelta) {
+            const key = apiKey || process.env.GEMINI_API_KEY;
+            const response = await fetch(`${GEMINI_API_URL}/${config.model}:streamGenerateContent?alt=sse&key=${key}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(buildBody(contents, config)),
+                signal
+            });
+
+            if (!response.ok) {
+                throw await createHttpError('Gemini', response);
+            }
+
+            let text = '';
+            let finishReason = null;
+
+            await readSSEStream(response, ({ data }) => {
+                let chunk;
+                try {
+                    chunk = JSON.parse(data);
+                } catch (e) {
+                    console.warn(`${LOG_TAGS.LLM} Skipping malformed Gemini chunk`);
+                    return;
+                }
+
+                if (chunk.promptFeedback?.blockReason) {
+                    console.error(`${LOG_TAGS.LLM} Prompt Feedback:`, JSON.stringify(chunk.promptFeedback));
+                }
+
+                const delta = readCandidate(chunk);
+                if (delta.finishReason) finishReason = delta.finishReason;
+                if (delta.text) {
+                    text += delta.text;
+                    onDelta(delta.text);
+                }
+            });
+
+            return { text, finishReason };
+        }
+    };
+}
+
+// ============================================
+// OpenAI 相容
+// ============================================
+
+function createOpenAIProvider() {
+    const getBaseUrl = () => (process.env.LLM_API_URL || OPENAI_COMPATIBLE_DEFAULTS.baseUrl).replace(/\/$/, '');
+    const getApiKey = (options = {}) => options.apiKey || process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+
+    // Gemini contents → OpenAI messages（model → assistant）
+    const toMessages = (contents) => contents.map(c => ({
+        role: c.role === 'model' ? 'assistant' : 'user',
+        content: partsToText(c.parts)
+    }));
+
+    const buildBody = (contents, config, stream) => ({
+        model: config.model,
+        messages: toMessages(contents),
+        temperature: config.temperature,
+        ...(config.topP !== undefined && { top_p: config.topP }),
+        max_tokens: config.maxOutputTokens,
+        stream
+    });
+
+    const post = async (contents, config, apiKey, stream, signal) => {
+        const key = getApiKey({ apiKey });
+        const response = await fetch(`${getBaseUrl()}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(key && { 'Authorization': `Bearer ${key}` })
+            },
+            body: JSON.stringify(buildBody(contents, config, stream)),
+            signal
+        });
+
+        if (!response.ok) {
+            throw await createHttpError('OpenAI-compatible', response);
+        }
+        return response;
+    };
+
+    return {
+        name: LLM_PROVIDERS.OPENAI,
+        defaultModel: OPENAI_COMPATIBLE_DEFAULTS.model,
+        supportsTools: false,
+
+        isConfigured(options = {}) {
+            // 自架服務（LLM_API_URL）可能不需要 Key
+            return !!(getApiKey(options) || process.env.LLM_API_URL);
+        },
+
+        async generate({ contents, config, apiKey, signal }) {
+            const response = await post(contents, config, apiKey, false, signal);
+            const data = await response.json();
+            const choice = data.choices?.[0];
+
+            return {
+                text: choice?.message?.content || '',
+                finishReason: OPENAI_FINISH_REASONS[choice?.finish_reason] || choice?.finish_reason || null
+            };
+        },
+
+        async stream({ contents, config, apiKey, signal }, onDelta) {
+            const response = await post(contents, config, apiKey, true, signal);
+
+            let text = '';
+            let finishReason = null;
+
+            await readSSEStream(response, ({ data }) => {
+                if (data === '[DONE]') return;
+
+                let chunk;
+                try {
+                    chunk = JSON.parse(data);
+                } catch (e) {
+                    console.warn(`${LOG_TAGS.LLM} Skipping malformed OpenAI chunk`);
+                    return;
+                }
+
+                const choice = chunk.choices?.[0];
+                if (choice?.finish_reason) {
+                    finishReason = OPENAI_FINISH_REASONS[choice.finish_reason] || choice.finish_reason;
+                }
+                const delta = choice?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    onDelta(delta);
+                }
+            });
+
+            return { text, finishReason };
+        }
+    };
+}
+
+// ============================================
+// Stub（測試 / 離線開發）
+// ============================================
+
+/**
+ * 預設 stub 回應
+ * - analysis：不含 JSON，analyzeUserQuery 會回傳 null 並改用規則分類
+ * - 其他任務：回覆固定格式的文字
+ */
+function defaultStubResponder({ task, contents }) {
+    if (task === 'analysis') {
+        return '[stub] analysis unavailable';
+    }
+    return `（離線模式）已收到您的問題：${extractLastUserText(contents)}`;
+}
+
+/**
+ * 建立 stub 供應商
+ * @param {Function} responder - ({ task, contents, config }) => string
+ */
+function createStubProvider(responder = defaultStubResponder) {
+    return {
+        name: LLM_PROVIDERS.STUB,
+        defaultModel: 'stub',
+        supportsTools: false,
+
+        isConfigured() {
+            return true;
+        },
+
+        async generate(request) {
+            return { text: String(responder(request)), finishReason: 'STOP' };
+        },
+
+        async stream(request, onDelta) {
+            const text = String(responder(request));
+            // 固定切段，讓串流行為可重現
+            for (let i = 0; i < text.length; i += 20) {
+                onDelta(text.slice(i, i + 20));
+            }
+            return { text, finishReason: 'STOP' };
+        }
+    };
+}
+
+// ============================================
+// 供應商註冊與呼叫
+// ============================================
+
+const providers = new Map();
+
+/**
+ * 註冊（或覆寫）供應商
+ * @param {Object} provider - { name, defaultModel, supportsTools, isConfigured, generate, stream }
+ */
+function registerProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+registerProvider(createGeminiProvider());
+registerProvider(createOpenAIProvider());
+registerProvider(createStubProvider());
+
+/**
+ * 取得供應商（預設讀取 LLM_PROVIDER 環境變數）
+ * @param {string} name - 供應商名稱
+ * @returns {Object} 供應商物件
+ */
+function getProvider(name = process.env.LLM_PROVIDER || LLM_PROVIDERS.GEMINI) {
+    const provider = providers.get(name);
+    if (!provider) {
+        console.warn(`${LOG_TAGS.LLM} Unknown provider "${name}", falling back to ${LLM_PROVIDERS.GEMINI}`);
+        return providers.get(LLM_PROVIDERS.GEMINI);
+    }
+    return provider;
+}
+
+/**
+ * 目前供應商是否已設定（API Key 等）
+ */
+function isLLMConfigured(options = {}) {
+    return getProvider(options.provider).isConfigured(options);
+}
+
+/**
+ * 依任務取得生成設定（TOKEN_LIMITS + 模型）
+ * @param {string} task - 'analysis' | 'chat' | 'simple'
+ * @param {Object} provider - 供應商物件
+ */
+function resolveTaskConfig(task, provider) {
+    const limits = TOKEN_LIMITS[task] || TOKEN_LIMITS.chat;
+    const model = process.env.LLM_MODEL ||
+        (provider.name === LLM_PROVIDERS.GEMINI ? limits.model : provider.defaultModel);
+    return { ...limits, model };
+}
+
+// ============================================
+// 韌性呼叫（逾時 / 重試 / 熔斷 / 備援模型）
+// ============================================
+
+/**
+ * 熔斷器狀態（依供應商；Serverless 實例存活期間有效）
+ * - consecutiveFailures：連續失敗次數（達門檻即開啟）
+ * - openedAt：開啟時間（冷卻後放行一次試探呼叫）
+ */
+const circuitStates = new Map();
+
+function getCircuitState(providerName) {
+    if (!circuitStates.has(providerName)) {
+        circuitStates.set(providerName, { consecutiveFailures: 0, openedAt: null });
+    }
+    return circuitStates.get(providerName);
+}
+
+/**
+ * 熔斷器是否開啟（冷卻期間直接跳過 LLM）
+ */
+function isCircuitOpen(providerName) {
+    const state = getCircuitState(providerName);
+    if (state.openedAt === null) return false;
+    return Date.now() - state.openedAt < LLM_RESILIENCE.circuitBreaker.cooldownMs;
+}
+
+function recordSuccess(providerName) {
+    const state = getCircuitState(providerName);
+    state.consecutiveFailures = 0;
+    state.openedAt = null;
+}
+
+function recordFailure(providerName) {
+    const state = getCircuitState(providerName);
+    state.consecutiveFailures++;
+    // 冷卻後的試探呼叫再失敗，會立即重新開啟
+    if (state.consecutiveFailures >= LLM_RESILIENCE.circuitBreaker.failureThreshold && !isCircuitOpen(providerName)) {
+        console.error(`${LOG_TAGS.LLM} ⚡ Circuit opened for ${providerName} after ${state.consecutiveFailures} failures`);
+        state.openedAt = Date.now();
+    }
+}
+
+/**
+ * 重設熔斷器（測試用）
+ */
+function resetCircuitBreakers() {
+    circuitStates.clear();
+}
+
+/**
+ * 建立「LLM 無法使用」錯誤，呼叫端可依 code 決定降級回覆
+ */
+function createUnavailableError(message, cause) {
+    const error = new Error(message);
+    error.code = 'LLM_UNAVAILABLE';
+    if (cause?.status) error.status = cause.status;
+    return error;
+}
+
+/**
+ * 是否為暫時性錯誤（逾時、網路錯誤、429 / 5xx）
+ */
+function isRetryableError(error) {
+    if (error.status) {
+        return LLM_RESILIENCE.retryableStatus.includes(error.status);
+    }
+    // 無 status 代表逾時或網路層錯誤（fetch failed）
+    return error.name === 'AbortError' || error.name === 'TimeoutError' ||
+        (error.name === 'TypeError' && /fetch/i.test(error.message));
+}
+
+/**
+ * 指數退避 + 隨機抖動（full jitter）
+ */
+function getRetryDelay(attempt) {
+    const { retryBaseDelayMs, retryMaxDelayMs } = LLM_RESILIENCE;
+    const cap = Math.min(retryMaxDelayMs, retryBaseDelayMs * Math.pow(2, attempt));
+    return Math.round(Math.random() * cap);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 以逾時、重試、熔斷與備援模型包裝單次供應商呼叫
+ * - 主模型重試 maxRetries 次後，改用供應商的 fallbackModel（若有）
+ * - 所有嘗試共用 deadlineMs 總預算（analysis + chat 合計低於 Vercel maxDuration 30 秒），
+ *   呼叫端另有請求層級截止時間（options.deadline）時取較早者
+ * - 非暫時性錯誤（400 / 401 / 403 等）直接 throw，不重試也不計入熔斷
+ * @param {string} task - TOKEN_LIMITS 任務名稱
+ * @param {Object} provider - 供應商物件
+ * @param {Object} config - resolveTaskConfig 結果
+ * @param {Function} call - (config, signal) => Promise<result>
+ * @param {Object} options - { canRetry: () => boolean（串流已輸出時不可重試）, deadline: number（請求截止時間 epoch ms） }
+ */
+async function callWithResilience(task, provider, config, call, options = {}) {
+    if (isCircuitOpen(provider.name)) {
+        console.warn(`${LOG_TAGS.LLM} ⚡ Circuit open for ${provider.name}, skipping ${task} call`);
+        throw createUnavailableError(`${provider.name} circuit open`);
+    }
+
+    const timeoutMs = LLM_RESILIENCE.timeoutMs[task] || LLM_RESILIENCE.timeoutMs.chat;
+    const taskDeadline = Date.now() + (LLM_RESILIENCE.deadlineMs[task] || LLM_RESILIENCE.deadlineMs.chat);
+    const deadline = options.deadline ? Math.min(taskDeadline, options.deadline) : taskDeadline;
+    const models = [config.model];
+    if (provider.fallbackModel && provider.fallbackModel !== config.model && !process.env.LLM_MODEL) {
+        models.push(provider.fallbackModel);
+    }
+
+    let lastError = null;
+
+    for (const model of models) {
+        for (let attempt = 0; attempt <= LLM_RESILIENCE.maxRetries; attempt++) {
+            const remaining = deadline - Date.now();
+            if (remaining < LLM_RESILIENCE.minAttemptMs) {
+                throw createUnavailableError(`${provider.name} deadline exceeded`, lastError);
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), Math.min(timeoutMs, remaining));
+
+            try {
+                const result = await call({ ...config, model }, controller.signal);
+                recordSuccess(provider.name);
+                if (model !== config.model) {
+                    console.warn(`${LOG_TAGS.LLM} Served ${task} with fallback model ${model}`);
+                }
+                return { ...result, model };
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    error.name = 'TimeoutError';
+                    console.warn(`${LOG_TAGS.LLM} ${provider.name} ${task} timed out (${model})`);
+                }
+
+                // 模型不存在時直接換備援模型
+                const modelMissing = error.status === 404;
+                if (!modelMissing && !isRetryableError(error)) throw error;
+
+                lastError = error;
+                if (!modelMissing) recordFailure(provider.name);
+                if (options.canRetry && !options.canRetry()) throw error;
+                if (isCircuitOpen(provider.name)) {
+                    throw createUnavailableError(`${provider.name} circuit open`, error);
+                }
+                if (modelMissing) break;
+
+                if (attempt < LLM_RESILIENCE.maxRetries) {
+                    const delay = getRetryDelay(attempt);
+                    console.warn(`${LOG_TAGS.LLM} Retrying ${task} (${model}) in ${delay}ms: ${error.message}`);
+                    await sleep(delay);
+                }
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    }
+
+    throw createUnavailableError(`${provider.name} unavailable: ${lastError?.message}`, lastError);
+}
+
+/**
+ * 產生文字（非串流）
+ * @param {string} task - TOKEN_LIMITS 任務名稱
+ * @param {Array} contents - Gemini contents 格式的對話內容
+ * @param {Object} options - { apiKey, provider, tools, deadline }
+ * @returns {Promise<{text: string, finishReason: string|null, provider: string, model: string}>}
+ *          使用 tools 時另含 functionCalls 與 parts
+ * @throws {Error} code 為 LLM_UNAVAILABLE 時代表逾時 / 重試用盡 / 熔斷中
+ */
+async function generateText(task, contents, options = {}) {
+    const provider = getProvider(options.provider);
+    const config = resolveTaskConfig(task, provider);
+
+    if (options.tools && !provider.supportsTools) {
+        throw new Error(`Provider "${provider.name}" does not support function calling`);
+    }
+
+    const result = await callWithResilience(task, provider, config, (attemptConfig, signal) =>
+        provider.generate({ task, contents, config: attemptConfig, apiKey: options.apiKey, tools: options.tools, signal }),
+        { deadline: options.deadline }
+    );
+    return { ...result, provider: provider.name };
+}
+
+/**
+ * 產生文字（串流）
+ * 已輸出任何文字後不再重試（避免重複內容），錯誤直接 throw
+ * @param {string} task - TOKEN_LIMITS 任務名稱
+ * @param {Array} contents - Gemini contents 格式的對話內容
+ * @param {Function} onDelta - 每收到一段文字時呼叫 (text)
+ * @param {Object} options - { apiKey, provider, deadline }
+ */
+async function streamText(task, contents, onDelta, options = {}) {
+    const provider = getProvider(options.provider);
+    const config = resolveTaskConfig(task, provider);
+
+    let emitted = false;
+    const result = await callWithResilience(task, provider, config, (attemptConfig, signal) =>
+        provider.stream({ task, contents, config: attemptConfig, apiKey: options.apiKey, signal }, (text) => {
+            emitted = true;
+            onDelta(text);
+        }),
+        { canRetry: () => !emitted, deadline: options.deadline }
+    );
+    return { ...result, provider: provider.name };
+}
+
+module.exports = {
+    // 呼叫介面
+    generateText,
+    streamText,
+    isLLMConfigured,
+
+    // 供應商管理
+    getProvider,
+    registerProvider,
+    resolveTaskConfig,
+
+    // 熔斷器
+    isCircuitOpen,
+    resetCircuitBreakers,
+
+    // 供應商實作
+    createGeminiProvider,
+    createOpenAIProvider,
+    createStubProvider
+};
@@ -0,0 +1,43 @@
+/**
+ * LIQUI MOLY Chatbot - 通訊軟體訊息格式
+ *
+ * /api/chat 回傳 markdown（網頁端渲染），Messenger / Instagram / LINE 不支援 markdown，
+ * 送出前轉為純文字：連結獨立成行、移除粗體與列表符號。
+ *
+ * 設計原則：
+ * 1. 只調整格式，不增刪內容（產品連結一律保留）
+ * 2. 各通訊管道共用同一套轉換，回覆外觀一致
+ */
+
+/**
+ * Markdown → 純文字
+ * @param {string} markdown - AI 回覆
+ * @returns {string} 純文字
+ */
+function markdownToPlainText(markdown) {
+    return String(markdown || '')
+        // Step 1: 處理 Markdown 連結 [文字](連結) → 文字\n連結
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\)]+)\)/g, '$1\n$2')
+        // Step 2: 處理粗體標記 **文字** → 文字
+        .replace(/\*\*([^*]+)\*\*/g, '$1')
+        // Step 3: 處理 Markdown 列表項目（* 開頭改為換行 + 數字或符號）
+        .replace(/^\* /gm, '\n• ')
+        .replace(/^- /gm, '\n• ')
+        // Step 4: 處理殘留的單獨 * 符號（不在詞組中間的）
+        .replace(/\s\*\s/g, ' ')
+        .replace(/^\*\s/gm, '')
+        // Step 5: 處理產品連結標籤，確保連結獨立成行
+        .replace(/產品連結[：:]\s*(https?:\/\/[^\s\n]+)/g, '🔗 產品連結：\n$1')
+        // Step 6: 移除重複的連續 URL
+        .replace(/(https?:\/\/[^\s\n]+)\n+\1/g, '$1')
+        // Step 7: 清理多餘的連續換行（超過2個變成2個）
+        .replace(/\n{3,}/g, '\n\n')
+        // Step 8: 清理開頭的多餘換行
+        .replace(/^\n+/, '')
+        // Step 9: 將數字編號格式統一 (1. 2. 3.)
+        .replace(/^(\d+)\.\s+/gm, '$1. ');
+}
+
+module.exports = {
+    markdownToPlainText
+};
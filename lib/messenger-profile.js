@@ -0,0 +1,198 @@
+/**
+ * LIQUI MOLY Chatbot - Messenger Profile（個人檔案設定）
+ *
+ * 將 data/knowledge/messenger-profile.json 同步至 Messenger Profile API：
+ * - facebook：Get Started 按鈕、問候語（greeting）、Persistent Menu（default / en_US / ja_JP）
+ * - instagram：Ice Breakers
+ *
+ * 設計原則：
+ * 1. 設定放在知識庫 JSON，修改選單不需改程式
+ * 2. 先讀取目前設定並逐欄比對，只送出有差異的欄位（dry-run 只比對不送出）
+ * 3. API 失敗不 throw，回傳結果並記錄
+ */
+
+const { loadJSON } = require('./knowledge-cache');
+const { META_GRAPH_API_URL, LOG_TAGS } = require('./constants');
+
+/**
+ * 依序同步的平台
+ */
+const PROFILE_PLATFORMS = ['facebook', 'instagram'];
+
+const DIFF_STATUS = {
+    UNCHANGED: 'unchanged',
+    CHANGED: 'changed',
+    UNKNOWN: 'unknown'   // 無法取得目前設定
+};
+
+/**
+ * 依來源選擇 Access Token（Instagram 未設定專用 Token 時使用 Page Token）
+ */
+function getAccessToken(platform) {
+    return platform === 'instagram'
+        ? (process.env.META_INSTAGRAM_ACCESS_TOKEN || process.env.META_PAGE_ACCESS_TOKEN)
+        : process.env.META_PAGE_ACCESS_TOKEN;
+}
+
+function getProfileUrl(platform, params = {}) {
+    const query = new URLSearchParams({
+        ...params,
+        ...(platform === 'instagram' ? { platform } : {}),
+        access_token: getAccessToken(platform)
+    });
+    return `${META_GRAPH_API_URL}/me/messenger_profile?${query}`;
+}
+
+// ============================================
+// 設定
+// ============================================
+
+/**
+ * 平台應有的設定（messenger-profile.json）
+ * @param {string} platform - facebook / instagram
+ * @returns {Object} 欄位 → 值（沒有設定時為空物件）
+ */
+function getDesiredProfile(platform) {
+    return loadJSON('messenger-profile.json')?.[platform] || {};
+}
+
+// ============================================
+// 比對
+// ============================================
+
+/**
+ * 目前的值是否已包含應有的值（Graph API 可能多回傳預設欄位，只比對設定中有的欄位）
+ */
+function matchesDesired(desired, current) {
+    if (Array.isArray(desired)) {
+        return Array.isArray(current) &&
+            current.length === desired.length &&
+            desired.every((item, i) => matchesDesired(item, current[i]));
+    }
+    if (desired && typeof desired === 'object') {
+        return !!current && typeof current === 'object' &&
+            Object.keys(desired).every(key => matchesDesired(desired[key], current[key]));
+    }
+    return desired === current;
+}
+
+/**
+ * 逐欄比對應有與目前的設定
+ * @param {Object} desired - 應有的設定
+ * @param {Object|null} current - 目前的設定（null：無法取得）
+ * @returns {Array<Object>} [{ field, status, desired, current }]
+ */
+function diffProfile(desired, current) {
+    return Object.keys(desired).map(field => {
+        const currentValue = current ? (current[field] ?? null) : null;
+        let status = DIFF_STATUS.UNKNOWN;
+        if (current) {
+            status = matchesDesired(desired[field], currentValue) ? DIFF_STATUS.UNCHANGED : DIFF_STATUS.CHANGED;
+        }
+        return { field, status, desired: desired[field], current: currentValue };
+    });
+}
+
+// ============================================
+// Graph API
+// ============================================
+
+/**
+ * 取得目前的設定
+ * @param {string} platform - facebook / instagram
+ * @param {Array<string>} fields - 欄位名稱
+ * @returns {Promise<Object|null>} 欄位 → 值（失敗時回傳 null）
+ */
+async function fetchCurrentProfile(platform, fields) {
+    try {
+        const response = await fetch(getProfileUrl(platform, { fields: fields.join(',') }));
+        const data = await response.json().catch(() => null);
+
+        if (!response.ok) {
+            console.error(`${LOG_TAGS.PROFILE} Fetch ${platform} profile failed:`, data);
+            return null;
+        }
+        return data?.data?.[0] || {};
+    } catch (error) {
+        console.error(`${LOG_TAGS.PROFILE} Fetch ${platform} profile error:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * 送出設定
+ * @param {string} platform - facebook / instagram
+ * @param {Object} profile - 欄位 → 值
+ * @returns {Promise<Object>} { success, response }
+ */
+async function applyProfile(platform, profile) {
+    try {
+        const response = await fetch(getProfileUrl(platform), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(profile)
+        });
+        const data = await response.json().catch(() => null);
+        const success = response.ok && data?.result === 'success';
+
+        if (success) {
+            console.log(`${LOG_TAGS.PROFILE} Applied ${platform} profile: ${Object.keys(profile).join(', ')}`);
+        } else {
+            console.error(`${LOG_TAGS.PROFILE} Apply ${platform} profile failed:`, data);
+        }
+        return { success, response: data };
+    } catch (error) {
+        console.error(`${LOG_TAGS.PROFILE} Apply ${platform} profile error:`, error.message);
+        return { success: false, response: { error: error.message } };
+    }
+}
+
+// ============================================
+// 同步
+// ============================================
+
+/**
+ * 比對並同步單一平台（dryRun 時只比對）
+ * @param {string} platform - facebook / instagram
+ * @param {Object} options
+ * @param {boolean} options.dryRun - 只回傳差異，不送出
+ * @returns {Promise<Object>} { success, diff, applied }
+ *   - applied：送出的結果（dry-run 或沒有差異時為 null）
+ */
+async function syncProfile(platform, { dryRun = false } = {}) {
+    const desired = getDesiredProfile(platform);
+    const fields = Object.keys(desired);
+    if (fields.length === 0) {
+        return { success: true, diff: [], applied: null };
+    }
+
+    const current = await fetchCurrentProfile(platform, fields);
+    const diff = diffProfile(desired, current);
+    const pending = diff.filter(entry => entry.status !== DIFF_STATUS.UNCHANGED);
+
+    if (dryRun || pending.length === 0) {
+        return { success: current !== null, diff, applied: null };
+    }
+
+    const profile = Object.fromEntries(pending.map(entry => [entry.field, entry.desired]));
+    const applied = await applyProfile(platform, profile);
+    return { success: applied.success, diff, applied };
+}
+
+module.exports = {
+    PROFILE_PLATFORMS,
+    DIFF_STATUS,
+
+    // 設定
+    getDesiredProfile,
+
+    // 比對
+    diffProfile,
+
+    // Graph API
+    fetchCurrentProfile,
+    applyProfile,
+
+    // 同步
+    syncProfile
+};
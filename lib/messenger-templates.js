@@ -0,0 +1,197 @@
+/**
+ * LIQUI MOLY Chatbot - Messenger 產品輪播（Generic Template）
+ *
+ * 將 /api/chat 回傳的 products（lib/product-cards.js）轉為 Send API 的 generic template：
+ * - title：產品名稱
+ * - subtitle：容量 / 黏度
+ * - image_url：產品圖片（Wix CMS 有圖片時）
+ * - 按鈕：「查看產品」開啟產品頁、「這哪裡買」以 postback 詢問購買管道
+ *
+ * 另將對話協調器（lib/conversation-orchestrator.js）的 outbound 訊息轉為 Send API 訊息。
+ *
+ * 設計原則：
+ * 1. 只使用 products 卡片資料（取自資料庫），不從 AI 文字解析產品
+ * 2. 不支援範本的來源（Instagram）改以文字列出產品，回覆中已有的連結不重複
+ */
+
+const { PRODUCT_CAROUSEL } = require('./constants');
+
+function truncate(text, maxLength) {
+    const str = String(text || '');
+    return str.length > maxLength ? `${str.substring(0, maxLength - 1)}…` : str;
+}
+
+// ============================================
+// Generic Template
+// ============================================
+
+/**
+ * 來源是否使用 Generic Template
+ * @param {string} source - facebook / instagram
+ * @returns {boolean}
+ */
+function supportsGenericTemplate(source) {
+    return PRODUCT_CAROUSEL.templateSources.includes(source);
+}
+
+/**
+ * 產品卡片 → Generic Template element
+ * @param {Object} card - { sku, title, size, url, viscosity, image }
+ * @returns {Object|null} element（缺少名稱或連結時回傳 null）
+ */
+function buildProductElement(card) {
+    if (!card?.title || !card.url) return null;
+
+    const element = {
+        title: truncate(card.title, PRODUCT_CAROUSEL.maxTitleLength),
+        default_action: { type: 'web_url', url: card.url },
+        buttons: [
+            { type: 'web_url', url: card.url, title: '查看產品' }
+        ]
+    };
+
+    const subtitle = [card.size, card.viscosity].filter(Boolean).join(' / ');
+    if (subtitle) {
+        element.subtitle = truncate(subtitle, PRODUCT_CAROUSEL.maxSubtitleLength);
+    }
+    if (card.image) {
+        element.image_url = card.image;
+    }
+    if (card.sku) {
+        element.buttons.push({
+            type: 'postback',
+            title: '這哪裡買',
+            payload: `${PRODUCT_CAROUSEL.whereToBuyPayloadPrefix}${card.sku}`
+        });
+    }
+
+    return element;
+}
+
+/**
+ * 產品卡片 → Generic Template 訊息（message 欄位）
+ * @param {Array<Object>} products - 產品卡片
+ * @returns {Object|null} { attachment }（沒有可顯示的產品時回傳 null）
+ */
+function buildProductCarousel(products) {
+    const elements = (products || [])
+        .map(buildProductElement)
+        .filter(Boolean)
+        .slice(0, PRODUCT_CAROUSEL.maxElements);
+
+    if (elements.length === 0) return null;
+
+    return {
+        attachment: {
+            type: 'template',
+            payload: {
+                template_type: 'generic',
+                image_aspect_ratio: 'square',
+                elements
+            }
+        }
+    };
+}
+
+/**
+ * 解析「這哪裡買」按鈕的 payload
+ * @param {string} payload
+ * @returns {string|null} 產品編號（其他 payload 回傳 null）
+ */
+function parseWhereToBuyPayload(payload) {
+    if (typeof payload !== 'string' || !payload.startsWith(PRODUCT_CAROUSEL.whereToBuyPayloadPrefix)) {
+        return null;
+    }
+    return payload.substring(PRODUCT_CAROUSEL.whereToBuyPayloadPrefix.length).trim() || null;
+}
+
+// ============================================
+// 文字格式（不支援範本時）
+// ============================================
+
+/**
+ * 以文字列出回覆中尚未出現連結的產品
+ * @param {Array<Object>} products - 產品卡片
+ * @param {string} responseText - 已轉為純文字的 AI 回覆
+ * @returns {string|null} 產品清單文字（沒有需補充的產品時回傳 null）
+ */
+function formatProductListText(products, responseText = '') {
+    const lines = (products || [])
+        .filter(card => card?.title && card.url && !responseText.includes(card.url))
+        .slice(0, PRODUCT_CAROUSEL.maxElements)
+        .map(card => `• ${card.title}\n🔗 產品連結：\n${card.url}`);
+
+    return lines.length > 0 ? lines.join('\n\n') : null;
+}
+
+// ============================================
+// Outbound 訊息
+// ============================================
+
+/**
+ * 協調器的 quickReplies → Send API quick_replies
+ * @param {Array<Object>} quickReplies - [{ label, payload }]
+ * @returns {Array<Object>|undefined}
+ */
+function toMessengerQuickReplies(quickReplies) {
+    if (!quickReplies || quickReplies.length === 0) return undefined;
+    return quickReplies.map(({ label, payload }) => ({
+        content_type: 'text',
+        title: truncate(label, PRODUCT_CAROUSEL.maxQuickReplyTitleLength),
+        payload
+    }));
+}
+
+/**
+ * 協調器的 outbound 訊息 → Messenger / Instagram 訊息
+ * 建議追問（suggestions）點擊後只會送回 payload，Messenger 不顯示
+ * @param {Array<Object>} messages - [{ type: 'text' | 'products', ... }]
+ * @param {string} source - facebook / instagram
+ * @returns {Array<Object>} [{ text, quickReplies }] 或 [{ template, quickReplies }]
+ */
+function renderMessengerMessages(messages, source) {
+    const rendered = [];
+
+    for (const message of messages || []) {
+        const quickReplies = toMessengerQuickReplies(message.quickReplies);
+
+        if (message.type === 'text') {
+            rendered.push({ text: message.text, quickReplies });
+            continue;
+        }
+        if (message.type !== 'products') continue;
+
+        const carousel = supportsGenericTemplate(source) ? buildProductCarousel(message.products) : null;
+        if (carousel) {
+            rendered.push({ template: carousel, quickReplies });
+            continue;
+        }
+
+        // 不支援範本：產品連結補在前一則文字後
+        const previous = rendered[rendered.length - 1];
+        const productListText = formatProductListText(message.products, previous?.text || '');
+        if (previous?.text !== undefined) {
+            if (productListText) previous.text = `${previous.text}\n\n${productListText}`;
+            previous.quickReplies = quickReplies || previous.quickReplies;
+        } else if (productListText) {
+            rendered.push({ text: productListText, quickReplies });
+        }
+    }
+
+    return rendered;
+}
+
+module.exports = {
+    // Generic Template
+    supportsGenericTemplate,
+    buildProductElement,
+    buildProductCarousel,
+    parseWhereToBuyPayload,
+
+    // 文字格式
+    formatProductListText,
+
+    // Outbound 訊息
+    toMessengerQuickReplies,
+    renderMessengerMessages
+};
@@ -0,0 +1,123 @@
+/**
+ * LIQUI MOLY Chatbot - Messenger / Instagram Handover Protocol
+ *
+ * 真人客服接手時，把對話控制權（thread control）交給 Page Inbox；
+ * 用戶要求恢復 AI 或暫停到期時再取回。
+ * 控制權在 Page Inbox 時，Meta 只會以 standby 事件通知機器人，機器人無法也不會回覆。
+ *
+ * Webhook 事件：
+ * - pass_thread_control：控制權交給本 App（真人客服結束）
+ * - take_thread_control：Page Inbox 取走控制權（真人客服接手）
+ * - request_thread_control：Page Inbox 要求控制權
+ *
+ * 設計原則：
+ * 1. 只包裝 Graph API 與事件解析；暫停狀態同步由 meta-webhook.js 處理
+ * 2. API 失敗不 throw，回傳 false 並記錄，不影響訊息回覆流程
+ */
+
+const { META_GRAPH_API_URL, META_PAGE_INBOX_APP_ID, LOG_TAGS } = require('./constants');
+
+const HANDOVER_EVENT_TYPES = {
+    PASS: 'pass_thread_control',
+    TAKE: 'take_thread_control',
+    REQUEST: 'request_thread_control'
+};
+
+/**
+ * 依來源選擇 Access Token（Instagram 未設定專用 Token 時使用 Page Token）
+ */
+function getAccessToken(source) {
+    return source === 'instagram'
+        ? (process.env.META_INSTAGRAM_ACCESS_TOKEN || process.env.META_PAGE_ACCESS_TOKEN)
+        : process.env.META_PAGE_ACCESS_TOKEN;
+}
+
+async function callThreadControlApi(action, body, source) {
+    try {
+        const response = await fetch(`${META_GRAPH_API_URL}/me/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...body, access_token: getAccessToken(source) })
+        });
+
+        if (response.ok) {
+            console.log(`${LOG_TAGS.HANDOVER} ${action} succeeded for user ${body.recipient.id} (${source})`);
+            return true;
+        }
+
+        const error = await response.json().catch(() => null);
+        console.error(`${LOG_TAGS.HANDOVER} ${action} failed for user ${body.recipient.id}:`, error);
+        return false;
+    } catch (error) {
+        console.error(`${LOG_TAGS.HANDOVER} ${action} error:`, error.message);
+        return false;
+    }
+}
+
+// ============================================
+// Graph API
+// ============================================
+
+/**
+ * 將對話控制權交給 Page Inbox（真人客服）
+ * @param {string} userId - 用戶 PSID / IGSID
+ * @param {string} source - facebook / instagram
+ * @param {string} metadata - 交接原因（Page Inbox 可見）
+ * @returns {Promise<boolean>} 是否成功
+ */
+function passThreadControl(userId, source = 'facebook', metadata = '') {
+    return callThreadControlApi('pass_thread_control', {
+        recipient: { id: userId },
+        target_app_id: META_PAGE_INBOX_APP_ID,
+        metadata
+    }, source);
+}
+
+/**
+ * 從 Page Inbox 取回對話控制權（本 App 須為 Primary Receiver）
+ * @param {string} userId - 用戶 PSID / IGSID
+ * @param {string} source - facebook / instagram
+ * @param {string} metadata - 取回原因
+ * @returns {Promise<boolean>} 是否成功
+ */
+function takeThreadControl(userId, source = 'facebook', metadata = '') {
+    return callThreadControlApi('take_thread_control', {
+        recipient: { id: userId },
+        metadata
+    }, source);
+}
+
+// ============================================
+// Webhook 事件
+// ============================================
+
+/**
+ * 解析控制權事件
+ * @param {Object} event - messaging 事件
+ * @returns {Object|null} { type, userId, metadata, ownerAppId }（非控制權事件回傳 null）
+ */
+function parseHandoverEvent(event) {
+    for (const type of Object.values(HANDOVER_EVENT_TYPES)) {
+        const data = event?.[type];
+        if (!data) continue;
+
+        return {
+            type,
+            userId: event.sender?.id || null,
+            metadata: data.metadata || '',
+            ownerAppId: String(data.new_owner_app_id || data.requested_owner_app_id || data.previous_owner_app_id || '') || null
+        };
+    }
+    return null;
+}
+
+module.exports = {
+    HANDOVER_EVENT_TYPES,
+
+    // Graph API
+    passThreadControl,
+    takeThreadControl,
+
+    // Webhook 事件
+    parseHandoverEvent
+};
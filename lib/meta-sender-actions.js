@@ -0,0 +1,108 @@
+/**
+ * LIQUI MOLY Chatbot - Messenger / Instagram Sender Actions
+ *
+ * 收到文字訊息後立即標示已讀（mark_seen）並顯示輸入中（typing_on），
+ * AI 回覆需要較長時間時定期重送 typing_on（Meta 約 20 秒後自動隱藏），
+ * 送出回覆或錯誤訊息前先送 typing_off。
+ *
+ * 設計原則：
+ * 1. 只是提示，API 失敗不 throw，只記錄，絕不阻擋回覆
+ * 2. 開始時的 mark_seen / typing_on 不等待結果，不拖慢 AI 回覆
+ */
+
+const { META_GRAPH_API_URL, META_TYPING_REFRESH_MS, LOG_TAGS } = require('./constants');
+
+const SENDER_ACTIONS = {
+    MARK_SEEN: 'mark_seen',
+    TYPING_ON: 'typing_on',
+    TYPING_OFF: 'typing_off'
+};
+
+/**
+ * 依來源選擇 Access Token（Instagram 未設定專用 Token 時使用 Page Token）
+ */
+function getAccessToken(source) {
+    return source === 'instagram'
+        ? (process.env.META_INSTAGRAM_ACCESS_TOKEN || process.env.META_PAGE_ACCESS_TOKEN)
+        : process.env.META_PAGE_ACCESS_TOKEN;
+}
+
+// ============================================
+// Graph API
+// ============================================
+
+/**
+ * 發送 sender action
+ * @param {string} userId - 用戶 PSID / IGSID
+ * @param {string} action - mark_seen / typing_on / typing_off
+ * @param {string} source - facebook / instagram
+ * @returns {Promise<boolean>} 是否成功
+ */
+async function sendSenderAction(userId, action, source = 'facebook') {
+    try {
+        const response = await fetch(`${META_GRAPH_API_URL}/me/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                recipient: { id: userId },
+                sender_action: action,
+                access_token: getAccessToken(source)
+            })
+        });
+
+        if (response.ok) return true;
+
+        const error = await response.json().catch(() => null);
+        console.error(`${LOG_TAGS.SENDER_ACTION} ${action} failed for user ${userId} (${source}):`, error);
+        return false;
+    } catch (error) {
+        console.error(`${LOG_TAGS.SENDER_ACTION} ${action} error:`, error.message);
+        return false;
+    }
+}
+
+// ============================================
+// 輸入中提示
+// ============================================
+
+/**
+ * 標示已讀並開始顯示輸入中，直到 stop() 為止
+ * @param {string} userId - 用戶 PSID / IGSID
+ * @param {string} source - facebook / instagram
+ * @param {Object} options
+ * @param {number} options.refreshMs - 重送 typing_on 的間隔
+ * @returns {Object} { stop }：停止重送並送出 typing_off（只送一次，可重複呼叫）
+ */
+function startTypingIndicator(userId, source = 'facebook', { refreshMs = META_TYPING_REFRESH_MS } = {}) {
+    // 依序送出（已讀在前），不等待結果
+    const started = sendSenderAction(userId, SENDER_ACTIONS.MARK_SEEN, source)
+        .then(() => sendSenderAction(userId, SENDER_ACTIONS.TYPING_ON, source));
+
+    const timer = setInterval(() => {
+        sendSenderAction(userId, SENDER_ACTIONS.TYPING_ON, source);
+    }, refreshMs);
+
+    let stopped = false;
+
+    return {
+        async stop() {
+            if (stopped) return;
+            stopped = true;
+            clearInterval(timer);
+
+            // 等開始時的 typing_on 送出，避免 typing_off 先到
+            await started;
+            await sendSenderAction(userId, SENDER_ACTIONS.TYPING_OFF, source);
+        }
+    };
+}
+
+module.exports = {
+    SENDER_ACTIONS,
+
+    // Graph API
+    sendSenderAction,
+
+    // 輸入中提示
+    startTypingIndicator
+};
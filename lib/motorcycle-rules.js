@@ -16,6 +16,15 @@
 
 const { loadJSON } = require('./knowledge-cache');
 const { getScooterCertScore } = require('./certification-matcher');
+const { getProductSpec, hasViscosity, parseSyntheticLevel } = require('./product-model');
+
+// 合成等級 → 排序分數
+const SYNTHETIC_SCORES = {
+    full: 3,
+    synthetic_tech: 2,
+    mineral: 1
+};
+const DEFAULT_SYNTHETIC_SCORE = 1.5;
 
 // 快取
 let aiAnalysisRulesCache = null;
@@ -121,31 +130,27 @@ function searchMotorcycleOil(products, vehicleInfo) {
     console.log(`[MotorcycleRules] Searching oil for: ${isScooterVehicle ? '速克達' : '檔車/重機'}, viscosity: ${viscosity || 'any'}`);
 
     const matches = products.filter(p => {
-        // Rule 1: Title must contain "Motorbike"
-        if (!p.title || !p.title.toLowerCase().includes('motorbike')) return false;
+        const spec = getProductSpec(p);
+
+        // Rule 1: 摩托車產品（標題含 Motorbike 或類別為摩托車）
+        if (!spec.vehicleTypes.includes('motorbike')) return false;
 
         // Rule 2: JASO Classification
-        const cert = (p.cert || '').toUpperCase().replace(/[-\s]/g, '');
-        const title = (p.title || '').toUpperCase();
+        const jaso = spec.certifications
+            .filter(c => c.family === 'JASO')
+            .map(c => c.version.toUpperCase().replace(/\s/g, ''));
 
         if (isScooterVehicle) {
             // 速克達：優先 JASO MB，排除純 MA/MA2 產品
-            const hasMB = cert.includes('JASOMB') || cert.includes('MB') || title.includes('SCOOTER');
-            const hasMA = cert.includes('JASOMA2') || cert.includes('JASOMA') || (cert.includes('MA') && !cert.includes('MB'));
-            if (hasMA && !hasMB) return false;  // 有 MA 沒有 MB → 不要
-            if (!hasMB && !title.includes('SCOOTER')) return false;
+            if (!spec.vehicleTypes.includes('scooter')) return false;
+            if (!jaso.includes('MB') && !(p.title || '').toUpperCase().includes('SCOOTER')) return false;
         } else {
             // 檔車/重機：需要 JASO MA/MA2
-            const hasMA = cert.includes('JASOMA2') || cert.includes('JASOMA') || cert.includes('MA2') || cert.includes('MA');
-            if (!hasMA) return false;
+            if (!jaso.some(version => version.startsWith('MA'))) return false;
         }
 
         // Rule 3: Viscosity matching
-        if (viscosity) {
-            const word2 = (p.word2 || '').toUpperCase().replace(/-/g, '');
-            const targetViscosity = viscosity.toUpperCase().replace(/-/g, '');
-            if (!word2.includes(targetViscosity)) return false;
-        }
+        if (viscosity && !hasViscosity(p, viscosity)) return false;
 
         return true;
     });
@@ -166,34 +171,16 @@ function filterMotorcycleProducts(products, options = {}) {
     const { isScooter: isScooterFilter, viscosity } = options;
 
     return products.filter(p => {
-        const title = (p.title || '').toLowerCase();
-        const sort = (p.sort || '').toLowerCase();
+        const { vehicleTypes } = getProductSpec(p);
 
         // 必須是摩托車產品
-        const isMotorbikeProduct = title.includes('motorbike') ||
-                                   sort.includes('摩托車') ||
-                                   sort.includes('motorbike') ||
-                                   sort.includes('scooter');
-        if (!isMotorbikeProduct) return false;
-
-        // JASO 認證過濾
-        if (typeof isScooterFilter === 'boolean') {
-            const cert = (p.cert || '').toUpperCase().replace(/[-\s]/g, '');
-
-            if (isScooterFilter) {
-                // 速克達：排除純 MA/MA2 產品
-                const hasMB = cert.includes('JASOMB') || cert.includes('MB') || title.includes('scooter');
-                const hasOnlyMA = (cert.includes('JASOMA2') || cert.includes('JASOMA')) && !hasMB;
-                if (hasOnlyMA) return false;
-            }
-        }
+        if (!vehicleTypes.includes('motorbike')) return false;
+
+        // JASO 認證過濾：速克達排除純 MA/MA2 產品
+        if (isScooterFilter === true && !vehicleTypes.includes('scooter')) return false;
 
         // 黏度過濾
-        if (viscosity) {
-            const word2 = (p.word2 || '').toUpperCase().replace(/-/g, '');
-            const targetViscosity = viscosity.toUpperCase().replace(/-/g, '');
-            if (!word2.includes(targetViscosity)) return false;
-        }
+        if (viscosity && !hasViscosity(p, viscosity)) return false;
 
         return true;
     });
@@ -212,34 +199,18 @@ function filterMotorcycleProducts(products, options = {}) {
  */
 function getSyntheticScore(title) {
     if (!title) return 0;
-    const titleLower = title.toLowerCase();
-
-    // 嚴格全合成（3分）
-    if (titleLower.includes('synthoil') ||
-        titleLower.includes('race') ||
-        titleLower.includes('fully synthetic') ||
-        titleLower.includes('fully-synthetic') ||
-        titleLower.includes('全合成')) {
-        return 3;
-    }
-
-    // 合成技術/半合成（2分）
-    if (titleLower.includes('top tec') ||
-        titleLower.includes('special tec') ||
-        titleLower.includes('leichtlauf') ||
-        titleLower.includes('synthetic technology') ||
-        titleLower.includes('合成') ||
-        titleLower.includes('street') ||
-        titleLower.includes('formula')) {
-        return 2;
-    }
-
-    // 礦物油（1分）
-    if (titleLower.includes('mineral') || titleLower.includes('礦物')) {
-        return 1;
-    }
+    return SYNTHETIC_SCORES[parseSyntheticLevel(title)] ?? DEFAULT_SYNTHETIC_SCORE;
+}
 
-    return 1.5; // 預設
+/**
+ * 取得產品的合成等級分數（使用 product-model.js 解析的 syntheticLevel）
+ *
+ * @param {Object} product - 產品物件
+ * @returns {number} 分數 (3=全合成, 2=半合成, 1=礦物油)
+ */
+function getProductSyntheticScore(product) {
+    if (!product?.title) return 0;
+    return SYNTHETIC_SCORES[getProductSpec(product).syntheticLevel] ?? DEFAULT_SYNTHETIC_SCORE;
 }
 
 /**
@@ -255,8 +226,8 @@ function sortMotorcycleProducts(products, options = {}) {
     return [...products].sort((a, b) => {
         // 1. 全合成優先
         if (preferFullSynthetic) {
-            const aScore = getSyntheticScore(a.title);
-            const bScore = getSyntheticScore(b.title);
+            const aScore = getProductSyntheticScore(a);
+            const bScore = getProductSyntheticScore(b);
             if (aScore !== bScore) return bScore - aScore;
         }
 
@@ -374,6 +345,7 @@ module.exports = {
 
     // 評分與排序
     getSyntheticScore,
+    getProductSyntheticScore,
     sortMotorcycleProducts,
     // getScooterCertScore 請從 certification-matcher.js 導入
 
@@ -0,0 +1,78 @@
+/**
+ * LIQUI MOLY Chatbot - 結構化產品卡片與建議追問
+ *
+ * /api/chat 除了 markdown 文字外，另回傳：
+ * - products：通過 validateAIResponse 的產品（供網頁卡片 / Messenger Generic Template）
+ * - suggestedReplies：建議追問（供 Quick Replies / Chips）
+ *
+ * 設計原則：
+ * 1. 產品資料一律取自資料庫，不從 AI 文字解析名稱或連結
+ * 2. 建議追問文字放在 response-templates.json，不寫死在程式碼
+ */
+
+const { loadJSON } = require('./knowledge-cache');
+const { getProductUrl, PRODUCT_CARDS } = require('./constants');
+
+/**
+ * 產品資料庫物件 → 產品卡片
+ * @param {Object} p - 產品物件（Wix CMS）
+ * @returns {Object} { sku, title, size, url, viscosity, cert, price, image }
+ */
+function toProductCard(p) {
+    return {
+        sku: p.partno || null,
+        title: p.title || null,
+        size: p.size || null,
+        url: getProductUrl(p.partno),
+        viscosity: p.word2 || null,
+        cert: p.cert || null,
+        price: p.price || null,
+        image: p.image || null
+    };
+}
+
+/**
+ * 依 SKU 順序建立產品卡片（找不到或重複的 SKU 略過，最多 PRODUCT_CARDS.maxCards 張）
+ * @param {Array<string>} skus - 通過驗證的 SKU（依回覆中出現順序）
+ * @param {Array} productList - 產品資料庫
+ * @returns {Array<Object>} 產品卡片
+ */
+function buildProductCards(skus, productList) {
+    if (!skus || skus.length === 0 || !productList || productList.length === 0) return [];
+
+    return [...new Set(skus.map(sku => String(sku).toUpperCase()))]
+        .map(sku => productList.find(p => p.partno && p.partno.toUpperCase() === sku))
+        .filter(Boolean)
+        .slice(0, PRODUCT_CARDS.maxCards)
+        .map(toProductCard);
+}
+
+/**
+ * 建立建議追問
+ * @param {Object} intent - 意圖
+ * @param {Array} products - 產品卡片
+ * @param {string} language - 用戶語言（zh-TW / en ...，其他語言使用英文）
+ * @returns {Array<string>} 建議追問
+ */
+function buildSuggestedReplies(intent, products = [], language = 'zh-TW') {
+    const config = loadJSON('response-templates.json')?.suggested_replies;
+    if (!config) return [];
+
+    const replies = config[language] || (language === 'zh-TW' ? null : config.en);
+    if (!replies) return [];
+
+    let candidates;
+    if (products.length > 0 && products[0].sku) {
+        candidates = (replies.with_products || []).map(text => text.replace(/\{sku\}/g, products[0].sku));
+    } else {
+        candidates = replies[intent?.type] || replies.default || [];
+    }
+
+    return candidates.slice(0, config.max_replies || 3);
+}
+
+module.exports = {
+    toProductCard,
+    buildProductCards,
+    buildSuggestedReplies
+};
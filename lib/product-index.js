@@ -0,0 +1,211 @@
+/**
+ * LIQUI MOLY Chatbot - 產品倒排索引（BM25）
+ *
+ * 取代逐筆 String.includes 的線性比對：產品列表更新時建立一次索引，
+ * 查詢時只計算含有查詢詞的產品，並以欄位加權 BM25 排序。
+ *
+ * 斷詞：
+ * - 英數：連續英數字為一詞（忽略大小寫與連字號，5W-30 = 5w30、GF-6A = gf6a）
+ * - 中日韓文字：相鄰兩字（bigram），單獨一字時為一詞
+ *
+ * 設計原則：
+ * 1. 索引欄位與權重設定於 search-reference.json 的 search_index，不硬編碼
+ * 2. 每個欄位各自計算 BM25（欄位長度正規化），依權重加總
+ * 3. 同分時維持產品列表原順序，結果穩定
+ * 4. search 需符合多數查詢詞（min_term_ratio），避免「Molygen 5W-30」只因 5W-30 就找到其他系列；
+ *    rank 只排序已篩選的清單，任一詞符合即計分
+ */
+
+const { getSearchIndexConfig } = require('./search-helper');
+
+const DEFAULT_FIELD_BOOSTS = {
+    title: 3,
+    partno: 5,
+    word1: 2,
+    word2: 2,
+    cert: 2,
+    sort: 1.5,
+    content: 1
+};
+const DEFAULT_K1 = 1.2;
+const DEFAULT_B = 0.75;
+const DEFAULT_MIN_TERM_RATIO = 0.75;
+
+const CJK_PATTERN = /[\u3400-\u9fff\uf900-\ufaff]+/g;
+const ALNUM_PATTERN = /[a-z0-9]+(?:[.\-][a-z0-9]+)*/g;
+
+// ============================================
+// 斷詞
+// ============================================
+
+/**
+ * 斷詞（英數詞 + 中日韓 bigram）
+ * @param {string} text
+ * @returns {Array<string>} 詞（可重複，供計算詞頻）
+ */
+function tokenize(text) {
+    const normalized = String(text || '').normalize('NFKC').toLowerCase();
+    const tokens = [];
+
+    for (const word of normalized.match(ALNUM_PATTERN) || []) {
+        tokens.push(word.replace(/-/g, ''));
+    }
+
+    for (const run of normalized.match(CJK_PATTERN) || []) {
+        if (run.length === 1) {
+            tokens.push(run);
+            continue;
+        }
+        for (let i = 0; i < run.length - 1; i++) {
+            tokens.push(run.substring(i, i + 2));
+        }
+    }
+
+    return tokens;
+}
+
+// ============================================
+// 索引
+// ============================================
+
+/**
+ * 建立產品索引
+ * @param {Array<Object>} products - 產品列表（Wix products）
+ * @param {Object} options - 預設取自 search-reference.json 的 search_index
+ * @param {Object} options.fieldBoosts - 欄位 → 權重（只索引列出的欄位）
+ * @param {number} options.k1 - BM25 詞頻飽和參數
+ * @param {number} options.b - BM25 長度正規化參數
+ * @param {number} options.minTermRatio - search 至少需符合的查詢詞比例（0 = 任一詞，1 = 全部）
+ * @returns {Object} { products, size, search, rank }
+ */
+function createProductIndex(products, options = {}) {
+    const config = getSearchIndexConfig();
+    const fieldBoosts = options.fieldBoosts || config.field_boosts || DEFAULT_FIELD_BOOSTS;
+    const k1 = options.k1 ?? config.k1 ?? DEFAULT_K1;
+    const b = options.b ?? config.b ?? DEFAULT_B;
+    const defaultMinTermRatio = options.minTermRatio ?? config.min_term_ratio ?? DEFAULT_MIN_TERM_RATIO;
+    const fields = Object.keys(fieldBoosts).filter(field => !field.startsWith('_'));
+
+    const docs = products || [];
+    const postings = new Map();                       // term → Map(docIndex → { field: tf })
+    const fieldLengths = fields.map(() => new Array(docs.length).fill(0));
+    const totalLengths = fields.map(() => 0);
+    const docIndexByProduct = new Map();
+
+    docs.forEach((product, docIndex) => {
+        docIndexByProduct.set(product, docIndex);
+
+        fields.forEach((field, fieldIndex) => {
+            const tokens = tokenize(product?.[field]);
+            fieldLengths[fieldIndex][docIndex] = tokens.length;
+            totalLengths[fieldIndex] += tokens.length;
+
+            for (const token of tokens) {
+                let docsWithTerm = postings.get(token);
+                if (!docsWithTerm) {
+                    docsWithTerm = new Map();
+                    postings.set(token, docsWithTerm);
+                }
+                let termFrequencies = docsWithTerm.get(docIndex);
+                if (!termFrequencies) {
+                    termFrequencies = {};
+                    docsWithTerm.set(docIndex, termFrequencies);
+                }
+                termFrequencies[fieldIndex] = (termFrequencies[fieldIndex] || 0) + 1;
+            }
+        });
+    });
+
+    const averageLengths = totalLengths.map(total => (docs.length > 0 ? total / docs.length : 0) || 1);
+
+    function idf(term) {
+        const docFrequency = postings.get(term)?.size || 0;
+        return Math.log(1 + (docs.length - docFrequency + 0.5) / (docFrequency + 0.5));
+    }
+
+    /**
+     * 查詢詞對各產品的分數
+     * @returns {Object} { scores: Map(docIndex → score), matchedTerms: Map(docIndex → 符合詞數), termCount }
+     */
+    function scoreDocs(query, onlyFields) {
+        const scores = new Map();
+        const matchedTerms = new Map();
+        const terms = [...new Set(tokenize(query))];
+
+        for (const term of terms) {
+            const docsWithTerm = postings.get(term);
+            if (!docsWithTerm) continue;
+            const termIdf = idf(term);
+
+            for (const [docIndex, termFrequencies] of docsWithTerm) {
+                let score = 0;
+                for (const [fieldIndex, tf] of Object.entries(termFrequencies)) {
+                    const field = fields[fieldIndex];
+                    if (onlyFields && !onlyFields.includes(field)) continue;
+
+                    const lengthNorm = 1 - b + b * (fieldLengths[fieldIndex][docIndex] / averageLengths[fieldIndex]);
+                    score += fieldBoosts[field] * termIdf * (tf * (k1 + 1)) / (tf + k1 * lengthNorm);
+                }
+                if (score > 0) {
+                    scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+                    matchedTerms.set(docIndex, (matchedTerms.get(docIndex) || 0) + 1);
+                }
+            }
+        }
+
+        return { scores, matchedTerms, termCount: terms.length };
+    }
+
+    function byScore(x, y) {
+        return y.score - x.score || x.docIndex - y.docIndex;
+    }
+
+    return {
+        products: docs,
+        size: docs.length,
+
+        /**
+         * 搜尋（符合足夠比例的查詢詞才列入，依分數排序）
+         * @param {string} query
+         * @param {Object} options
+         * @param {Array<string>} options.fields - 只計算這些欄位
+         * @param {number} options.limit - 最多回傳筆數
+         * @param {number} options.minTermRatio - 至少需符合的查詢詞比例（預設取自索引設定）
+         * @returns {Array<Object>} [{ product, score }]
+         */
+        search(query, { fields: onlyFields = null, limit = Infinity, minTermRatio = defaultMinTermRatio } = {}) {
+            const { scores, matchedTerms, termCount } = scoreDocs(query, onlyFields);
+            const minTerms = Math.max(1, Math.ceil(termCount * minTermRatio));
+
+            return [...scores]
+                .filter(([docIndex]) => matchedTerms.get(docIndex) >= minTerms)
+                .map(([docIndex, score]) => ({ docIndex, score }))
+                .sort(byScore)
+                .slice(0, limit)
+                .map(({ docIndex, score }) => ({ product: docs[docIndex], score }));
+        },
+
+        /**
+         * 依查詢相關度排序既有的產品清單（不在索引中或無分數者排在後面，維持原順序）
+         * @param {Array<Object>} list - 產品
+         * @param {string} query
+         * @returns {Array<Object>} 排序後的產品
+         */
+        rank(list, query) {
+            const { scores } = scoreDocs(query);
+            return list
+                .map((product, position) => ({
+                    product,
+                    score: scores.get(docIndexByProduct.get(product)) || 0,
+                    docIndex: position
+                }))
+                .sort(byScore)
+                .map(({ product }) => product);
+        }
+    };
+}
+
+module.exports = {
+    tokenize,
+    createProductIndex
+};
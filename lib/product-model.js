@@ -0,0 +1,288 @@
+/**
+ * LIQUI MOLY Chatbot - 產品規格正規化
+ *
+ * Wix 產品資料的欄位意義是隱含的（word2 是黏度、cert 是自由文字、sort 是類別字串），
+ * 過去每個比對模組各自用正則重新解析。產品列表更新時在這裡解析一次，附加為 product.spec：
+ * - viscosities：黏度等級（['5W-30']）
+ * - certifications：認證清單 [{ name, family, version, key }]
+ *   （「API SN/SP」拆成 API SN、API SP；key 為比對用的正規化字串）
+ * - vehicleTypes：適用車種（car / motorbike / scooter / marine）
+ * - syntheticLevel：合成等級（full / synthetic_tech / mineral，無法判斷時為 null）
+ * - packLitres：容量（公升，300ml = 0.3）
+ * - series：產品系列（search-reference.json 的 product_series，取最長的符合名稱）
+ *
+ * 設計原則：
+ * 1. 只新增 spec，不修改 Wix 原始欄位（回覆內容仍使用原始資料）
+ * 2. 沒有經過 normalizeCatalog 的產品（測試資料、外部傳入）由 getProductSpec 即時解析並快取
+ * 3. 各比對模組一律透過 getProductSpec 取得規格，不再自行解析 word2 / cert / sort
+ */
+
+const { getProductSeriesNames } = require('./search-helper');
+
+// 認證家族（依序比對，第一個符合者為準；版本為第一個擷取群組）
+const CERT_FAMILIES = [
+    { family: 'ILSAC', pattern: /^(?:ILSAC\s*)?(GF[-\s]?\d+[AB]?)$/i },
+    { family: 'API', pattern: /^API\s*(.+)$/i },
+    { family: 'ACEA', pattern: /^ACEA\s*(.+)$/i },
+    // JASO-MA2、JASO:MA2、JASO T903:2016 MA2 → MA2（去除分隔符號與標準編號）
+    { family: 'JASO', pattern: /^JASO(?:[\s\-:]*T\s*903(?:\s*:\s*\d{4})?)?[\s\-:]*(.+)$/i },
+    { family: 'VW', pattern: /^(?:VW|VOLKSWAGEN)\s*(.+)$/i },
+    { family: 'MB', pattern: /^(?:MB|MERCEDES[-\s]?BENZ)(?:[-\s]*APPROVALS?|[-\s]*FREIGABE)?\s*(.+)$/i },
+    { family: 'BMW', pattern: /^BMW\s*(.+)$/i },
+    { family: 'Porsche', pattern: /^PORSCHE\s*(.+)$/i },
+    { family: 'GM', pattern: /^(?:GM\s*)?(DEXOS.*)$/i },
+    { family: 'Ford', pattern: /^FORD\s*(.+)$/i },
+    { family: 'Renault', pattern: /^(?:RENAULT\s*)?(RN\s*\d.*)$/i },
+    { family: 'PSA', pattern: /^PSA\s*(.+)$/i },
+    { family: 'Fiat', pattern: /^FIAT\s*(.+)$/i },
+    { family: 'Volvo', pattern: /^VOLVO\s*(.+)$/i },
+    { family: 'Opel', pattern: /^OPEL\s*(.+)$/i },
+    { family: 'DOT', pattern: /^(?:FMVSS\s*116\s*)?DOT\s*(.+)$/i }
+];
+// 沒有家族前綴、接在同家族認證之後的版本（如「API SN/SP」的 SP、「MB 229.5, 229.51」的 229.51）
+const INHERITED_VERSION_PATTERN = /^(?:(?=[^\d]*\d)[A-Z0-9][A-Z0-9.+\- ]{0,12}|[A-Z]{2})$/i;
+const CERT_SEPARATOR = /[,，、;；/\n]+/;
+const VISCOSITY_PATTERN = /(\d{1,2})\s*W\s*-?\s*(\d{2,3})/gi;
+const PACK_SIZE_PATTERN = /(\d+(?:\.\d+)?)\s*(ml|l|公升|升)(?![a-z])/i;
+
+// 合成等級關鍵字（依序比對）
+const SYNTHETIC_KEYWORDS = [
+    { level: 'full', keywords: ['synthoil', 'race', 'fully synthetic', 'fully-synthetic', '全合成'] },
+    { level: 'synthetic_tech', keywords: ['top tec', 'special tec', 'leichtlauf', 'synthetic technology', '合成', 'street', 'formula'] },
+    { level: 'mineral', keywords: ['mineral', '礦物'] }
+];
+
+const specCache = new WeakMap();
+
+// ============================================
+// 欄位解析
+// ============================================
+
+/**
+ * 認證比對用的正規化字串（移除空格、連字號與 APPROVAL 字樣，BMW LL-01 → LONGLIFE01）
+ * 例：「MB-Approval 229.71」→「MB229.71」，「VW 504 00」→「VW50400」
+ * @param {string} cert
+ * @returns {string}
+ */
+function normalizeCertKey(cert) {
+    if (!cert) return '';
+    return String(cert).toUpperCase()
+        .replace(/[-\s]/g, '')
+        .replace(/APPROVALS?/g, '')
+        .replace(/LL(?=\d)/g, 'LONGLIFE');
+}
+
+/**
+ * 解析認證文字
+ * @param {string} text - 產品的 cert 欄位
+ * @returns {Array<Object>} [{ name, family, version, key }]（family 無法判斷時為 'Other'）
+ */
+function parseCertifications(text) {
+    const results = [];
+    let previousFamily = null;
+
+    for (const segment of String(text || '').normalize('NFKC').split(CERT_SEPARATOR)) {
+        const part = segment.trim();
+        if (!part) continue;
+
+        let cert = null;
+        for (const { family, pattern } of CERT_FAMILIES) {
+            const match = part.match(pattern);
+            if (match) {
+                const version = family === 'ILSAC'
+                    ? match[1].toUpperCase().replace(/^GF[-\s]?/, 'GF-')
+                    : match[1].trim();
+                cert = { name: part, family, version };
+                break;
+            }
+        }
+
+        if (!cert && previousFamily && previousFamily !== 'Other' && INHERITED_VERSION_PATTERN.test(part)) {
+            cert = { name: `${previousFamily} ${part}`, family: previousFamily, version: part };
+        }
+        if (!cert) {
+            cert = { name: part, family: 'Other', version: part };
+        }
+
+        cert.key = normalizeCertKey(cert.name);
+        previousFamily = cert.family;
+        results.push(cert);
+    }
+
+    return results;
+}
+
+/**
+ * 解析黏度等級
+ * @param {string} text - word2 欄位（或標題）
+ * @returns {Array<string>} 如 ['5W-30']
+ */
+function parseViscosities(text) {
+    const grades = [];
+    for (const match of String(text || '').normalize('NFKC').matchAll(VISCOSITY_PATTERN)) {
+        const grade = `${Number(match[1])}W-${match[2]}`;
+        if (!grades.includes(grade)) grades.push(grade);
+    }
+    return grades;
+}
+
+/**
+ * 解析合成等級（依標題關鍵字）
+ * @param {string} title
+ * @returns {string|null} full / synthetic_tech / mineral
+ */
+function parseSyntheticLevel(title) {
+    const lower = String(title || '').toLowerCase();
+    const found = SYNTHETIC_KEYWORDS.find(({ keywords }) => keywords.some(keyword => lower.includes(keyword)));
+    return found ? found.level : null;
+}
+
+/**
+ * 解析容量（公升）
+ * @param {string} text - size 欄位（或標題）
+ * @returns {number|null}
+ */
+function parsePackLitres(text) {
+    const match = String(text || '').normalize('NFKC').match(PACK_SIZE_PATTERN);
+    if (!match) return null;
+    const amount = Number(match[1]);
+    return match[2].toLowerCase() === 'ml' ? amount / 1000 : amount;
+}
+
+function compact(text) {
+    return String(text || '').normalize('NFKC').toLowerCase().replace(/[\s\-_.]+/g, '');
+}
+
+/**
+ * 解析產品系列（標題中最長的系列名稱）
+ * @param {string} title
+ * @returns {string|null}
+ */
+function parseSeries(title) {
+    const target = compact(title);
+    return getProductSeriesNames()
+        .filter(series => target.includes(compact(series)))
+        .sort((a, b) => compact(b).length - compact(a).length)[0] || null;
+}
+
+/**
+ * 判斷適用車種
+ * - motorbike：標題含 Motorbike，或類別為摩托車 / Scooter
+ * - scooter：摩托車產品中，不是只有 JASO MA/MA2（速克達濕式離合器以外皆可用）
+ * - marine：標題或類別含 Marine / 船
+ * - car：非摩托車、非船舶
+ */
+function parseVehicleTypes(product, certifications) {
+    const title = String(product.title || '').toLowerCase();
+    const sort = String(product.sort || '').toLowerCase();
+    const jaso = certifications
+        .filter(cert => cert.family === 'JASO')
+        .map(cert => cert.version.toUpperCase().replace(/\s/g, ''));
+
+    const isMotorbike = title.includes('motorbike') || sort.includes('摩托車') || sort.includes('motorbike') || sort.includes('scooter');
+    const isMarine = `${title} ${sort}`.includes('marine') || sort.includes('船');
+    const isMAOnly = jaso.some(version => version.startsWith('MA')) && !jaso.includes('MB') && !title.includes('scooter');
+
+    const types = [];
+    if (!isMotorbike && !isMarine) types.push('car');
+    if (isMotorbike) types.push('motorbike');
+    if (isMotorbike && !isMAOnly) types.push('scooter');
+    if (isMarine) types.push('marine');
+    return types;
+}
+
+// ============================================
+// 產品規格
+// ============================================
+
+/**
+ * 解析產品規格
+ * @param {Object} product - 產品物件（Wix CMS）
+ * @returns {Object} { viscosities, certifications, vehicleTypes, syntheticLevel, packLitres, series }
+ */
+function parseProductSpec(product = {}) {
+    const certifications = parseCertifications(product.cert);
+    const viscosities = parseViscosities(product.word2);
+
+    return {
+        viscosities: viscosities.length > 0 ? viscosities : parseViscosities(product.title),
+        certifications,
+        vehicleTypes: parseVehicleTypes(product, certifications),
+        syntheticLevel: parseSyntheticLevel(product.title),
+        packLitres: parsePackLitres(product.size) ?? parsePackLitres(product.title),
+        series: parseSeries(product.title)
+    };
+}
+
+/**
+ * 取得產品規格（優先使用 normalizeCatalog 附加的 spec）
+ * @param {Object} product
+ * @returns {Object}
+ */
+function getProductSpec(product) {
+    if (!product) return parseProductSpec({});
+    if (product.spec) return product.spec;
+
+    let spec = specCache.get(product);
+    if (!spec) {
+        spec = parseProductSpec(product);
+        specCache.set(product, spec);
+    }
+    return spec;
+}
+
+/**
+ * 產品列表更新時解析一次規格
+ * @param {Array<Object>} products - Wix 產品列表
+ * @returns {Array<Object>} 附加 spec 的產品（新物件，不修改原始資料）
+ */
+function normalizeCatalog(products = []) {
+    return products.map(product => ({ ...product, spec: parseProductSpec(product) }));
+}
+
+// ============================================
+// 比對
+// ============================================
+
+/**
+ * 產品是否為指定黏度
+ * @param {Object} product
+ * @param {string} viscosity - 如 '5W-30'、'5w30'
+ * @returns {boolean}
+ */
+function hasViscosity(product, viscosity) {
+    const [target] = parseViscosities(viscosity);
+    if (!target) return false;
+    return getProductSpec(product).viscosities.includes(target);
+}
+
+/**
+ * 產品是否有符合的認證
+ * @param {Object} product
+ * @param {string} cert - 查詢的認證（如 'VW 504 00'、'BMW LL-01'）
+ * @param {string} method - 'contains'（認證包含查詢字串）或 'eq'（完全相同）
+ * @returns {boolean}
+ */
+function hasCertification(product, cert, method = 'contains') {
+    const target = normalizeCertKey(cert);
+    if (!target) return false;
+    return getProductSpec(product).certifications.some(c => (method === 'eq' ? c.key === target : c.key.includes(target)));
+}
+
+module.exports = {
+    // 欄位解析
+    normalizeCertKey,
+    parseCertifications,
+    parseViscosities,
+    parseSyntheticLevel,
+    parsePackLitres,
+
+    // 產品規格
+    parseProductSpec,
+    getProductSpec,
+    normalizeCatalog,
+
+    // 比對
+    hasViscosity,
+    hasCertification
+};
@@ -0,0 +1,360 @@
+/**
+ * LIQUI MOLY Chatbot - 結構化產品搜尋（/api/search JSON 模式）
+ *
+ * /api/search 預設回傳給 LLM 的 productContext（markdown + 提示規則），
+ * 網站與合作夥伴改用 format: 'json'，取得：
+ * - products：產品物件（toProductCard 欄位 + 類別、數字價格、product-model.js 解析的規格）與符合原因 matchReasons
+ * - facets：黏度、認證、車種、類別、容量的筆數與價格範圍
+ * - nextCursor：下一頁的游標（與查詢條件綁定，條件改變時失效）
+ *
+ * 設計原則：
+ * 1. 篩選沿用對話搜尋的規則：認證用 searchWithCertPriority（含升級與黏度降級）、
+ *    車種用 filterMotorcycleProducts、同產品多容量用 deduplicateBySize
+ * 2. 關鍵字以產品索引（lib/product-index.js）的 BM25 分數排序
+ * 3. 參數錯誤回傳 { error }，由 handler 轉為 400，不丟例外
+ */
+
+const crypto = require('crypto');
+const { searchWithCertPriority } = require('./certification-matcher');
+const { filterMotorcycleProducts } = require('./motorcycle-rules');
+const { createProductIndex } = require('./product-index');
+const { toProductCard } = require('./product-cards');
+const { getProductSpec, hasViscosity, parsePackLitres } = require('./product-model');
+const { SEARCH_LIMITS, LOG_TAGS } = require('./constants');
+
+// 車種篩選值（product-model.js 的 vehicleTypes → 可接受的寫法）
+const VEHICLE_TYPES = {
+    car: ['car', '汽車'],
+    motorbike: ['motorbike', 'motorcycle', '摩托車', '機車', '檔車', '重機'],
+    scooter: ['scooter', '速克達'],
+    marine: ['marine', '船舶', '船外機']
+};
+
+// ============================================
+// 同產品不同容量去重（預設優先顯示 1L）
+// 產品標題 (title) 相同代表同一產品，容量由 size 欄位區分
+// ============================================
+function deduplicateBySize(products, preferLargePack = false) {
+    if (!products || products.length === 0) return products;
+
+    // 根據產品標題 (title) 進行分組
+    // 同標題的產品代表同一產品的不同容量版本
+    const groups = new Map();
+
+    for (const product of products) {
+        const title = product.title || '';
+
+        if (!groups.has(title)) {
+            groups.set(title, []);
+        }
+        groups.get(title).push(product);
+    }
+
+    // 每組只保留最優先的容量
+    const result = [];
+    for (const [title, group] of groups) {
+        if (group.length === 1) {
+            result.push(group[0]);
+        } else {
+            // 依容量評分排序，取最高分的
+            group.sort((a, b) => {
+                const scoreA = getSizeScore(a, preferLargePack);
+                const scoreB = getSizeScore(b, preferLargePack);
+                return scoreB - scoreA; // 高分優先
+            });
+            result.push(group[0]);
+            // Log 去重資訊
+            console.log(`${LOG_TAGS.SEARCH} Dedupe: "${title}" - kept ${group[0].size || '1L'} (${group[0].partno}), removed ${group.length - 1} variants`);
+        }
+    }
+
+    return result;
+}
+
+// ============================================
+// 容量評分 (預設 1L > 大包裝)
+// ============================================
+function getSizeScore(product, preferLarge) {
+    // 識別大包裝（4L 以上）
+    const isLarge = (getProductSpec(product).packLitres || 0) >= 4;
+
+    if (preferLarge) {
+        // 用戶想找大包裝：大包裝(10分) > 小包裝(1分)
+        return isLarge ? 10 : 1;
+    } else {
+        // 預設情況：小包裝/1L(10分) > 大包裝(1分)
+        // 假設未標示大包裝即為標準包裝(通常1L)
+        return isLarge ? 1 : 10;
+    }
+}
+
+// ============================================
+// 請求參數
+// ============================================
+
+function toVehicleType(value) {
+    const normalized = String(value).trim().toLowerCase();
+    return Object.keys(VEHICLE_TYPES).find(type => VEHICLE_TYPES[type].includes(normalized)) || null;
+}
+
+function toPrice(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const digits = String(value).replace(/[^0-9.]/g, '');
+    return digits && Number.isFinite(Number(digits)) ? Number(digits) : null;
+}
+
+function normalizeSize(size) {
+    return String(size || '').normalize('NFKC').toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * 產品容量是否符合（可解析為公升時比較數值，1L = 1000ml）
+ */
+function matchesSize(product, size) {
+    const litres = parsePackLitres(size);
+    const productLitres = getProductSpec(product).packLitres;
+    if (litres !== null && productLitres !== null) return litres === productLitres;
+    return normalizeSize(product.size) === normalizeSize(size);
+}
+
+/**
+ * 解析 JSON 模式的請求
+ * @param {Object} body - 請求內容 { query, filters, limit, cursor }
+ *   filters：{ viscosity, certification, vehicleType, category, size, minPrice, maxPrice }
+ * @returns {Object} { request } 或 { error }
+ */
+function parseSearchRequest(body = {}) {
+    const raw = body.filters || {};
+    const filters = {};
+
+    for (const field of ['viscosity', 'certification', 'category', 'size']) {
+        if (raw[field] !== undefined && raw[field] !== null && String(raw[field]).trim() !== '') {
+            filters[field] = String(raw[field]).trim();
+        }
+    }
+
+    if (raw.vehicleType) {
+        filters.vehicleType = toVehicleType(raw.vehicleType);
+        if (!filters.vehicleType) {
+            return { error: `Invalid vehicleType: ${raw.vehicleType} (expected ${Object.keys(VEHICLE_TYPES).join(' / ')})` };
+        }
+    }
+
+    for (const field of ['minPrice', 'maxPrice']) {
+        if (raw[field] === undefined || raw[field] === null || raw[field] === '') continue;
+        const price = Number(raw[field]);
+        if (!Number.isFinite(price) || price < 0) {
+            return { error: `Invalid ${field}: ${raw[field]}` };
+        }
+        filters[field] = price;
+    }
+    if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+        return { error: 'minPrice must not exceed maxPrice' };
+    }
+
+    const limit = body.limit === undefined ? SEARCH_LIMITS.pageSize : Number(body.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_LIMITS.maxPageSize) {
+        return { error: `Invalid limit: ${body.limit} (1-${SEARCH_LIMITS.maxPageSize})` };
+    }
+
+    const query = String(body.query || body.message || '').trim();
+    const fingerprint = getFingerprint(query, filters);
+
+    let offset = 0;
+    if (body.cursor) {
+        const cursor = decodeCursor(body.cursor);
+        if (!cursor || cursor.fingerprint !== fingerprint) {
+            return { error: 'Invalid cursor (expired or created for a different query)' };
+        }
+        offset = cursor.offset;
+    }
+
+    return { request: { query, filters, limit, offset, fingerprint } };
+}
+
+// ============================================
+// 游標
+// ============================================
+
+function getFingerprint(query, filters) {
+    const sortedFilters = Object.fromEntries(Object.entries(filters).sort(([a], [b]) => a.localeCompare(b)));
+    return crypto.createHash('sha256').update(JSON.stringify([query, sortedFilters])).digest('hex').slice(0, 16);
+}
+
+function encodeCursor(offset, fingerprint) {
+    return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { o, f } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Number.isInteger(o) && o >= 0 && typeof f === 'string' ? { offset: o, fingerprint: f } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// ============================================
+// 產品物件與 facets
+// ============================================
+
+/**
+ * 產品資料庫物件 → JSON 模式的產品物件
+ * @param {Object} product - 產品物件（Wix CMS）
+ * @param {Array<Object>} matchReasons - 符合原因 [{ field, value }]
+ * @returns {Object}
+ */
+function toSearchResult(product, matchReasons = []) {
+    const spec = getProductSpec(product);
+    return {
+        ...toProductCard(product),
+        id: product._id || product.id || null,
+        category: product.sort || null,
+        price: toPrice(product.price),
+        viscosities: spec.viscosities,
+        certifications: spec.certifications.map(({ name, family, version }) => ({ name, family, version })),
+        vehicleTypes: spec.vehicleTypes,
+        syntheticLevel: spec.syntheticLevel,
+        packLitres: spec.packLitres,
+        series: spec.series,
+        matchReasons
+    };
+}
+
+function countValues(products, getValues) {
+    const counts = new Map();
+    for (const product of products) {
+        for (const value of new Set(getValues(product))) {
+            if (value) counts.set(value, (counts.get(value) || 0) + 1);
+        }
+    }
+    return [...counts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((x, y) => y.count - x.count || x.value.localeCompare(y.value));
+}
+
+/**
+ * 篩選結果的 facets（以料號計數，同產品的不同容量各算一筆）
+ * @param {Array<Object>} products
+ * @returns {Object} { viscosity, certification, vehicleType, category, size, price: { min, max } }
+ */
+function buildFacets(products) {
+    const prices = products.map(p => toPrice(p.price)).filter(price => price !== null);
+
+    return {
+        viscosity: countValues(products, p => getProductSpec(p).viscosities),
+        certification: countValues(products, p => getProductSpec(p).certifications.map(c => c.name)),
+        vehicleType: countValues(products, p => getProductSpec(p).vehicleTypes),
+        category: countValues(products, p => [p.sort]),
+        size: countValues(products, p => [p.size]),
+        price: prices.length > 0 ? { min: Math.min(...prices), max: Math.max(...prices) } : null
+    };
+}
+
+// ============================================
+// 搜尋
+// ============================================
+
+/**
+ * 結構化產品搜尋
+ * @param {Array<Object>} products - 產品列表
+ * @param {Object} request - parseSearchRequest 的結果 { query, filters, limit, offset, fingerprint }
+ * @param {Object} options
+ * @param {Object} options.index - 產品索引（預設以 products 建立）
+ * @returns {Object} { total, products, facets, nextCursor, notice }
+ */
+function searchProductsStructured(products, request, { index = null } = {}) {
+    const { query, filters, limit, offset, fingerprint } = request;
+    const reasons = new Map();
+    const addReason = (product, field, value) => {
+        if (!reasons.has(product)) reasons.set(product, []);
+        reasons.get(product).push({ field, value });
+    };
+
+    // 1. 關鍵字（BM25 排序）
+    let list = products;
+    if (query) {
+        const scored = (index || createProductIndex(products)).search(query);
+        list = scored.map(({ product, score }) => {
+            addReason(product, 'query', Math.round(score * 100) / 100);
+            return product;
+        });
+    }
+
+    // 2. 車種（摩托車 / 速克達沿用摩托車規則）
+    if (filters.vehicleType === 'motorbike' || filters.vehicleType === 'scooter') {
+        list = filterMotorcycleProducts(list, { isScooter: filters.vehicleType === 'scooter' });
+    } else if (filters.vehicleType) {
+        list = list.filter(p => getProductSpec(p).vehicleTypes.includes(filters.vehicleType));
+    }
+    if (filters.vehicleType) {
+        list.forEach(p => addReason(p, 'vehicleType', filters.vehicleType));
+    }
+
+    // 3. 類別、容量、價格
+    if (filters.category) {
+        const category = filters.category.toLowerCase();
+        list = list.filter(p => (p.sort || '').toLowerCase().includes(category));
+        list.forEach(p => addReason(p, 'category', p.sort));
+    }
+    if (filters.size) {
+        list = list.filter(p => matchesSize(p, filters.size));
+        list.forEach(p => addReason(p, 'size', p.size));
+    }
+    if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+        list = list.filter(p => {
+            const price = toPrice(p.price);
+            return price !== null && price >= (filters.minPrice ?? 0) && price <= (filters.maxPrice ?? Infinity);
+        });
+        list.forEach(p => addReason(p, 'price', toPrice(p.price)));
+    }
+
+    // 4. 認證（含升級與黏度降級）與黏度
+    let notice = null;
+    if (filters.certification) {
+        const certResult = searchWithCertPriority(list, filters.certification, filters.viscosity || null);
+        list = certResult.products;
+        notice = certResult.notice;
+        list.forEach(p => addReason(p, 'certification', certResult.usedCert || filters.certification));
+    }
+    if (filters.viscosity) {
+        // 認證搜尋已處理黏度（可能降級），只標記符合的產品
+        if (!filters.certification) {
+            list = list.filter(p => hasViscosity(p, filters.viscosity));
+        }
+        list.filter(p => hasViscosity(p, filters.viscosity))
+            .forEach(p => addReason(p, 'viscosity', p.word2));
+    }
+
+    // 5. facets 與同產品多容量去重（指定容量時不去重）
+    const facets = buildFacets(list);
+    const results = filters.size ? list : deduplicateBySize(list);
+    const page = results.slice(offset, offset + limit);
+    const nextOffset = offset + page.length;
+
+    console.log(`${LOG_TAGS.SEARCH} JSON search "${query}" ${JSON.stringify(filters)}: ${results.length} results, offset ${offset}`);
+
+    return {
+        total: results.length,
+        products: page.map(p => toSearchResult(p, reasons.get(p) || [])),
+        facets,
+        nextCursor: nextOffset < results.length ? encodeCursor(nextOffset, fingerprint) : null,
+        notice
+    };
+}
+
+module.exports = {
+    // 去重
+    deduplicateBySize,
+    getSizeScore,
+
+    // 請求參數
+    parseSearchRequest,
+
+    // 產品物件與 facets
+    toSearchResult,
+    buildFacets,
+
+    // 搜尋
+    searchProductsStructured
+};
@@ -0,0 +1,347 @@
+/**
+ * LIQUI MOLY Chatbot - 產品目錄工具（Function Calling）
+ *
+ * 工具模式下不再把 15~30 個產品塞進 Prompt，
+ * 而是宣告以下工具讓模型自行查詢快取中的產品目錄：
+ * - searchProducts：完整搜尋規則（search.js searchProducts）
+ * - getVehicleSpec：車型規格（vehicle-specs.json）
+ * - searchWithCertPriority：認證優先搜尋（API 最新優先 / OEM 精確匹配）
+ * - lookupSku：產品編號精確查詢
+ *
+ * 設計原則：
+ * 1. 只包裝既有搜尋邏輯，不另寫一套規則
+ * 2. 工具回傳精簡 JSON（產品編號、名稱、容量、黏度、認證、連結），控制 Token
+ * 3. 任何錯誤都 throw，由呼叫端退回 context-stuffing 流程
+ */
+
+const { generateText, getProvider } = require('./llm-provider');
+const { searchWithCertPriority } = require('./certification-matcher');
+const { getVehicleSpec, getVehicleSpecs, matchVehicle } = require('./vehicle-matcher');
+const { extractSKUs } = require('./response-validator');
+const { toProductCard } = require('./product-cards');
+const { TOOL_CALLING, PRODUCT_CATEGORIES, VEHICLE_TYPES, LOG_TAGS } = require('./constants');
+
+// search.js 位於 api/（與 rag-pipeline 相同的載入方式）
+const searchModule = require('../api/search.js');
+
+// ============================================
+// 工具宣告（Gemini functionDeclarations 格式）
+// ============================================
+
+const TOOL_DECLARATIONS = [
+    {
+        name: 'searchProducts',
+        description: '依關鍵字與條件搜尋 LIQUI MOLY 產品資料庫，回傳符合的產品清單。推薦任何產品前必須先查詢。',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                query: { type: 'STRING', description: '搜尋關鍵字，例如「5W-30 機油」、「汽油精」、「Motorbike 10W-40」' },
+                productCategory: { type: 'STRING', enum: Object.values(PRODUCT_CATEGORIES), description: '產品類別' },
+                vehicleType: { type: 'STRING', enum: [VEHICLE_TYPES.CAR, VEHICLE_TYPES.MOTORCYCLE], description: '車輛類型' },
+                viscosity: { type: 'STRING', description: '黏度，例如 5W-30' },
+                certification: { type: 'STRING', description: '認證，例如 API SP、VW 504 00、JASO MA2' },
+                limit: { type: 'INTEGER', description: `回傳數量上限（最多 ${TOOL_CALLING.maxProducts}）` }
+            },
+            required: ['query']
+        }
+    },
+    {
+        name: 'getVehicleSpec',
+        description: '查詢知識庫中的車型原廠規格（黏度、認證、建議產品編號）。',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                brand: { type: 'STRING', description: '品牌，例如 Ford、YAMAHA' },
+                model: { type: 'STRING', description: '車型，例如 Focus、勁戰' }
+            },
+            required: ['brand', 'model']
+        }
+    },
+    {
+        name: 'searchWithCertPriority',
+        description: '依認證搜尋機油：API/ILSAC 認證優先推薦最新版本，OEM 車廠認證精確匹配。',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                certification: { type: 'STRING', description: '認證，例如 API SN、MB 229.5' },
+                viscosity: { type: 'STRING', description: '黏度（選填），例如 0W-20' }
+            },
+            required: ['certification']
+        }
+    },
+    {
+        name: 'lookupSku',
+        description: '以產品編號（如 LM2316）精確查詢單一產品的完整資料與使用方法。',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                sku: { type: 'STRING', description: '產品編號，例如 LM2316' }
+            },
+            required: ['sku']
+        }
+    }
+];
+
+// ============================================
+// 輔助函式
+// ============================================
+
+/**
+ * 精簡產品資料（工具回傳用：產品卡片 + 類別，認證截斷控制 Token）
+ */
+function toToolProduct(p) {
+    const card = toProductCard(p);
+    return {
+        ...card,
+        cert: card.cert ? String(card.cert).slice(0, 200) : null,
+        category: p.sort || null
+    };
+}
+
+/**
+ * 標準化產品編號（LM 2316 / lm-2316 / 2316 → LM2316）
+ */
+function normalizeSku(sku) {
+    const match = String(sku || '').match(/([0-9]{4,5})/);
+    return match ? `LM${match[1]}` : null;
+}
+
+function clampLimit(limit) {
+    const n = parseInt(limit, 10);
+    if (!n || n < 1) return TOOL_CALLING.maxProducts;
+    return Math.min(n, TOOL_CALLING.maxProducts);
+}
+
+/**
+ * 取得快取產品目錄（無資料時 throw，觸發 fallback）
+ */
+async function getCatalog() {
+    const products = await searchModule.getProducts();
+    if (!products || products.length === 0) {
+        throw new Error('Product catalog unavailable');
+    }
+    return products;
+}
+
+/**
+ * 品牌名稱不分大小寫對應到 vehicle-specs.json 的 key
+ */
+function resolveBrandKey(brand) {
+    const target = String(brand || '').toLowerCase();
+    return Object.keys(getVehicleSpecs()).find(key => !key.startsWith('_') && key.toLowerCase() === target) || null;
+}
+
+// ============================================
+// 工具實作
+// ============================================
+
+const TOOL_HANDLERS = {
+    async searchProducts(args) {
+        const products = await getCatalog();
+        const vehicleType = args.vehicleType || null;
+
+        const searchInfo = {
+            productCategory: args.productCategory || PRODUCT_CATEGORIES.OIL,
+            vehicleType,
+            vehicles: vehicleType ? [{
+                vehicleType,
+                viscosity: args.viscosity || null,
+                certifications: args.certification ? [args.certification] : []
+            }] : [],
+            searchKeywords: [args.query, args.viscosity].filter(Boolean)
+        };
+
+        // 沿用完整搜尋規則，再從格式化結果取出產品編號轉為精簡資料
+        const context = searchModule.searchProducts(products, args.query, searchInfo);
+        const skus = extractSKUs(context);
+        const results = skus
+            .map(sku => products.find(p => p.partno && p.partno.toUpperCase() === sku))
+            .filter(Boolean)
+            .slice(0, clampLimit(args.limit))
+            .map(toToolProduct);
+
+        return results.length > 0
+            ? { count: results.length, products: results }
+            : { count: 0, products: [], message: '查無符合的產品，請勿推薦不在資料庫中的產品' };
+    },
+
+    async getVehicleSpec(args) {
+        const brandKey = resolveBrandKey(args.brand);
+        let specs = brandKey ? getVehicleSpec(brandKey, args.model) : null;
+
+        // 品牌名稱對不上時，改用別名匹配
+        if (!specs) {
+            const match = matchVehicle(`${args.brand || ''} ${args.model || ''}`.trim());
+            if (match.matched && match.spec) {
+                specs = [match.spec];
+            }
+        }
+
+        if (!specs || specs.length === 0) {
+            return { found: false, message: '知識庫中沒有此車型規格，請詢問用戶車主手冊的黏度與認證' };
+        }
+
+        return {
+            found: true,
+            specs: specs.slice(0, 5).map(spec => ({
+                type: spec.type || null,
+                fuel: spec.fuel || null,
+                years: spec.years || null,
+                certification: spec.certification || null,
+                viscosity: spec.viscosity || null,
+                recommendedSKU: spec.recommendedSKU || null
+            }))
+        };
+    },
+
+    async searchWithCertPriority(args) {
+        const products = await getCatalog();
+        const result = searchWithCertPriority(products, args.certification, args.viscosity || null);
+
+        return {
+            count: result.products.length,
+            usedCert: result.usedCert,
+            certStrategy: result.certStrategy,
+            fallbackType: result.fallbackType,
+            notice: result.notice,
+            products: result.products.slice(0, TOOL_CALLING.maxProducts).map(toToolProduct)
+        };
+    },
+
+    async lookupSku(args) {
+        const products = await getCatalog();
+        const sku = normalizeSku(args.sku);
+        const product = sku && products.find(p => p.partno && p.partno.toUpperCase() === sku);
+
+        if (!product) {
+            return { found: false, sku, message: `資料庫中找不到產品編號 ${sku || args.sku}` };
+        }
+
+        const otherSizes = products
+            .filter(p => p.title === product.title && p.partno !== product.partno)
+            .map(p => ({ sku: p.partno, size: p.size || null }));
+
+        return {
+            found: true,
+            product: {
+                ...toToolProduct(product),
+                use: product.use || null,
+                content: product.content ? String(product.content).slice(0, 500) : null
+            },
+            otherSizes
+        };
+    }
+};
+
+/**
+ * 執行單一工具呼叫
+ * @param {Object} functionCall - { name, args }
+ * @returns {Promise<Object>} 工具回傳（JSON）
+ */
+async function executeToolCall(functionCall) {
+    const handler = TOOL_HANDLERS[functionCall.name];
+    if (!handler) {
+        throw new Error(`Unknown tool: ${functionCall.name}`);
+    }
+
+    console.log(`${LOG_TAGS.TOOLS} 🔧 ${functionCall.name}(${JSON.stringify(functionCall.args || {})})`);
+    return handler(functionCall.args || {});
+}
+
+// ============================================
+// 工具迴圈
+// ============================================
+
+/**
+ * 是否啟用工具模式（環境變數 + 供應商支援）
+ */
+function isToolModeEnabled() {
+    return process.env.LLM_TOOL_MODE === 'true' && !!getProvider().supportsTools;
+}
+
+/**
+ * 工具模式下取代產品清單的 Prompt 區塊
+ * 保留知識庫指定的優先產品（品牌專用 / 症狀解決方案），提示模型先查詢
+ * @param {Object} aiAnalysis - AI 分析結果
+ */
+function buildToolModeContext(aiAnalysis) {
+    const prioritySkus = [];
+    const recommendedSKU = aiAnalysis?.vehicles?.[0]?.recommendedSKU;
+    if (recommendedSKU) {
+        prioritySkus.push(...(Array.isArray(recommendedSKU) ? recommendedSKU : [recommendedSKU]));
+    }
+    for (const item of aiAnalysis?.additiveGuideMatch?.items || []) {
+        prioritySkus.push(...(item.solutions || []));
+    }
+
+    let context = `## 🔧 產品資料庫查詢工具
+
+本次對話沒有預先載入產品清單。推薦或說明任何產品前，**必須**先呼叫工具查詢：
+- searchProducts：依關鍵字/類別/黏度/認證搜尋
+- getVehicleSpec：查詢車型原廠規格
+- searchWithCertPriority：依認證搜尋機油
+- lookupSku：查詢單一產品編號
+
+**只能推薦工具回傳的產品，產品連結必須使用工具回傳的 url。**`;
+
+    if (prioritySkus.length > 0) {
+        context += `\n\n⭐ 知識庫指定優先產品：${[...new Set(prioritySkus)].join(', ')}（請先用 lookupSku 查詢並優先推薦）`;
+    }
+
+    return context;
+}
+
+/**
+ * 執行 Function Calling 迴圈，直到模型回傳文字
+ * 每回合的 LLM 呼叫共用請求截止時間，剩餘預算不足一回合時 throw（由呼叫端退回 context-stuffing）
+ * @param {Array} contents - 對話內容（不會被修改）
+ * @param {Object} options - { deadline: number（請求截止時間 epoch ms） }
+ * @returns {Promise<{text: string, finishReason: string|null, toolCalls: number}>}
+ */
+async function runToolLoop(contents, options = {}) {
+    const conversation = [...contents];
+    const { deadline } = options;
+    let toolCalls = 0;
+
+    for (let round = 1; round <= TOOL_CALLING.maxRounds; round++) {
+        if (deadline && deadline - Date.now() < TOOL_CALLING.minRoundMs) {
+            throw new Error(`Tool loop out of time budget before round ${round}`);
+        }
+
+        const result = await generateText('chat', conversation, { tools: TOOL_DECLARATIONS, deadline });
+
+        if (!result.functionCalls || result.functionCalls.length === 0) {
+            if (!result.text) {
+                throw new Error('Empty response in tool mode');
+            }
+            console.log(`${LOG_TAGS.TOOLS} ✓ Completed after ${round} round(s), ${toolCalls} tool call(s)`);
+            return { text: result.text, finishReason: result.finishReason, toolCalls };
+        }
+
+        // 模型的 functionCall parts 需原樣放回，再附上工具結果
+        conversation.push({ role: 'model', parts: result.parts });
+
+        const responses = await Promise.all(result.functionCalls.map(async (call) => ({
+            functionResponse: {
+                name: call.name,
+                response: { result: await executeToolCall(call) }
+            }
+        })));
+        toolCalls += responses.length;
+
+        conversation.push({ role: 'user', parts: responses });
+    }
+
+    throw new Error(`Tool loop exceeded ${TOOL_CALLING.maxRounds} rounds`);
+}
+
+module.exports = {
+    // 工具宣告與執行
+    TOOL_DECLARATIONS,
+    executeToolCall,
+
+    // 工具模式
+    isToolModeEnabled,
+    buildToolModeContext,
+    runToolLoop
+};
@@ -241,25 +241,36 @@ https://www.liqui-moly-tw.com/storefinder`;
 
 /**
  * 已確認車型資訊區塊
+ * 有對話狀態時以已確認欄位為準（年份、燃油、變速箱來自用戶明確提供）
  * @param {Object} intent - 意圖物件
  */
 function buildVehicleInfo(intent) {
     const aiAnalysis = intent?._aiAnalysis;
-    if (!aiAnalysis?.vehicles?.length) return null;
+    const slots = intent?.dialogState?.slots || {};
+    const v = aiAnalysis?.vehicles?.[0] || {};
 
-    const v = aiAnalysis.vehicles[0];
-    if (!v.vehicleType) return null;
+    const vehicleType = slots.vehicleType || v.vehicleType;
+    if (!vehicleType) return null;
 
     let section = `## ✅ 已確認車型（禁止重複詢問）
-- 車型：${v.vehicleName || '未指定'}
-- 類型：${v.vehicleType}`;
+- 車型：${v.vehicleName || slots.vehicleModel || '未指定'}
+- 類型：${vehicleType}`;
 
-    if (v.vehicleType === '摩托車' && v.vehicleSubType) {
+    if (vehicleType === '摩托車' && v.vehicleSubType) {
         section += `\n- 類別：${v.vehicleSubType}（${v.vehicleSubType === '速克達' ? 'JASO MB' : 'JASO MA2'}）`;
     }
 
-    if (v.vehicleType === '汽車' && v.fuelType) {
-        section += `\n- 燃油：${v.fuelType}`;
+    if (slots.year) {
+        section += `\n- 年份：${slots.year}`;
+    }
+
+    const fuelType = slots.fuelType || v.fuelType;
+    if (vehicleType === '汽車' && fuelType) {
+        section += `\n- 燃油：${fuelType}`;
+    }
+
+    if (slots.transmissionType) {
+        section += `\n- 變速箱：${slots.transmissionType}`;
     }
 
     if (v.certifications?.length) {
@@ -17,8 +17,13 @@
 const { classifyIntent } = require('./intent-classifier');
 const { retrieveKnowledge } = require('./knowledge-retriever');
 const { buildPrompt } = require('./prompt-builder');
-const { convertAIResultToIntent, isValidAIResult, enhanceIntentWithRules, applyKnowledgeToIntent } = require('./intent-converter');
+const { convertAIResultToIntent, isValidAIResult, enhanceIntentWithRules, applyKnowledgeToIntent, applyDialogStateToIntent } = require('./intent-converter');
+const { createDialogState, mergeDialogState, extractSlotsFromMessage, extractSlotsFromIntent } = require('./dialog-state');
 const { loadJSON } = require('./knowledge-cache');
+const { isLLMConfigured } = require('./llm-provider');
+const { buildToolModeContext } = require('./product-tools');
+const { shouldAnswerWithTemplate } = require('./template-responder');
+const { describeAge } = require('./catalog-snapshot');
 const { PRODUCT_BASE_URL, LOG_TAGS } = require('./constants');
 
 // 載入 search-reference.json 取得關鍵字對照表和認證兼容表（使用統一快取）
@@ -61,8 +66,11 @@ async function loadAnalyzeFunction() {
  * @param {string} message - 用戶訊息
  * @param {Array} conversationHistory - 對話歷史
  * @param {string} productContext - 產品資料庫內容 (可選，如果沒有會自動搜尋)
- * @param {Object} options - 選項（保留向後兼容）
- * @returns {Object} - RAG 處理結果
+ * @param {Object} options - 選項
+ *   - toolMode: 啟用 Function Calling，不預先搜尋產品
+ *   - dialogState: 前端送回的對話狀態（已正規化）；未提供時沿用對話歷史掃描
+ * @returns {Object} - RAG 處理結果（answerWithTemplate 為 true 時，呼叫端應直接以範本回覆；
+ *                     dialogState 為本輪合併後的對話狀態，需回傳給前端）
  */
 async function processWithRAG(message, conversationHistory = [], productContext = '', options = {}) {
     // 版本 log
@@ -72,14 +80,26 @@ async function processWithRAG(message, conversationHistory = [], productContext
     let aiAnalysis = null;
     let usedAI = false;
 
+    // === Step 0: 對話狀態 - 先合併本輪用戶明確提供的欄位（燃油、變速箱、年份）===
+    const clientState = options.dialogState || null;
+    const messageSlots = extractSlotsFromMessage(message);
+    const turnState = mergeDialogState(clientState || createDialogState(), messageSlots);
+
+    // === Step 0.5: 規則分類 - 購買 / 合作 / 價格等模板意圖不需 AI 分析（零 Token）===
+    // 有對話狀態時，車型由狀態提供，不再掃描對話歷史
+    const ruleIntent = classifyIntent(message, conversationHistory, clientState ? turnState : null);
+    const answerWithTemplate = shouldAnswerWithTemplate(ruleIntent);
+
     // === Step 1: 嘗試 AI 意圖分析 ===
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (apiKey) {
+    if (answerWithTemplate) {
+        intent = ruleIntent;
+        console.log(`${LOG_TAGS.RAG} ⚡ Template intent (${intent.type}) - skipping AI analysis`);
+    } else if (isLLMConfigured()) {
         try {
             const analyzeFunc = await loadAnalyzeFunction();
             if (analyzeFunc) {
                 console.log(`${LOG_TAGS.RAG} Attempting AI intent analysis...`);
-                aiAnalysis = await analyzeFunc(apiKey, message, conversationHistory);
+                aiAnalysis = await analyzeFunc(message, conversationHistory, clientState ? turnState : null);
 
                 if (isValidAIResult(aiAnalysis)) {
                     intent = convertAIResultToIntent(aiAnalysis);
@@ -101,12 +121,20 @@ async function processWithRAG(message, conversationHistory = [], productContext
     // === Step 2: Fallback 到規則分類 ===
     if (!intent) {
         console.log(`${LOG_TAGS.RAG} → Fallback to rule-based classification`);
-        intent = classifyIntent(message, conversationHistory);
+        intent = ruleIntent;
         usedAI = false;
     }
 
     console.log(`${LOG_TAGS.RAG} Intent classified (${usedAI ? 'AI' : 'Rules'}):`, intent.type, intent.vehicleType);
 
+    // === Step 2.5: 合併本輪意圖到對話狀態，再以已確認欄位補齊意圖 ===
+    const dialogState = mergeDialogState(clientState || createDialogState(), {
+        ...extractSlotsFromIntent(intent),
+        ...messageSlots
+    });
+    intent = applyDialogStateToIntent(intent, dialogState);
+    console.log(`${LOG_TAGS.RAG} Dialog state:`, JSON.stringify(dialogState.slots), '| missing:', intent.missingSlots.join(', ') || 'none');
+
     // === Step 3: 知識檢索 ===
     const knowledge = await retrieveKnowledge(intent);
 
@@ -200,34 +228,12 @@ ${productContext}`;
                 }
             }
         }
+    } else if (options.toolMode) {
+        // 🔧 工具模式：不預先搜尋，由模型透過 Function Calling 查詢產品目錄
+        console.log(`${LOG_TAGS.RAG} 🔧 Tool mode - skipping product pre-search`);
+        productContext = buildToolModeContext(aiAnalysis);
     } else {
-        console.log(`${LOG_TAGS.RAG} Calling searchProducts directly (P0 optimized)...`);
-        try {
-            // 使用已 require 的 search.js 模組
-
-            // 取得產品列表
-            const products = await searchModuleFn.getProducts();
-            if (!products || products.length === 0) {
-                console.warn(`${LOG_TAGS.RAG} No products available`);
-                productContext = '⚠️ 產品資料庫暫時無法存取，請稍後再試。';
-            } else {
-                // 建構搜尋資訊
-                const searchInfo = {
-                    ...intent,
-                    ...aiAnalysis,
-                    vehicles: aiAnalysis?.vehicles || [],
-                    wixQueries: aiAnalysis?.wixQueries || [],
-                    certificationSearch: aiAnalysis?.certificationSearch || null
-                };
-
-                // 直接呼叫 searchProducts 函式
-                productContext = searchModuleFn.searchProducts(products, message, searchInfo);
-                console.log(`${LOG_TAGS.RAG} Product search completed (direct call), context length: ${productContext.length}`);
-            }
-        } catch (e) {
-            console.error(`${LOG_TAGS.RAG} Product search failed:`, e.message);
-            productContext = '⚠️ 產品搜尋失敗，請只回覆「很抱歉，目前無法搜尋產品資料庫，請稍後再試。」';
-        }
+        productContext = await searchProductContext(message, intent, aiAnalysis);
     }
 
     // === Step 4: 動態建構 Prompt（Multi-Agent）===
@@ -244,11 +250,57 @@ ${productContext}`;
         systemPrompt,
         aiAnalysis,
         usedAI,
-        agentType
+        agentType,
+        productContext,
+        answerWithTemplate,
+        dialogState
     };
 }
 
 
+/**
+ * 產品搜尋（P0 優化：直接函式呼叫），回傳要放入 Prompt 的產品清單
+ * 工具模式失敗時，chat.js 也會呼叫此函式退回 context-stuffing
+ * @param {string} message - 用戶訊息
+ * @param {Object} intent - 意圖
+ * @param {Object} aiAnalysis - AI 分析結果
+ * @returns {Promise<string>} - 產品資料庫內容
+ */
+async function searchProductContext(message, intent, aiAnalysis) {
+    console.log(`${LOG_TAGS.RAG} Calling searchProducts directly (P0 optimized)...`);
+    try {
+        // 取得產品列表
+        const products = await searchModuleFn.getProducts();
+        if (!products || products.length === 0) {
+            console.warn(`${LOG_TAGS.RAG} No products available`);
+            return '⚠️ 產品資料庫暫時無法存取，請稍後再試。';
+        }
+
+        // 建構搜尋資訊
+        const searchInfo = {
+            ...intent,
+            ...aiAnalysis,
+            vehicles: aiAnalysis?.vehicles || [],
+            wixQueries: aiAnalysis?.wixQueries || [],
+            certificationSearch: aiAnalysis?.certificationSearch || null
+        };
+
+        // 直接呼叫 searchProducts 函式
+        let productContext = searchModuleFn.searchProducts(products, message, searchInfo);
+        console.log(`${LOG_TAGS.RAG} Product search completed (direct call), context length: ${productContext.length}`);
+
+        // Wix 無法連線時使用離線快照：提醒 AI 價格與產品資訊可能不是最新
+        const catalog = searchModuleFn.getCatalogStatus?.();
+        if (catalog?.source === 'snapshot') {
+            productContext = `⚠️ 產品資料庫暫時無法連線，以下為 ${describeAge(catalog.ageSeconds * 1000)}前的產品目錄快照，價格與產品資訊可能已變動，請提醒用戶以官網為準。\n\n${productContext}`;
+        }
+        return productContext;
+    } catch (e) {
+        console.error(`${LOG_TAGS.RAG} Product search failed:`, e.message);
+        return '⚠️ 產品搜尋失敗，請只回覆「很抱歉，目前無法搜尋產品資料庫，請稍後再試。」';
+    }
+}
+
 // ============================================
 // 以下搜尋相關函式已移至 search.js 統一處理
 // rag-pipeline 現在透過 /api/search 端點呼叫
@@ -256,6 +308,7 @@ ${productContext}`;
 
 module.exports = {
     processWithRAG,
+    searchProductContext,
     classifyIntent,
     retrieveKnowledge,
     buildPrompt
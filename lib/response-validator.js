@@ -73,11 +73,11 @@ function validateSKU(sku, productList) {
  * 驗證 AI 回覆並處理無效產品
  * @param {string} aiResponse - AI 原始回覆
  * @param {Array} productList - 產品資料庫
- * @returns {Object} - { validatedResponse, hasInvalidSKUs, invalidSKUs }
+ * @returns {Object} - { validatedResponse, hasInvalidSKUs, invalidSKUs, validSKUs }
  */
 function validateAIResponse(aiResponse, productList) {
     if (!aiResponse) {
-        return { validatedResponse: aiResponse, hasInvalidSKUs: false, invalidSKUs: [] };
+        return { validatedResponse: aiResponse, hasInvalidSKUs: false, invalidSKUs: [], validSKUs: [] };
     }
 
     // 提取所有 SKU
@@ -85,7 +85,7 @@ function validateAIResponse(aiResponse, productList) {
 
     if (extractedSKUs.length === 0) {
         // 沒有 SKU，直接返回
-        return { validatedResponse: aiResponse, hasInvalidSKUs: false, invalidSKUs: [] };
+        return { validatedResponse: aiResponse, hasInvalidSKUs: false, invalidSKUs: [], validSKUs: [] };
     }
 
     // 驗證每個 SKU
@@ -104,7 +104,7 @@ function validateAIResponse(aiResponse, productList) {
 
     if (invalidSKUs.length === 0) {
         // 全部有效
-        return { validatedResponse: aiResponse, hasInvalidSKUs: false, invalidSKUs: [] };
+        return { validatedResponse: aiResponse, hasInvalidSKUs: false, invalidSKUs: [], validSKUs };
     }
 
     // 有無效 SKU，需要處理
@@ -146,7 +146,9 @@ function validateAIResponse(aiResponse, productList) {
     return {
         validatedResponse: validatedResponse.trim(),
         hasInvalidSKUs: invalidSKUs.length > 0,
-        invalidSKUs
+        invalidSKUs,
+        // 移除無效段落時可能連帶移除同一行的有效 SKU，只保留仍出現在回覆中的
+        validSKUs: validSKUs.filter(sku => validatedResponse.toUpperCase().includes(sku))
     };
 }
 
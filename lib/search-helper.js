@@ -5,6 +5,8 @@
  * - categoryToSort: 產品類別對應 Wix sort 欄位
  * - oilOnlyKeywords: 機油專用關鍵字
  * - keywordMapping: 用戶關鍵字映射
+ * - search_index: 產品索引的欄位權重與 BM25 參數
+ * - product_series / product_series_aliases: 產品系列名稱與常見拼法
  *
  * 設計原則：
  * 1. 從知識庫讀取，不硬編碼
@@ -54,10 +56,51 @@ function getOilOnlyKeywords() {
     return ref.oilOnlyKeywords?.keywords || [];
 }
 
-// getCertificationCompatibility, getKeywordMapping, getProductSeries, getSymptomToSku, clearCache 已移除（未使用）
+/**
+ * 取得產品索引設定（lib/product-index.js）
+ * @returns {Object} { field_boosts, k1, b }
+ */
+function getSearchIndexConfig() {
+    const ref = getSearchReference();
+    return ref.search_index || {};
+}
+
+/**
+ * 取得所有產品系列名稱（不分類別、不重複）
+ * @returns {Array<string>}
+ */
+function getProductSeriesNames() {
+    const ref = getSearchReference();
+    const series = ref.product_series || {};
+    const names = Object.keys(series)
+        .filter(key => key !== '_description' && Array.isArray(series[key]))
+        .flatMap(key => series[key]);
+    return [...new Set(names)];
+}
+
+/**
+ * 取得產品系列的常見拼法與俗稱
+ * @returns {Object} 正式系列名稱 → 拼法陣列
+ */
+function getProductSeriesAliases() {
+    const ref = getSearchReference();
+    const raw = ref.product_series_aliases || {};
+    const result = {};
+    for (const key of Object.keys(raw)) {
+        if (key !== '_description') {
+            result[key] = raw[key];
+        }
+    }
+    return result;
+}
+
+// getCertificationCompatibility, getKeywordMapping, getSymptomToSku, clearCache 已移除（未使用）
 
 module.exports = {
     getSearchReference,
     getCategoryToSort,
-    getOilOnlyKeywords
+    getOilOnlyKeywords,
+    getSearchIndexConfig,
+    getProductSeriesNames,
+    getProductSeriesAliases
 };
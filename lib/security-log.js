@@ -0,0 +1,41 @@
+/**
+ * LIQUI MOLY Chatbot - 安全日誌
+ *
+ * 記錄被拒絕的請求（簽章錯誤、未簽章等），供 Vercel Logs 以 [Security] 標籤篩選。
+ *
+ * 設計原則：
+ * 1. 一行一筆 JSON，方便搜尋與匯出
+ * 2. 使用 console.warn：production 預設 LOG_LEVEL=warn 仍會輸出
+ * 3. 不記錄完整 body 或簽章，只記錄長度與前綴，避免日誌外洩資料
+ */
+
+const { LOG_TAGS } = require('./constants');
+
+/**
+ * 取得請求來源 IP（Vercel 經由 x-forwarded-for 傳入）
+ * @param {Object} req - Request 物件
+ * @returns {string|null}
+ */
+function getClientIp(req) {
+    const forwarded = req?.headers?.['x-forwarded-for'];
+    if (forwarded) return String(forwarded).split(',')[0].trim();
+    return req?.socket?.remoteAddress || null;
+}
+
+/**
+ * 記錄安全事件
+ * @param {string} event - 事件名稱（如 webhook_rejected）
+ * @param {Object} details - 附加資訊（endpoint、reason、ip 等）
+ */
+function logSecurityEvent(event, details = {}) {
+    console.warn(`${LOG_TAGS.SECURITY} ${JSON.stringify({
+        event,
+        ...details,
+        timestamp: new Date().toISOString()
+    })}`);
+}
+
+module.exports = {
+    getClientIp,
+    logSecurityEvent
+};
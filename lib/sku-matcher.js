@@ -0,0 +1,253 @@
+/**
+ * LIQUI MOLY Chatbot - 料號與產品名稱容錯比對
+ *
+ * 用戶常打錯料號或產品名稱，精確的 LM[0-9]{4,5} 比對會漏掉：
+ * - 全形字：「ＬＭ２３１６」「lm-２３１６」→ LM2316
+ * - 字母數字混淆：「LM 23l6」「LM2O16」→ LM2316 / LM2016
+ * - 打錯一碼或前後顛倒：「LM2361」→ 您是不是要找 LM2316？
+ * - 系列名稱拼法與俗稱：「Top Tech 4200」「頂級4200」→ Top Tec 4200
+ *
+ * 設計原則：
+ * 1. 系列名稱取自 search-reference.json 的 product_series，拼法與俗稱取自 product_series_aliases
+ * 2. 候選產品附編輯距離（distance，0 = 完全符合），由呼叫端決定直接回答或詢問「您是不是要找」
+ * 3. 只修正料號數字段的字母混淆，且至少要有 3 個真正的數字，避免把一般英文字當成料號
+ */
+
+const { getProductSeriesNames, getProductSeriesAliases } = require('./search-helper');
+
+// 料號數字段常見的字母 → 數字混淆
+const DIGIT_CONFUSIONS = {
+    o: '0',
+    i: '1',
+    l: '1',
+    '|': '1',
+    z: '2',
+    s: '5',
+    b: '8',
+    g: '9'
+};
+const MIN_REAL_DIGITS = 3;
+// 料號建議的最大編輯距離
+const MAX_SKU_DISTANCE = 1;
+// 「您是不是要找」最多列出的料號數
+const MAX_SUGGESTIONS = 3;
+
+const SKU_PATTERN = /(^|[^a-z])lm[\s\-_.]*([0-9oilzsbg|]{4,5})(?![0-9a-z])/g;
+const MODEL_NUMBER_PATTERN = /[0-9]{3,4}(?![0-9])/g;
+
+// ============================================
+// 正規化與編輯距離
+// ============================================
+
+/**
+ * 全形轉半形並轉小寫
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return String(text || '').normalize('NFKC').toLowerCase();
+}
+
+/**
+ * 去除空白與連字號（比對產品名稱用）
+ */
+function compact(text) {
+    return normalizeText(text).replace(/[\s\-_.]+/g, '');
+}
+
+/**
+ * 編輯距離（插入、刪除、替換、相鄰字元對調各算 1）
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => {
+        const row = new Array(cols).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+}
+
+// ============================================
+// 料號
+// ============================================
+
+/**
+ * 從文字中找出料號（容許全形、分隔符號與字母數字混淆）
+ * @param {string} text - 用戶訊息
+ * @returns {Array<Object>} [{ sku, raw, corrected }]（依出現順序、不重複）
+ *   - corrected：數字段有字母混淆被修正
+ */
+function extractSkus(text) {
+    const normalized = normalizeText(text);
+    const results = [];
+    const seen = new Set();
+
+    for (const match of normalized.matchAll(SKU_PATTERN)) {
+        const part = match[2];
+        const realDigits = part.replace(/[^0-9]/g, '').length;
+        if (realDigits < MIN_REAL_DIGITS) continue;
+
+        const digits = [...part].map(char => DIGIT_CONFUSIONS[char] || char).join('');
+        const sku = `LM${digits}`;
+        if (seen.has(sku)) continue;
+
+        seen.add(sku);
+        results.push({ sku, raw: match[0].slice(match[1].length).trim(), corrected: digits !== part });
+    }
+
+    return results;
+}
+
+function skuDigits(partno) {
+    const match = normalizeText(partno).match(/^lm[\s\-]?([0-9]{4,5})$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * 以料號比對產品
+ * @param {string} text - 用戶訊息
+ * @param {Array<Object>} products - 產品列表
+ * @returns {Object|null} 沒有料號時為 null
+ *   { sku, raw, corrected, exact, candidates: [{ product, sku, distance }] }
+ *   - exact：產品列表有此料號（candidates 為此料號的產品，distance 0）
+ *   - 否則 candidates 為編輯距離 MAX_SKU_DISTANCE 以內的料號（依距離、料號排序）
+ */
+function matchSku(text, products = []) {
+    const [found] = extractSkus(text);
+    if (!found) return null;
+
+    const queried = found.sku.slice(2);
+    const exact = [];
+    const fuzzy = new Map();
+
+    for (const product of products) {
+        const digits = skuDigits(product?.partno);
+        if (!digits) continue;
+
+        if (digits === queried) {
+            exact.push({ product, sku: `LM${digits}`, distance: 0 });
+            continue;
+        }
+
+        const distance = editDistance(queried, digits);
+        if (distance <= MAX_SKU_DISTANCE && !fuzzy.has(digits)) {
+            fuzzy.set(digits, { product, sku: `LM${digits}`, distance });
+        }
+    }
+
+    const candidates = exact.length > 0
+        ? exact
+        : [...fuzzy.values()]
+            .sort((x, y) => x.distance - y.distance || x.sku.localeCompare(y.sku))
+            .slice(0, MAX_SUGGESTIONS);
+
+    return { ...found, exact: exact.length > 0, candidates };
+}
+
+// ============================================
+// 產品名稱
+// ============================================
+
+/**
+ * 把系列名稱的拼法與俗稱換成正式名稱
+ * @param {string} text
+ * @returns {string} 正規化（小寫、半形）後的文字
+ */
+function applySeriesAliases(text) {
+    let normalized = normalizeText(text);
+    const replacements = Object.entries(getProductSeriesAliases())
+        .flatMap(([series, aliases]) => (aliases || []).map(alias => ({ alias: normalizeText(alias), series: normalizeText(series) })))
+        .sort((x, y) => y.alias.length - x.alias.length);
+
+    for (const { alias, series } of replacements) {
+        if (alias) normalized = normalized.split(alias).join(` ${series} `);
+    }
+
+    return normalized.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 找出緊接在型號數字前、拼法最接近的系列名稱
+ * @returns {Object|null} { series, distance }
+ */
+function findSeriesBefore(prefix, seriesNames) {
+    let best = null;
+
+    for (const series of seriesNames) {
+        const target = compact(series);
+        // 長名稱容許較多錯字（6 字以下 1 個，每多 5 字多 1 個）
+        const maxDistance = target.length < 4 ? 0 : 1 + Math.floor(Math.max(0, target.length - 6) / 5);
+
+        for (let length = target.length - maxDistance; length <= target.length + maxDistance; length++) {
+            if (length <= 0 || length > prefix.length) continue;
+            const distance = editDistance(prefix.slice(prefix.length - length), target);
+            if (distance <= maxDistance && (!best || distance < best.distance)) {
+                best = { series, distance };
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * 以「系列名稱 + 型號」比對產品（如 Top Tech 4200、頂級4200 → Top Tec 4200）
+ * @param {string} text - 用戶訊息
+ * @param {Array<Object>} products - 產品列表
+ * @returns {Array<Object>} [{ product, sku, name, distance }]（依距離排序，同距離維持產品列表順序）
+ */
+function matchProductName(text, products = []) {
+    const query = compact(applySeriesAliases(text));
+    const seriesNames = getProductSeriesNames();
+    const results = [];
+    const seen = new Set();
+
+    for (const match of query.matchAll(MODEL_NUMBER_PATTERN)) {
+        const prefix = query.slice(0, match.index);
+        if (/[0-9]$/.test(prefix)) continue;
+        const found = findSeriesBefore(prefix, seriesNames);
+        if (!found) continue;
+
+        const name = `${found.series} ${match[0]}`;
+        const target = compact(name);
+
+        for (const product of products) {
+            if (seen.has(product) || !compact(product?.title).includes(target)) continue;
+            seen.add(product);
+            results.push({ product, sku: product.partno || null, name, distance: found.distance });
+        }
+    }
+
+    return results.sort((x, y) => x.distance - y.distance);
+}
+
+module.exports = {
+    // 正規化與編輯距離
+    normalizeText,
+    editDistance,
+
+    // 料號
+    extractSkus,
+    matchSku,
+
+    // 產品名稱
+    applySeriesAliases,
+    matchProductName
+};
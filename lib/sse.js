@@ -0,0 +1,103 @@
+/**
+ * LIQUI MOLY Chatbot - Server-Sent Events 工具
+ *
+ * 提供 SSE 串流所需的共用函式：
+ * - 輸出端：設定 SSE Headers、寫入事件
+ * - 讀取端：將分段收到的文字解析為事件（Gemini streamGenerateContent?alt=sse），
+ *   解析器實作在 js/sse-parser.js，網頁前端讀取 /api/chat 串流時使用同一份
+ *
+ * 設計原則：
+ * 1. 與框架無關：只依賴 res.setHeader / res.write
+ * 2. 容忍分段：事件可能被切在任意位置，解析器需自行緩衝
+ */
+
+const { CORS_HEADERS } = require('./constants');
+// 解析器與網頁前端共用（js/sse-parser.js），確保 framing 規則一致
+const { createSSEParser } = require('../js/sse-parser');
+
+// ============================================
+// 輸出端
+// ============================================
+
+/**
+ * 判斷請求是否要求 SSE 串流回應
+ * @param {Object} req - Request 物件
+ * @returns {boolean}
+ */
+function wantsEventStream(req) {
+    const accept = (req.headers && (req.headers.accept || req.headers.Accept)) || '';
+    return accept.includes('text/event-stream');
+}
+
+/**
+ * 設定 SSE Response Headers（含 CORS）
+ * @param {Object} res - Response 物件
+ */
+function writeSSEHeaders(res) {
+    Object.keys(CORS_HEADERS).forEach(key => res.setHeader(key, CORS_HEADERS[key]));
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    // 避免反向代理緩衝整個回應
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.statusCode = 200;
+    if (typeof res.flushHeaders === 'function') {
+        res.flushHeaders();
+    }
+}
+
+/**
+ * 將物件格式化為單一 SSE 事件字串
+ * @param {string} event - 事件名稱（delta / done / error）
+ * @param {Object} data - 事件資料（JSON 序列化）
+ * @returns {string}
+ */
+function formatSSEEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * 寫入一個 SSE 事件
+ * @param {Object} res - Response 物件
+ * @param {string} event - 事件名稱
+ * @param {Object} data - 事件資料
+ */
+function sendSSEEvent(res, event, data) {
+    res.write(formatSSEEvent(event, data));
+}
+
+// ============================================
+// 讀取端
+// ============================================
+
+/**
+ * 逐段讀取 fetch Response body，交給 SSE 解析器
+ * @param {Response} response - fetch 回應
+ * @param {Function} onEvent - 事件回呼
+ */
+async function readSSEStream(response, onEvent) {
+    const parser = createSSEParser(onEvent);
+    const decoder = new TextDecoder('utf-8');
+    const reader = response.body.getReader();
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parser.push(decoder.decode(value, { stream: true }));
+    }
+
+    parser.push(decoder.decode());
+    parser.flush();
+}
+
+module.exports = {
+    // 輸出端
+    wantsEventStream,
+    writeSSEHeaders,
+    formatSSEEvent,
+    sendSSEEvent,
+
+    // 讀取端
+    createSSEParser,
+    readSSEStream
+};
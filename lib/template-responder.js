@@ -0,0 +1,219 @@
+/**
+ * LIQUI MOLY Chatbot - 範本回覆（不呼叫 LLM）
+ *
+ * 兩種情境使用：
+ * 1. 模板意圖：購買地點 / 合作洽詢 / 價格查詢，答案固定，直接套用範本（零 Token）
+ * 2. 降級模式：LLM 逾時、熔斷或回傳空白時，用 RAG 已取得的資料組合回覆
+ *    （規則分類意圖、knowledge.vehicleSpec、產品搜尋結果、response-templates.json）
+ *
+ * 設計原則：
+ * 1. 回覆內容完全確定，不呼叫任何 LLM
+ * 2. 文字一律取自 response-templates.json，不寫死在程式碼
+ * 3. 產品只取自資料庫（搜尋結果或訊息中的產品編號），不會產生幻覺
+ */
+
+const { loadJSON } = require('./knowledge-cache');
+const { extractSKUs } = require('./response-validator');
+const { toProductCard } = require('./product-cards');
+const { INTENT_TYPES, TEMPLATE_RESPONSE_INTENTS, LOG_TAGS } = require('./constants');
+
+// search.js 位於 api/（與 rag-pipeline 相同的載入方式）
+const searchModule = require('../api/search.js');
+
+// ============================================
+// 輔助函式
+// ============================================
+
+/**
+ * 代入範本變數（{name}）
+ */
+function fillTemplate(template, values) {
+    return String(template || '').replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+    );
+}
+
+/**
+ * 取得訊息中提及的產品編號；訊息沒有時，沿用上一則 AI 回覆中的產品（如「這個多少錢」）
+ */
+function getReferencedSKUs(message, conversationHistory = []) {
+    const skus = extractSKUs(message);
+    if (skus.length > 0) return skus;
+
+    const lastReply = [...conversationHistory].reverse()
+        .find(m => m.role === 'assistant' || m.role === 'model');
+    return lastReply ? extractSKUs(lastReply.content || '') : [];
+}
+
+/**
+ * 依產品編號取得資料庫產品（資料庫無法存取時回傳空陣列）
+ */
+async function findProducts(skus) {
+    if (skus.length === 0) return [];
+    try {
+        const products = await searchModule.getProducts();
+        return skus
+            .map(sku => (products || []).find(p => p.partno && p.partno.toUpperCase() === sku))
+            .filter(Boolean);
+    } catch (e) {
+        console.error(`${LOG_TAGS.TEMPLATE} Product lookup failed:`, e.message);
+        return [];
+    }
+}
+
+function formatProductLine(product, index, strings) {
+    const card = toProductCard(product);
+    return fillTemplate(strings.product_line, { index, title: card.title, sku: card.sku, url: card.url });
+}
+
+function formatProductLines(products, strings) {
+    return products.map((p, i) => formatProductLine(p, i + 1, strings)).join('\n');
+}
+
+function formatVehicleSpec(intent, vehicleSpec, strings) {
+    if (!Array.isArray(vehicleSpec) || vehicleSpec.length === 0) return null;
+
+    const vehicle = [intent.vehicleBrand, intent.vehicleModel].filter(Boolean).join(' ');
+    const lines = vehicleSpec.slice(0, 3).map(spec => fillTemplate(strings.vehicle_spec_line, {
+        engine: [spec.years, spec.fuel].filter(Boolean).join(' ') || vehicle,
+        viscosity: spec.viscosity || '-',
+        certification: [].concat(spec.certification || []).join(' / ') || '-'
+    }));
+
+    return [fillTemplate(strings.vehicle_spec_header, { vehicle }), ...lines].join('\n');
+}
+
+// ============================================
+// 各意圖範本
+// ============================================
+
+function buildPurchaseResponse(message, products, templates, strings) {
+    const purchase = templates.purchase_inquiry || {};
+    const sections = [];
+
+    const lowerMessage = message.toLowerCase();
+    const warning = purchase.ecommerce_warning;
+    if (warning && (warning.keywords || []).some(kw => lowerMessage.includes(kw.toLowerCase()))) {
+        sections.push(warning.template);
+    }
+
+    if (products.length > 0) {
+        sections.push(formatProductLines(products, strings));
+    }
+
+    // 自行車、香氛等類別可於官方商城購買
+    const online = purchase.online_purchase;
+    if (online && products.some(p => (online.applicable_categories || []).includes(p.sort))) {
+        sections.push(online.template);
+    }
+
+    sections.push(purchase.store_finder?.template);
+    return sections.filter(Boolean).join('\n\n');
+}
+
+function buildPriceResponse(products, templates, strings) {
+    const price = templates.price_inquiry || {};
+    if (products.length === 0) {
+        return price.no_price?.template;
+    }
+
+    const lines = products.map((p, i) => {
+        const productLine = formatProductLine(p, i + 1, strings);
+        const priceLine = p.price
+            ? fillTemplate(price.has_price?.template, { price: p.price })
+            : null;
+        return [productLine, priceLine && `   - ${priceLine}`].filter(Boolean).join('\n');
+    });
+
+    const anyMissingPrice = products.some(p => !p.price);
+    return [lines.join('\n'), anyMissingPrice ? price.no_price?.template : null].filter(Boolean).join('\n\n');
+}
+
+/**
+ * 降級回覆：車型規格 + 搜尋結果前幾名產品 + 店家查詢
+ */
+function buildDegradedResponse(intent, knowledge, products, templates, strings, language) {
+    const sections = [strings.notice];
+
+    const specText = formatVehicleSpec(intent, knowledge?.vehicleSpec, strings);
+    if (specText) sections.push(specText);
+
+    if (products.length > 0) {
+        sections.push(`${strings.products_header}\n${formatProductLines(products, strings)}`);
+        if (language === 'zh-TW') {
+            sections.push(templates.purchase_inquiry?.store_finder?.template);
+        }
+    } else if (!specText) {
+        sections.push(strings.no_products);
+    }
+
+    return sections.filter(Boolean).join('\n\n');
+}
+
+// ============================================
+// 對外介面
+// ============================================
+
+/**
+ * 是否直接以範本回覆（不呼叫 LLM，連意圖分析也省略）
+ * @param {Object} intent - 規則分類結果（classifyIntent）
+ * @returns {boolean}
+ */
+function shouldAnswerWithTemplate(intent) {
+    if (process.env.TEMPLATE_RESPONSES === 'false') return false;
+    if (!intent || !TEMPLATE_RESPONSE_INTENTS.includes(intent.type)) return false;
+
+    // 訊息提到車型或產品類別時，多半仍需要產品推薦，交給 LLM
+    return !intent.vehicleModel && !intent.vehicleBrand && !intent.productCategory;
+}
+
+/**
+ * 建立不經 LLM 的回覆
+ * @param {Object} params
+ * @param {string} params.message - 用戶訊息
+ * @param {Array} params.conversationHistory - 對話歷史
+ * @param {Object} params.intent - 意圖
+ * @param {Object} params.knowledge - retrieveKnowledge 結果
+ * @param {string} params.productContext - 產品搜尋結果（searchProducts 格式化文字）
+ * @param {string} params.language - 用戶語言
+ * @returns {Promise<string>} 回覆文字（markdown）
+ */
+async function buildTemplateResponse({ message, conversationHistory = [], intent, knowledge, productContext = '', language = 'zh-TW' }) {
+    const templates = loadJSON('response-templates.json') || {};
+    const degraded = templates.degraded_response || {};
+    const isChinese = language === 'zh-TW';
+    const strings = degraded[isChinese ? 'zh-TW' : 'en'] || {};
+    const type = intent?.type;
+
+    console.log(`${LOG_TAGS.TEMPLATE} Building response without LLM (intent: ${type}, language: ${language})`);
+
+    // 外語用戶詢問購買 / 合作 / 價格：台灣總代理不跨國銷售
+    if (!isChinese && TEMPLATE_RESPONSE_INTENTS.includes(type) && templates.foreign_user_purchase) {
+        return templates.foreign_user_purchase.template;
+    }
+
+    switch (type) {
+        case INTENT_TYPES.COOPERATION_INQUIRY:
+            return templates.cooperation_inquiry?.template;
+
+        case INTENT_TYPES.PURCHASE_INQUIRY:
+            return buildPurchaseResponse(message, await findProducts(getReferencedSKUs(message, conversationHistory)), templates, strings);
+
+        case INTENT_TYPES.PRICE_INQUIRY:
+            return buildPriceResponse(await findProducts(getReferencedSKUs(message, conversationHistory)), templates, strings);
+
+        case INTENT_TYPES.AUTHENTICATION:
+            if (isChinese && templates.authentication) {
+                return templates.authentication.template;
+            }
+            break;
+    }
+
+    const hits = extractSKUs(productContext).slice(0, degraded.max_products || 3);
+    return buildDegradedResponse(intent, knowledge, await findProducts(hits), templates, strings, language);
+}
+
+module.exports = {
+    shouldAnswerWithTemplate,
+    buildTemplateResponse
+};
@@ -0,0 +1,289 @@
+/**
+ * LIQUI MOLY Chatbot - 車型選擇精靈
+ *
+ * 用戶只說「機油推薦」而沒有提供車型時，以按鈕逐步確認：
+ * 車種（汽車 / 檔車 / 速克達）→ 品牌 → 車型 → 年份 / 引擎版本
+ * - 選項取自 vehicle-specs.json，品牌的車種依 _metadata 的品牌清單判斷
+ * - 選定版本後，以該規格（認證、黏度）組成查詢，交給 RAG 管線推薦產品
+ *
+ * 精靈進度存於 dialogState.wizard，隨對話狀態由各端原樣送回；
+ * 選項由 /api/chat 以 suggestedReplies（網頁 Chips）與 vehicleWizard（Messenger / LINE Quick Reply）回傳
+ *
+ * 設計原則：
+ * 1. 不呼叫 LLM，每一步都是確定性的；提示文字放在 response-templates.json
+ * 2. 任何一步都可以直接打字：符合選項或車型別名就前進，否則結束精靈，訊息照常交給 RAG
+ * 3. 只有一個選項的步驟自動略過
+ */
+
+const { loadJSON } = require('./knowledge-cache');
+const { getVehicleSpecs, getMetadata, matchByAlias } = require('./vehicle-matcher');
+const { mergeDialogState, extractSlotsFromMessage } = require('./dialog-state');
+const { VEHICLE_WIZARD, VEHICLE_TYPES, PRODUCT_CATEGORIES, LOG_TAGS } = require('./constants');
+
+// ============================================
+// 輔助函式
+// ============================================
+
+function getTemplates() {
+    return loadJSON('response-templates.json')?.vehicle_wizard || {};
+}
+
+function fillTemplate(template, values) {
+    return String(template || '').replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+    );
+}
+
+/**
+ * 比對用的文字：忽略大小寫、空白與標點
+ */
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/[\s\p{P}]/gu, '');
+}
+
+/**
+ * 在選項中找出用戶的選擇（完全相同優先，其次為訊息包含選項）
+ * @returns {string|null} 選項
+ */
+function findOption(message, options) {
+    const text = normalizeText(message);
+    if (!text) return null;
+
+    return options.find(option => normalizeText(option) === text) ||
+        options.find(option => normalizeText(option).length > 1 && text.includes(normalizeText(option))) ||
+        null;
+}
+
+function withoutWizard(state) {
+    const { wizard, ...rest } = state;
+    return rest;
+}
+
+// ============================================
+// 選項（vehicle-specs.json）
+// ============================================
+
+function getVehicleTypeOption(label) {
+    return VEHICLE_WIZARD.vehicleTypes.find(type => type.label === label) || null;
+}
+
+/**
+ * 品牌所屬車種（列於 _metadata 品牌清單者為檔車 / 速克達，其餘為汽車）
+ */
+function getBrandVehicleType(brand) {
+    const metadata = getMetadata();
+    return VEHICLE_WIZARD.vehicleTypes.find(type => type.brandListKey && (metadata[type.brandListKey] || []).includes(brand)) ||
+        VEHICLE_WIZARD.vehicleTypes.find(type => !type.brandListKey);
+}
+
+function listBrands(vehicleTypeLabel) {
+    return Object.keys(getVehicleSpecs())
+        .filter(brand => !brand.startsWith('_') && getBrandVehicleType(brand).label === vehicleTypeLabel);
+}
+
+function listModels(brand) {
+    const models = getVehicleSpecs()[brand] || {};
+    return Object.keys(models).filter(model => !model.startsWith('_') && Array.isArray(models[model]));
+}
+
+function listVariants(brand, model) {
+    const specs = getVehicleSpecs()[brand]?.[model];
+    return Array.isArray(specs) ? specs : [];
+}
+
+/**
+ * 有車型資料的車種
+ */
+function listVehicleTypes() {
+    return VEHICLE_WIZARD.vehicleTypes.filter(type => listBrands(type.label).length > 0);
+}
+
+function getVariantLabel(spec) {
+    return [spec.years, spec.fuel || spec.type].filter(Boolean).join(' ');
+}
+
+function getVehicleName(brand, model) {
+    return VEHICLE_WIZARD.genericModelKeys.includes(model) ? brand : `${brand} ${model}`;
+}
+
+// ============================================
+// 步驟
+// ============================================
+
+/**
+ * 回覆下一步的問題與選項
+ */
+function ask(state, wizard, options, values = {}) {
+    const prompts = getTemplates().prompts || {};
+    const limited = options.slice(0, VEHICLE_WIZARD.maxOptions);
+
+    console.log(`${LOG_TAGS.WIZARD} Asking ${wizard.step}: ${limited.join(', ')}`);
+    return {
+        reply: { step: wizard.step, response: fillTemplate(prompts[wizard.step], values), options: limited },
+        dialogState: { ...withoutWizard(state), wizard }
+    };
+}
+
+function selectVehicleType(state, wizard, type) {
+    const brands = listBrands(type.label);
+    if (brands.length === 1) {
+        return selectBrand(state, wizard, brands[0]);
+    }
+    return ask(state, { ...wizard, step: 'brand', vehicleType: type.label }, brands, { vehicleType: type.label });
+}
+
+function selectBrand(state, wizard, brand) {
+    const models = listModels(brand);
+    if (models.length === 1) {
+        return selectModel(state, wizard, brand, models[0]);
+    }
+    return ask(state, { ...wizard, step: 'model', vehicleType: getBrandVehicleType(brand).label, brand }, models, { brand });
+}
+
+function selectModel(state, wizard, brand, model) {
+    const variants = listVariants(brand, model);
+    if (variants.length === 1) {
+        return complete(state, wizard, brand, model, variants[0]);
+    }
+    return ask(
+        state,
+        { ...wizard, step: 'variant', vehicleType: getBrandVehicleType(brand).label, brand, model },
+        variants.map(getVariantLabel),
+        { vehicle: getVehicleName(brand, model) }
+    );
+}
+
+/**
+ * 選定版本：以規格組成查詢，並把車型寫入對話狀態
+ */
+function complete(state, wizard, brand, model, spec) {
+    const vehicle = getVehicleName(brand, model);
+    const query = fillTemplate(getTemplates().query, {
+        vehicle,
+        variant: getVariantLabel(spec),
+        certification: [].concat(spec.certification || []).join(' / ') || '-',
+        viscosity: spec.viscosity || '-'
+    });
+
+    const dialogState = mergeDialogState(withoutWizard(state), {
+        vehicleType: getBrandVehicleType(brand).vehicleType,
+        vehicleBrand: brand,
+        vehicleModel: VEHICLE_WIZARD.genericModelKeys.includes(model) ? brand : model,
+        year: spec.years,
+        fuelType: extractSlotsFromMessage(spec.fuel).fuelType || spec.fuel,
+        productCategory: PRODUCT_CATEGORIES.OIL
+    });
+
+    console.log(`${LOG_TAGS.WIZARD} Completed: ${query}`);
+    return { query, dialogState, firstResponse: !!wizard.firstResponse };
+}
+
+/**
+ * 用戶改為自由輸入：結束精靈，保留已選的車種與品牌
+ */
+function leave(message, state, wizard) {
+    console.log(`${LOG_TAGS.WIZARD} Free text at ${wizard.step} step, leaving wizard`);
+
+    const type = getVehicleTypeOption(wizard.vehicleType);
+    const dialogState = mergeDialogState(withoutWizard(state), {
+        vehicleType: type?.vehicleType,
+        vehicleBrand: wizard.brand,
+        vehicleModel: wizard.model && !VEHICLE_WIZARD.genericModelKeys.includes(wizard.model) ? wizard.model : null,
+        productCategory: PRODUCT_CATEGORIES.OIL
+    });
+    return { query: message, dialogState, firstResponse: !!wizard.firstResponse };
+}
+
+// ============================================
+// 對外介面
+// ============================================
+
+/**
+ * 訊息是否應開始精靈（只說「機油推薦」且對話狀態中還沒有車型）
+ * @param {string} message - 用戶訊息
+ * @param {Object} dialogState - 對話狀態
+ * @returns {boolean}
+ */
+function shouldStartWizard(message, dialogState) {
+    const text = normalizeText(message);
+    const isTrigger = (getTemplates().trigger_messages || []).some(trigger => normalizeText(trigger) === text);
+    return isTrigger && !dialogState?.slots?.vehicleBrand && !dialogState?.slots?.vehicleModel;
+}
+
+/**
+ * 處理一輪精靈對話
+ * @param {string} message - 用戶訊息（按鈕選項或自由輸入）
+ * @param {Object} dialogState - 已正規化的對話狀態
+ * @param {Object} options
+ * @param {boolean} options.isFirstResponse - 開始精靈時尚未回答過（完成後的推薦仍需加警語）
+ * @returns {Object|null}
+ *   - null：不由精靈處理
+ *   - { reply: { step, response, options }, dialogState }：回覆下一步
+ *   - { query, dialogState, firstResponse }：精靈結束，以 query 與 dialogState 進入 RAG
+ */
+function handleWizardTurn(message, dialogState, { isFirstResponse = false } = {}) {
+    if (!dialogState) return null;
+
+    const wizard = dialogState.wizard;
+    if (!wizard) {
+        if (!shouldStartWizard(message, dialogState)) return null;
+        return startWizard(message, dialogState, { step: 'vehicleType', ...(isFirstResponse ? { firstResponse: true } : {}) });
+    }
+
+    switch (wizard.step) {
+        case 'vehicleType': {
+            const label = findOption(message, listVehicleTypes().map(type => type.label));
+            if (label) return selectVehicleType(dialogState, wizard, getVehicleTypeOption(label));
+            break;
+        }
+        case 'brand': {
+            const brand = findOption(message, listBrands(wizard.vehicleType));
+            if (brand) return selectBrand(dialogState, wizard, brand);
+            break;
+        }
+        case 'model': {
+            const model = findOption(message, listModels(wizard.brand));
+            if (model) return selectModel(dialogState, wizard, wizard.brand, model);
+            break;
+        }
+        case 'variant': {
+            const variants = listVariants(wizard.brand, wizard.model);
+            const label = findOption(message, variants.map(getVariantLabel));
+            if (label) return complete(dialogState, wizard, wizard.brand, wizard.model, variants.find(spec => getVariantLabel(spec) === label));
+            break;
+        }
+    }
+
+    // 直接輸入車型（符合 vehicle-specs.json 別名）時，以該規格推薦
+    const alias = matchByAlias(String(message || '').toLowerCase());
+    if (alias.matched && alias.spec) {
+        return complete(dialogState, wizard, alias.vehicleBrand, alias.vehicleModel, alias.spec);
+    }
+
+    return leave(message, dialogState, wizard);
+}
+
+/**
+ * 開始精靈：訊息已說明汽車或機車時，只提供對應的車種
+ */
+function startWizard(message, state, wizard) {
+    let types = listVehicleTypes();
+    if (/汽車/.test(message)) {
+        types = types.filter(type => type.vehicleType === VEHICLE_TYPES.CAR);
+    } else if (/機車|摩托車/.test(message)) {
+        types = types.filter(type => type.vehicleType === VEHICLE_TYPES.MOTORCYCLE);
+    }
+
+    if (types.length === 0) return null;
+
+    console.log(`${LOG_TAGS.WIZARD} Starting vehicle wizard`);
+    if (types.length === 1) {
+        return selectVehicleType(state, wizard, types[0]);
+    }
+    return ask(state, wizard, types.map(type => type.label));
+}
+
+module.exports = {
+    shouldStartWizard,
+    handleWizardTurn
+};
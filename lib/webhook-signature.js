@@ -0,0 +1,159 @@
+/**
+ * LIQUI MOLY Chatbot - Webhook 簽章驗證
+ *
+ * Meta（Messenger / Instagram）會以 App Secret 對原始 request body 計算 HMAC-SHA256，
+ * 放在 X-Hub-Signature-256 header（格式：sha256=<hex>）。
+ * LINE 以 Channel Secret 計算 HMAC-SHA256，放在 X-Line-Signature header（格式：base64）。
+ * 未驗證簽章時，任何知道網址的人都能偽造事件，讓機器人傳訊息給真實用戶。
+ *
+ * 設計原則：
+ * 1. 以原始 body 驗證：JSON 重新序列化後的內容與 Meta 簽章的位元組不同
+ * 2. 常數時間比對（timingSafeEqual），避免時序攻擊
+ * 3. 失敗時回傳原因代碼，由呼叫端記錄安全日誌並拒絕
+ */
+
+const crypto = require('crypto');
+
+const META_SIGNATURE_HEADER = 'x-hub-signature-256';
+const META_SIGNATURE_PREFIX = 'sha256=';
+const LINE_SIGNATURE_HEADER = 'x-line-signature';
+
+// ============================================
+// 原始 Body
+// ============================================
+
+/**
+ * 讀取原始 request body
+ * 優先使用平台保留的原始內容；stream 尚未讀取時自行讀取
+ * @param {Object} req - Request 物件
+ * @returns {Promise<Buffer|null>} 原始 body（無法取得時為 null）
+ */
+async function readRawBody(req) {
+    if (Buffer.isBuffer(req.rawBody)) return req.rawBody;
+    if (typeof req.rawBody === 'string') return Buffer.from(req.rawBody, 'utf8');
+
+    if (req.readable && !req.readableEnded && typeof req[Symbol.asyncIterator] === 'function') {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+        }
+        return Buffer.concat(chunks);
+    }
+
+    // 平台已解析 body：只有字串 / Buffer 仍是原始內容，物件無法還原
+    if (Buffer.isBuffer(req.body)) return req.body;
+    if (typeof req.body === 'string') return Buffer.from(req.body, 'utf8');
+    return null;
+}
+
+// ============================================
+// Meta 簽章
+// ============================================
+
+/**
+ * 計算 Meta 簽章
+ * @param {Buffer|string} rawBody - 原始 body
+ * @param {string} secret - App Secret
+ * @returns {string} sha256=<hex>
+ */
+function computeMetaSignature(rawBody, secret) {
+    return META_SIGNATURE_PREFIX + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+/**
+ * 驗證 X-Hub-Signature-256
+ * @param {Buffer|string|null} rawBody - 原始 body
+ * @param {string} signatureHeader - X-Hub-Signature-256 header 值
+ * @param {string} secret - App Secret
+ * @returns {{valid: boolean, reason: string|null}} reason：missing_secret / missing_body / missing_signature / malformed_signature / signature_mismatch
+ */
+function verifyMetaSignature(rawBody, signatureHeader, secret) {
+    if (!secret) return { valid: false, reason: 'missing_secret' };
+    if (rawBody === null || rawBody === undefined) return { valid: false, reason: 'missing_body' };
+    if (!signatureHeader) return { valid: false, reason: 'missing_signature' };
+
+    const signature = String(signatureHeader).trim();
+    if (!/^sha256=[0-9a-f]{64}$/i.test(signature)) {
+        return { valid: false, reason: 'malformed_signature' };
+    }
+
+    const expected = Buffer.from(computeMetaSignature(rawBody, secret), 'utf8');
+    const received = Buffer.from(signature.toLowerCase(), 'utf8');
+    return crypto.timingSafeEqual(expected, received)
+        ? { valid: true, reason: null }
+        : { valid: false, reason: 'signature_mismatch' };
+}
+
+/**
+ * 取得 request 的 Meta 簽章 header
+ * @param {Object} req - Request 物件
+ * @returns {string|undefined}
+ */
+function getMetaSignatureHeader(req) {
+    const headers = req.headers || {};
+    return headers[META_SIGNATURE_HEADER] || headers['X-Hub-Signature-256'];
+}
+
+// ============================================
+// LINE 簽章
+// ============================================
+
+/**
+ * 計算 LINE 簽章
+ * @param {Buffer|string} rawBody - 原始 body
+ * @param {string} secret - Channel Secret
+ * @returns {string} base64
+ */
+function computeLineSignature(rawBody, secret) {
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+}
+
+/**
+ * 驗證 X-Line-Signature
+ * @param {Buffer|string|null} rawBody - 原始 body
+ * @param {string} signatureHeader - X-Line-Signature header 值
+ * @param {string} secret - Channel Secret
+ * @returns {{valid: boolean, reason: string|null}} reason 同 verifyMetaSignature
+ */
+function verifyLineSignature(rawBody, signatureHeader, secret) {
+    if (!secret) return { valid: false, reason: 'missing_secret' };
+    if (rawBody === null || rawBody === undefined) return { valid: false, reason: 'missing_body' };
+    if (!signatureHeader) return { valid: false, reason: 'missing_signature' };
+
+    // SHA-256 摘要的 base64 固定為 44 字元
+    const signature = String(signatureHeader).trim();
+    if (!/^[A-Za-z0-9+/]{43}=$/.test(signature)) {
+        return { valid: false, reason: 'malformed_signature' };
+    }
+
+    const expected = Buffer.from(computeLineSignature(rawBody, secret), 'utf8');
+    const received = Buffer.from(signature, 'utf8');
+    return crypto.timingSafeEqual(expected, received)
+        ? { valid: true, reason: null }
+        : { valid: false, reason: 'signature_mismatch' };
+}
+
+/**
+ * 取得 request 的 LINE 簽章 header
+ * @param {Object} req - Request 物件
+ * @returns {string|undefined}
+ */
+function getLineSignatureHeader(req) {
+    const headers = req.headers || {};
+    return headers[LINE_SIGNATURE_HEADER] || headers['X-Line-Signature'];
+}
+
+module.exports = {
+    // 原始 Body
+    readRawBody,
+
+    // Meta 簽章
+    computeMetaSignature,
+    verifyMetaSignature,
+    getMetaSignatureHeader,
+
+    // LINE 簽章
+    computeLineSignature,
+    verifyLineSignature,
+    getLineSignatureHeader
+};
@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+/**
+ * LIQUI MOLY Chatbot - 產品目錄快照產生工具
+ *
+ * 產生部署快照 data/catalog-snapshot.json，隨部署打包，作為 Wix /products 無法連線時的備援
+ * （見 lib/catalog-snapshot.js）。執行期快照只存在各執行個體的暫存目錄，新的執行個體只能依靠部署快照。
+ *
+ * 用法：
+ *   node scripts/refresh-catalog-snapshot.js --from-wix [--out data/catalog-snapshot.json]
+ *   node scripts/refresh-catalog-snapshot.js <products.csv|products.json> [--out data/catalog-snapshot.json] [--created-at 2026-10-19T09:00:00+08:00]
+ *
+ * - --from-wix：部署時（vercel.json buildCommand）直接讀取 Wix GET /products；
+ *   Wix 無法連線時保留既有的快照檔，沒有快照檔時以非零狀態結束，讓部署失敗而不是缺少快照
+
+ * - JSON：產品陣列，或 GET /products 的回應（{ success, products }）
+ * - CSV：Wix「匯出集合」的檔案，欄位名稱不分大小寫（ID / Title / partno / size / word1 / word2 / cert / sort / price / content / use）
+ * - --created-at：匯出時間（快照 createdAt），預設為匯出檔的修改時間；
+ *   快照年齡提醒與 loadSnapshot 的新舊比較都以此為準，不可用執行本工具的時間
+ *
+ * 設計原則：
+ * 1. 輸出欄位與 wix-backend GET /products 相同（含 viscosity / certifications / category / url 別名，
+ *    圖片欄位轉為公開 URL）
+ * 2. 沒有標題的列略過；沒有任何產品時不寫檔並以非零狀態結束
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildSnapshot, readSnapshotFile, writeSnapshotFile } = require('../lib/catalog-snapshot');
+const { PRODUCT_BASE_URL, WIX_API_URL } = require('../lib/constants');
+
+// 部署時讀取 Wix /products（建置沒有 Vercel maxDuration 限制，可等待較久）
+const WIX_FETCH = { attempts: 3, timeoutMs: 30 * 1000 };
+
+// CSV 欄位名稱（小寫）→ 產品欄位
+const FIELD_MAP = {
+    id: 'id',
+    _id: 'id',
+    title: 'title',
+    partno: 'partno',
+    size: 'size',
+    word1: 'word1',
+    word2: 'word2',
+    cert: 'cert',
+    sort: 'sort',
+    price: 'price',
+    content: 'content',
+    use: 'use',
+    image: 'image'
+};
+
+// ============================================
+// 匯出檔解析
+// ============================================
+
+/**
+ * 解析 CSV（RFC 4180：雙引號包住的欄位可含逗號、換行，"" 為跳脫的雙引號）
+ * @param {string} text
+ * @returns {Array<Array<string>>} 列
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim()));
+}
+
+/**
+ * Wix 圖片欄位（wix:image://v1/<id>/<檔名>#...）→ 公開圖片 URL（與 wix-backend toImageUrl 相同）
+ * @param {string} image
+ * @returns {string|null}
+ */
+function toImageUrl(image) {
+    if (!image || typeof image !== 'string') return null;
+    if (image.startsWith('http')) return image;
+
+    const match = image.match(/^wix:image:\/\/v1\/([^/]+)\//);
+    return match ? `https://static.wixstatic.com/media/${match[1]}` : null;
+}
+
+/**
+ * 轉為 GET /products 的產品格式
+ * @param {Object} record - 匯出的一筆資料（欄位名稱不分大小寫）
+ * @returns {Object|null} 產品（沒有標題時為 null）
+ */
+function toProduct(record) {
+    const product = {};
+    for (const [key, value] of Object.entries(record)) {
+        const field = FIELD_MAP[key.trim().toLowerCase()];
+        if (field && value !== undefined && value !== null && value !== '') {
+            product[field] = typeof value === 'string' ? value.trim() : value;
+        }
+    }
+    if (!product.title) return null;
+
+    return {
+        ...product,
+        viscosity: product.word2,
+        certifications: product.cert,
+        category: product.sort,
+        image: toImageUrl(product.image),
+        url: product.partno ? `${PRODUCT_BASE_URL}${String(product.partno).toLowerCase()}` : null
+    };
+}
+
+/**
+ * 讀取匯出檔
+ * @param {string} file
+ * @returns {Array<Object>} 產品
+ */
+function readExport(file) {
+    const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+    let records;
+
+    if (path.extname(file).toLowerCase() === '.json') {
+        const data = JSON.parse(text);
+        records = Array.isArray(data) ? data : data.products || data.items || [];
+    } else {
+        const [header = [], ...rows] = parseCsv(text);
+        records = rows.map(row => Object.fromEntries(header.map((name, i) => [name, row[i]])));
+    }
+
+    return records.map(toProduct).filter(Boolean);
+}
+
+/**
+ * 從 Wix GET /products 取得產品
+ * @param {Object} options
+ * @param {number} options.attempts - 嘗試次數
+ * @param {number} options.timeoutMs - 每次逾時
+ * @returns {Promise<Array<Object>>} 產品（全部失敗時為空陣列）
+ */
+async function fetchWixProducts({ attempts = WIX_FETCH.attempts, timeoutMs = WIX_FETCH.timeoutMs } = {}) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+            const response = await fetch(`${WIX_API_URL}/products`, { signal: AbortSignal.timeout(timeoutMs) });
+            const data = await response.json();
+            if (data.success && Array.isArray(data.products)) {
+                return data.products.map(toProduct).filter(Boolean);
+            }
+            console.error(`Wix /products attempt ${attempt}/${attempts}: unexpected response (HTTP ${response.status})`);
+        } catch (e) {
+            console.error(`Wix /products attempt ${attempt}/${attempts} failed:`, e.message);
+        }
+    }
+    return [];
+}
+
+// ============================================
+// CLI
+// ============================================
+
+/**
+ * 取出選項值（並自參數列移除）
+ * @param {Array<string>} args
+ * @param {string} name - 選項名稱（如 --out）
+ * @returns {string|null|undefined} 選項值（未指定時為 null，缺少值時為 undefined）
+ */
+function takeOption(args, name) {
+    const index = args.indexOf(name);
+    return index >= 0 ? args.splice(index, 2)[1] : null;
+}
+
+/**
+ * 取出旗標（並自參數列移除）
+ * @param {Array<string>} args
+ * @param {string} name - 旗標名稱（如 --from-wix）
+ * @returns {boolean} 是否指定
+ */
+function takeFlag(args, name) {
+    const index = args.indexOf(name);
+    if (index < 0) return false;
+    args.splice(index, 1);
+    return true;
+}
+
+/**
+ * 部署時從 Wix 產生快照；Wix 無法連線時保留既有快照檔
+ * @param {string} out - 快照檔路徑
+ * @returns {Promise<number>} 結束狀態
+ */
+async function snapshotFromWix(out) {
+    const createdAt = new Date();
+    const products = await fetchWixProducts();
+
+    if (products.length === 0) {
+        const existing = await readSnapshotFile(path.resolve(out));
+        if (existing) {
+            console.warn(`Wix unreachable, keeping ${out}: ${existing.productCount} products, created ${existing.createdAt}`);
+            return 0;
+        }
+        console.error(`Wix unreachable and no snapshot at ${out}`);
+        return 1;
+    }
+
+    return writeSnapshot(out, buildSnapshot(products, { source: 'wix', now: createdAt }));
+}
+
+/**
+ * 寫入快照檔並輸出摘要
+ * @returns {Promise<number>} 結束狀態
+ */
+async function writeSnapshot(out, snapshot) {
+    if (!await writeSnapshotFile(path.resolve(out), snapshot)) return 1;
+
+    console.log(`Wrote ${out}: ${snapshot.productCount} products, checksum ${snapshot.checksum.slice(0, 12)}, created ${snapshot.createdAt}`);
+    return 0;
+}
+
+async function main(argv) {
+    const args = argv.slice(2);
+    const outArg = takeOption(args, '--out');
+    const out = outArg === null ? path.join('data', 'catalog-snapshot.json') : outArg;
+    const createdAtArg = takeOption(args, '--created-at');
+    const fromWix = takeFlag(args, '--from-wix');
+    const [input] = args;
+
+    // --from-wix 的快照時間為讀取 Wix 的時間，不接受匯出檔與 --created-at
+    const invalid = !out || createdAtArg === undefined || (fromWix ? Boolean(input) || createdAtArg !== null : !input);
+    if (invalid) {
+        console.error('Usage: node scripts/refresh-catalog-snapshot.js --from-wix [--out data/catalog-snapshot.json]');
+        console.error('       node scripts/refresh-catalog-snapshot.js <products.csv|products.json> [--out data/catalog-snapshot.json] [--created-at <ISO time>]');
+        return 1;
+    }
+    if (fromWix) {
+        return snapshotFromWix(out);
+    }
+
+    // 快照時間為匯出時間：預設取匯出檔的修改時間
+    let createdAt;
+    try {
+        createdAt = createdAtArg ? new Date(createdAtArg) : fs.statSync(input).mtime;
+    } catch (e) {
+        console.error(`Failed to read ${input}:`, e.message);
+        return 1;
+    }
+    if (Number.isNaN(createdAt.getTime())) {
+        console.error(`Invalid --created-at: ${createdAtArg}`);
+        return 1;
+    }
+
+    let products;
+    try {
+        products = readExport(input);
+    } catch (e) {
+        console.error(`Failed to read ${input}:`, e.message);
+        return 1;
+    }
+    if (products.length === 0) {
+        console.error(`No products found in ${input}`);
+        return 1;
+    }
+
+    return writeSnapshot(out, buildSnapshot(products, { source: `export:${path.basename(input)}`, now: createdAt }));
+}
+
+if (require.main === module) {
+    main(process.argv).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { parseCsv, toImageUrl, toProduct, readExport, fetchWixProducts, main };
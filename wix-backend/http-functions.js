@@ -79,14 +79,22 @@ export async function post_chat(request) {
             });
         }
 
-        // 取得對話歷史（優先使用傳入的，否則從 sessionId 取得）
+        // 取得對話歷史、對話狀態與對話摘要（優先使用傳入的，否則從 sessionId 取得）
         let conversationHistory = body.conversationHistory || [];
-        if (conversationHistory.length === 0 && body.sessionId) {
+        let dialogState = body.dialogState || null;
+        let conversationSummary = body.conversationSummary || null;
+        if ((conversationHistory.length === 0 || !dialogState || !conversationSummary) && body.sessionId) {
             try {
                 const session = await wixData.get('chatSessions', body.sessionId);
-                if (session && session.messages) {
+                if (session && session.messages && conversationHistory.length === 0) {
                     conversationHistory = JSON.parse(session.messages);
                 }
+                if (session && session.dialogState && !dialogState) {
+                    dialogState = session.dialogState;
+                }
+                if (session && session.conversationSummary && !conversationSummary) {
+                    conversationSummary = session.conversationSummary;
+                }
             } catch (e) {
                 console.error('Failed to get session:', e);
             }
@@ -98,18 +106,14 @@ export async function post_chat(request) {
         // 都在 Vercel 端處理，與 META 端統一
         // ============================================
 
-        // 判斷是否為 session 第一次回答（根據是否有 assistant 消息）
-        const hasAssistantMessage = conversationHistory &&
-            conversationHistory.some(msg => msg.role === 'assistant' || msg.role === 'model');
-        const isFirstResponse = !hasAssistantMessage;
-
         const chatResponse = await fetch(`${VERCEL_API_URL}/api/chat`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 message: body.message,
                 conversationHistory,
-                isFirstResponse  // 明確傳入，讓 Vercel 知道要加警語
+                dialogState,  // 已確認的車型、燃油等欄位（Vercel 端負責合併）
+                conversationSummary  // 超出歷史視窗的舊訊息摘要（是否為第一次回答由 Vercel 依歷史判斷）
             })
         });
         const chatData = await chatResponse.json();
@@ -120,24 +124,7 @@ export async function post_chat(request) {
 
         // 儲存對話紀錄（Wix 端專屬邏輯）
         if (body.sessionId) {
-            try {
-                const session = await wixData.get('chatSessions', body.sessionId);
-                if (session) {
-                    let messages = [];
-                    try {
-                        messages = JSON.parse(session.messages || '[]');
-                    } catch (e) {
-                        messages = [];
-                    }
-                    messages.push({ role: 'user', content: body.message, timestamp: new Date().toISOString() });
-                    messages.push({ role: 'assistant', content: chatData.response, timestamp: new Date().toISOString() });
-                    session.messages = JSON.stringify(messages);
-                    session.lastActivity = new Date();
-                    await wixData.update('chatSessions', session);
-                }
-            } catch (e) {
-                console.error('Failed to save session:', e);
-            }
+            await appendChatTurn(body.sessionId, body.message, chatData);
         }
 
         return ok({
@@ -145,7 +132,12 @@ export async function post_chat(request) {
             body: JSON.stringify({
                 success: true,
                 response: chatData.response,
-                isFirstResponse: chatData.isFirstResponse || false
+                isFirstResponse: chatData.isFirstResponse || false,
+                products: chatData.products || [],
+                suggestedReplies: chatData.suggestedReplies || [],
+                vehicleWizard: chatData.vehicleWizard || null,
+                dialogState: chatData.dialogState || null,
+                conversationSummary: chatData.conversationSummary || null
             })
         });
 
@@ -158,6 +150,92 @@ export async function post_chat(request) {
     }
 }
 
+/**
+ * 在 session 中加入一輪對話（用戶訊息 + AI 回覆），並更新對話狀態與對話摘要
+ * 失敗只記錄錯誤，不影響回覆
+ * @param {string} sessionId
+ * @param {string} message - 用戶訊息
+ * @param {Object} chatData - { response, dialogState, conversationSummary }
+ */
+async function appendChatTurn(sessionId, message, chatData) {
+    try {
+        const session = await wixData.get('chatSessions', sessionId);
+        if (session) {
+            let messages = [];
+            try {
+                messages = JSON.parse(session.messages || '[]');
+            } catch (e) {
+                messages = [];
+            }
+            messages.push({ role: 'user', content: message, timestamp: new Date().toISOString() });
+            messages.push({ role: 'assistant', content: chatData.response, timestamp: new Date().toISOString() });
+            session.messages = JSON.stringify(messages);
+            if (chatData.dialogState) {
+                session.dialogState = JSON.stringify(chatData.dialogState);
+            }
+            if (chatData.conversationSummary) {
+                session.conversationSummary = JSON.stringify(chatData.conversationSummary);
+            }
+            session.lastActivity = new Date();
+            await wixData.update('chatSessions', session);
+        }
+    } catch (e) {
+        console.error('Failed to save session:', e);
+    }
+}
+
+// ============================================
+// POST /saveChatTurn - 儲存串流模式的對話紀錄
+// 網頁串流模式直接呼叫 Vercel /api/chat（Wix 無法分段轉送 SSE），完成後由此儲存
+// ============================================
+
+export function options_saveChatTurn(request) {
+    return ok({
+        headers: {
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Methods": "POST, OPTIONS",
+            "Access-Control-Allow-Headers": "Content-Type"
+        },
+        body: ""
+    });
+}
+
+export async function post_saveChatTurn(request) {
+    const corsHeaders = {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*"
+    };
+
+    try {
+        const body = await request.body.json();
+
+        if (!body.sessionId || typeof body.message !== 'string' || typeof body.response !== 'string') {
+            return badRequest({
+                headers: corsHeaders,
+                body: JSON.stringify({ success: false, error: "Missing sessionId, message or response" })
+            });
+        }
+
+        await appendChatTurn(body.sessionId, body.message, {
+            response: body.response,
+            dialogState: body.dialogState || null,
+            conversationSummary: body.conversationSummary || null
+        });
+
+        return ok({
+            headers: corsHeaders,
+            body: JSON.stringify({ success: true })
+        });
+
+    } catch (error) {
+        console.error('POST /saveChatTurn error:', error);
+        return serverError({
+            headers: corsHeaders,
+            body: JSON.stringify({ success: false, error: "Internal server error: " + error.message })
+        });
+    }
+}
+
 // ============================================
 // POST /startSession - 開始新對話
 // ============================================
@@ -320,6 +398,17 @@ export function options_products(request) {
     });
 }
 
+/**
+ * Wix 圖片欄位（wix:image://v1/<id>/<檔名>#...）→ 公開圖片 URL
+ */
+function toImageUrl(image) {
+    if (!image || typeof image !== 'string') return null;
+    if (image.startsWith('http')) return image;
+
+    const match = image.match(/^wix:image:\/\/v1\/([^/]+)\//);
+    return match ? `https://static.wixstatic.com/media/${match[1]}` : null;
+}
+
 export async function get_products(request) {
     const corsHeaders = {
         "Content-Type": "application/json",
@@ -347,6 +436,7 @@ export async function get_products(request) {
             price: p.price,
             content: p.content,
             use: p.use,  // 🚨 新增：使用方法/添加比例（含 2T/4T 資訊）
+            image: toImageUrl(p.image),  // Messenger 產品輪播圖片
             url: p.partno ? `${PRODUCT_BASE_URL}${p.partno.toLowerCase()}` : null
         }));
 
@@ -399,11 +489,21 @@ export async function get_cleanupSessions(request) {
 
         console.log(`Cleanup: closed ${closedCount} idle sessions at ${new Date().toISOString()}`);
 
+        // 一併清除過期的訊息去重記錄（POST /claimMessage）
+        const expiredClaims = await wixData.query('ProcessedMessages')
+            .lt('expiresAt', new Date())
+            .limit(1000)
+            .find({ suppressAuth: true });
+        if (expiredClaims.items.length > 0) {
+            await wixData.bulkRemove('ProcessedMessages', expiredClaims.items.map(item => item._id), { suppressAuth: true });
+        }
+
         return ok({
             headers: corsHeaders,
             body: JSON.stringify({
                 success: true,
                 closedSessions: closedCount,
+                removedMessageClaims: expiredClaims.items.length,
                 timestamp: new Date().toISOString()
             })
         });
@@ -467,7 +567,9 @@ export async function post_saveConversation(request) {
             aiResponse = '',
             hasAttachment = false,
             isPaused = false,
-            pauseUntil = null
+            pauseUntil = null,
+            dialogState = null,
+            conversationSummary = null
         } = body;
 
         if (!senderId) {
@@ -487,6 +589,8 @@ export async function post_saveConversation(request) {
             hasAttachment,
             isPaused,
             pauseUntil: pauseUntil ? new Date(pauseUntil) : null,
+            dialogState: dialogState ? JSON.stringify(dialogState) : null,
+            conversationSummary: conversationSummary ? JSON.stringify(conversationSummary) : null,
             createdAt: new Date()
         };
 
@@ -514,6 +618,91 @@ export async function post_saveConversation(request) {
     }
 }
 
+// CORS OPTIONS for claimMessage
+export function options_claimMessage(request) {
+    return ok({
+        headers: {
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Methods": "POST, OPTIONS",
+            "Access-Control-Allow-Headers": "Content-Type, X-Api-Key"
+        },
+        body: ""
+    });
+}
+
+/**
+ * POST /claimMessage - 原子地登記已處理的訊息 ID（跨 Vercel 執行個體去重）
+ * 以 ProcessedMessages 集合的 _id 唯一性保證同一個 key 只有一次 insert 會成功
+ * body: { key: 訊息 ID 雜湊, ttlSeconds: 登記有效秒數 }
+ * 回傳: { success, claimed }（claimed=false 表示已被其他請求處理）
+ */
+export async function post_claimMessage(request) {
+    const corsHeaders = {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*"
+    };
+
+    try {
+        const body = await request.body.json();
+
+        // 驗證 API Key（與 saveConversation 相同）
+        const apiKey = request.headers['x-api-key'];
+        const expectedKey = await getSecret("CHATBOT_API_KEY").catch(() => null);
+        if (expectedKey && apiKey !== expectedKey) {
+            return badRequest({
+                headers: corsHeaders,
+                body: JSON.stringify({ success: false, error: "Invalid API key" })
+            });
+        }
+
+        const { key, ttlSeconds = 3600 } = body;
+        if (!key || typeof key !== 'string' || key.length > 128) {
+            return badRequest({
+                headers: corsHeaders,
+                body: JSON.stringify({ success: false, error: "Missing or invalid key" })
+            });
+        }
+
+        const now = new Date();
+        const record = {
+            _id: key,
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + ttlSeconds * 1000)
+        };
+        const options = { suppressAuth: true };
+
+        let claimed = false;
+        try {
+            await wixData.insert("ProcessedMessages", record, options);
+            claimed = true;
+        } catch (e) {
+            // _id 已存在：已登記過；若已過期則移除後重新登記（仍以 insert 決定誰取得處理權）
+            const existing = await wixData.get("ProcessedMessages", key, options).catch(() => null);
+            if (existing && new Date(existing.expiresAt) <= now) {
+                await wixData.remove("ProcessedMessages", key, options).catch(() => null);
+                claimed = await wixData.insert("ProcessedMessages", record, options)
+                    .then(() => true)
+                    .catch(() => false);
+            }
+        }
+
+        return ok({
+            headers: corsHeaders,
+            body: JSON.stringify({ success: true, claimed })
+        });
+
+    } catch (error) {
+        console.error('POST /claimMessage error:', error);
+        return serverError({
+            headers: corsHeaders,
+            body: JSON.stringify({
+                success: false,
+                error: "Internal server error: " + error.message
+            })
+        });
+    }
+}
+
 // CORS OPTIONS for checkPauseStatus
 export function options_checkPauseStatus(request) {
     return ok({
@@ -715,6 +904,21 @@ export async function post_setPauseStatus(request) {
     }
 }
 
+/**
+ * 取得最新一筆記錄中以 JSON 字串儲存的欄位（dialogState / conversationSummary）
+ * @param {Array} items - 對話記錄（從舊到新）
+ */
+function parseLatestJSONField(items, field) {
+    const item = [...items].reverse().find(i => i[field]);
+    if (!item) return null;
+    try {
+        return JSON.parse(item[field]);
+    } catch (e) {
+        console.warn(`[getConversationHistory] Ignoring malformed ${field}`);
+        return null;
+    }
+}
+
 // CORS OPTIONS for getConversationHistory
 export function options_getConversationHistory(request) {
     return ok({
@@ -846,6 +1050,10 @@ export async function post_getConversationHistory(request) {
         // 但原始 results.items 是按 descending，所以第一筆是最新的
         const lastMessageTime = results.items.length > 0 ? results.items[0].createdAt : null;
 
+        // 最新一筆對話狀態與對話摘要（items 從舊到新）
+        const dialogState = parseLatestJSONField(items, 'dialogState');
+        const conversationSummary = parseLatestJSONField(items, 'conversationSummary');
+
         console.log(`[getConversationHistory] Found ${conversationHistory.length} messages for ${senderId}, lastMessageTime: ${lastMessageTime}`);
 
         return ok({
@@ -853,6 +1061,8 @@ export async function post_getConversationHistory(request) {
             body: JSON.stringify({
                 success: true,
                 conversationHistory,
+                dialogState,
+                conversationSummary,
                 lastMessageTime: lastMessageTime ? new Date(lastMessageTime).toISOString() : null
             })
         });